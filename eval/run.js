@@ -0,0 +1,311 @@
+#!/usr/bin/env node
+// eval/run.js — runs eval/questions.json through the same pipeline as /api/guidelines and
+// reports local retrieval accuracy (top-1/top-3), audience detection, schema validity,
+// applicability and per-stage latency, diffed against a saved baseline.
+//
+//   npm run eval                              replay recorded model/PubMed fixtures
+//   npm run eval -- --mode record             call the configured model and PubMed, save fixtures
+//   npm run eval -- --mode live               call them without saving (e.g. GM_LLM_PROVIDER=phi3)
+//   npm run eval -- --save-baseline           also store this report as the baseline
+//
+// The model comes from llm.config.json / GM_LLM_* as for the server; PubMed from GM_PUBMED_*.
+// National guidance comes from national.example/ unless --national says otherwise, so the
+// recorded replies (which cite its sections) replay the same wherever the eval runs.
+// The committed fixtures and baseline were recorded with the mock model and no PubMed
+// (GM_LLM_PROVIDER=mock npm run eval -- --mode record --no-literature --save-baseline), as
+// no model can be reached where they are built. The mock answers with whatever it is
+// given, so the checks that judge the model's answer (guideline picked, schema validity,
+// applicability) are not scored for it: the committed baseline, which `npm test` replays,
+// guards retrieval and audience detection only. Record against a real model to score the
+// rest.
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { createLibrarySet, loadSitesConfig } = require('../lib/librarySet');
+const { createNationalCorpus } = require('../lib/nationalCorpus');
+const { loadLlmConfig, createProvider } = require('../lib/llm');
+const { createPubMedClient } = require('../lib/pubmed');
+const { createResponseCache } = require('../lib/responseCache');
+const { createPipeline } = require('../lib/pipeline');
+const { createFixtureStore, fixtureProvider, fixturePubMed } = require('../lib/fixtures');
+
+const root = path.join(__dirname, '..');
+const dataDir = process.env.GM_DATA_DIR || path.join(root, 'data');
+
+const USAGE = `Usage: node eval/run.js [options]
+  --mode replay|record|live   model and PubMed source (default replay)
+  --questions <file>          question set (default eval/questions.json)
+  --fixtures <dir>            recorded replies (default eval/fixtures)
+  --baseline <file>           report to compare against (default eval/baseline.json)
+  --national <dir>            national guidance (default national.example)
+  --save-baseline             write this report to the baseline file
+  --out <file>                write the full report (default data/eval/latest.json)
+  --only <id,id>              run only these questions
+  --no-literature             skip PubMed (replay skips it anyway with no PubMed fixtures)
+  --fail-on-regression        exit 1 if any question got worse than the baseline
+  --help`;
+
+// Booleans a question can pass or fail, in report order
+const CHECKS = [
+  ['top1', 'Local retrieval top-1'],
+  ['top3', 'Local retrieval top-3'],
+  ['pick', 'Guideline picked'],
+  ['audience', 'Audience detected'],
+  ['schema_valid', 'Schema valid (no pruning)'],
+  ['schema_first_try', 'Schema valid first try'],
+  ['applicability', 'Applicability']
+];
+// Judgements of the model's answer; not scored for the mock, which only echoes its input
+const MODEL_CHECKS = ['pick', 'schema_valid', 'schema_first_try', 'applicability'];
+const STAGES = ['retrieval_ms', 'excerpts_ms', 'model_ms', 'literature_ms', 'total_ms'];
+
+function options() {
+  const { values } = parseArgs({
+    options: {
+      mode: { type: 'string', default: 'replay' },
+      questions: { type: 'string', default: path.join(__dirname, 'questions.json') },
+      fixtures: { type: 'string', default: path.join(__dirname, 'fixtures') },
+      baseline: { type: 'string', default: path.join(__dirname, 'baseline.json') },
+      national: { type: 'string', default: path.join(root, 'national.example') },
+      'save-baseline': { type: 'boolean', default: false },
+      out: { type: 'string', default: path.join(dataDir, 'eval', 'latest.json') },
+      only: { type: 'string' },
+      'no-literature': { type: 'boolean', default: false },
+      'fail-on-regression': { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  });
+  if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+  if (!['replay', 'record', 'live'].includes(values.mode)) {
+    console.error(`Unknown --mode "${values.mode}"\n${USAGE}`);
+    process.exit(2);
+  }
+  return values;
+}
+
+const readJson = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+// A check is null when it doesn't apply (no expected file, no model answer, the mock's
+// answer, ...)
+function score(question, out, candidates) {
+  const expected = question.expected_files || [];
+  const hit = files => files.some(f => expected.includes(f));
+  const ranked = candidates.map(c => c.file);
+  const guideline = out.local && out.local.guideline;
+  const checks = {
+    top1: expected.length ? hit(ranked.slice(0, 1)) : null,
+    top3: expected.length ? hit(ranked.slice(0, 3)) : null,
+    pick: expected.length && guideline ? hit([guideline.file].filter(Boolean)) : null,
+    audience: question.audience ? out.audience.group === question.audience : null,
+    schema_valid: out.schema ? out.schema.valid : null,
+    schema_first_try: out.schema ? out.schema.valid && out.schema.attempts === 1 : null,
+    applicability: question.applicability && guideline ? guideline.applicability === question.applicability : null
+  };
+  // The mock's model is "mock", recorded or replayed (when the provider reads "fixtures")
+  if (out.model && out.model.model === 'mock') for (const key of MODEL_CHECKS) checks[key] = null;
+  return checks;
+}
+
+function summarise(results) {
+  const rates = {};
+  for (const [key] of CHECKS) {
+    const scored = results.filter(r => r.checks && r.checks[key] !== null);
+    const passed = scored.filter(r => r.checks[key]).length;
+    rates[key] = { passed, of: scored.length, rate: scored.length ? passed / scored.length : null };
+  }
+  const latency = {};
+  for (const stage of STAGES) {
+    const values = results.map(r => r.timings && r.timings[stage]).filter(v => typeof v === 'number').sort((a, b) => a - b);
+    latency[stage] = values.length
+      ? { mean: Math.round(values.reduce((a, b) => a + b, 0) / values.length), p50: percentile(values, 50), p95: percentile(values, 95), max: values[values.length - 1] }
+      : null;
+  }
+  return { questions: results.length, errors: results.filter(r => r.error).length, rates, latency };
+}
+
+const pct = rate => (rate === null ? '   —  ' : `${(rate * 100).toFixed(1).padStart(5)}%`);
+const signed = (n, unit = '') => (n > 0 ? `+${n}${unit}` : `${n}${unit}`);
+
+function printSummary(summary) {
+  console.log(`\n${summary.questions} questions, ${summary.errors} errors\n`);
+  for (const [key, label] of CHECKS) {
+    const r = summary.rates[key];
+    console.log(`  ${label.padEnd(28)} ${pct(r.rate)}  ${r.of ? `(${r.passed}/${r.of})` : '(not scored)'}`);
+  }
+  console.log('\n  Latency (ms)                  mean    p50    p95    max');
+  for (const stage of STAGES) {
+    const l = summary.latency[stage];
+    if (!l) continue;
+    console.log(`  ${stage.replace(/_ms$/, '').padEnd(28)} ${[l.mean, l.p50, l.p95, l.max].map(v => String(v).padStart(6)).join(' ')}`);
+  }
+}
+
+// Only the questions both runs answered are compared, so an --only run diffs like for like.
+// -> { rates: [{ key, before, after }], latency: [...], regressions: [...], improvements: [...] }
+function diff(baseline, report) {
+  const ids = new Set(report.results.map(r => r.id));
+  const before = new Map(baseline.results.filter(r => ids.has(r.id)).map(r => [r.id, r]));
+  const was = summarise([...before.values()]);
+  const now = summarise(report.results.filter(r => before.has(r.id)));
+  const rates = CHECKS.map(([key]) => ({ key, before: was.rates[key].rate, after: now.rates[key].rate }));
+  const latency = STAGES.map(stage => ({
+    stage,
+    before: was.latency[stage] ? was.latency[stage].p50 : null,
+    after: now.latency[stage] ? now.latency[stage].p50 : null
+  }));
+  const regressions = [];
+  const improvements = [];
+  for (const r of report.results) {
+    const b = before.get(r.id);
+    if (!b || !b.checks) continue;
+    if (!r.checks) {
+      regressions.push({ id: r.id, check: 'error' });
+      continue;
+    }
+    for (const [key] of CHECKS) {
+      if (b.checks[key] === true && r.checks[key] === false) regressions.push({ id: r.id, check: key });
+      if (b.checks[key] === false && r.checks[key] === true) improvements.push({ id: r.id, check: key });
+    }
+  }
+  return { rates, latency, regressions, improvements };
+}
+
+function printDiff(baseline, d) {
+  console.log(`\nAgainst the baseline from ${baseline.run_at} (${baseline.model.provider}/${baseline.model.model}, ${baseline.mode}):\n`);
+  for (const { key, before, after } of d.rates) {
+    if (before === null || after === null) continue;
+    const delta = Math.round((after - before) * 1000) / 10;
+    const label = CHECKS.find(([k]) => k === key)[1];
+    console.log(`  ${label.padEnd(28)} ${pct(before)} -> ${pct(after)}  ${delta ? signed(delta, ' pts') : 'same'}`);
+  }
+  for (const { stage, before, after } of d.latency) {
+    if (before === null || after === null) continue;
+    console.log(`  ${`${stage.replace(/_ms$/, '')} p50`.padEnd(28)} ${String(before).padStart(6)} -> ${String(after).padStart(6)} ms  ${signed(after - before)}`);
+  }
+  for (const { id, check } of d.regressions) console.log(`  worse:  ${id} (${check})`);
+  for (const { id, check } of d.improvements) console.log(`  better: ${id} (${check})`);
+}
+
+async function main() {
+  const opts = options();
+  const set = readJson(opts.questions);
+  const only = opts.only ? opts.only.split(',').map(s => s.trim()) : null;
+  const questions = set.questions.filter(q => !only || only.includes(q.id));
+
+  // The default site's libraries, as the server would search them without a `site`
+  const libraries = createLibrarySet(loadSitesConfig(process.env.GM_SITES_CONFIG || path.join(root, 'sites.config.json'), {
+    root,
+    dataDir,
+    archiveDir: path.join(dataDir, 'archive')
+  }), { watch: false });
+  const library = libraries.forSite();
+  const national = createNationalCorpus({ dir: opts.national, watch: false });
+  let llm = createProvider(loadLlmConfig(process.env.GM_LLM_CONFIG || path.join(root, 'llm.config.json')));
+  let pubmed = createPubMedClient({
+    baseUrl: process.env.GM_PUBMED_BASE_URL || undefined,
+    apiKey: process.env.GM_PUBMED_API_KEY || '',
+    requestsPerSecond: Number(process.env.GM_PUBMED_RATE) || undefined,
+    email: process.env.GM_PUBMED_EMAIL || ''
+  });
+  const stores = opts.mode === 'live' ? null : {
+    model: createFixtureStore(path.join(opts.fixtures, 'model.json')),
+    pubmed: createFixtureStore(path.join(opts.fixtures, 'pubmed.json'))
+  };
+  if (opts.mode === 'replay' && !stores.model.size()) {
+    console.error(`No recorded model replies in ${path.relative(process.cwd(), opts.fixtures)}; run once with --mode record against a model first.`);
+    process.exit(2);
+  }
+  if (opts.mode === 'replay' && !opts['no-literature'] && !stores.pubmed.size()) {
+    console.log('No recorded PubMed results; literature is skipped.');
+    opts['no-literature'] = true;
+  }
+  if (stores) {
+    llm = fixtureProvider(llm, stores.model, opts.mode);
+    pubmed = fixturePubMed(pubmed, stores.pubmed, opts.mode);
+  }
+  // Every question must reach the model and PubMed, so nothing is served from the cache
+  const cache = createResponseCache({ dir: path.join(dataDir, 'cache'), enabled: false });
+  const { answerQuery, findLocalGuidelines } = createPipeline({ libraries, national, llm, pubmed, cache });
+  await library.ready;
+
+  console.log(`Question set v${set.version}: ${questions.length} questions; model ${llm.name}/${llm.model} (${opts.mode})`);
+  const results = [];
+  for (const q of questions) {
+    const include = { local: true, national: true, literature: !opts['no-literature'] };
+    const result = { id: q.id, prompt: q.prompt };
+    try {
+      const out = await answerQuery({ prompt: q.prompt, include, audience: 'auto' });
+      const { primary } = await findLocalGuidelines(q.prompt, out.audience.group);
+      Object.assign(result, {
+        checks: score(q, out, primary),
+        audience: out.audience.group,
+        candidates: primary.slice(0, 3).map(c => c.file),
+        guideline: out.local.guideline.file || null,
+        applicability: out.local.guideline.applicability,
+        model: out.model || null,
+        schema: out.schema || null,
+        warnings: out.warnings,
+        timings: out.timings
+      });
+    } catch (err) {
+      result.error = err.message;
+    }
+    results.push(result);
+    const failed = result.checks ? Object.entries(result.checks).filter(([, v]) => v === false).map(([k]) => k) : [];
+    console.log(`  ${result.error ? 'ERROR' : failed.length ? 'FAIL ' : 'ok   '} ${q.id}${result.error ? `: ${result.error}` : failed.length ? ` (${failed.join(', ')})` : ''}`);
+  }
+  libraries.close();
+
+  const report = {
+    question_set: set.version,
+    run_at: new Date().toISOString(),
+    mode: opts.mode,
+    // Replayed answers name the model that recorded them
+    model: (results.find(r => r.model) || {}).model || { provider: llm.name, model: llm.model },
+    corpus: library.version(),
+    summary: summarise(results),
+    results
+  };
+  printSummary(report.summary);
+
+  let regressions = [];
+  if (fs.existsSync(opts.baseline)) {
+    const baseline = readJson(opts.baseline);
+    if (baseline.question_set !== report.question_set) {
+      console.log(`\nBaseline is for question set v${baseline.question_set}, not v${report.question_set}; not compared.`);
+    } else {
+      const d = diff(baseline, report);
+      printDiff(baseline, d);
+      regressions = d.regressions;
+    }
+  } else {
+    console.log(`\nNo baseline at ${path.relative(process.cwd(), opts.baseline)}; run with --save-baseline to create one.`);
+  }
+
+  if (stores && opts.mode === 'record') {
+    for (const store of Object.values(stores)) {
+      if (store.save()) console.log(`Saved ${store.size()} fixtures to ${path.relative(process.cwd(), store.file)}`);
+    }
+  }
+  fs.mkdirSync(path.dirname(opts.out), { recursive: true });
+  fs.writeFileSync(opts.out, JSON.stringify(report, null, 2) + '\n');
+  console.log(`Report written to ${path.relative(process.cwd(), opts.out)}`);
+  if (opts['save-baseline']) {
+    fs.writeFileSync(opts.baseline, JSON.stringify(report, null, 2) + '\n');
+    console.log(`Baseline saved to ${path.relative(process.cwd(), opts.baseline)}`);
+  }
+  if (opts['fail-on-regression'] && regressions.length) process.exit(1);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,555 @@
+// Library admin page (#/admin): upload, replace, retire and re-describe local guidelines,
+// see which are past their review date, and search the query audit. Users signed in with the admin role need no token; otherwise
+// the admin token is kept for this browser tab only.
+// With several libraries (see sites.config.example.json) one is edited at a time.
+import React from "react";
+import { Badge, Card, documentDatesText, formatDocDate, ReviewBadge } from "./ui";
+
+const ADMIN_TOKEN_KEY = "gm-admin-token";
+
+const ADMIN_AUDIENCES = [
+  ["neonatal", "Neonate"],
+  ["paediatric", "Child"],
+  ["adult", "Adult"],
+  ["older_adult", "Older adult"],
+  ["pregnancy", "Pregnancy"]
+];
+
+// Without a token the session cookie identifies the admin
+async function adminFetch(token, path, { method = "GET", body, headers = {} } = {}) {
+  const res = await fetch(`/api/admin/${path}`, {
+    method,
+    body,
+    headers: { ...(token ? { Authorization: `Bearer ${token}` } : {}), ...headers }
+  });
+  const type = res.headers.get("Content-Type") || "";
+  if (!res.ok) {
+    const data = type.includes("json") ? await res.json() : {};
+    throw new Error(data.error || `HTTP ${res.status}`);
+  }
+  return type.includes("json") ? res.json() : res.blob();
+}
+
+function formatDateTime(iso) {
+  return iso ? new Date(iso).toLocaleString() : "—";
+}
+
+function AdminSignIn({ onSignIn, error }) {
+  const [value, setValue] = React.useState("");
+  return (
+    <Card title="Sign in" subtitle="Enter an admin token (GM_ADMIN_TOKENS on the server).">
+      <form className="admin-row" onSubmit={(e) => { e.preventDefault(); onSignIn(value.trim()); }}>
+        <input type="password" value={value} onChange={(e) => setValue(e.target.value)} placeholder="Admin token" />
+        <button type="submit" disabled={!value.trim()}>Sign in</button>
+      </form>
+      {error && <div className="alert m8">{error}</div>}
+    </Card>
+  );
+}
+
+const QUERY_OUTCOMES = ["ok", "cancelled", "queue_full", "queue_timeout", "model_unavailable", "model_timeout", "model_invalid_output", "internal_error"];
+
+const formatMs = (ms) => (ms === undefined || ms === null ? "—" : ms >= 1000 ? `${(ms / 1000).toFixed(1)} s` : `${ms} ms`);
+
+// Every /api/guidelines call, newest first, with identifiers in the prompts pseudonymised.
+// fetchAdmin(path, opts) is adminFetch with the page's token.
+function QueryAudit({ fetchAdmin }) {
+  const [filters, setFilters] = React.useState({ q: "", user: "", outcome: "", from: "", to: "" });
+  const [entries, setEntries] = React.useState(null);
+  const [error, setError] = React.useState(null);
+
+  const params = () => new URLSearchParams(Object.entries(filters).filter(([, v]) => v.trim()));
+  const set = (key) => (e) => setFilters((f) => ({ ...f, [key]: e.target.value }));
+
+  function search(e) {
+    if (e) e.preventDefault();
+    setError(null);
+    fetchAdmin(`queries?${params()}&limit=200`).then(setEntries).catch((err) => setError(err.message));
+  }
+
+  React.useEffect(() => { search(); }, []);
+
+  async function exportAs(format) {
+    try {
+      const blob = await fetchAdmin(`queries/export?${params()}&format=${format}`);
+      const a = document.createElement("a");
+      a.href = URL.createObjectURL(blob);
+      a.download = `query-audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+      a.click();
+      URL.revokeObjectURL(a.href);
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  return (
+    <Card title="Query audit" subtitle="Every search, newest first. Patient identifiers in prompts are replaced by pseudonyms; a name typed without a title (Mr, Dr…) is not recognised.">
+      <form className="admin-form" onSubmit={search}>
+        <input value={filters.q} onChange={set("q")} placeholder="Prompt or guideline file" />
+        <input value={filters.user} onChange={set("user")} placeholder="User" />
+        <select value={filters.outcome} onChange={set("outcome")}>
+          <option value="">Any outcome</option>
+          {QUERY_OUTCOMES.map((o) => <option key={o} value={o}>{o.replace(/_/g, " ")}</option>)}
+        </select>
+        <input type="date" value={filters.from} onChange={set("from")} title="From" />
+        <input type="date" value={filters.to} onChange={set("to")} title="To" />
+        <button type="submit">Search</button>
+      </form>
+      <div className="admin-actions small m8">
+        <button type="button" className="link-button" onClick={() => exportAs("csv")}>Export CSV</button>
+        <button type="button" className="link-button" onClick={() => exportAs("jsonl")}>Export JSON Lines</button>
+        {entries && <span>{entries.length === 200 ? "Showing the latest 200; export for all" : `${entries.length} found`}</span>}
+      </div>
+      {error && <div className="alert m8">{error}</div>}
+      {entries && entries.length > 0 && (
+        <table className="admin-table m8">
+          <thead>
+            <tr><th>When</th><th>Who</th><th>Outcome</th><th>Prompt</th><th>Sections</th><th>Local guideline</th><th>Model</th><th>Time</th></tr>
+          </thead>
+          <tbody>
+            {entries.map((e, i) => {
+              const t = e.timings || {};
+              return (
+                <tr key={i}>
+                  <td>{formatDateTime(e.at)}</td>
+                  <td>{e.user}{e.role === "admin" ? " (admin)" : ""}</td>
+                  <td>{e.outcome === "ok" ? "ok" : <Badge tone="danger">{e.outcome.replace(/_/g, " ")}</Badge>}</td>
+                  <td className="admin-prompt">{e.prompt}</td>
+                  <td className="small">
+                    {["local", "national", "literature"].filter((k) => e.include[k]).join(", ") || "none"}
+                    {" · "}{e.patient_group || e.audience}{e.site ? ` · ${e.site}` : ""}
+                  </td>
+                  <td className="small">{e.guideline ? `${e.guideline.file || "—"} (${e.guideline.applicability})` : "—"}</td>
+                  <td className="small">{e.model ? e.model.model : "—"}{e.cached ? " (cached)" : ""}</td>
+                  <td
+                    className="small"
+                    title={["retrieval_ms", "excerpts_ms", "queue_ms", "model_ms", "literature_ms"]
+                      .filter((k) => t[k] !== undefined).map((k) => `${k.replace("_ms", "")}: ${formatMs(t[k])}`).join("\n")}
+                  >
+                    {formatMs(t.total_ms)}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+      {entries && !entries.length && <p className="small m8">No matching queries.</p>}
+    </Card>
+  );
+}
+
+function UploadForm({ onUpload, busy }) {
+  const [file, setFile] = React.useState(null);
+  const [title, setTitle] = React.useState("");
+  const [aliases, setAliases] = React.useState("");
+  const [audience, setAudience] = React.useState("");
+  const inputRef = React.useRef(null);
+
+  async function submit(e) {
+    e.preventDefault();
+    const ok = await onUpload(file, { title, aliases, audience });
+    if (!ok) return;
+    setFile(null);
+    setTitle("");
+    setAliases("");
+    setAudience("");
+    inputRef.current.value = "";
+  }
+
+  return (
+    <form className="admin-form" onSubmit={submit}>
+      <input ref={inputRef} type="file" accept="application/pdf" onChange={(e) => setFile(e.target.files[0] || null)} />
+      <input value={title} onChange={(e) => setTitle(e.target.value)} placeholder="Title (optional)" />
+      <input value={aliases} onChange={(e) => setAliases(e.target.value)} placeholder="Aliases, separated by ;" />
+      <select value={audience} onChange={(e) => setAudience(e.target.value)}>
+        <option value="">Audience: from title</option>
+        {ADMIN_AUDIENCES.map(([v, label]) => <option key={v} value={v}>{label}</option>)}
+      </select>
+      <button type="submit" disabled={!file || busy}>Upload</button>
+    </form>
+  );
+}
+
+const DATE_FIELDS = [
+  ["version", "Version"],
+  ["published", "Published"],
+  ["review_by", "Review by"]
+];
+
+// The version and dates are read from the document; a value typed here overrides what was
+// read, and clearing it goes back to the document's own
+function EditForm({ doc, onSave, onCancel, busy }) {
+  const [title, setTitle] = React.useState(doc.title);
+  const [aliases, setAliases] = React.useState(doc.aliases.join("; "));
+  const [audience, setAudience] = React.useState(doc.audience);
+  const [dates, setDates] = React.useState(() =>
+    Object.fromEntries(DATE_FIELDS.map(([k]) => [k, doc[k] !== doc.detected_dates[k] ? doc[k] || "" : ""])));
+  return (
+    <form
+      className="admin-form"
+      onSubmit={(e) => {
+        e.preventDefault();
+        onSave({
+          title,
+          aliases: aliases.split(";").map((a) => a.trim()).filter(Boolean),
+          audience,
+          ...Object.fromEntries(DATE_FIELDS.map(([k]) => [k, dates[k].trim() || null]))
+        });
+      }}
+    >
+      <input value={title} onChange={(e) => setTitle(e.target.value)} placeholder="Title" />
+      <input value={aliases} onChange={(e) => setAliases(e.target.value)} placeholder="Aliases, separated by ;" />
+      <select value={audience} onChange={(e) => setAudience(e.target.value)}>
+        {ADMIN_AUDIENCES.map(([v, label]) => <option key={v} value={v}>{label}</option>)}
+      </select>
+      {DATE_FIELDS.map(([k, label]) => (
+        <input
+          key={k}
+          value={dates[k]}
+          onChange={(e) => setDates((d) => ({ ...d, [k]: e.target.value }))}
+          placeholder={`${label} (document: ${doc.detected_dates[k] || "none found"})`}
+          title={k === "version" ? label : `${label}: YYYY, YYYY-MM or YYYY-MM-DD`}
+        />
+      ))}
+      <button type="submit" disabled={busy || !title.trim()}>Save</button>
+      <button type="button" className="link-button" onClick={onCancel}>Cancel</button>
+    </form>
+  );
+}
+
+function VersionList({ file, versions, onOpen }) {
+  return (
+    <ul className="list list--tight m8">
+      {versions.map((v) => (
+        <li key={v.version}>
+          <button type="button" className="link-button" onClick={() => onOpen(file, v.version)}>
+            {v.version === "current" ? "Current version" : formatDateTime(v.archived_at)}
+          </button>{" "}
+          {v.reason !== "current" && <Badge tone={v.reason === "retired" ? "danger" : "default"}>{v.reason}</Badge>}{" "}
+          <span className="small">{Math.round(v.size / 1024)} KB</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+const REVIEW_LABELS = { overdue: "Overdue", due_soon: "Due within 90 days", current: "Current", unknown: "No review date" };
+
+// Every document in the library by review status, for chasing owners. api(path, opts) is
+// adminFetch scoped to the library being edited; library is its document list, so the
+// report reloads after every change.
+function ReviewReport({ api, libraryId, library }) {
+  const [report, setReport] = React.useState(null);
+  const [showAll, setShowAll] = React.useState(false);
+  const [error, setError] = React.useState(null);
+
+  React.useEffect(() => {
+    setError(null);
+    api("review").then(setReport).catch((err) => setError(err.message));
+  }, [libraryId, library]);
+
+  async function exportCsv() {
+    try {
+      const blob = await api("review?format=csv");
+      const a = document.createElement("a");
+      a.href = URL.createObjectURL(blob);
+      a.download = `review-report-${libraryId}-${new Date().toISOString().slice(0, 10)}.csv`;
+      a.click();
+      URL.revokeObjectURL(a.href);
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  const docs = report ? report.documents.filter((d) => showAll || d.review_status === "overdue" || d.review_status === "due_soon") : [];
+  return (
+    <Card title="Review dates" subtitle="Review-by dates are read from each document; correct them with Edit. Overdue documents are flagged to clinicians.">
+      {error && <div className="alert m8">{error}</div>}
+      {report && (
+        <div className="admin-actions small">
+          {Object.entries(REVIEW_LABELS).map(([k, label]) => <span key={k}>{label}: {report.counts[k]}</span>)}
+          <button type="button" className="link-button" onClick={() => setShowAll((v) => !v)}>
+            {showAll ? "Overdue and due soon only" : "Show all"}
+          </button>
+          <button type="button" className="link-button" onClick={exportCsv}>Export CSV</button>
+        </div>
+      )}
+      {docs.length > 0 && (
+        <table className="admin-table m8">
+          <thead>
+            <tr><th>Status</th><th>Review by</th><th>Document</th><th>Owner</th><th>Specialty</th><th>Version</th><th>Published</th></tr>
+          </thead>
+          <tbody>
+            {docs.map((d) => (
+              <tr key={d.file}>
+                <td>{d.review_status === "overdue" || d.review_status === "due_soon" ? <ReviewBadge doc={d} /> : REVIEW_LABELS[d.review_status]}</td>
+                <td>{formatDocDate(d.review_by) || "—"}{d.overridden.includes("review_by") ? " (set)" : ""}</td>
+                <td>{d.title}</td>
+                <td>{d.owner || "—"}</td>
+                <td className="small">{d.specialty}</td>
+                <td className="small">{d.version || "—"}</td>
+                <td className="small">{formatDocDate(d.published) || "—"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {report && !docs.length && <p className="small m8">No documents are overdue or due for review soon.</p>}
+    </Card>
+  );
+}
+
+// session: GET /api/session's reply; an admin there needs no token
+export function AdminPage({ session = null }) {
+  const sessionAdmin = Boolean(session && session.auth !== "off" && session.role === "admin");
+  const [token, setToken] = React.useState(() => sessionStorage.getItem(ADMIN_TOKEN_KEY) || "");
+  const [user, setUser] = React.useState(null);
+  const [library, setLibrary] = React.useState(null);
+  const [libraries, setLibraries] = React.useState(null);
+  const [libraryId, setLibraryId] = React.useState("");
+  const [audit, setAudit] = React.useState([]);
+  const [filter, setFilter] = React.useState("");
+  const [editing, setEditing] = React.useState(null);
+  const [history, setHistory] = React.useState({});
+  const [busy, setBusy] = React.useState(false);
+  const [message, setMessage] = React.useState(null);
+  const [error, setError] = React.useState(null);
+
+  const enc = encodeURIComponent;
+  const withLibrary = (path) => (libraryId ? `${path}${path.includes("?") ? "&" : "?"}library=${enc(libraryId)}` : path);
+  const api = (path, opts) => adminFetch(token, withLibrary(path), opts);
+  const fetchAdmin = (path, opts) => adminFetch(token, path, opts);
+
+  async function load() {
+    const [lib, log] = await Promise.all([api("documents"), api("audit?limit=100")]);
+    setLibrary(lib);
+    setAudit(log);
+  }
+
+  React.useEffect(() => {
+    if (!token && !sessionAdmin) return;
+    Promise.all([api("session"), api("libraries")])
+      .then(([s, libs]) => {
+        setUser(s.user);
+        setLibraries(libs);
+        setLibraryId(libs.default_library);
+      })
+      .catch((err) => {
+        sessionStorage.removeItem(ADMIN_TOKEN_KEY);
+        setToken("");
+        setUser(null);
+        setError(err.message);
+      });
+  }, [token]);
+
+  React.useEffect(() => {
+    if (!user || !libraryId) return;
+    setHistory({});
+    setEditing(null);
+    load().catch((err) => setError(err.message));
+  }, [libraryId]);
+
+  // Runs one change, then reloads the document list and audit log
+  async function change(label, fn) {
+    setBusy(true);
+    setError(null);
+    setMessage(null);
+    try {
+      await fn();
+      setMessage(label);
+      setHistory({});
+      await load();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function signIn(value) {
+    sessionStorage.setItem(ADMIN_TOKEN_KEY, value);
+    setError(null);
+    setToken(value);
+  }
+
+  function signOut() {
+    sessionStorage.removeItem(ADMIN_TOKEN_KEY);
+    setToken("");
+    setUser(null);
+    setLibrary(null);
+    setLibraryId("");
+  }
+
+  const upload = (file, { title, aliases, audience }) => {
+    const params = new URLSearchParams({ name: file.name });
+    if (title.trim()) params.set("title", title.trim());
+    if (aliases.trim()) params.set("aliases", aliases);
+    if (audience) params.set("audience", audience);
+    return change(`Uploaded ${file.name}`, () =>
+      api(`documents?${params}`, { method: "POST", body: file, headers: { "Content-Type": "application/pdf" } }));
+  };
+
+  const replace = (doc, file) =>
+    change(`Replaced ${doc.title}; the previous version was archived`, () =>
+      api(`documents/${enc(doc.file)}`, { method: "PUT", body: file, headers: { "Content-Type": "application/pdf" } }));
+
+  const retire = (doc) => {
+    const reason = window.prompt(`Retire "${doc.title}"? It will be archived and no longer searched.\n\nReason (optional):`);
+    if (reason === null) return;
+    change(`Retired ${doc.title}`, () => api(`documents/${enc(doc.file)}?reason=${enc(reason)}`, { method: "DELETE" }));
+  };
+
+  const save = (doc, fields) =>
+    change(`Updated ${fields.title}`, async () => {
+      await api(`documents/${enc(doc.file)}`, {
+        method: "PATCH",
+        body: JSON.stringify(fields),
+        headers: { "Content-Type": "application/json" }
+      });
+      setEditing(null);
+    });
+
+  async function toggleVersions(file) {
+    if (history[file]) return setHistory((h) => ({ ...h, [file]: null }));
+    try {
+      const versions = await api(`documents/${enc(file)}/versions`);
+      setHistory((h) => ({ ...h, [file]: versions }));
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  // Archived PDFs need the token, so fetch them and open the blob
+  async function openVersion(file, version) {
+    try {
+      const blob = await api(`documents/${enc(file)}/versions/${enc(version)}`);
+      window.open(URL.createObjectURL(blob), "_blank", "noopener");
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  if (!user) return <AdminSignIn onSignIn={signIn} error={error} />;
+
+  const q = filter.trim().toLowerCase();
+  const docs = (library ? library.documents : [])
+    .filter((d) => !q || [d.title, d.file, ...d.aliases].some((s) => s.toLowerCase().includes(q)))
+    .sort((a, b) => a.title.localeCompare(b.title));
+
+  return (
+    <div className="results-grid">
+      {token && (
+        <div className="status">
+          Signed in as {user} · <button type="button" className="link-button" onClick={signOut}>Sign out</button>
+        </div>
+      )}
+      {libraries && libraries.libraries.length > 1 && (
+        <div className="status">
+          Library:{" "}
+          <select value={libraryId} onChange={(e) => setLibraryId(e.target.value)} disabled={busy}>
+            {libraries.libraries.map((l) => (
+              <option key={l.id} value={l.id}>{l.title}{l.kind === "network" ? " (network)" : ""}</option>
+            ))}
+          </select>
+        </div>
+      )}
+      {message && <div className="status">{message}</div>}
+      {error && <div className="alert">{error}</div>}
+
+      <Card title="Upload a guideline" subtitle="PDF with a text layer. The file is saved as <name>_ocr.pdf.">
+        <UploadForm onUpload={upload} busy={busy} />
+      </Card>
+
+      <Card title={`Local guidelines (${library ? library.documents.length : "…"})`}>
+        <input className="admin-filter" value={filter} onChange={(e) => setFilter(e.target.value)} placeholder="Filter by title, alias or file" />
+        <ul className="list admin-list">
+          {docs.map((d) => (
+            <li key={d.file}>
+              {editing === d.file ? (
+                <EditForm doc={d} busy={busy} onSave={(fields) => save(d, fields)} onCancel={() => setEditing(null)} />
+              ) : (
+                <>
+                  <a className="link" href={d.link} target="_blank" rel="noreferrer">{d.title}</a>{" "}
+                  <Badge>{d.audience.replace("_", " ")}</Badge>{" "}
+                  {d.type !== "guideline" && <Badge>{d.type.replace("_", " ")}</Badge>}{" "}
+                  <ReviewBadge doc={d} />
+                  <p className="small">
+                    {d.file}{d.aliases.length ? ` · also: ${d.aliases.join("; ")}` : ""}
+                    {documentDatesText(d) ? ` · ${documentDatesText(d)}` : ""}
+                  </p>
+                </>
+              )}
+              <div className="admin-actions small">
+                <button type="button" className="link-button" onClick={() => setEditing(d.file)} disabled={busy}>Edit</button>
+                <label className="link-button">
+                  Replace
+                  <input
+                    type="file"
+                    accept="application/pdf"
+                    hidden
+                    disabled={busy}
+                    onChange={(e) => { if (e.target.files[0]) replace(d, e.target.files[0]); e.target.value = ""; }}
+                  />
+                </label>
+                <button type="button" className="link-button" onClick={() => toggleVersions(d.file)}>
+                  Versions{d.versions ? ` (${d.versions + 1})` : ""}
+                </button>
+                <button type="button" className="link-button" onClick={() => retire(d)} disabled={busy}>Retire</button>
+              </div>
+              {history[d.file] && <VersionList file={d.file} versions={history[d.file]} onOpen={openVersion} />}
+            </li>
+          ))}
+        </ul>
+      </Card>
+
+      {library && <ReviewReport api={api} libraryId={libraryId} library={library} />}
+
+      {library && library.retired.length > 0 && (
+        <Card title="Retired">
+          <ul className="list list--tight">
+            {library.retired.map((r) => (
+              <li key={r.file}>
+                {r.file} <span className="small">retired {formatDateTime(r.retired_at)}</span>{" "}
+                <button type="button" className="link-button" onClick={() => toggleVersions(r.file)}>Versions ({r.versions})</button>
+                {history[r.file] && <VersionList file={r.file} versions={history[r.file]} onOpen={openVersion} />}
+              </li>
+            ))}
+          </ul>
+        </Card>
+      )}
+
+      <Card title="Audit log" subtitle="Most recent 100 changes">
+        {audit.length ? (
+          <table className="admin-table">
+            <thead>
+              <tr><th>When</th><th>Who</th><th>Action</th><th>Document</th><th>Details</th></tr>
+            </thead>
+            <tbody>
+              {audit.map((a, i) => (
+                <tr key={i}>
+                  <td>{formatDateTime(a.at)}</td>
+                  <td>{a.actor}</td>
+                  <td>{a.action}</td>
+                  <td>{a.file}</td>
+                  <td className="small">
+                    {a.reason || ""}
+                    {a.after ? Object.entries(a.after).map(([k, v]) => `${k}: ${Array.isArray(v) ? v.join("; ") : v}`).join(" · ") : ""}
+                    {a.previous_version ? `previous version archived as ${a.previous_version}` : ""}
+                    {a.cleared ? ` · overrides cleared: ${a.cleared.join(", ")}` : ""}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p className="small">No changes yet.</p>
+        )}
+      </Card>
+
+      <QueryAudit fetchAdmin={fetchAdmin} />
+    </div>
+  );
+}
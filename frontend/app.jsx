@@ -1,13 +1,13 @@
-/* global React, ReactDOM */
-
-function Badge({ tone = "default", children }) {
-  const toneClass =
-    tone === "ok" ? "badge badge--ok" :
-    tone === "warn" ? "badge badge--warn" :
-    tone === "danger" ? "badge badge--danger" :
-    "badge";
-  return <span className={toneClass}>{children}</span>;
-}
+import React from "react";
+import { AUDIENCE_SHORT, Badge, Card, Citations, cksLinkInfo, DOC_TYPE_LABELS, discrepancyText, documentDatesText, formatDocDate, itemText, ReviewBadge, textPath, viewerHref } from "./ui";
+import { DecisionTreeView, hasTree } from "./tree";
+import { DoseCalculator } from "./doses";
+import { ChangeList, diffAnswers, historyFetch, HistorySidebar } from "./history";
+import { ExportActions, PrintStamp } from "./export";
+import { AdminPage } from "./admin";
+import { CataloguePage, GuidelineSuggest } from "./catalogue";
+import { DocumentViewer, parseViewerRoute } from "./viewer";
+import { clearPrivateCache, ConnectionBanner, keepOffline, useConnection } from "./offline";
 
 function ApplicabilityBadge({ applicability }) {
   if (!applicability) return null;
@@ -20,34 +20,111 @@ function ApplicabilityBadge({ applicability }) {
   return <Badge tone={v.tone}>{v.label}</Badge>;
 }
 
-function LinkList({ items }) {
+const AUDIENCE_OPTIONS = [
+  ["auto", "Population: auto-detect"],
+  ["neonatal", "Neonate (under 28 days)"],
+  ["paediatric", "Child (under 16)"],
+  ["adult", "Adult"],
+  ["older_adult", "Older adult (65+)"],
+  ["pregnancy", "Pregnancy"]
+];
+
+// The site picked in the form, remembered in this browser
+const SITE_KEY = "gm-site";
+
+function AudienceStatus({ audience }) {
+  if (!audience) return null;
+  const stated = [
+    audience.age,
+    audience.gestation_weeks !== undefined && `${audience.gestation_weeks}/40`,
+    audience.weight_kg !== undefined && `${audience.weight_kg} kg`
+  ].filter(Boolean);
+  const how = { selected: "selected", stated: "from the question", keywords: "from the question", default: "default" }[audience.source];
+  return (
+    <>
+      {" · "}{audience.label}
+      {stated.length ? ` (${stated.join(", ")})` : ""}
+      {how ? `, ${how}` : ""}
+    </>
+  );
+}
+
+function formatAge(seconds) {
+  if (seconds < 60) return "just now";
+  if (seconds < 3600) return `${Math.round(seconds / 60)} min ago`;
+  if (seconds < 86400) return `${Math.round(seconds / 3600)} h ago`;
+  return `${Math.round(seconds / 86400)} days ago`;
+}
+
+// Which library a local document came from; only worth showing when a site has several
+function LibraryBadge({ library }) {
+  if (!library) return null;
+  return <span title={library.kind === "network" ? "Shared network library" : "Site library"}><Badge>{library.title}</Badge></span>;
+}
+
+function LinkList({ items, showLibrary = false }) {
   if (!items || !items.length) return <p className="small">No links.</p>;
   return (
     <ul className="list list--tight">
       {items.map((g, i) => (
         <li key={i}>
-          <a className="link" href={(g.url || g.link)} target="_blank" rel="noreferrer">
-            {g.title || g.url || g.link}
-          </a>
+          {g.file ? (
+            <a className="link" href={viewerHref(g.url || g.link, { page: g.pages && g.pages[0] })}>{g.title}</a>
+          ) : (
+            <a className="link" href={(g.url || g.link)} target="_blank" rel="noreferrer">
+              {g.title || g.url || g.link}
+            </a>
+          )}
+          {DOC_TYPE_LABELS[g.type] && <> <Badge>{DOC_TYPE_LABELS[g.type]}</Badge></>}
+          {showLibrary && g.library && <> <LibraryBadge library={g.library} /></>}
+          {g.source && <> <Badge>{[g.source, g.code].filter(Boolean).join(" ")}</Badge></>}
+          {g.other_population && <> <Badge tone="warn">{AUDIENCE_SHORT[g.audience] || g.audience}</Badge></>}
+          {(g.review_status === "overdue" || g.review_status === "due_soon") && <> <ReviewBadge doc={g} /></>}
           {g.summary && <p className="small">{g.summary}</p>}
+          {g.superseded_by && (
+            <p className="small">Superseded here by {g.superseded_by.title}{g.superseded_by.library ? ` (${g.superseded_by.library.title})` : ""}</p>
+          )}
+          {g.pages && g.pages.length > 0 && (
+            <p className="small">Matching pages: {g.pages.join(", ")}</p>
+          )}
         </li>
       ))}
     </ul>
   );
 }
 
+const PUBLICATION_TYPE_TONES = { guideline: "ok", meta_analysis: "ok", systematic_review: "ok", rct: "warn" };
+
 function PaperList({ papers }) {
   if (!papers || !papers.length) return <p className="small">No literature found.</p>;
   return (
     <ul className="list list--tight">
       {papers.map((p, i) => (
-        <li key={i}>
-          <strong>{p.title || p.url}</strong>
+        <li key={p.pmid || i}>
+          <strong>{p.title || p.url}</strong>{" "}
+          {p.publication_type_label && (
+            <Badge tone={PUBLICATION_TYPE_TONES[p.publication_type] || "default"}>{p.publication_type_label}</Badge>
+          )}
+          {p.citation && <p className="small citation">{p.citation}</p>}
           {p.summary && <p className="small">{p.summary}</p>}
+          {p.abstract && p.abstract.some((s) => s.label) && (
+            <details className="small">
+              <summary>Structured abstract</summary>
+              {p.abstract.map((s, j) => (
+                <p key={j} className="m4">{s.label && <strong>{s.label}: </strong>}{s.text}</p>
+              ))}
+            </details>
+          )}
           <p className="small">
             <a className="link" href={p.url} target="_blank" rel="noreferrer">
-              View on PubMed
+              PubMed {p.pmid}
             </a>
+            {p.doi_url && (
+              <>
+                {" · "}
+                <a className="link" href={p.doi_url} target="_blank" rel="noreferrer">DOI</a>
+              </>
+            )}
           </p>
         </li>
       ))}
@@ -55,65 +132,361 @@ function PaperList({ papers }) {
   );
 }
 
-function Bullets({ items }) {
+// highlight: texts to mark as new since a saved answer (see diffAnswers in history.jsx)
+function Bullets({ items, highlight }) {
   if (!items) return null;
-  if (Array.isArray(items) && items.length === 0) return <p className="small">—</p>;
-  if (Array.isArray(items)) {
-    return (
-      <ul className="list">
-        {items.map((x, i) => <li key={i}>{x}</li>)}
-      </ul>
-    );
-  }
-  return <p>{String(items)}</p>;
+  if (items.length === 0) return <p className="small">—</p>;
+  return (
+    <ul className="list">
+      {items.map((x, i) => (
+        <li key={i} className={highlight && highlight.has(itemText(x)) ? "changed" : undefined}>
+          {typeof x === "object" ? <>{x.text} <Citations items={x.citations} /></> : x}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// The page to open the chosen guideline at: its best-matching page, if it was a match
+function guidelinePage(local) {
+  const match = (local.links || []).find((l) => l.file === local.guideline.file);
+  return match && match.pages.length ? match.pages[0] : 1;
 }
 
-function DecisionTree({ steps }) {
-  if (!steps || !steps.length) return null;
+function SourceList({ sources }) {
+  if (!sources || !sources.length) return null;
+  const seen = new Map();
+  for (const s of sources) {
+    if (!seen.has(s.file)) seen.set(s.file, { title: s.title, url: s.url.replace(/#.*$/, ""), pages: [] });
+    const doc = seen.get(s.file);
+    if (!doc.pages.some((p) => p.page === s.page)) doc.pages.push(s);
+  }
   return (
-    <div className="tree">
-      {steps.map((s, i) => (
-        <div className="tree__item" key={i}>
-          <span className="tree__if">IF</span> {s.if || s.condition || "—"}{" "}
-          <span className="tree__if">THEN</span> {s.then || s.action || "—"}
-          {s.note ? <div className="tree__note">Note: {s.note}</div> : null}
-        </div>
+    <ul className="list list--tight">
+      {[...seen.values()].map((doc, i) => (
+        <li key={i}>
+          <a className="link" href={viewerHref(doc.url, { page: doc.pages[0].page })}>{doc.title}</a>{" "}
+          <span className="cite">
+            {doc.pages.map((s) => (
+              <a key={s.id} className="cite__link" href={viewerHref(s.url, { page: s.page, highlight: s })}>p.{s.page}</a>
+            ))}
+          </span>
+        </li>
       ))}
-    </div>
+    </ul>
+  );
+}
+
+const DISCREPANCY_AREAS = { admission_criteria: "Admission", investigations: "Investigations", management: "Management" };
+
+// Labels read from the local side, as the model is asked to classify them
+const DIFFERENCE_LABELS = {
+  stricter: { label: "Local stricter", tone: "warn" },
+  looser: { label: "Local looser", tone: "warn" },
+  different_drug_or_dose: { label: "Different drug or dose", tone: "danger" },
+  not_covered_locally: { label: "Not in local guideline", tone: "default" },
+  not_covered_by_nice: { label: "Not in NICE", tone: "default" }
+};
+
+function DiscrepancyTable({ items, highlight }) {
+  if (!items.length) return <p className="small">No deliberate differences found between the local pathway and NICE.</p>;
+  return (
+    <table className="compare">
+      <thead>
+        <tr><th>Topic</th><th>Local</th><th>NICE</th><th>Difference</th></tr>
+      </thead>
+      <tbody>
+        {items.map((d, i) => {
+          const v = DIFFERENCE_LABELS[d.difference] || { label: d.difference, tone: "default" };
+          return (
+            <tr key={i} className={highlight && highlight.has(discrepancyText(d)) ? "changed" : undefined}>
+              <td>
+                <strong>{d.topic}</strong>
+                <div className="small">{DISCREPANCY_AREAS[d.area] || d.area}</div>
+              </td>
+              <td>{d.local || "—"} <Citations items={d.local ? d.citations : null} /></td>
+              <td>{d.national || "—"}</td>
+              <td><Badge tone={v.tone}>{v.label}</Badge></td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
   );
 }
 
-function Card({ title, subtitle, className = "", headerExtras = null, children }) {
+// Reads an NDJSON response body, calling onEvent for each complete line
+async function readNdjson(body, onEvent) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buf = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buf += decoder.decode(value, { stream: true });
+    const lines = buf.split("\n");
+    buf = lines.pop();
+    lines.filter((l) => l.trim()).forEach((l) => onEvent(JSON.parse(l)));
+  }
+  if (buf.trim()) onEvent(JSON.parse(buf));
+}
+
+// The (possibly unfinished) top-level "summary" string from streamed model JSON
+function partialSummary(raw) {
+  const m = (raw || "").match(/"summary"\s*:\s*"((?:[^"\\]|\\.)*)/);
+  if (!m) return "";
+  try {
+    return JSON.parse(`"${m[1].replace(/\\u[0-9a-fA-F]{0,3}$|\\$/, "")}"`);
+  } catch {
+    return m[1];
+  }
+}
+
+// "/q/abc" -> "abc"
+const savedIdFromPath = (pathname) => (pathname.match(/^\/q\/([\w-]+)$/) || [])[1] || null;
+
+const PAGE_SUBTITLES = {
+  search: "Local → NICE → literature — concise, actionable guidance",
+  guidelines: "Guideline catalogue",
+  admin: "Local guideline library"
+};
+
+// page: search, guidelines or admin. session: GET /api/session's reply. The admin link is
+// for admins, or for everyone when sign-in is off (the admin page then asks for a token).
+function AppHeader({ page = "search", session = null, onSignOut = null }) {
+  const signedIn = session && session.auth !== "off";
+  const showAdmin = page !== "admin" && (!session || session.auth === "off" || session.role === "admin");
   return (
-    <section className={`card ${className}`}>
-      <div className="card__header">
-        <h2 className="card__title">{title}</h2>
-        {headerExtras}
+    <header className="app-header">
+      <div>
+        <h1 className="app-title">Guideline Monkey</h1>
+        <p className="app-subtitle">{PAGE_SUBTITLES[page]}</p>
       </div>
-      {subtitle ? <p className="card__sub">{subtitle}</p> : null}
-      {children}
-    </section>
+      <div className="app-header__links small">
+        {signedIn && (
+          <span>
+            Signed in as {session.user}
+            {session.auth === "local" && onSignOut && (
+              <> · <button type="button" className="link-button" onClick={onSignOut}>Sign out</button></>
+            )}
+          </span>
+        )}
+        {page !== "search" && <a className="link-muted" href="#/">Back to search</a>}
+        {session && page !== "guidelines" && <a className="link-muted" href="#/guidelines">Guidelines</a>}
+        {showAdmin && <a className="link-muted" href="#/admin">Library admin</a>}
+      </div>
+    </header>
   );
 }
 
-function App() {
+// GM_AUTH=local: name and password, checked by POST /api/session, which sets the cookie
+function LoginPage({ onSignIn }) {
+  const [username, setUsername] = React.useState("");
+  const [password, setPassword] = React.useState("");
+  const [busy, setBusy] = React.useState(false);
+  const [error, setError] = React.useState(null);
+
+  async function submit(e) {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      const res = await fetch("/api/session", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ username, password })
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      onSignIn(data);
+    } catch (err) {
+      setError(err.message);
+      setBusy(false);
+    }
+  }
+
+  return (
+    <Card title="Sign in" subtitle="Use the account your administrator set up for you.">
+      <form className="admin-row" onSubmit={submit}>
+        <input value={username} onChange={(e) => setUsername(e.target.value)} placeholder="Username" autoComplete="username" autoFocus />
+        <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} placeholder="Password" autoComplete="current-password" />
+        <button type="submit" disabled={busy || !username.trim() || !password}>Sign in</button>
+      </form>
+      {error && <div className="alert m8">{error}</div>}
+    </Card>
+  );
+}
+
+// savedId: the saved answer in the URL (/q/:id), shown read-only until the next search.
+// navigate(path) changes the URL without reloading. session and onSignOut go to the header;
+// connection is useConnection()'s state. viewer: parseViewerRoute()'s result while a
+// document is open beside the answer (#/view).
+function App({ savedId, navigate, session, onSignOut, connection, viewer = null }) {
   const [prompt, setPrompt] = React.useState("");
   const [result, setResult] = React.useState(null);
   const [loading, setLoading] = React.useState(false);
   const [error, setError] = React.useState(null);
   const [elapsed, setElapsed] = React.useState(0);
+  const [draft, setDraft] = React.useState("");
+  const [requested, setRequested] = React.useState({});
+  const [repair, setRepair] = React.useState(null);
+  // Place in line while the server's model is busy with other questions (1 = next)
+  const [queuePosition, setQueuePosition] = React.useState(0);
   const timerRef = React.useRef(null);
   const controllerRef = React.useRef(null);
 
   const [includeLocal, setIncludeLocal] = React.useState(true);
   const [includeNational, setIncludeNational] = React.useState(true);
   const [includeLiterature, setIncludeLiterature] = React.useState(true);
+  const [audience, setAudience] = React.useState("auto");
+  const [paperCount, setPaperCount] = React.useState(3);
+  const [sinceYears, setSinceYears] = React.useState("");
 
-  async function handleSubmit(e) {
-    e.preventDefault();
+  const [history, setHistory] = React.useState(null);
+  const [saved, setSaved] = React.useState(null);
+  const [comparison, setComparison] = React.useState(null);
+  const [copied, setCopied] = React.useState(false);
+  const [treePath, setTreePath] = React.useState([]);
+  const [sites, setSites] = React.useState(null);
+  const [site, setSite] = React.useState(() => localStorage.getItem(SITE_KEY) || "");
+
+  function loadHistory() {
+    return historyFetch("?limit=200").then((data) => setHistory(data.items)).catch((err) => console.error(err));
+  }
+
+  React.useEffect(() => {
+    loadHistory();
+    fetch("/api/sites")
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`))))
+      .then((data) => {
+        setSites(data);
+        setSite((s) => (data.sites.some((x) => x.id === s) ? s : data.default_site));
+      })
+      .catch((err) => console.error(err));
+  }, []);
+
+  function chooseSite(value) {
+    localStorage.setItem(SITE_KEY, value);
+    setSite(value);
+  }
+
+  // Fill the form from a saved record so the question can be edited or re-run
+  function applyRecord(record) {
+    setPrompt(record.prompt);
+    setIncludeLocal(record.include.local);
+    setIncludeNational(record.include.national);
+    setIncludeLiterature(record.include.literature);
+    setAudience(record.audience || "auto");
+    if (record.site) setSite(record.site);
+    if (record.literature) {
+      setPaperCount(record.literature.count || 3);
+      const years = record.literature.from_year ? String(new Date().getFullYear() - record.literature.from_year) : "";
+      setSinceYears(["5", "10", "20"].includes(years) ? years : "");
+    }
+  }
+
+  React.useEffect(() => {
+    if (!savedId) {
+      setSaved(null);
+      return;
+    }
+    if (result && result.id === savedId) return;
+    setError(null);
+    historyFetch(`/${savedId}`)
+      .then((record) => {
+        applyRecord(record);
+        setSaved(record);
+        setComparison(null);
+        setResult({ ...record.result, id: record.id, permalink: `/q/${record.id}`, saved_at: record.created_at });
+      })
+      .catch((err) => setError(err.message));
+  }, [savedId]);
+
+  // On narrow screens the viewer sits below the answer; bring it into view when it opens
+  React.useEffect(() => {
+    if (!viewer || !window.matchMedia || !window.matchMedia("(max-width: 1099px)").matches) return;
+    const el = document.querySelector(".layout__viewer");
+    if (el && el.scrollIntoView) el.scrollIntoView({ block: "start" });
+  }, [viewer && viewer.doc, viewer && viewer.page, viewer && viewer.highlight && viewer.highlight.start]);
+
+  // A walk through the decision tree belongs to one answer
+  React.useEffect(() => setTreePath([]), [result && result.answered_at, result && result.id]);
+
+  function handleSubmit(e, { bypassCache = false } = {}) {
+    if (e) e.preventDefault();
+    runQuery({
+      prompt,
+      include: { local: includeLocal, national: includeNational, literature: includeLiterature },
+      audience,
+      site: site || undefined,
+      literature: {
+        count: paperCount,
+        from_year: sinceYears ? new Date().getFullYear() - Number(sinceYears) : undefined
+      }
+    }, { bypassCache });
+  }
+
+  // Asks the saved question again (never from the cache) and compares the new answer with it
+  async function rerun(id) {
+    try {
+      const record = saved && saved.id === id ? saved : await historyFetch(`/${id}`);
+      applyRecord(record);
+      runQuery(record, { bypassCache: true, base: record });
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  async function pin(id, pinned) {
+    try {
+      await historyFetch(`/${id}`, { method: "PATCH", body: { pinned } });
+      await loadHistory();
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  async function remove(id) {
+    if (!window.confirm("Delete this saved answer? Its link will stop working.")) return;
+    try {
+      await historyFetch(`/${id}`, { method: "DELETE" });
+      if (id === savedId) {
+        setResult(null);
+        navigate("/");
+      }
+      await loadHistory();
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  // Copying the link of one's own answer shares it: until then only its owner (and admins)
+  // can open it
+  async function copyLink() {
+    const mine = !saved || !saved.user || saved.user === session.user;
+    try {
+      if (mine && result.id) await historyFetch(`/${result.id}`, { method: "PATCH", body: { shared: true } });
+      await navigator.clipboard.writeText(`${window.location.origin}${result.permalink}`);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      setError(`Could not share the link: ${err.message}`);
+    }
+  }
+
+  // query: { prompt, include, audience, site, literature } as sent to /api/guidelines.
+  // bypassCache re-asks the model and PubMed even if a cached answer exists; base is the
+  // saved record being re-run.
+  async function runQuery({ prompt, include, audience, site, literature }, { bypassCache = false, base = null } = {}) {
+    setSaved(null);
+    setComparison(null);
     setLoading(true);
     setError(null);
     setResult(null);
+    setDraft("");
+    setRepair(null);
+    setQueuePosition(0);
+    setRequested(include);
     setElapsed(0);
     const controller = new AbortController();
     controllerRef.current = controller;
@@ -123,26 +496,60 @@ function App() {
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({
           prompt,
-          include: {
-            local: includeLocal,
-            national: includeNational,
-            literature: includeLiterature
-          }
+          include,
+          audience,
+          site,
+          literature,
+          stream: true,
+          bypass_cache: bypassCache,
+          rerun_of: base ? base.id : undefined
         }),
         signal: controller.signal
       });
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
-      const data = await res.json();
-      setResult(data);
+      if (!res.ok || !res.body) {
+        const data = await res.json().catch(() => ({}));
+        throw Object.assign(new Error(data.error || `HTTP ${res.status}`), { code: data.code || "http_error" });
+      }
+      setResult({});
+      let failure = null;
+      await readNdjson(res.body, (event) => {
+        if (event.type === "local_matches") {
+          setResult((r) => ({ ...r, local: { ...(r && r.local), links: event.links } }));
+        } else if (event.type === "literature") {
+          setResult((r) => ({ ...r, published_literature: event.published_literature, cache: { ...(r && r.cache), literature: event.cache } }));
+        } else if (event.type === "token") {
+          setDraft((d) => d + event.text);
+        } else if (event.type === "queue") {
+          setQueuePosition(event.position);
+        } else if (event.type === "repair") {
+          setRepair(event);
+          setDraft("");
+        } else if (event.type === "result") {
+          setResult(event.data);
+          setDraft("");
+          if (base) setComparison({ diff: diffAnswers(base.result, event.data), since: base.created_at });
+          if (event.data.permalink) {
+            navigate(event.data.permalink);
+            loadHistory();
+            keepOffline(`/api/history/${event.data.id}`);
+          }
+          for (const l of (event.data.local && event.data.local.links) || []) keepOffline(textPath(l.url));
+        } else if (event.type === "error") {
+          failure = event;
+        }
+      });
+      if (failure) throw Object.assign(new Error(failure.error), { code: failure.code });
     } catch (err) {
       if (err.name === "AbortError") {
         setError("Search cancelled.");
       } else {
         console.error(err);
-        setError("Request failed. Please try again.");
+        // The server's message when it sent one (bad input, model down); otherwise a network error
+        setError(err.code ? err.message : "Request failed. Please try again.");
       }
     } finally {
       setLoading(false);
+      setQueuePosition(0);
       controllerRef.current = null;
     }
   }
@@ -174,188 +581,491 @@ function App() {
     return `${seconds}s`;
   }
 
+  const highlight = comparison ? comparison.diff.added : null;
+  const multiLibrary = !!sites && sites.sites.some((x) => x.libraries.length > 1);
+  // " · <site>" for the status line, when there is more than one site to choose from
+  const siteNote = (id) => {
+    const match = sites && sites.sites.length > 1 && sites.sites.find((x) => x.id === id);
+    return match ? ` · ${match.title}` : "";
+  };
+
   return (
-    <div className="container">
-      <header className="app-header">
-        <div>
-          <h1 className="app-title">Guideline Monkey</h1>
-          <p className="app-subtitle">Local → NICE → literature — concise, actionable guidance</p>
-        </div>
-      </header>
-
-      <form className="search" onSubmit={handleSubmit}>
-        <input
-          value={prompt}
-          onChange={(e) => setPrompt(e.target.value)}
-          placeholder="Enter clinical question (e.g., ‘Adult with COPD exacerbation in ED’)"
+    <div className="container container--wide">
+      <AppHeader session={session} onSignOut={onSignOut} />
+      <ConnectionBanner state={connection} />
+      <div className={`layout${viewer ? " layout--viewer" : ""}`}>
+        <HistorySidebar
+          items={history}
+          activeId={result && result.id}
+          busy={loading}
+          onOpen={(id) => navigate(`/q/${id}`)}
+          onRerun={rerun}
+          onPin={pin}
+          onDelete={remove}
         />
-        <div className="options">
-          <label className={`option ${includeLocal ? "option--active" : ""}`}>
-            <input
-              type="checkbox"
-              checked={includeLocal}
-              onChange={(e) => setIncludeLocal(e.target.checked)}
-            />
-            Local
-          </label>
-          <label className={`option ${includeNational ? "option--active" : ""}`}>
-            <input
-              type="checkbox"
-              checked={includeNational}
-              onChange={(e) => setIncludeNational(e.target.checked)}
+        <main className="layout__main">
+          <form className="search" onSubmit={handleSubmit}>
+            <GuidelineSuggest
+              value={prompt}
+              onChange={setPrompt}
+              site={site}
+              connection={connection}
+              placeholder="Enter clinical question (e.g., ‘Adult with COPD exacerbation in ED’), or a guideline’s name"
             />
-            National
-          </label>
-          <label className={`option ${includeLiterature ? "option--active" : ""}`}>
-            <input
-              type="checkbox"
-              checked={includeLiterature}
-              onChange={(e) => setIncludeLiterature(e.target.checked)}
-            />
-            Published literature
-          </label>
-        </div>
-        <button type="submit" disabled={loading || !prompt.trim()}>
-          {loading ? "Searching…" : "Search"}
-        </button>
-        {loading && (
-          <button type="button" onClick={handleStop}>
-            Stop
-          </button>
-        )}
-      </form>
-
-      {loading && <div className="status">Loading… {formatElapsed(elapsed)}</div>}
-      {!loading && !error && result && (
-        <div className="status">Completed in {formatElapsed(elapsed)}</div>
-      )}
-      {error && <div className="alert">{error}</div>}
-
-      {result && (
-        <div className="results-grid">
-          {/* SUMMARY */}
-          {result.summary && (
-            <Card title="Summary" className="card--summary">
-              <p className="m6">{result.summary}</p>
-            </Card>
-          )}
-
-          {/* LOCAL */}
-          {result.local && (
-            <Card
-              title="Local guidelines"
-              headerExtras={
-                result?.local?.guideline?.applicability ? (
-                  <div className="badges">
-                    <ApplicabilityBadge applicability={result.local.guideline.applicability} />
-                  </div>
-                ) : null
-              }
-            >
-              {result?.local?.guideline && (
-                <>
-                  <p className="m6">
-                    <strong>{result.local.guideline.title}</strong>
-                    {result.local.guideline.url ? (
-                      <> — <a className="link-muted" href={result.local.guideline.url} target="_blank" rel="noreferrer">Open</a></>
-                    ) : null}
-                  </p>
-                  {result.local.guideline.summary && (
-                    <p className="small m8">{result.local.guideline.summary}</p>
-                  )}
-                  <hr className="sep" />
-                </>
-              )}
-
-              {result?.local?.decision_tree && result.local.decision_tree.length > 0 && (
+            <div className="options">
+              <label className={`option ${includeLocal ? "option--active" : ""}`}>
+                <input
+                  type="checkbox"
+                  checked={includeLocal}
+                  onChange={(e) => setIncludeLocal(e.target.checked)}
+                />
+                Local
+              </label>
+              <label className={`option ${includeNational ? "option--active" : ""}`}>
+                <input
+                  type="checkbox"
+                  checked={includeNational}
+                  onChange={(e) => setIncludeNational(e.target.checked)}
+                />
+                National
+              </label>
+              <label className={`option ${includeLiterature ? "option--active" : ""}`}>
+                <input
+                  type="checkbox"
+                  checked={includeLiterature}
+                  onChange={(e) => setIncludeLiterature(e.target.checked)}
+                />
+                Published literature
+              </label>
+              {includeLiterature && (
                 <>
-                  <h3 className="m6">Decision tree</h3>
-                  <DecisionTree steps={result.local.decision_tree} />
+                  <select
+                    className="option"
+                    value={paperCount}
+                    onChange={(e) => setPaperCount(Number(e.target.value))}
+                    aria-label="Number of papers"
+                  >
+                    {[1, 3, 5, 10].map((n) => <option key={n} value={n}>{n} paper{n > 1 ? "s" : ""}</option>)}
+                  </select>
+                  <select
+                    className="option"
+                    value={sinceYears}
+                    onChange={(e) => setSinceYears(e.target.value)}
+                    aria-label="Publication date"
+                  >
+                    <option value="">Any year</option>
+                    <option value="5">Last 5 years</option>
+                    <option value="10">Last 10 years</option>
+                    <option value="20">Last 20 years</option>
+                  </select>
                 </>
               )}
-
-              {result?.local?.admission_criteria && (
-                <>
-                  <h3 className="m8">Admission criteria</h3>
-                  <Bullets items={result.local.admission_criteria} />
-                </>
+              <select
+                className={`option ${audience !== "auto" ? "option--active" : ""}`}
+                value={audience}
+                onChange={(e) => setAudience(e.target.value)}
+                aria-label="Patient population"
+              >
+                {AUDIENCE_OPTIONS.map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              {sites && sites.sites.length > 1 && (
+                <select className="option" value={site} onChange={(e) => chooseSite(e.target.value)} aria-label="Site">
+                  {sites.sites.map((x) => <option key={x.id} value={x.id}>Site: {x.title}</option>)}
+                </select>
               )}
+            </div>
+            <button type="submit" disabled={loading || !prompt.trim() || connection === "offline"}>
+              {loading ? "Searching…" : "Search"}
+            </button>
+            {loading && (
+              <button type="button" onClick={handleStop}>
+                Stop
+              </button>
+            )}
+          </form>
 
-              {(result?.local?.recommended_investigations || result?.local?.investigations) && (
+          {loading && (
+            <div className="status">
+              {queuePosition > 0
+                ? `Waiting for the model: ${queuePosition === 1 ? "next in line" : `number ${queuePosition} in the queue`}… ${formatElapsed(elapsed)}`
+                : `Loading… ${formatElapsed(elapsed)}`}
+            </div>
+          )}
+          {!loading && saved && result && (
+            <div className="status status--saved">
+              Saved answer from {new Date(saved.created_at).toLocaleString()} (read-only)
+              <AudienceStatus audience={result.audience} />
+              {siteNote(result.site)}
+              {saved.model ? ` · answered by ${saved.model.model} (${saved.model.provider})` : ""}
+              {" · "}
+              <button type="button" className="link-button" onClick={() => rerun(saved.id)}>Re-run</button>
+              {" · "}
+              <button type="button" className="link-button" onClick={copyLink}>{copied ? "Link copied" : "Copy link"}</button>
+              {" · "}
+              <ExportActions result={result} treePath={treePath} />
+            </div>
+          )}
+          {!loading && !saved && !error && result && (
+            <div className="status">
+              Completed in {formatElapsed(elapsed)}
+              <AudienceStatus audience={result.audience} />
+              {siteNote(result.site)}
+              {result.model ? ` · answered by ${result.model.model} (${result.model.provider})` : ""}
+              {result.cache?.model?.hit && (
                 <>
-                  <h3 className="m8">Recommended investigations</h3>
-                  <Bullets items={result.local.recommended_investigations || result.local.investigations} />
+                  {" · "}<Badge tone="warn">Cached answer from {formatAge(result.cache.model.age_seconds)}</Badge>{" "}
+                  <button type="button" className="link-button" onClick={() => handleSubmit(null, { bypassCache: true })}>
+                    Refresh
+                  </button>
                 </>
               )}
-
-              {(result?.local?.recommended_management || result?.local?.management) && (
+              {result.permalink && (
                 <>
-                  <h3 className="m8">Recommended management</h3>
-                  <Bullets items={result.local.recommended_management || result.local.management} />
+                  {" · "}
+                  <button type="button" className="link-button" onClick={copyLink}>{copied ? "Link copied" : "Copy link"}</button>
                 </>
               )}
-
-              {(result?.local?.links || Array.isArray(result?.local)) && (
-                <>
-                  <h3 className="m8">Links (top 3)</h3>
-                  {Array.isArray(result?.local)
-                    ? <LinkList items={result.local} />
-                    : <LinkList items={result.local.links} />}
-                </>
+              {" · "}
+              <ExportActions result={result} treePath={treePath} />
+              {result.warnings && result.warnings.length > 0 && (
+                <details className="warnings">
+                  <summary>Model output was corrected ({result.warnings.length})</summary>
+                  <ul className="list list--tight">
+                    {result.warnings.map((w, i) => <li key={i}>{w}</li>)}
+                  </ul>
+                </details>
               )}
-            </Card>
+            </div>
           )}
+          {error && <div className="alert">{error}</div>}
 
-          {/* NATIONAL */}
-          {result.national && (
-            <Card title="National guidelines (NICE)">
-              {result?.national?.nice_summary && <p className="m6">{result.national.nice_summary}</p>}
-              {result?.national?.admission_criteria && (
-                <>
-                  <h3 className="m8">Admission criteria</h3>
-                  <Bullets items={result.national.admission_criteria} />
-                </>
-              )}
-              {(result?.national?.recommended_investigations || result?.national?.investigations) && (
-                <>
-                  <h3 className="m8">Recommended investigations</h3>
-                  <Bullets items={result.national.recommended_investigations || result.national.investigations} />
-                </>
+          {result && (
+            <div className="results-grid">
+              {!loading && <PrintStamp result={result} />}
+              {comparison && <ChangeList diff={comparison.diff} since={comparison.since} onDismiss={() => setComparison(null)} />}
+
+              {/* SUMMARY */}
+              {result.summary ? (
+                <Card title="Summary" className="card--summary">
+                  <p className="m6">{result.summary}</p>
+                </Card>
+              ) : loading && (requested.local || requested.national) ? (
+                <Card
+                  title="Summary"
+                  className="card--summary"
+                  subtitle={repair ? `Output did not match the schema — asking the model to correct it (attempt ${repair.attempt})…` : "The model is writing…"}
+                >
+                  <p className="m6">{partialSummary(draft) || "…"}</p>
+                </Card>
+              ) : null}
+
+              {/* LOCAL */}
+              {result.local && (
+                <Card
+                  title="Local guidelines"
+                  headerExtras={
+                    result?.local?.guideline?.applicability ? (
+                      <div className="badges">
+                        <ApplicabilityBadge applicability={result.local.guideline.applicability} />
+                        {result.local.guideline.applicability !== "none" && <ReviewBadge doc={result.local.guideline} />}
+                      </div>
+                    ) : null
+                  }
+                >
+                  {result?.local?.guideline && (
+                    <>
+                      <p className="m6">
+                        <strong>{result.local.guideline.title}</strong>
+                        {multiLibrary && result.local.guideline.library && <> <LibraryBadge library={result.local.guideline.library} /></>}
+                        {result.local.guideline.url ? (
+                          <>
+                            {" — "}
+                            <a className="link-muted" href={viewerHref(result.local.guideline.url, { page: guidelinePage(result.local) })}>Open</a>
+                            {" · "}
+                            <a className="link-muted" href={result.local.guideline.url} target="_blank" rel="noreferrer">PDF</a>
+                          </>
+                        ) : null}
+                      </p>
+                      {result.local.guideline.applicability !== "none" && documentDatesText(result.local.guideline) && (
+                        <p className="small m6">{documentDatesText(result.local.guideline)}</p>
+                      )}
+                      {result.local.guideline.applicability !== "none" && result.local.guideline.review_status === "overdue" && (
+                        <p className="note m6">
+                          This document was due for review in {formatDocDate(result.local.guideline.review_by)}. Check with its owner
+                          or the intranet that it still reflects current practice before relying on it.
+                        </p>
+                      )}
+                      {result.local.population_note && <p className="note m6">{result.local.population_note}</p>}
+                      {result.local.guideline.summary && (
+                        <p className="small m8">{result.local.guideline.summary}</p>
+                      )}
+                      <hr className="sep" />
+                    </>
+                  )}
+
+                  {loading && !result.local.guideline && (
+                    <p className="small m8">Matching documents found — waiting for the model…</p>
+                  )}
+
+                  {hasTree(result?.local?.decision_tree) && (
+                    <>
+                      <h3 className="m6">Decision tree</h3>
+                      <DecisionTreeView tree={result.local.decision_tree} highlight={highlight} path={treePath} onPathChange={setTreePath} />
+                    </>
+                  )}
+
+                  {result?.local?.admission_criteria && (
+                    <>
+                      <h3 className="m8">Admission criteria</h3>
+                      <Bullets items={result.local.admission_criteria} highlight={highlight} />
+                    </>
+                  )}
+
+                  {result?.local?.recommended_investigations && (
+                    <>
+                      <h3 className="m8">Recommended investigations</h3>
+                      <Bullets items={result.local.recommended_investigations} highlight={highlight} />
+                    </>
+                  )}
+
+                  {result?.local?.recommended_management && (
+                    <>
+                      <h3 className="m8">Recommended management</h3>
+                      <Bullets items={result.local.recommended_management} highlight={highlight} />
+                    </>
+                  )}
+
+                  {result?.local?.doses && result.local.doses.length > 0 && (
+                    <>
+                      <h3 className="m8">Doses</h3>
+                      <DoseCalculator doses={result.local.doses} audience={result.audience} />
+                    </>
+                  )}
+
+                  {result?.local?.sources && result.local.sources.length > 0 && (
+                    <>
+                      <h3 className="m8">Sources given to the model</h3>
+                      <SourceList sources={result.local.sources} />
+                    </>
+                  )}
+
+                  {result?.local?.links && (
+                    <>
+                      <h3 className="m8">Links (top 3)</h3>
+                      <LinkList items={result.local.links} showLibrary={multiLibrary} />
+                    </>
+                  )}
+                </Card>
               )}
-              {(result?.national?.recommended_management || result?.national?.management) && (
-                <>
-                  <h3 className="m8">Recommended management</h3>
-                  <Bullets items={result.national.recommended_management || result.national.management} />
-                </>
+
+              {/* LOCAL vs NICE */}
+              {result.discrepancies && (
+                <Card title="Local vs NICE" subtitle="Where the local pathway differs from NICE, item by item.">
+                  <DiscrepancyTable items={result.discrepancies} highlight={highlight} />
+                </Card>
               )}
-              {result?.national?.cks_link && (
-                <p className="m8">
-                  <a className="link" href={result.national.cks_link} target="_blank" rel="noreferrer">
-                    NICE CKS — most relevant page
-                  </a>
-                </p>
+
+              {/* NATIONAL */}
+              {result.national && (
+                <Card title="National guidelines (NICE)">
+                  {result?.national?.nice_summary && <p className="m6">{result.national.nice_summary}</p>}
+                  {hasTree(result?.national?.decision_tree) && (
+                    <>
+                      <h3 className="m8">Decision tree</h3>
+                      <DecisionTreeView tree={result.national.decision_tree} highlight={highlight} />
+                    </>
+                  )}
+                  {result?.national?.admission_criteria && (
+                    <>
+                      <h3 className="m8">Admission criteria</h3>
+                      <Bullets items={result.national.admission_criteria} highlight={highlight} />
+                    </>
+                  )}
+                  {result?.national?.recommended_investigations && (
+                    <>
+                      <h3 className="m8">Recommended investigations</h3>
+                      <Bullets items={result.national.recommended_investigations} highlight={highlight} />
+                    </>
+                  )}
+                  {result?.national?.recommended_management && (
+                    <>
+                      <h3 className="m8">Recommended management</h3>
+                      <Bullets items={result.national.recommended_management} highlight={highlight} />
+                    </>
+                  )}
+                  {result?.national?.links && result.national.links.length > 0 && (
+                    <>
+                      <h3 className="m8">National guidance used</h3>
+                      <LinkList items={result.national.links} />
+                    </>
+                  )}
+                  {result?.national?.cks_link && (
+                    <p className="m8">
+                      <a className="link" href={result.national.cks_link} target="_blank" rel="noreferrer">
+                        {cksLinkInfo(result.national).label}
+                      </a>
+                      {result.national.cks_link_verified === false ? (
+                        <>
+                          {" "}
+                          <span title="Not a document in the national corpus; check it before relying on it">
+                            <Badge tone="warn">Unverified link</Badge>
+                          </span>
+                        </>
+                      ) : cksLinkInfo(result.national).caveat && (
+                        <>
+                          {" "}
+                          <span title="The best search match among the saved national documents, which may be weak; check it is relevant">
+                            <Badge tone="warn">Closest match</Badge>
+                          </span>
+                        </>
+                      )}
+                    </p>
+                  )}
+                </Card>
               )}
 
-              {/* Back-compat */}
-              {Array.isArray(result?.national) && <LinkList items={result.national} />}
-            </Card>
-          )}
+              {loading && requested.national && !result.national && (
+                <Card title="National guidelines (NICE)">
+                  <p className="small">Waiting for the model…</p>
+                </Card>
+              )}
 
-          {/* PUBLISHED LITERATURE */}
-          {result.published_literature && (
-            <Card title="Published literature">
-              {result.published_literature.papers && result.published_literature.papers.length > 0 ? (
-                <PaperList papers={result.published_literature.papers} />
-              ) : (
-                <p className="small">No literature found.</p>
+              {loading && requested.literature && !result.published_literature && (
+                <Card title="Published literature">
+                  <p className="small">Searching PubMed…</p>
+                </Card>
               )}
-            </Card>
+              {/* PUBLISHED LITERATURE */}
+              {result.published_literature && (
+                <Card
+                  title="Published literature"
+                  subtitle={result.cache?.literature?.hit ? `Cached PubMed results from ${formatAge(result.cache.literature.age_seconds)}` : null}
+                >
+                  {result.published_literature.papers && result.published_literature.papers.length > 0 ? (
+                    <PaperList papers={result.published_literature.papers} />
+                  ) : (
+                    <p className="small">No literature found.</p>
+                  )}
+                </Card>
+              )}
+            </div>
           )}
-        </div>
-      )}
+        </main>
+        {viewer && (
+          <aside className="layout__viewer">
+            <DocumentViewer
+              doc={viewer.doc}
+              page={viewer.page}
+              highlight={viewer.highlight}
+              local={result && result.local}
+              connection={connection}
+              onClose={() => { window.location.hash = ""; }}
+            />
+          </aside>
+        )}
+      </div>
     </div>
   );
 }
 
-const root = ReactDOM.createRoot(document.getElementById("root"));
-root.render(<App />);
+// "#/admin" shows the library admin page (admin.jsx), "#/guidelines" the catalogue
+// (catalogue.jsx); anything else is the search page, with /q/:id showing that saved answer
+// and "#/view?doc=..." a guideline open beside it (viewer.jsx).
+// With sign-in on (GM_AUTH), all of them wait for a session.
+export function Root() {
+  const [route, setRoute] = React.useState(window.location.hash);
+  const [path, setPath] = React.useState(window.location.pathname);
+  const connection = useConnection();
+  // undefined while asking; { session } once known (session null = not signed in, with mode)
+  const [auth, setAuth] = React.useState(undefined);
+
+  function loadSession() {
+    setAuth(undefined);
+    fetch("/api/session")
+      .then(async (res) => {
+        const data = await res.json().catch(() => ({}));
+        if (res.ok) return setAuth({ session: data, mode: data.auth });
+        if (res.status === 401) return setAuth({ session: null, mode: data.auth });
+        throw new Error(data.error || `HTTP ${res.status}`);
+      })
+      .catch((err) => setAuth({ session: null, mode: null, error: err.message }));
+  }
+
+  // The next user of this browser must not see this one's answers, even offline
+  async function signOut() {
+    await fetch("/api/session", { method: "DELETE" }).catch(() => {});
+    await clearPrivateCache();
+    setAuth({ session: null, mode: "local" });
+  }
+
+  async function signIn(data) {
+    await clearPrivateCache();
+    setAuth({ session: data, mode: data.auth });
+  }
+
+  React.useEffect(loadSession, []);
+  React.useEffect(() => {
+    const onHash = () => setRoute(window.location.hash);
+    const onPop = () => setPath(window.location.pathname);
+    window.addEventListener("hashchange", onHash);
+    window.addEventListener("popstate", onPop);
+    return () => {
+      window.removeEventListener("hashchange", onHash);
+      window.removeEventListener("popstate", onPop);
+    };
+  }, []);
+  const navigate = (to) => {
+    if (to === window.location.pathname) return;
+    window.history.pushState(null, "", to);
+    setPath(to);
+  };
+
+  if (auth === undefined) return <div className="container"><p className="small">Loading…</p></div>;
+  const { session } = auth;
+  if (!session) {
+    return (
+      <div className="container">
+        <AppHeader session={null} />
+        {auth.mode === "local" ? (
+          <LoginPage onSignIn={signIn} />
+        ) : (
+          <div className="alert">
+            {auth.mode === "proxy"
+              ? "You are not signed in. Open this page through the hospital sign-in portal."
+              : `Could not reach the server: ${auth.error}`}{" "}
+            <button type="button" className="link-button" onClick={loadSession}>Try again</button>
+          </div>
+        )}
+      </div>
+    );
+  }
+  if (route === "#/guidelines") {
+    return (
+      <div className="container">
+        <AppHeader page="guidelines" session={session} onSignOut={signOut} />
+        <ConnectionBanner state={connection} />
+        <CataloguePage site={localStorage.getItem(SITE_KEY) || ""} connection={connection} />
+      </div>
+    );
+  }
+  if (route !== "#/admin") {
+    return (
+      <App
+        savedId={savedIdFromPath(path)}
+        navigate={navigate}
+        session={session}
+        onSignOut={signOut}
+        connection={connection}
+        viewer={parseViewerRoute(route)}
+      />
+    );
+  }
+  return (
+    <div className="container">
+      <AppHeader page="admin" session={session} onSignOut={signOut} />
+      <AdminPage session={session} />
+    </div>
+  );
+}
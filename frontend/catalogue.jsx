@@ -0,0 +1,283 @@
+// Guideline catalogue (#/guidelines): every document the chosen site searches, to browse by
+// specialty or as one list, and read in the viewer or open as a PDF. The service worker keeps
+// the last list fetched, so this works offline, and documents kept on this device are marked.
+// GuidelineSuggest is the search box's type-ahead over the same catalogue.
+import React from "react";
+import { AUDIENCE_SHORT, Badge, Card, DOC_TYPE_LABELS, docPath, ReviewBadge, textPath, viewerHref } from "./ui";
+import { cachedDocuments } from "./offline";
+
+const SORTS = [
+  ["title", "Title A–Z"],
+  ["published", "Newest first"],
+  ["review_by", "Review date"]
+];
+
+// Undated documents last, as GET /api/catalogue sorts them
+const byDate = (field, dir) => (a, b) =>
+  (!a[field]) - (!b[field]) || dir * String(a[field] || "").localeCompare(String(b[field] || "")) || a.title.localeCompare(b.title);
+const SORTERS = {
+  title: (a, b) => a.title.localeCompare(b.title),
+  published: byDate("published", -1),
+  review_by: byDate("review_by", 1)
+};
+
+// The values documents have for a field, with counts: the server's facets when it sent them
+const facetValues = (catalogue, field) =>
+  catalogue.facets ? catalogue.facets[field] : [...new Set(catalogue.documents.map((d) => d[field]))].map((value) => ({ value }));
+
+// site: the site whose libraries are listed; connection: useConnection()'s state
+export function CataloguePage({ site, connection }) {
+  const [catalogue, setCatalogue] = React.useState(null);
+  const [cached, setCached] = React.useState(new Set());
+  const [filter, setFilter] = React.useState("");
+  const [specialty, setSpecialty] = React.useState("");
+  const [audience, setAudience] = React.useState("");
+  const [type, setType] = React.useState("");
+  const [sort, setSort] = React.useState("title");
+  const [grouped, setGrouped] = React.useState(true);
+  const [error, setError] = React.useState(null);
+
+  React.useEffect(() => {
+    setError(null);
+    fetch(`/api/catalogue${site ? `?site=${encodeURIComponent(site)}` : ""}`)
+      .then(async (res) => {
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        setCatalogue(data);
+      })
+      .catch((err) => setError(connection === "offline" ? "The catalogue has not been saved on this device yet." : err.message));
+    cachedDocuments().then(setCached);
+  }, [site]);
+
+  const offline = connection === "offline";
+  const q = filter.trim().toLowerCase();
+  const all = catalogue ? catalogue.documents : [];
+  const docs = all
+    .filter((d) => !q || [d.title, d.file, ...d.aliases].some((s) => s.toLowerCase().includes(q)))
+    .filter((d) => (!specialty || d.specialty === specialty) && (!audience || d.audience === audience) && (!type || d.type === type))
+    .sort(SORTERS[sort]);
+  const libraries = new Set(all.map((d) => d.library && d.library.id));
+  const groups = [...new Set(docs.map((d) => d.specialty))].sort((a, b) => a.localeCompare(b));
+
+  const item = (d) => (
+    <CatalogueItem key={d.link} doc={d} cached={cached} offline={offline} showLibrary={libraries.size > 1} showSpecialty={!grouped} />
+  );
+
+  return (
+    <Card
+      title={`Guidelines${catalogue ? ` (${all.length})` : ""}`}
+      subtitle={offline ? "Only documents kept on this device can be opened while offline." : "Documents you open are kept on this device for use offline."}
+      headerExtras={
+        <div className="badges small">
+          <button type="button" className={`link-button${grouped ? " catalogue__current" : ""}`} onClick={() => setGrouped(true)}>By specialty</button>
+          <button type="button" className={`link-button${!grouped ? " catalogue__current" : ""}`} onClick={() => setGrouped(false)}>Single list</button>
+        </div>
+      }
+    >
+      <input className="admin-filter" value={filter} onChange={(e) => setFilter(e.target.value)} placeholder="Filter by title, alias or file" autoFocus />
+      {catalogue && (
+        <div className="admin-row catalogue__filters">
+          <select value={specialty} onChange={(e) => setSpecialty(e.target.value)} aria-label="Specialty">
+            <option value="">All specialties</option>
+            {facetValues(catalogue, "specialty").map((f) => (
+              <option key={f.value} value={f.value}>{f.value}{f.count ? ` (${f.count})` : ""}</option>
+            ))}
+          </select>
+          <select value={audience} onChange={(e) => setAudience(e.target.value)} aria-label="Population">
+            <option value="">All populations</option>
+            {facetValues(catalogue, "audience").map((f) => (
+              <option key={f.value} value={f.value}>{AUDIENCE_SHORT[f.value] || f.value}{f.count ? ` (${f.count})` : ""}</option>
+            ))}
+          </select>
+          <select value={type} onChange={(e) => setType(e.target.value)} aria-label="Document type">
+            <option value="">All document types</option>
+            {facetValues(catalogue, "type").map((f) => (
+              <option key={f.value} value={f.value}>{DOC_TYPE_LABELS[f.value] || "Guideline"}{f.count ? ` (${f.count})` : ""}</option>
+            ))}
+          </select>
+          <select value={sort} onChange={(e) => setSort(e.target.value)} aria-label="Sort">
+            {SORTS.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+        </div>
+      )}
+      {error && <div className="alert">{error}</div>}
+      {!catalogue && !error && <p className="small">Loading…</p>}
+      {grouped && groups.length > 1 && (
+        <nav className="catalogue__index small" aria-label="Specialties">
+          {groups.map((g) => (
+            <a key={g} className="link-muted" href="#/guidelines" onClick={(e) => { e.preventDefault(); scrollToGroup(g); }}>
+              {g} ({docs.filter((d) => d.specialty === g).length})
+            </a>
+          ))}
+        </nav>
+      )}
+      {grouped ? (
+        groups.map((g) => (
+          <section key={g} className="catalogue__group" data-specialty={g}>
+            <h3 className="catalogue__heading">{g}</h3>
+            <ul className="list admin-list">{docs.filter((d) => d.specialty === g).map(item)}</ul>
+          </section>
+        ))
+      ) : (
+        <ul className="list admin-list">{docs.map(item)}</ul>
+      )}
+      {catalogue && !docs.length && <p className="small">No guidelines match.</p>}
+    </Card>
+  );
+}
+
+function scrollToGroup(specialty) {
+  const el = [...document.querySelectorAll(".catalogue__group")].find((x) => x.dataset.specialty === specialty);
+  if (el && el.scrollIntoView) el.scrollIntoView({ block: "start" });
+}
+
+// One document: its title opens the viewer, unless it is offline with no text saved
+function CatalogueItem({ doc: d, cached, offline, showLibrary, showSpecialty }) {
+  const pdfSaved = cached.has(docPath(d.link));
+  const textSaved = cached.has(textPath(d.link));
+  return (
+    <li>
+      {offline && !textSaved ? (
+        <span className="muted">{d.title}</span>
+      ) : (
+        <a className="link" href={viewerHref(d.link)}>{d.title}</a>
+      )}{" "}
+      {(!offline || pdfSaved) && <><a className="link-muted small" href={d.link} target="_blank" rel="noreferrer">PDF</a>{" "}</>}
+      {showSpecialty && <><Badge>{d.specialty}</Badge>{" "}</>}
+      {DOC_TYPE_LABELS[d.type] && <><Badge>{DOC_TYPE_LABELS[d.type]}</Badge>{" "}</>}
+      {d.audience !== "adult" && <><Badge>{AUDIENCE_SHORT[d.audience] || d.audience}</Badge>{" "}</>}
+      {showLibrary && d.library && <><Badge>{d.library.title}</Badge>{" "}</>}
+      <ReviewBadge doc={d} />{" "}
+      {(pdfSaved || textSaved) && <Badge tone="ok">on this device</Badge>}
+    </li>
+  );
+}
+
+// How long typing has to pause before the catalogue is asked
+const SUGGEST_DELAY_MS = 150;
+const SUGGEST_LIMIT = 6;
+
+// The question box, suggesting guidelines whose title or alias matches what is typed
+// (GET /api/catalogue?q=, no model involved). ↑/↓ choose one and Enter opens it in the
+// viewer; Ctrl+Enter (⌘+Enter) opens the top suggestion straight away; Escape hides them.
+// "/" anywhere else on the page comes back to the box. Other props go to the <input>.
+export function GuidelineSuggest({ value, onChange, site, connection, ...inputProps }) {
+  const [suggestions, setSuggestions] = React.useState([]);
+  const [active, setActive] = React.useState(-1);
+  const [open, setOpen] = React.useState(false);
+  const inputRef = React.useRef(null);
+
+  React.useEffect(() => {
+    const q = value.trim();
+    if (q.length < 2 || connection === "offline") {
+      setSuggestions([]);
+      return undefined;
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      const params = new URLSearchParams({ q, limit: SUGGEST_LIMIT });
+      if (site) params.set("site", site);
+      fetch(`/api/catalogue?${params}`, { signal: controller.signal })
+        .then((res) => (res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`))))
+        .then((data) => {
+          setSuggestions(data.documents);
+          setActive(-1);
+        })
+        .catch((err) => {
+          if (err.name !== "AbortError") setSuggestions([]);
+        });
+    }, SUGGEST_DELAY_MS);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [value, site, connection]);
+
+  React.useEffect(() => {
+    const onKey = (e) => {
+      const t = e.target;
+      if (e.key !== "/" || e.ctrlKey || e.metaKey || e.altKey || !inputRef.current) return;
+      if (t && (t.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(t.tagName))) return;
+      e.preventDefault();
+      inputRef.current.focus();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  const shown = open && suggestions.length > 0;
+
+  function openDocument(doc) {
+    setOpen(false);
+    window.location.hash = viewerHref(doc.link);
+  }
+
+  function onKeyDown(e) {
+    if (!shown) {
+      if (e.key === "ArrowDown" && suggestions.length) setOpen(true);
+      return;
+    }
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      // -1 (none chosen, Enter asks the question) is part of the cycle
+      const by = e.key === "ArrowDown" ? 1 : -1;
+      setActive((i) => ((i + 1 + by + suggestions.length + 1) % (suggestions.length + 1)) - 1);
+    } else if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      openDocument(suggestions[Math.max(active, 0)]);
+    } else if (e.key === "Enter" && active >= 0) {
+      e.preventDefault();
+      openDocument(suggestions[active]);
+    } else if (e.key === "Escape") {
+      setOpen(false);
+    }
+  }
+
+  return (
+    <div className="suggest">
+      <input
+        {...inputProps}
+        ref={inputRef}
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setOpen(true);
+        }}
+        onKeyDown={onKeyDown}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={shown}
+        aria-controls="guideline-suggestions"
+        aria-activedescendant={shown && active >= 0 ? `guideline-suggestion-${active}` : undefined}
+      />
+      {shown && (
+        <div className="suggest__panel">
+          <ul className="suggest__list" id="guideline-suggestions" role="listbox" aria-label="Matching guidelines">
+            {suggestions.map((d, i) => (
+              <li
+                key={d.link}
+                id={`guideline-suggestion-${i}`}
+                role="option"
+                aria-selected={i === active}
+                className={`suggest__item${i === active ? " suggest__item--active" : ""}`}
+                // Before the input's blur, so the click lands
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => openDocument(d)}
+                onMouseEnter={() => setActive(i)}
+              >
+                <span className="suggest__title">{d.title}</span>
+                {d.matched_alias && <span className="small muted"> also “{d.matched_alias}”</span>}{" "}
+                <Badge>{d.specialty}</Badge>
+                {DOC_TYPE_LABELS[d.type] && <> <Badge>{DOC_TYPE_LABELS[d.type]}</Badge></>}
+                {" "}<ReviewBadge doc={d} />
+              </li>
+            ))}
+          </ul>
+          <p className="suggest__hint small">↑↓ choose · Enter opens it · Ctrl+Enter opens the top match · Esc hides</p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+// Dose calculator for the local section's `doses`: the user enters weight and age, and each
+// dose is worked out from the guideline's own numbers and capped at its max_dose. Doses the
+// server could not trace to the cited page (`traced: false`) are flagged, not hidden.
+import React from "react";
+import { Badge, Citations } from "./ui";
+import { ageInYears, calculateDose } from "../lib/doses";
+
+// Doses are rounded for display only, to at most 2 decimal places
+const roundDose = (n) => String(Math.round(n * 100) / 100);
+
+export const doseRule = (d) => [
+  typeof d.dose_per_kg === "number" ? `${d.dose_per_kg} ${d.unit}/kg` : `${d.dose_fixed} ${d.unit}`,
+  typeof d.max_dose === "number" && `max ${d.max_dose} ${d.unit}`,
+  d.frequency
+].filter(Boolean).join(", ");
+
+export const ageBand = (d) =>
+  typeof d.min_age_years === "number" && typeof d.max_age_years === "number" ? `${d.min_age_years}–${d.max_age_years} years`
+    : typeof d.min_age_years === "number" ? `${d.min_age_years} years and over`
+    : typeof d.max_age_years === "number" ? `under ${d.max_age_years} years`
+    : "";
+
+const parseInput = (v) => (v.trim() !== "" && Number(v) >= 0 ? Number(v) : null);
+
+export function DoseCalculator({ doses, audience }) {
+  const [weight, setWeight] = React.useState(audience && audience.weight_kg !== undefined ? String(audience.weight_kg) : "");
+  const [age, setAge] = React.useState(ageInYears(audience && audience.age));
+  if (!doses || !doses.length) return null;
+  const weightKg = parseInput(weight);
+  const ageYears = parseInput(age);
+  const untraced = doses.filter((d) => !d.traced).length;
+
+  return (
+    <div className="doses">
+      <div className="doses__inputs">
+        <label>
+          Weight (kg){" "}
+          <input type="number" min="0" step="0.1" value={weight} onChange={(e) => setWeight(e.target.value)} />
+        </label>
+        <label>
+          Age (years){" "}
+          <input type="number" min="0" step="0.1" value={age} onChange={(e) => setAge(e.target.value)} />
+        </label>
+      </div>
+      {untraced > 0 && (
+        <p className="note m6">
+          {untraced === 1 ? "1 dose" : `${untraced} doses`} could not be traced to the guideline text. Check against the source before use.
+        </p>
+      )}
+      <table className="doses__table">
+        <thead>
+          <tr><th>Drug</th><th>Route</th><th>Guideline dose</th><th>Calculated</th><th>Source</th></tr>
+        </thead>
+        <tbody>
+          {doses.map((d, i) => {
+            const calc = calculateDose(d, weightKg, ageYears);
+            return (
+              <tr key={i} className={d.traced ? (calc.outOfBand ? "doses__row--muted" : undefined) : "doses__row--untraced"}>
+                <td>
+                  <strong>{d.drug}</strong>
+                  {d.indication && <div className="small">{d.indication}</div>}
+                  {ageBand(d) && <div className="small">{ageBand(d)}</div>}
+                </td>
+                <td>{d.route}</td>
+                <td>{doseRule(d)}</td>
+                <td>
+                  {calc.amount === null ? (
+                    <span className="small">Enter {calc.missing}</span>
+                  ) : (
+                    <>
+                      <strong>{roundDose(calc.amount)} {d.unit}</strong>
+                      {calc.capped && <> <Badge tone="warn">Capped at max</Badge></>}
+                    </>
+                  )}
+                  {calc.outOfBand && <div><Badge>Not for this age</Badge></div>}
+                </td>
+                <td>
+                  <Citations items={d.citations} />
+                  {!d.traced && (
+                    <div title={d.untraced_reason}><Badge tone="danger">Not traced to source</Badge></div>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
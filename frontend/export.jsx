@@ -0,0 +1,243 @@
+// Exports of the result view: "Copy for notes" (plain text for the clinical record), a
+// Markdown download and printing (the browser's "Save as PDF" gives the PDF). Every export
+// carries the same stamp: query, date/time, model and the guideline files used.
+import React from "react";
+import { citeLabel, citeTitle, cksLinkInfo, discrepancyText, formatDocDate, itemText, stepText } from "./ui";
+import { describePath, flattenTree, hasTree, isFlatTree, nodeText, treeNodes } from "./tree";
+import { ageBand, doseRule } from "./doses";
+
+const absoluteUrl = (url) => (url ? new URL(url, window.location.origin).href : "");
+
+const formatWhen = (time) => new Date(time || Date.now()).toLocaleString();
+
+// -> { query, when, cachedFrom, model, files, permalink } for the footer of every export.
+// A cached answer is stamped with when it was served and, as cachedFrom, when the model gave it.
+function exportStamp(result) {
+  const cached = Boolean(result.cache && result.cache.model && result.cache.model.hit);
+  const local = result.local || {};
+  const files = [
+    local.guideline && local.guideline.file,
+    ...(local.sources || []).map((s) => s.file)
+  ].filter(Boolean);
+  return {
+    query: result.query || "",
+    when: formatWhen(result.saved_at || (cached ? null : result.answered_at)),
+    cachedFrom: cached ? formatWhen(result.answered_at) : "",
+    model: result.model ? `${result.model.model} (${result.model.provider})` : "no model (links only)",
+    files: [...new Set(files)],
+    permalink: result.permalink ? absoluteUrl(result.permalink) : ""
+  };
+}
+
+function stampLines(stamp) {
+  return [
+    `Query: ${stamp.query}`,
+    `Generated: ${stamp.when} by Guideline Monkey using ${stamp.model}${stamp.cachedFrom ? ` (cached from ${stamp.cachedFrom})` : ""}`,
+    `Guideline files: ${stamp.files.length ? stamp.files.join("; ") : "none"}`,
+    ...(stamp.permalink ? [`Saved answer: ${stamp.permalink}`] : [])
+  ];
+}
+
+// Documents from a shared network library are named with it; one past its review date
+// says so in the record
+const guidelineLabel = (g) =>
+  `${g.title}${g.version ? ` (version ${g.version})` : ""}${g.library && g.library.kind === "network" ? `, ${g.library.title}` : ""}` +
+  `${g.review_status === "overdue" ? ` [review overdue since ${formatDocDate(g.review_by)}]` : ""}`;
+
+// Pages (or national recommendations) a section actually cites, once each, in order of
+// first use
+function citedPages(section) {
+  const seen = new Map();
+  const items = [
+    ...treeNodes(section.decision_tree),
+    ...(section.admission_criteria || []),
+    ...(section.recommended_investigations || []),
+    ...(section.recommended_management || []),
+    ...(section.doses || [])
+  ];
+  items.forEach((x) => ((x && x.citations) || []).forEach((c) => seen.set(`${c.url} ${c.number || ""}`, c)));
+  return [...seen.values()];
+}
+
+// As the guideline states it, never a calculated amount; untraced doses say so
+const doseText = (d) =>
+  `${d.drug} ${d.route}: ${doseRule(d)}${ageBand(d) ? ` (${ageBand(d)})` : ""}${d.traced ? "" : " [NOT TRACED TO SOURCE]"}`;
+
+// The step-through walk (see tree.jsx) as "question — answer" lines and the action reached
+function pathLines(tree, path) {
+  return describePath(tree, path).map((s) => (s.action ? `Outcome: ${s.action}` : `${s.question} — ${s.answer}`));
+}
+
+// Concise block for pasting into notes: summary, local guideline, pathway followed, key
+// management, sources
+function answerToNoteText(result, { treePath = [] } = {}) {
+  const lines = [`Guideline check: ${result.query || ""}`];
+  if (result.summary) lines.push("", result.summary);
+  const local = result.local;
+  if (local && local.guideline && local.guideline.applicability !== "none") {
+    lines.push("", `Local guideline: ${guidelineLabel(local.guideline)}`);
+    if (local.population_note) lines.push(local.population_note);
+  }
+  if (local && treePath.length) {
+    lines.push("", "Pathway followed:");
+    pathLines(local.decision_tree, treePath).forEach((l) => lines.push(`- ${l}`));
+  }
+  const management = (local && local.recommended_management && local.recommended_management.length)
+    ? local.recommended_management
+    : (result.national && result.national.recommended_management) || [];
+  if (management.length) {
+    lines.push("", "Management:");
+    management.forEach((m) => lines.push(`- ${itemText(m)}`));
+  }
+  if (local && local.doses && local.doses.length) {
+    lines.push("", "Doses (per guideline):");
+    local.doses.forEach((d) => lines.push(`- ${doseText(d)}`));
+  }
+  if (result.discrepancies && result.discrepancies.length) {
+    lines.push("", "Local differs from NICE:");
+    result.discrepancies.forEach((d) => lines.push(`- ${discrepancyText(d)}`));
+  }
+  const sources = [];
+  if (local && local.guideline && local.guideline.url) sources.push(`${local.guideline.title}: ${absoluteUrl(local.guideline.url)}`);
+  if (local) citedPages(local).forEach((c) => sources.push(`${c.title}, p.${c.page}: ${absoluteUrl(c.url)}`));
+  if (result.national) citedPages(result.national).forEach((c) => sources.push(`${citeTitle(c)}: ${c.url}`));
+  if (result.national && result.national.cks_link) {
+    const { caveat } = cksLinkInfo(result.national);
+    sources.push(`NICE CKS: ${result.national.cks_link}${caveat ? ` (${caveat})` : ""}`);
+  }
+  if (sources.length) {
+    lines.push("", "Sources:");
+    sources.forEach((s) => lines.push(`- ${s}`));
+  }
+  lines.push("", ...stampLines(exportStamp(result)));
+  return lines.join("\n");
+}
+
+// Parentheses in a URL would end a Markdown link early
+const mdUrl = (url) => absoluteUrl(url).replace(/\(/g, "%28").replace(/\)/g, "%29");
+
+const markdownCites = (x) =>
+  x && typeof x === "object" && x.citations && x.citations.length
+    ? ` (${x.citations.map((c) => `[${citeLabel(c)}](${mdUrl(c.url)})`).join(", ")})`
+    : "";
+
+function markdownList(items) {
+  return items.map((x) => `- ${itemText(x)}${markdownCites(x)}`);
+}
+
+// Nested list: each branch label leads to the node it opens
+function markdownTree(tree) {
+  if (isFlatTree(tree)) return tree.map((s, i) => `${i + 1}. ${stepText(s)}${markdownCites(s)}`);
+  return flattenTree(tree).map(({ node, label, depth }) =>
+    `${"  ".repeat(depth)}- ${label ? `**${label}:** ` : ""}${nodeText(node)}${markdownCites(node)}`);
+}
+
+function markdownSection(title, items) {
+  return items && items.length ? ["", `### ${title}`, "", ...markdownList(items)] : [];
+}
+
+// Summary, Local, National and Published literature, then the stamp
+function answerToMarkdown(result, { treePath = [] } = {}) {
+  const md = [`# ${result.query || "Guideline Monkey answer"}`];
+  if (result.summary) md.push("", "## Summary", "", result.summary);
+
+  const local = result.local;
+  if (local) {
+    md.push("", "## Local guidelines");
+    if (local.guideline) {
+      const g = local.guideline;
+      md.push("", g.url ? `**[${guidelineLabel(g)}](${mdUrl(g.url)})** — ${g.applicability}` : `**${guidelineLabel(g)}** — ${g.applicability}`);
+      if (local.population_note) md.push("", `> ${local.population_note}`);
+      if (g.summary) md.push("", g.summary);
+    }
+    if (hasTree(local.decision_tree)) md.push("", "### Decision tree", "", ...markdownTree(local.decision_tree));
+    if (treePath.length) md.push("", "### Pathway followed", "", ...pathLines(local.decision_tree, treePath).map((l, i) => `${i + 1}. ${l}`));
+    md.push(
+      ...markdownSection("Admission criteria", local.admission_criteria),
+      ...markdownSection("Recommended investigations", local.recommended_investigations),
+      ...markdownSection("Recommended management", local.recommended_management),
+      ...markdownSection("Doses", (local.doses || []).map((d) => ({ ...d, text: doseText(d) })))
+    );
+    if (local.links && local.links.length) {
+      md.push("", "### Links", "", ...local.links.map((l) => `- [${l.title}](${mdUrl(l.url)})`));
+    }
+  }
+
+  const national = result.national;
+  if (national) {
+    md.push("", "## National guidelines (NICE)");
+    if (national.nice_summary) md.push("", national.nice_summary);
+    if (hasTree(national.decision_tree)) md.push("", "### Decision tree", "", ...markdownTree(national.decision_tree));
+    md.push(
+      ...markdownSection("Admission criteria", national.admission_criteria),
+      ...markdownSection("Recommended investigations", national.recommended_investigations),
+      ...markdownSection("Recommended management", national.recommended_management)
+    );
+    if (national.cks_link) {
+      const { label, caveat } = cksLinkInfo(national);
+      md.push("", `[${label}](${mdUrl(national.cks_link)})${caveat ? ` _(${caveat})_` : ""}`);
+    }
+  }
+
+  if (result.discrepancies && result.discrepancies.length) {
+    const cell = (t) => String(t || "—").replace(/\|/g, "\\|").replace(/\s*\n\s*/g, " ");
+    md.push("", "## Local vs NICE", "", "| Topic | Local | NICE | Difference |", "| --- | --- | --- | --- |");
+    result.discrepancies.forEach((d) =>
+      md.push(`| ${cell(d.topic)} | ${cell(d.local)}${markdownCites(d)} | ${cell(d.national)} | ${cell(d.difference.replace(/_/g, " "))} |`));
+  }
+
+  const papers = result.published_literature && result.published_literature.papers;
+  if (papers) {
+    md.push("", "## Published literature", "");
+    md.push(...(papers.length ? papers.map((p) => `- ${p.citation || p.title} [PubMed ${p.pmid}](${p.url})`) : ["No literature found."]));
+  }
+
+  md.push("", "---", "", ...stampLines(exportStamp(result)).map((l) => `${l}  `));
+  return md.join("\n") + "\n";
+}
+
+function download(name, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+const exportFileName = (result) =>
+  `${(result.query || "answer").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 60) || "answer"}.md`;
+
+// Only shown in print; see @media print in styles.css
+export function PrintStamp({ result }) {
+  return (
+    <div className="print-only print-stamp">
+      {stampLines(exportStamp(result)).map((l) => <div key={l}>{l}</div>)}
+    </div>
+  );
+}
+
+// treePath: the walk through the local decision tree, if any
+export function ExportActions({ result, treePath }) {
+  const [note, setNote] = React.useState(null);
+  const flash = (text) => {
+    setNote(text);
+    setTimeout(() => setNote(null), 2000);
+  };
+  const copy = () =>
+    navigator.clipboard.writeText(answerToNoteText(result, { treePath }))
+      .then(() => flash("Copied"))
+      .catch(() => flash("Copy failed"));
+  return (
+    <span className="export-actions">
+      <button type="button" className="link-button" onClick={copy}>Copy for notes</button>
+      {" · "}
+      <button type="button" className="link-button" onClick={() => download(exportFileName(result), answerToMarkdown(result, { treePath }), "text/markdown")}>
+        Markdown
+      </button>
+      {" · "}
+      <button type="button" className="link-button" onClick={() => window.print()}>Print / PDF</button>
+      {note && <span className="small"> {note}</span>}
+    </span>
+  );
+}
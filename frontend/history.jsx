@@ -0,0 +1,132 @@
+// Saved answers: the history sidebar, and the comparison shown when a saved question is
+// re-run.
+import React from "react";
+import { Card, discrepancyText, itemText } from "./ui";
+import { treeLines } from "./tree";
+
+export async function historyFetch(path, { method = "GET", body } = {}) {
+  const res = await fetch(`/api/history${path}`, {
+    method,
+    body: body === undefined ? undefined : JSON.stringify(body),
+    headers: body === undefined ? {} : { "Content-Type": "application/json" }
+  });
+  if (res.status === 204) return null;
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+  return data;
+}
+
+const ANSWER_LISTS = [
+  ["local", "admission_criteria", "Local admission criteria"],
+  ["local", "recommended_investigations", "Local investigations"],
+  ["local", "recommended_management", "Local management"],
+  ["national", "admission_criteria", "NICE admission criteria"],
+  ["national", "recommended_investigations", "NICE investigations"],
+  ["national", "recommended_management", "NICE management"]
+];
+
+function listChange(label, before = [], after = []) {
+  const was = new Set(before);
+  const now = new Set(after);
+  const added = after.filter((x) => !was.has(x));
+  const removed = before.filter((x) => !now.has(x));
+  return added.length || removed.length ? { label, added, removed } : null;
+}
+
+function textChange(label, before, after) {
+  return (before || "") !== (after || "") ? { label, before: before || "—", after: after || "—" } : null;
+}
+
+// What differs between a saved answer and a new one, section by section. `added` also
+// returns every new bullet and decision step so the answer itself can highlight them.
+export function diffAnswers(before, after) {
+  const b = before || {};
+  const a = after || {};
+  const changes = [
+    textChange("Summary", b.summary, a.summary),
+    textChange("Local guideline", b.local?.guideline?.title, a.local?.guideline?.title),
+    textChange("Applicability", b.local?.guideline?.applicability, a.local?.guideline?.applicability),
+    listChange("Local decision tree", treeLines(b.local?.decision_tree), treeLines(a.local?.decision_tree)),
+    ...ANSWER_LISTS.map(([section, key, label]) =>
+      listChange(label, (b[section]?.[key] || []).map(itemText), (a[section]?.[key] || []).map(itemText))),
+    textChange("NICE summary", b.national?.nice_summary, a.national?.nice_summary),
+    listChange("NICE decision tree", treeLines(b.national?.decision_tree), treeLines(a.national?.decision_tree)),
+    listChange("Local vs NICE", (b.discrepancies || []).map(discrepancyText), (a.discrepancies || []).map(discrepancyText)),
+    listChange(
+      "Papers",
+      (b.published_literature?.papers || []).map((p) => p.citation || p.title),
+      (a.published_literature?.papers || []).map((p) => p.citation || p.title)
+    )
+  ].filter(Boolean);
+  const added = new Set(changes.flatMap((c) => c.added || []));
+  return { changes, added };
+}
+
+export function ChangeList({ diff, since, onDismiss }) {
+  return (
+    <Card
+      title="Changes since the saved answer"
+      subtitle={`Compared with the answer saved ${new Date(since).toLocaleString()}. New items are highlighted below.`}
+      className="card--changes"
+      headerExtras={<button type="button" className="link-button" onClick={onDismiss}>Hide</button>}
+    >
+      {diff.changes.length === 0 ? (
+        <p className="small">No differences.</p>
+      ) : (
+        <ul className="list list--tight">
+          {diff.changes.map((c) => (
+            <li key={c.label}>
+              <strong>{c.label}</strong>
+              {c.before !== undefined ? (
+                <div className="small">
+                  <del className="diff-removed">{c.before}</del> → <ins className="diff-added">{c.after}</ins>
+                </div>
+              ) : (
+                <ul className="list list--tight">
+                  {c.added.map((x, i) => <li key={`a${i}`} className="diff-added">+ {x}</li>)}
+                  {c.removed.map((x, i) => <li key={`r${i}`} className="diff-removed">− {x}</li>)}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </Card>
+  );
+}
+
+export function HistorySidebar({ items, activeId, onOpen, onRerun, onPin, onDelete, busy }) {
+  const [filter, setFilter] = React.useState("");
+  const q = filter.trim().toLowerCase();
+  const shown = (items || []).filter((h) => !q || h.prompt.toLowerCase().includes(q) || (h.guideline || "").toLowerCase().includes(q));
+  return (
+    <aside className="history">
+      <h2 className="history__title">History</h2>
+      <input className="history__filter" value={filter} onChange={(e) => setFilter(e.target.value)} placeholder="Filter" />
+      {items === null ? (
+        <p className="small">Loading…</p>
+      ) : shown.length === 0 ? (
+        <p className="small">{items.length ? "No matches." : "Your searches will appear here."}</p>
+      ) : (
+        <ul className="history__list">
+          {shown.map((h) => (
+            <li key={h.id} className={`history__item ${h.id === activeId ? "history__item--active" : ""}`}>
+              <a href={`/q/${h.id}`} onClick={(e) => { e.preventDefault(); onOpen(h.id); }}>
+                {h.pinned && <span title="Pinned">★ </span>}{h.prompt}
+              </a>
+              <div className="small">
+                {new Date(h.created_at).toLocaleString()}
+                {h.guideline ? ` · ${h.guideline}` : ""}
+              </div>
+              <div className="history__actions small">
+                <button type="button" className="link-button" disabled={busy} onClick={() => onRerun(h.id)}>Re-run</button>
+                <button type="button" className="link-button" onClick={() => onPin(h.id, !h.pinned)}>{h.pinned ? "Unpin" : "Pin"}</button>
+                <button type="button" className="link-button" onClick={() => onDelete(h.id)}>Delete</button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </aside>
+  );
+}
@@ -0,0 +1,9 @@
+// Entry point: scripts/build.js bundles this and its imports into dist/app.js and dist/app.css
+import React from "react";
+import ReactDOM from "react-dom/client";
+import { Root } from "./app";
+import { registerServiceWorker } from "./offline";
+import "./styles.css";
+
+ReactDOM.createRoot(document.getElementById("root")).render(<Root />);
+registerServiceWorker();
@@ -0,0 +1,91 @@
+// Offline support. The service worker (sw.js) keeps the app shell, recently opened PDFs and
+// guideline text, the catalogue and recent answers; this module registers it, tells the
+// views whether the server and its model can be reached, and forgets the signed-in user's
+// data on sign-out.
+// Browsers only run service workers over HTTPS (or on localhost).
+import React from "react";
+
+const STATUS_POLL_MS = 30 * 1000;
+
+export function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("/sw.js").catch((err) => console.error("Service worker not registered:", err));
+  });
+}
+
+// Saved answers, history and the session belong to whoever is signed in; the shell and
+// the PDFs do not
+export async function clearPrivateCache() {
+  if (!window.caches) return;
+  const names = await caches.keys();
+  await Promise.all(names.filter((n) => n.startsWith("gm-data")).map((n) => caches.delete(n)));
+}
+
+// Fetches a URL so the service worker keeps a copy (a new answer, which arrived by POST)
+export function keepOffline(path) {
+  if (navigator.serviceWorker && navigator.serviceWorker.controller) fetch(path).catch(() => {});
+}
+
+// -> Set of the paths kept on this device: PDFs (/local/...) and the text the viewer
+// reads (/api/documents/...)
+export async function cachedDocuments() {
+  if (!window.caches) return new Set();
+  const names = (await caches.keys()).filter((n) => n.startsWith("gm-docs") || n.startsWith("gm-text"));
+  const paths = new Set();
+  for (const name of names) {
+    for (const req of await (await caches.open(name)).keys()) paths.add(new URL(req.url).pathname);
+  }
+  return paths;
+}
+
+// -> "online"; "offline" when there is no network or the server does not answer; or
+// "model_down" when the server answers but its model does not (see GET /api/status)
+export function useConnection() {
+  const [state, setState] = React.useState(navigator.onLine ? "online" : "offline");
+  React.useEffect(() => {
+    let stopped = false;
+    const set = (value) => { if (!stopped) setState(value); };
+    async function check() {
+      if (!navigator.onLine) return set("offline");
+      try {
+        const res = await fetch("/api/status", { cache: "no-store" });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const status = await res.json();
+        set(status.model.available ? "online" : "model_down");
+      } catch {
+        set("offline");
+      }
+    }
+    check();
+    const timer = setInterval(check, STATUS_POLL_MS);
+    window.addEventListener("online", check);
+    window.addEventListener("offline", check);
+    return () => {
+      stopped = true;
+      clearInterval(timer);
+      window.removeEventListener("online", check);
+      window.removeEventListener("offline", check);
+    };
+  }, []);
+  return state;
+}
+
+export function ConnectionBanner({ state }) {
+  if (state === "online") return null;
+  return (
+    <div className={`connection connection--${state}`} role="status">
+      {state === "offline" ? (
+        <>
+          <strong>Offline.</strong> The server can't be reached, so new questions won't work. Saved answers, the{" "}
+          <a href="#/guidelines">guideline catalogue</a> and documents opened before on this device are still available.
+        </>
+      ) : (
+        <>
+          <strong>The model is unavailable.</strong> New questions may fail; the{" "}
+          <a href="#/guidelines">guideline catalogue</a> and saved answers still work.
+        </>
+      )}
+    </div>
+  );
+}
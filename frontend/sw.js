@@ -0,0 +1,92 @@
+// sw.js — service worker (registered by offline.jsx). Everything goes to the network first,
+// so an updated app or a replaced guideline is seen as soon as the server answers; copies
+// are kept so the app still opens, and what was opened before still opens, without it:
+//   gm-shell   index.html, the bundle, the manifest and icon
+//   gm-docs    the last MAX_DOCS guideline PDFs opened (/local/...)
+//   gm-text    the text of the last MAX_TEXT guidelines read in the viewer (/api/documents/...)
+//   gm-data    the catalogue, sites, session, history and the last MAX_DATA saved answers
+// Questions themselves (POST /api/guidelines) and type-ahead searches always need the server.
+const SHELL_CACHE = "gm-shell-v1";
+const DOCS_CACHE = "gm-docs-v1";
+const DATA_CACHE = "gm-data-v1";
+const TEXT_CACHE = "gm-text-v1";
+const CACHES = [SHELL_CACHE, DOCS_CACHE, DATA_CACHE, TEXT_CACHE];
+const SHELL = ["/", "/dist/app.js", "/dist/app.css", "/manifest.webmanifest", "/icon.svg"];
+const MAX_DOCS = 40;
+const MAX_DATA = 100;
+const MAX_TEXT = 200;
+const DATA_PATHS = /^\/api\/(catalogue|sites|session|history)(\/|$)/;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((names) => Promise.all(names.filter((n) => !CACHES.includes(n)).map((n) => caches.delete(n))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Oldest first: cache.put moves a refreshed entry to the end
+async function trim(cache, max) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map((k) => cache.delete(k)));
+}
+
+// key: what the copy is stored under (the request itself by default)
+async function networkFirst(cacheName, request, { key = request, max = 0 } = {}) {
+  const cache = await caches.open(cacheName);
+  try {
+    const res = await fetch(request);
+    if (res.ok && res.status !== 206) {
+      await cache.put(key, res.clone());
+      if (max) await trim(cache, max);
+    }
+    return res;
+  } catch (err) {
+    const copy = await cache.match(key);
+    if (copy) return copy;
+    throw err;
+  }
+}
+
+// PDF viewers may ask for byte ranges; a partial response can't be kept, so the whole
+// file is fetched alongside, and offline the whole file answers a range request
+async function documentRequest(event, url) {
+  const key = url.origin + url.pathname;
+  if (!event.request.headers.has("range")) return networkFirst(DOCS_CACHE, event.request, { key, max: MAX_DOCS });
+  const cache = await caches.open(DOCS_CACHE);
+  try {
+    const res = await fetch(event.request);
+    event.waitUntil(cache.match(key).then((copy) => copy || networkFirst(DOCS_CACHE, key, { max: MAX_DOCS })).catch(() => {}));
+    return res;
+  } catch (err) {
+    const copy = await cache.match(key);
+    if (copy) return copy;
+    throw err;
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  // A PDF opened in a new tab is a navigation too; every other page (/, /q/:id) is index.html
+  if (url.pathname.startsWith("/local/")) {
+    event.respondWith(documentRequest(event, url));
+  } else if (request.mode === "navigate") {
+    event.respondWith(networkFirst(SHELL_CACHE, request, { key: "/" }));
+  } else if (url.pathname.startsWith("/api/documents/")) {
+    event.respondWith(networkFirst(TEXT_CACHE, request, { max: MAX_TEXT }));
+  } else if (url.pathname === "/api/catalogue" && url.searchParams.has("q")) {
+    // Type-ahead asks on every pause in typing; those answers aren't worth keeping
+    return;
+  } else if (DATA_PATHS.test(url.pathname)) {
+    event.respondWith(networkFirst(DATA_CACHE, request, { max: MAX_DATA }));
+  } else if (SHELL.includes(url.pathname) || url.pathname.startsWith("/dist/")) {
+    event.respondWith(networkFirst(SHELL_CACHE, request));
+  }
+});
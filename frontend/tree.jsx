@@ -0,0 +1,180 @@
+// Branching decision trees: the full tree with collapsible branches, and a step-through
+// mode that asks one question at a time. The path taken is a list of branch indices from
+// the root, kept by App so exports can include it. Answers saved before trees were nested
+// have a flat list of IF/THEN steps instead; those still render as a list.
+import React from "react";
+import { Badge, Citations, stepText } from "./ui";
+
+const ESCALATION_LEVELS = {
+  routine: { label: "Routine", tone: "ok" },
+  senior_review: { label: "Senior review", tone: "warn" },
+  urgent: { label: "Urgent", tone: "danger" },
+  emergency: { label: "Emergency", tone: "danger" }
+};
+
+export const isFlatTree = (tree) => Array.isArray(tree);
+export const hasTree = (tree) => (isFlatTree(tree) ? tree.length > 0 : !!(tree && tree.text));
+
+export const nodeText = (n) =>
+  n.kind === "question" ? n.text : `${n.text}${ESCALATION_LEVELS[n.escalation] ? ` [${ESCALATION_LEVELS[n.escalation].label}]` : ""}`;
+
+// Every node depth-first, as { node, label, depth }; label is the branch that leads to it
+export function flattenTree(tree) {
+  const out = [];
+  const visit = (node, label, depth) => {
+    if (!node) return;
+    out.push({ node, label, depth });
+    (node.branches || []).forEach((b) => visit(b.next, b.label, depth + 1));
+  };
+  visit(tree, null, 0);
+  return out;
+}
+
+// The nodes (or flat steps) of any tree, for collecting citations
+export const treeNodes = (tree) => (!hasTree(tree) ? [] : isFlatTree(tree) ? tree : flattenTree(tree).map((x) => x.node));
+
+// One line per step or node, for comparing answers; the tree highlights the same lines
+const treeLine = (node, label) => `${label ? `${label} → ` : ""}${nodeText(node)}`;
+
+export function treeLines(tree) {
+  if (!hasTree(tree)) return [];
+  if (isFlatTree(tree)) return tree.map(stepText);
+  return flattenTree(tree).map(({ node, label }) => treeLine(node, label));
+}
+
+// -> [{ question, answer }] for each choice made, then { action } if the walk has ended
+export function describePath(tree, path) {
+  const steps = [];
+  let node = tree;
+  for (const i of path || []) {
+    const branch = node && node.branches && node.branches[i];
+    if (!branch) break;
+    steps.push({ question: node.text, answer: branch.label });
+    node = branch.next;
+  }
+  if (node && node.kind === "action") steps.push({ action: nodeText(node) });
+  return steps;
+}
+
+function EscalationBadge({ level }) {
+  const v = ESCALATION_LEVELS[level];
+  return v ? <Badge tone={v.tone}>{v.label}</Badge> : null;
+}
+
+function TreeNode({ node, label, highlight, open }) {
+  if (!node) return null;
+  const changed = highlight && highlight.has(treeLine(node, label)) ? "changed" : "";
+  if (node.kind !== "question") {
+    return (
+      <div className={`tree__action ${changed}`}>
+        {node.text} <EscalationBadge level={node.escalation} /> <Citations items={node.citations} />
+        {node.note ? <div className="tree__note">Note: {node.note}</div> : null}
+      </div>
+    );
+  }
+  return (
+    <div className="tree__question">
+      <div className={changed}>
+        <span className="tree__if">?</span> {node.text} <Citations items={node.citations} />
+        {node.note ? <div className="tree__note">Note: {node.note}</div> : null}
+      </div>
+      {(node.branches || []).map((b, i) => (
+        <details key={i} className="tree__branch" open={open}>
+          <summary><span className="tree__label">{b.label}</span></summary>
+          <TreeNode node={b.next} label={b.label} highlight={highlight} open={open} />
+        </details>
+      ))}
+    </div>
+  );
+}
+
+function StepThrough({ tree, path, onPathChange, exported }) {
+  let node = tree;
+  const taken = [];
+  for (const i of path) {
+    if (!node.branches || !node.branches[i]) break;
+    taken.push({ question: node.text, answer: node.branches[i].label });
+    node = node.branches[i].next;
+  }
+  return (
+    <div className="walk">
+      {taken.length > 0 && (
+        <ol className="walk__path small">
+          {taken.map((t, i) => <li key={i}>{t.question} — <strong>{t.answer}</strong></li>)}
+        </ol>
+      )}
+      {node.kind === "question" ? (
+        <div className="walk__step">
+          <p className="m6"><strong>{node.text}</strong> <Citations items={node.citations} /></p>
+          {node.note ? <p className="tree__note">Note: {node.note}</p> : null}
+          <div className="walk__choices">
+            {(node.branches || []).map((b, i) => (
+              <button key={i} type="button" className="walk__choice" onClick={() => onPathChange([...path, i])}>{b.label}</button>
+            ))}
+          </div>
+        </div>
+      ) : (
+        <div className="walk__step walk__step--end">
+          <p className="m6">
+            <strong>{node.text}</strong> <EscalationBadge level={node.escalation} /> <Citations items={node.citations} />
+          </p>
+          {node.note ? <p className="tree__note">Note: {node.note}</p> : null}
+        </div>
+      )}
+      <div className="small m6">
+        <button type="button" className="link-button" disabled={!path.length} onClick={() => onPathChange(path.slice(0, -1))}>Back</button>
+        {" · "}
+        <button type="button" className="link-button" disabled={!path.length} onClick={() => onPathChange([])}>Start again</button>
+        {path.length > 0 && exported && " · The path taken is included in exports."}
+      </div>
+    </div>
+  );
+}
+
+// Answers saved before trees were nested: a flat list of IF/THEN steps
+function DecisionTree({ steps, highlight }) {
+  if (!steps || !steps.length) return null;
+  return (
+    <div className="tree">
+      {steps.map((s, i) => (
+        <div className={`tree__item ${highlight && highlight.has(stepText(s)) ? "changed" : ""}`} key={i}>
+          <span className="tree__if">IF</span> {s.if || "—"}{" "}
+          <span className="tree__if">THEN</span> {s.then || "—"}{" "}
+          <Citations items={s.citations} />
+          {s.note ? <div className="tree__note">Note: {s.note}</div> : null}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// path/onPathChange: the step-through walk, if the caller keeps it (for exports)
+export function DecisionTreeView({ tree, highlight, path, onPathChange }) {
+  const [ownPath, setOwnPath] = React.useState([]);
+  const walkPath = onPathChange ? path || [] : ownPath;
+  const [mode, setMode] = React.useState(walkPath.length ? "walk" : "tree");
+  const [expanded, setExpanded] = React.useState({ open: true, version: 0 });
+  if (!hasTree(tree)) return null;
+  if (isFlatTree(tree)) return <DecisionTree steps={tree} highlight={highlight} />;
+  const setAll = (open) => setExpanded((e) => ({ open, version: e.version + 1 }));
+  return (
+    <div className="tree">
+      <div className="tree__controls small">
+        <button type="button" className={`link-button ${mode === "tree" ? "link-button--active" : ""}`} onClick={() => setMode("tree")}>Full tree</button>
+        {" · "}
+        <button type="button" className={`link-button ${mode === "walk" ? "link-button--active" : ""}`} onClick={() => setMode("walk")}>Walk me through it</button>
+        {mode === "tree" && (
+          <>
+            {" | "}
+            <button type="button" className="link-button" onClick={() => setAll(true)}>Expand all</button>
+            {" · "}
+            <button type="button" className="link-button" onClick={() => setAll(false)}>Collapse all</button>
+          </>
+        )}
+      </div>
+      {mode === "tree"
+        ? <TreeNode key={expanded.version} node={tree} highlight={highlight} open={expanded.open} />
+        : <StepThrough tree={tree} path={walkPath} onPathChange={onPathChange || setOwnPath} exported={!!onPathChange} />}
+    </div>
+  );
+}
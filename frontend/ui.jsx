@@ -0,0 +1,129 @@
+// Building blocks shared by the other views: badges, cards, citation links, and the plain
+// text of answer items (for diffs and exports).
+import React from "react";
+
+export const itemText = (x) => (x && typeof x === "object" ? x.text : String(x || "")).trim();
+// A citation is a page of a local PDF or a section (usually a numbered recommendation)
+// of a national document
+export const citeLabel = (c) => (c.page ? `p.${c.page}` : c.number ? `rec ${c.number}` : c.code || c.source || "source");
+export const citeTitle = (c) => (c.page ? `${c.title}, page ${c.page}` : `${[c.source, c.code].filter(Boolean).join(" ")}: ${c.title}${c.number ? `, recommendation ${c.number}` : c.heading ? `, ${c.heading}` : ""}`);
+export const stepText = (s) => `IF ${(s && s.if) || "—"} THEN ${(s && s.then) || "—"}`;
+export const discrepancyText = (d) => `${d.topic}: local ${d.local || "—"}; NICE ${d.national || "—"} (${String(d.difference).replace(/_/g, " ")})`;
+
+// A local PDF's link (with or without #page=) -> its path, /local/<library>/<file>
+export const docPath = (link) => new URL(link, window.location.origin).pathname;
+// -> where the viewer loads that document's text from (GET /api/documents/...)
+export const textPath = (link) => docPath(link).replace(/^\/local\//, "/api/documents/");
+// -> the in-app viewer (#/view) on a local document, at a page and optionally highlighting
+// a passage ({ page, start, end }, offsets into that page's text)
+export function viewerHref(link, { page, highlight } = {}) {
+  const params = new URLSearchParams({ doc: docPath(link) });
+  if (page) params.set("page", page);
+  if (highlight && highlight.start !== undefined) params.set("hl", `${highlight.page}:${highlight.start}-${highlight.end}`);
+  return `#/view?${params}`;
+}
+
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+// A guideline's dates are as precise as the document: "2023-05-11" -> "11 May 2023",
+// "2026-11" -> "Nov 2026", "2027" -> "2027"
+export const formatDocDate = (iso) => {
+  if (!iso) return "";
+  const [y, m, d] = iso.split("-");
+  return [d && Number(d), m && MONTH_NAMES[Number(m) - 1], y].filter(Boolean).join(" ");
+};
+// "Version 2 · published May 2022 · review by Sep 2024", or "" when the document says none
+export const documentDatesText = (g) =>
+  [
+    g.version && `Version ${g.version}`,
+    g.published && `published ${formatDocDate(g.published)}`,
+    g.review_by && `review by ${formatDocDate(g.review_by)}`
+  ].filter(Boolean).join(" · ");
+
+// How the national section's CKS link was chosen (see verifyNationalLink in lib/pipeline.js):
+// -> { label, caveat }, caveat "" for a link the model gave and the corpus holds. Answers
+// saved before cks_link_status existed have only cks_link_verified.
+export function cksLinkInfo(national) {
+  const status = national.cks_link_status || (national.cks_link_verified === false ? "unverified" : "verified");
+  return {
+    label: status === "replaced" || status === "matched" ? "NICE CKS — closest match in the saved guidance" : "NICE CKS — most relevant page",
+    caveat:
+      status === "replaced" ? "closest match; the model's link was not in the saved guidance" :
+      status === "matched" ? "closest match; not chosen by the model" :
+      status === "unverified" ? "unverified link" :
+      ""
+  };
+}
+
+// Short labels for a document's type (a plain guideline needs none) and population
+export const DOC_TYPE_LABELS = {
+  pathway: "Pathway",
+  proforma: "Proforma",
+  patient_leaflet: "Patient leaflet",
+  record_sheet: "Record sheet"
+};
+
+export const AUDIENCE_SHORT = {
+  neonatal: "Neonatal",
+  paediatric: "Paediatric",
+  adult: "Adult",
+  older_adult: "Older adult",
+  pregnancy: "Pregnancy"
+};
+
+export function Badge({ tone = "default", children }) {
+  const toneClass =
+    tone === "ok" ? "badge badge--ok" :
+    tone === "warn" ? "badge badge--warn" :
+    tone === "danger" ? "badge badge--danger" :
+    "badge";
+  return <span className={toneClass}>{children}</span>;
+}
+
+// A guideline past its review date (review_status from the server) may no longer be
+// current practice; one due within a few months is flagged more quietly
+export function ReviewBadge({ doc }) {
+  if (!doc || !doc.review_status) return null;
+  if (doc.review_status === "overdue") {
+    return <Badge tone="danger">Review overdue since {formatDocDate(doc.review_by)}</Badge>;
+  }
+  if (doc.review_status === "due_soon") return <Badge tone="warn">Review due {formatDocDate(doc.review_by)}</Badge>;
+  return null;
+}
+
+export function Card({ title, subtitle, className = "", headerExtras = null, children }) {
+  return (
+    <section className={`card ${className}`}>
+      <div className="card__header">
+        <h2 className="card__title">{title}</h2>
+        {headerExtras}
+      </div>
+      {subtitle ? <p className="card__sub">{subtitle}</p> : null}
+      {children}
+    </section>
+  );
+}
+
+// Page-level links into a local guideline (opened in the viewer with the cited passage
+// highlighted), or links to the national recommendation; an empty list means the model gave
+// no traceable source for the item, which we flag rather than hide.
+export function Citations({ items }) {
+  if (!items) return null;
+  if (!items.length) {
+    return <span className="cite cite--missing" title="Not traced to a source document">uncited</span>;
+  }
+  return (
+    <span className="cite">
+      {items.map((c, i) =>
+        c.file ? (
+          <a key={i} className="cite__link" href={viewerHref(c.url, { page: c.page, highlight: c })} title={citeTitle(c)}>
+            {citeLabel(c)}
+          </a>
+        ) : (
+          <a key={i} className="cite__link" href={c.url} target="_blank" rel="noreferrer" title={citeTitle(c)}>
+            {citeLabel(c)}
+          </a>
+        )
+      )}
+    </span>
+  );
+}
@@ -0,0 +1,241 @@
+// Guideline viewer (#/view): a local document's text layer, page by page, beside the answer.
+// It opens at the page asked for, highlights the excerpts the answer was built from (and,
+// more strongly, the one a citation points at), lists the recommendations citing it, and
+// searches within the document. The text comes from GET /api/documents/..., which the
+// service worker keeps, so documents read before still open offline.
+import React from "react";
+import { Badge, Card, documentDatesText, itemText, ReviewBadge, stepText, textPath } from "./ui";
+import { nodeText, treeNodes } from "./tree";
+
+// "#/view?doc=/local/local/TIA_ocr.pdf&page=2&hl=2:120-640" -> { doc, page, highlight }
+export function parseViewerRoute(hash) {
+  if (!hash.startsWith("#/view?")) return null;
+  const params = new URLSearchParams(hash.slice("#/view?".length));
+  const doc = params.get("doc");
+  if (!doc || !doc.startsWith("/local/")) return null;
+  const hl = (params.get("hl") || "").match(/^(\d+):(\d+)-(\d+)$/);
+  return {
+    doc,
+    page: Number(params.get("page")) || (hl ? Number(hl[1]) : 1),
+    highlight: hl ? { page: Number(hl[1]), start: Number(hl[2]), end: Number(hl[3]) } : null
+  };
+}
+
+// The parts of a local answer that cite this file, as { text, citations } with only its
+// citations
+function citedItems(local, file) {
+  if (!local) return [];
+  const items = [
+    ...treeNodes(local.decision_tree).map((n) => ({ text: n.if !== undefined ? stepText(n) : nodeText(n), citations: n.citations })),
+    ...["admission_criteria", "recommended_investigations", "recommended_management"]
+      .flatMap((key) => (local[key] || []).map((x) => ({ text: itemText(x), citations: x.citations }))),
+    ...(local.doses || []).map((d) => ({ text: `${d.drug}${d.route ? ` (${d.route})` : ""}`, citations: d.citations }))
+  ];
+  return items
+    .map((x) => ({ ...x, citations: (x.citations || []).filter((c) => c.file === file) }))
+    .filter((x) => x.text && x.citations.length);
+}
+
+// Every case-insensitive occurrence of the search text, page by page
+function findHits(pages, query) {
+  const q = query.trim().toLowerCase();
+  if (q.length < 2) return [];
+  const hits = [];
+  pages.forEach((text, i) => {
+    const lower = text.toLowerCase();
+    for (let at = lower.indexOf(q); at !== -1; at = lower.indexOf(q, at + q.length)) {
+      hits.push({ page: i + 1, start: at, end: at + q.length });
+    }
+  });
+  return hits;
+}
+
+// text cut into plain runs and <mark>s; ranges: [{ start, end, className, scroll }] may
+// overlap, and a run covered by several gets all their classes. `scroll` tags the run
+// where a range starts so it can be scrolled to.
+function markText(text, ranges) {
+  const clamp = (n) => Math.max(0, Math.min(text.length, n));
+  const points = [...new Set([0, text.length, ...ranges.flatMap((r) => [clamp(r.start), clamp(r.end)])])].sort((a, b) => a - b);
+  const out = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const [a, b] = [points[i], points[i + 1]];
+    const covering = ranges.filter((r) => r.start <= a && r.end >= b);
+    if (!covering.length) {
+      out.push(text.slice(a, b));
+      continue;
+    }
+    const start = covering.find((r) => r.scroll && clamp(r.start) === a);
+    out.push(
+      <mark key={a} className={covering.map((r) => r.className).join(" ")} data-scroll={start ? start.scroll : undefined}>
+        {text.slice(a, b)}
+      </mark>
+    );
+  }
+  return out;
+}
+
+// doc: the document's /local/ path; page, highlight: where to open (see parseViewerRoute);
+// local: the answer's local section, if one is showing, for its excerpts and citations;
+// connection: useConnection()'s state
+export function DocumentViewer({ doc, page = 1, highlight = null, local = null, connection, onClose }) {
+  const [data, setData] = React.useState(null);
+  const [error, setError] = React.useState(null);
+  const [active, setActive] = React.useState(highlight);
+  const [pageInput, setPageInput] = React.useState(String(page));
+  const [search, setSearch] = React.useState("");
+  const [hitIndex, setHitIndex] = React.useState(0);
+  // What to bring into view after the next render: "page-<n>", "active" or "hit"
+  const [scrollTarget, setScrollTarget] = React.useState(null);
+  const bodyRef = React.useRef(null);
+
+  React.useEffect(() => {
+    setData(null);
+    setError(null);
+    fetch(textPath(doc))
+      .then(async (res) => {
+        const body = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+        setData(body);
+      })
+      .catch((err) => setError(connection === "offline" ? "This document has not been saved on this device yet." : err.message));
+  }, [doc]);
+
+  // A new link into the same document moves within it
+  React.useEffect(() => {
+    setActive(highlight);
+    setPageInput(String(page));
+    setScrollTarget(highlight ? "active" : `page-${page}`);
+  }, [doc, page, highlight && highlight.page, highlight && highlight.start]);
+
+  React.useEffect(() => {
+    if (!data || !scrollTarget || !bodyRef.current) return;
+    const el = bodyRef.current.querySelector(`[data-scroll="${scrollTarget}"]`);
+    if (el && el.scrollIntoView) el.scrollIntoView({ block: scrollTarget.startsWith("page-") ? "start" : "center" });
+    setScrollTarget(null);
+  }, [data, scrollTarget]);
+
+  const hits = React.useMemo(() => (data ? findHits(data.pages, search) : []), [data, search]);
+  const hit = hits.length ? hits[Math.min(hitIndex, hits.length - 1)] : null;
+  const excerpts = data && local ? (local.sources || []).filter((s) => s.file === data.file && s.start !== undefined) : [];
+  const items = data ? citedItems(local, data.file) : [];
+  const matchingPages = [...new Set(excerpts.map((s) => s.page))].sort((a, b) => a - b);
+
+  function goToPage(n) {
+    const p = Math.max(1, Math.min(data.pages.length, Number(n) || 1));
+    setPageInput(String(p));
+    setScrollTarget(`page-${p}`);
+  }
+
+  function show(citation) {
+    setActive(citation);
+    setPageInput(String(citation.page));
+    setScrollTarget(citation.start !== undefined ? "active" : `page-${citation.page}`);
+  }
+
+  function step(by) {
+    if (!hits.length) return;
+    const next = (Math.min(hitIndex, hits.length - 1) + by + hits.length) % hits.length;
+    setHitIndex(next);
+    setPageInput(String(hits[next].page));
+    setScrollTarget("hit");
+  }
+
+  const rangesFor = (n) => [
+    ...excerpts.filter((s) => s.page === n).map((s) => ({ start: s.start, end: s.end, className: "viewer__excerpt" })),
+    ...(active && active.page === n && active.start !== undefined
+      ? [{ start: active.start, end: active.end, className: "viewer__active", scroll: "active" }]
+      : []),
+    ...hits.filter((h) => h.page === n).map((h) => ({ ...h, className: h === hit ? "viewer__hit viewer__hit--current" : "viewer__hit", scroll: h === hit ? "hit" : undefined }))
+  ];
+
+  return (
+    <Card
+      title={data ? data.title : "Guideline"}
+      className="viewer"
+      subtitle={data ? documentDatesText(data) || null : null}
+      headerExtras={
+        <div className="badges">
+          {data && <ReviewBadge doc={data} />}
+          {data && <a className="link-muted small" href={`${data.link}#page=${pageInput}`} target="_blank" rel="noreferrer">PDF</a>}
+          <button type="button" className="link-button" onClick={onClose} aria-label="Close the viewer">Close</button>
+        </div>
+      }
+    >
+      {error && <div className="alert">{error}</div>}
+      {!data && !error && <p className="small">Loading…</p>}
+      {data && (
+        <>
+          <div className="viewer__toolbar">
+            <form onSubmit={(e) => { e.preventDefault(); goToPage(pageInput); }}>
+              <button type="button" onClick={() => goToPage(Number(pageInput) - 1)} aria-label="Previous page">‹</button>
+              <input
+                type="number"
+                min="1"
+                max={data.pages.length}
+                value={pageInput}
+                onChange={(e) => setPageInput(e.target.value)}
+                aria-label="Page"
+              />
+              <span className="small">of {data.pages.length}</span>
+              <button type="button" onClick={() => goToPage(Number(pageInput) + 1)} aria-label="Next page">›</button>
+            </form>
+            <form onSubmit={(e) => { e.preventDefault(); step(1); }}>
+              <input
+                type="search"
+                value={search}
+                onChange={(e) => { setSearch(e.target.value); setHitIndex(0); }}
+                placeholder="Search this document"
+              />
+              <span className="small">{search.trim().length >= 2 ? (hits.length ? `${Math.min(hitIndex, hits.length - 1) + 1} of ${hits.length}` : "No matches") : ""}</span>
+              <button type="button" onClick={() => step(-1)} disabled={!hits.length} aria-label="Previous match">↑</button>
+              <button type="submit" disabled={!hits.length} aria-label="Next match">↓</button>
+            </form>
+          </div>
+
+          {matchingPages.length > 0 && (
+            <p className="small m6">
+              Excerpts the answer was built from (highlighted) are on page{matchingPages.length > 1 ? "s" : ""}{" "}
+              {matchingPages.map((n, i) => (
+                <React.Fragment key={n}>
+                  {i > 0 && ", "}
+                  <button type="button" className="link-button" onClick={() => goToPage(n)}>{n}</button>
+                </React.Fragment>
+              ))}
+            </p>
+          )}
+          {items.length > 0 && (
+            <details className="viewer__items m6" open={items.length <= 6}>
+              <summary>Recommendations citing this document ({items.length})</summary>
+              <ul className="list list--tight">
+                {items.map((x, i) => (
+                  <li key={i} className="small">
+                    {x.text}{" "}
+                    {x.citations.map((c, j) => (
+                      <button
+                        key={j}
+                        type="button"
+                        className={`link-button${active && active.page === c.page && active.start === c.start ? " viewer__current" : ""}`}
+                        onClick={() => show(c)}
+                      >
+                        p.{c.page}
+                      </button>
+                    ))}
+                  </li>
+                ))}
+              </ul>
+            </details>
+          )}
+
+          <div className="viewer__body" ref={bodyRef}>
+            {data.pages.map((text, i) => (
+              <section key={i} className="viewer__page" data-scroll={`page-${i + 1}`}>
+                <div className="viewer__page-no"><Badge>Page {i + 1}</Badge></div>
+                <pre className="viewer__text">{text ? markText(text, rangesFor(i + 1)) : <span className="muted">No text on this page.</span>}</pre>
+              </section>
+            ))}
+          </div>
+        </>
+      )}
+    </Card>
+  );
+}
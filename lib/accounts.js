@@ -0,0 +1,111 @@
+// lib/accounts.js — who is asking. GM_AUTH picks how users are known:
+//   off    (default) no sign-in; everyone is "anonymous", as before
+//   local  accounts in data/users.json (GM_USERS_FILE), managed with `npm run users`;
+//          signing in sets a session cookie
+//   proxy  a reverse proxy (the SSO stand-in) signs users in and passes the name in a
+//          header (GM_AUTH_HEADER, default X-Forwarded-User). Only run this behind it.
+// Roles: clinician (search and history) and admin (also the admin API and query audit).
+// In proxy mode the admins are the names in GM_ADMIN_USERS.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const AUTH_MODES = ['off', 'local', 'proxy'];
+const ROLES = ['clinician', 'admin'];
+const COOKIE = 'gm_session';
+
+// "scrypt$<salt>$<hash>", both base64
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  return `scrypt$${salt.toString('base64')}$${crypto.scryptSync(String(password), salt, 32).toString('base64')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const given = crypto.scryptSync(String(password), Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(given, expected);
+}
+
+// users.json: { users: { <name>: { role, password } } }
+function readUsers(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8')).users || {};
+  } catch (err) {
+    if (err.code === 'ENOENT') return {};
+    throw err;
+  }
+}
+
+function writeUsers(file, users) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ users }, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+function parseCookies(header = '') {
+  const out = {};
+  for (const part of header.split(';')) {
+    const i = part.indexOf('=');
+    if (i > 0) out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return out;
+}
+
+// Sessions live in memory, so a restart signs everyone out
+function createAccounts({ mode = 'off', usersFile, header = 'x-forwarded-user', adminUsers = [], sessionHours = 12 } = {}) {
+  if (!AUTH_MODES.includes(mode)) throw new Error(`Unknown GM_AUTH "${mode}"; expected one of ${AUTH_MODES.join(', ')}`);
+  const sessionMs = sessionHours * 3600 * 1000;
+  const sessions = new Map(); // token -> { name, expires }
+  const admins = new Set(adminUsers);
+
+  // Re-read when the file changes, so `npm run users` applies without a restart
+  let cached = { mtimeMs: -1, users: {} };
+  function users() {
+    let mtimeMs = 0;
+    try { mtimeMs = fs.statSync(usersFile).mtimeMs; } catch {}
+    if (mtimeMs !== cached.mtimeMs) cached = { mtimeMs, users: mtimeMs ? readUsers(usersFile) : {} };
+    return cached.users;
+  }
+
+  const tokenOf = req => parseCookies(req.headers.cookie)[COOKIE] || '';
+
+  // -> { name, role }, or null when the request isn't signed in
+  function identify(req) {
+    if (mode === 'off') return { name: 'anonymous', role: 'clinician' };
+    if (mode === 'proxy') {
+      const name = String(req.headers[header.toLowerCase()] || '').trim();
+      return name ? { name, role: admins.has(name) ? 'admin' : 'clinician' } : null;
+    }
+    const session = sessions.get(tokenOf(req));
+    if (!session || session.expires < Date.now()) return null;
+    // A removed account loses its sessions; a changed role applies straight away
+    const account = users()[session.name];
+    return account ? { name: session.name, role: ROLES.includes(account.role) ? account.role : 'clinician' } : null;
+  }
+
+  // -> { token, user: { name, role } }, or null for a wrong name or password
+  function login(name, password) {
+    const account = users()[name];
+    // Hash anyway for an unknown name, so timing doesn't say which names exist
+    const ok = verifyPassword(password, account ? account.password : hashPassword(''));
+    if (!account || !ok) return null;
+    for (const [t, s] of sessions) if (s.expires < Date.now()) sessions.delete(t);
+    const token = crypto.randomBytes(24).toString('base64url');
+    sessions.set(token, { name, expires: Date.now() + sessionMs });
+    return { token, user: { name, role: ROLES.includes(account.role) ? account.role : 'clinician' } };
+  }
+
+  function logout(req) {
+    sessions.delete(tokenOf(req));
+  }
+
+  const cookie = token => `${COOKIE}=${token}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${Math.round(sessionMs / 1000)}`;
+  const clearCookie = () => `${COOKIE}=; HttpOnly; SameSite=Strict; Path=/; Max-Age=0`;
+
+  return { mode, enabled: mode !== 'off', identify, login, logout, cookie, clearCookie };
+}
+
+module.exports = { createAccounts, hashPassword, verifyPassword, readUsers, writeUsers, AUTH_MODES, ROLES };
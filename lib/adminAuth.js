@@ -0,0 +1,29 @@
+// lib/adminAuth.js — bearer-token check for the admin API.
+// GM_ADMIN_TOKENS is either a single token (user "admin") or "name:token,name:token" so
+// the audit log can say who made each change. With no tokens the admin API is off.
+const crypto = require('crypto');
+
+const digest = s => crypto.createHash('sha256').update(String(s)).digest();
+
+function createTokenAuth(spec = '') {
+  const users = String(spec).split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+    const i = entry.indexOf(':');
+    return i > 0
+      ? { name: entry.slice(0, i).trim(), token: digest(entry.slice(i + 1).trim()) }
+      : { name: 'admin', token: digest(entry) };
+  });
+
+  // -> the user's name, or null when the request carries no valid token.
+  // Compares digests in constant time so the check doesn't leak token prefixes.
+  function user(req) {
+    const m = (req.headers.authorization || '').match(/^Bearer\s+(\S+)\s*$/i);
+    if (!m) return null;
+    const given = digest(m[1]);
+    const found = users.find(u => crypto.timingSafeEqual(u.token, given));
+    return found ? found.name : null;
+  }
+
+  return { enabled: users.length > 0, user };
+}
+
+module.exports = { createTokenAuth };
@@ -0,0 +1,341 @@
+// lib/answerSchema.js — the structured answer as a JSON Schema: the prompt's schema text
+// is rendered from it, and model output is coerced, validated and pruned against it
+const Ajv = require('ajv');
+const { unitKey } = require('./doses');
+
+const str = { type: 'string' };
+const citeIds = { type: 'array', items: str };
+const citedText = {
+  type: 'object',
+  properties: { text: { type: 'string', minLength: 1 }, cite: citeIds },
+  required: ['text', 'cite']
+};
+// Decision trees nest: a question node branches (Yes/No or several labelled choices) to
+// further nodes, and every path ends in an action node with an escalation level. The
+// node type is recursive, so it lives in `definitions` and sections $ref it.
+const ESCALATION = ['routine', 'senior_review', 'urgent', 'emergency'];
+const STEP = {
+  type: 'object',
+  properties: {
+    kind: { type: 'string', enum: ['question', 'action'] },
+    text: { type: 'string', minLength: 1 },
+    branches: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { label: { type: 'string', minLength: 1 }, next: { $ref: '#/definitions/Step' } },
+        required: ['label', 'next']
+      }
+    },
+    escalation: { type: 'string', enum: ESCALATION },
+    note: str,
+    cite: citeIds
+  },
+  required: ['kind', 'text', 'cite'],
+  if: { properties: { kind: { const: 'question' } } },
+  then: { required: ['branches'], properties: { branches: { minItems: 2 } } },
+  else: { properties: { branches: { maxItems: 0 } } }
+};
+const DEFINITIONS = { Step: STEP };
+const num = { type: 'number' };
+// One row of a dosing table. A weight-based dose has dose_per_kg, a fixed one dose_fixed;
+// age limits are set only when the source gives the dose for an age band.
+const dose = {
+  type: 'object',
+  properties: {
+    drug: { type: 'string', minLength: 1 },
+    indication: str,
+    route: str,
+    dose_per_kg: num,
+    dose_fixed: num,
+    unit: str,
+    max_dose: num,
+    frequency: str,
+    min_age_years: num,
+    max_age_years: num,
+    cite: citeIds
+  },
+  required: ['drug', 'route', 'unit', 'frequency', 'cite'],
+  anyOf: [{ required: ['dose_per_kg'] }, { required: ['dose_fixed'] }]
+};
+
+const SECTIONS = {
+  local: {
+    type: 'object',
+    properties: {
+      guideline: {
+        type: 'object',
+        properties: {
+          title: str,
+          summary: str,
+          url: str,
+          applicability: { type: 'string', enum: ['specific', 'most_applicable', 'none'] }
+        },
+        required: ['title', 'summary', 'applicability']
+      },
+      decision_tree: { $ref: '#/definitions/Step' },
+      admission_criteria: { type: 'array', items: citedText },
+      recommended_investigations: { type: 'array', items: citedText },
+      recommended_management: { type: 'array', items: citedText },
+      doses: { type: 'array', items: dose },
+      links: { type: 'array', items: { type: 'object', properties: { title: str, url: str }, required: ['title', 'url'] } }
+    },
+    required: ['guideline', 'admission_criteria', 'recommended_investigations', 'recommended_management']
+  },
+  national: {
+    type: 'object',
+    properties: {
+      decision_tree: { $ref: '#/definitions/Step' },
+      nice_summary: str,
+      admission_criteria: { type: 'array', items: citedText },
+      recommended_investigations: { type: 'array', items: citedText },
+      recommended_management: { type: 'array', items: citedText },
+      cks_link: str
+    },
+    required: ['nice_summary', 'admission_criteria', 'recommended_investigations', 'recommended_management']
+  }
+};
+
+// Where the local pathway differs from NICE, asked for only when both sections are.
+// `difference` is always from the local side: "stricter" means local sets the higher bar.
+const DIFFERENCES = ['stricter', 'looser', 'different_drug_or_dose', 'not_covered_locally', 'not_covered_by_nice'];
+const DISCREPANCIES = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      area: { type: 'string', enum: ['admission_criteria', 'investigations', 'management'] },
+      topic: { type: 'string', minLength: 1 },
+      local: str,
+      national: str,
+      difference: { type: 'string', enum: DIFFERENCES },
+      cite: citeIds
+    },
+    required: ['area', 'topic', 'local', 'national', 'difference', 'cite']
+  }
+};
+
+// Names models commonly use instead of ours
+const FIELD_ALIASES = {
+  investigations: 'recommended_investigations',
+  management: 'recommended_management',
+  admission: 'admission_criteria',
+  decisionTree: 'decision_tree',
+  question: 'text',
+  children: 'branches',
+  options: 'branches',
+  answer: 'label',
+  level: 'escalation',
+  classification: 'difference',
+  citations: 'cite',
+  sources: 'cite',
+  medication: 'drug',
+  mg_per_kg: 'dose_per_kg',
+  dose_mg_per_kg: 'dose_per_kg',
+  per_kg: 'dose_per_kg',
+  fixed_dose: 'dose_fixed',
+  max: 'max_dose',
+  maximum_dose: 'max_dose'
+};
+
+function buildAnswerSchema(include = {}) {
+  const properties = { summary: str };
+  const required = ['summary'];
+  for (const name of Object.keys(SECTIONS)) {
+    if (!include[name]) continue;
+    properties[name] = SECTIONS[name];
+    required.push(name);
+  }
+  const definitions = include.local || include.national ? DEFINITIONS : {};
+  if (include.local && include.national) {
+    properties.discrepancies = DISCREPANCIES;
+    required.push('discrepancies');
+  }
+  return { $schema: 'http://json-schema.org/draft-07/schema#', type: 'object', properties, required, definitions };
+}
+
+const refName = schema => schema.$ref.split('/').pop();
+
+// Compact, TypeScript-flavoured rendering of the schema for the prompt; referenced node
+// types are named inline and spelled out after the answer object
+function describeSchema(schema, indent = '  ') {
+  if (schema.definitions && Object.keys(schema.definitions).length) {
+    const { definitions, ...rest } = schema;
+    return [describeSchema(rest, indent), ...Object.entries(definitions).map(([name, def]) => `${name} = ${describeSchema(def, indent)}`)]
+      .join(`\n${indent}`);
+  }
+  if (schema.$ref) return refName(schema);
+  if (schema.enum) return schema.enum.map(v => JSON.stringify(v)).join(' | ');
+  if (schema.type === 'array') {
+    const item = describeSchema(schema.items, indent);
+    return schema.items.type === 'object' ? `[${item}]` : `${item}[]`;
+  }
+  if (schema.type !== 'object') return schema.type;
+  const required = new Set(schema.required || []);
+  const nested = Object.values(schema.properties).some(p => p.type === 'object' || p.$ref || (p.type === 'array' && p.items.type === 'object'));
+  const fields = Object.entries(schema.properties).map(([key, sub]) =>
+    `"${key}"${required.has(key) ? '' : '?'}: ${describeSchema(sub, indent + '  ')}`);
+  return nested
+    ? `{\n${fields.map(f => indent + '  ' + f).join(',\n')}\n${indent}}`
+    : `{${fields.join(', ')}}`;
+}
+
+const NUMBER_WITH_UNIT_RE = /^\s*(\d+(?:\.\d+)?|\.\d+)\s*(mg|micrograms?|mcg|µg|g|ml|mmol|units?)?(?:\s*\/\s*kg)?\s*$/i;
+
+const pathOf = (base, key) => (typeof key === 'number' ? `${base}[${key}]` : base ? `${base}.${key}` : key);
+
+// Safe, loss-free-as-possible type fixes. Returns undefined for a value that should be
+// treated as missing. Every change is described in `warnings`.
+function coerce(value, schema, path, warnings) {
+  if (value === null || value === undefined) return undefined;
+  if (schema.$ref) return coerce(value, DEFINITIONS[refName(schema)], path, warnings);
+
+  if (schema.type === 'number') {
+    // "10", "0.5 mg", "15mg/kg": the unit belongs in its own field, so only the number is
+    // kept (a unit that disagrees with that field is caught below, with the object)
+    const m = typeof value === 'string' && value.match(NUMBER_WITH_UNIT_RE);
+    if (m) {
+      warnings.push(`${path}: converted "${value}" to a number`);
+      return Number(m[1]);
+    }
+    return value;
+  }
+
+  if (schema.type === 'string') {
+    if (typeof value === 'string') {
+      if (!schema.enum || schema.enum.includes(value)) return value;
+      const fixed = value.trim().toLowerCase().replace(/[\s-]+/g, '_');
+      if (schema.enum.includes(fixed)) {
+        warnings.push(`${path}: normalised "${value}" to "${fixed}"`);
+        return fixed;
+      }
+      return value;
+    }
+    if (typeof value === 'number' || typeof value === 'boolean') {
+      warnings.push(`${path}: converted ${typeof value} to text`);
+      return String(value);
+    }
+    if (Array.isArray(value) && value.every(v => typeof v === 'string')) {
+      warnings.push(`${path}: joined a list into text`);
+      return value.join('; ');
+    }
+    return value;
+  }
+
+  if (schema.type === 'array') {
+    let list = value;
+    if (typeof value === 'string') {
+      list = value.split(/\n|;|•/).map(s => s.replace(/^\s*[-*\d.)]+\s*/, '').trim()).filter(Boolean);
+      warnings.push(`${path}: split text into a list of ${list.length}`);
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      list = Object.values(value);
+      warnings.push(`${path}: converted an object into a list`);
+    }
+    if (!Array.isArray(list)) return value;
+    return list
+      .map((item, i) => coerce(item, schema.items, pathOf(path, i), warnings))
+      .filter((item, i) => {
+        if (item !== undefined) return true;
+        warnings.push(`${pathOf(path, i)}: dropped an empty item`);
+        return false;
+      });
+  }
+
+  if (schema.type === 'object') {
+    let obj = value;
+    if (typeof value === 'string' && schema.properties.text) {
+      obj = { text: value };
+      warnings.push(`${path}: wrapped plain text as an item`);
+    }
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return value;
+
+    const out = {};
+    for (const [rawKey, v] of Object.entries(obj)) {
+      let key = rawKey;
+      if (!schema.properties[key] && schema.properties[FIELD_ALIASES[key]] && !(FIELD_ALIASES[key] in obj)) {
+        key = FIELD_ALIASES[key];
+        warnings.push(`${pathOf(path, rawKey)}: renamed to "${key}"`);
+      }
+      if (!schema.properties[key]) {
+        warnings.push(`${pathOf(path, rawKey)}: dropped unknown field`);
+        continue;
+      }
+      // "500 micrograms" in a dose whose unit is "mg" is 1000 times off: drop it, don't guess
+      const written = schema.properties.unit && schema.properties[key].type === 'number' && typeof v === 'string' && v.match(NUMBER_WITH_UNIT_RE);
+      if (written && written[2] && typeof obj.unit === 'string' && unitKey(written[2]) !== unitKey(obj.unit)) {
+        warnings.push(`${pathOf(path, key)}: dropped "${v}", which is not in ${obj.unit}`);
+        continue;
+      }
+      const c = coerce(v, schema.properties[key], pathOf(path, key), warnings);
+      if (c !== undefined) out[key] = c;
+    }
+    if (schema.properties.kind && out.kind === undefined) {
+      out.kind = Array.isArray(out.branches) && out.branches.length ? 'question' : 'action';
+      warnings.push(`${pathOf(path, 'kind')}: missing, taken as "${out.kind}"`);
+    }
+    if (schema.properties.cite && out.cite === undefined) {
+      out.cite = [];
+      warnings.push(`${pathOf(path, 'cite')}: missing, treated as uncited`);
+    }
+    return out;
+  }
+
+  return value;
+}
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validators = new Map();
+
+function validatorFor(include) {
+  const key = Object.keys(SECTIONS).filter(k => include[k]).join('+');
+  if (!validators.has(key)) validators.set(key, ajv.compile(buildAnswerSchema(include)));
+  return validators.get(key);
+}
+
+const toPath = instancePath =>
+  instancePath.split('/').filter(Boolean).reduce((p, seg) => pathOf(p, /^\d+$/.test(seg) ? Number(seg) : seg), '');
+
+function describeError(err) {
+  const at = toPath(err.instancePath) || 'answer';
+  if (err.keyword === 'required') return `${pathOf(toPath(err.instancePath), err.params.missingProperty)} is required`;
+  if (err.keyword === 'type') return `${at} must be ${err.params.type}`;
+  if (err.keyword === 'enum') return `${at} must be one of ${err.params.allowedValues.join(', ')}`;
+  return `${at} ${err.message}`;
+}
+
+// -> { value, warnings, errors }; errors are human-readable and suitable for a repair prompt
+function checkAnswer(data, include) {
+  const warnings = [];
+  const value = coerce(data, buildAnswerSchema(include), '', warnings) || {};
+  const validate = validatorFor(include);
+  // an `if` error only repeats the then/else errors beside it
+  const errors = validate(value) ? [] : validate.errors.filter(e => e.keyword !== 'if').map(describeError);
+  return { value, warnings, errors: [...new Set(errors)] };
+}
+
+// Last resort once repairs are used up: remove whatever still fails validation (the
+// parent object for a missing required field) so the rest of the answer survives.
+// Sections themselves are never removed; what is still missing is reported instead.
+function pruneInvalid(value, include) {
+  const validate = validatorFor(include);
+  const dropped = [];
+  for (let pass = 0; pass < 10 && !validate(value); pass++) {
+    const targets = new Set(validate.errors.map(e => e.instancePath).filter(p => p.split('/').length > 2));
+    if (!targets.size) break;
+    // deepest first, and array items from the end, so earlier indices stay valid
+    const ordered = [...targets].sort((a, b) => b.split('/').length - a.split('/').length || b.localeCompare(a, undefined, { numeric: true }));
+    for (const target of ordered) {
+      const segs = target.split('/').filter(Boolean);
+      const key = segs.pop();
+      const parent = segs.reduce((node, seg) => (node == null ? node : node[seg]), value);
+      if (parent == null || !(key in parent)) continue;
+      if (Array.isArray(parent)) parent.splice(Number(key), 1);
+      else delete parent[key];
+      dropped.push(`${toPath(target)}: dropped, still invalid after repair`);
+    }
+  }
+  if (!validate(value)) dropped.push(...new Set(validate.errors.filter(e => e.keyword !== 'if').map(describeError)));
+  return { value, warnings: dropped };
+}
+
+module.exports = { buildAnswerSchema, describeSchema, checkAnswer, pruneInvalid, SECTIONS };
@@ -0,0 +1,161 @@
+// lib/answerStore.js — completed /api/guidelines answers, one JSON file per answer under
+// <dir>/<id>.json, so each has a stable permalink (/q/:id). Ids are random and
+// unguessable; a summary of every answer is kept in memory for the history list. Beyond
+// `max` answers per user the user's oldest are deleted, but never a pinned one or one
+// shared or opened in the last `keepDays` days: a permalink a colleague was sent keeps
+// working however many questions its owner asks. An answer is private to the user who
+// asked until they share it (shared_at, set when they copy its link).
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ID_RE = /^[A-Za-z0-9_-]{12}$/;
+const newId = () => crypto.randomBytes(9).toString('base64url');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What the history list needs, without the answer itself
+function summarise(record) {
+  const guideline = record.result && record.result.local && record.result.local.guideline;
+  return {
+    id: record.id,
+    created_at: record.created_at,
+    ...(record.user ? { user: record.user } : {}),
+    prompt: record.prompt,
+    include: record.include,
+    audience: record.audience,
+    ...(record.site ? { site: record.site } : {}),
+    patient_group: record.result && record.result.audience ? record.result.audience.group : null,
+    model: record.model,
+    guideline: guideline && guideline.applicability !== 'none' ? guideline.title : null,
+    pinned: record.pinned,
+    shared_at: record.shared_at || null,
+    ...(record.opened_at ? { opened_at: record.opened_at } : {}),
+    ...(record.rerun_of ? { rerun_of: record.rerun_of } : {})
+  };
+}
+
+function createAnswerStore({ dir, max = 500, keepDays = 30 }) {
+  const fileFor = id => path.join(dir, `${id}.json`);
+  let index = null;
+
+  async function load() {
+    if (index) return index;
+    index = new Map();
+    let names = [];
+    try { names = await fs.promises.readdir(dir); } catch {}
+    for (const name of names) {
+      const id = name.replace(/\.json$/, '');
+      if (!ID_RE.test(id)) continue;
+      try {
+        index.set(id, summarise(JSON.parse(await fs.promises.readFile(fileFor(id), 'utf8'))));
+      } catch (err) {
+        console.error(`Skipping unreadable saved answer ${name}:`, err.message);
+      }
+    }
+    return index;
+  }
+
+  async function write(record) {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const tmp = `${fileFor(record.id)}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(record));
+    await fs.promises.rename(tmp, fileFor(record.id));
+    (await load()).set(record.id, summarise(record));
+  }
+
+  // Keeps `user`'s answers (all answers saved without sign-in count as one user's) to `max`;
+  // `saved`, the answer just saved, is never the one to go
+  async function trim(user, saved) {
+    const since = new Date(Date.now() - keepDays * DAY_MS).toISOString();
+    const recent = s => (s.shared_at && s.shared_at >= since) || (s.opened_at && s.opened_at >= since);
+    const own = [...(await load()).values()].filter(s => (s.user || null) === (user || null));
+    const evictable = own.filter(s => s.id !== saved && !s.pinned && !recent(s)).sort((a, b) => a.created_at.localeCompare(b.created_at));
+    for (const s of evictable.slice(0, Math.max(0, own.length - max))) await remove(s.id);
+  }
+
+  // -> the saved record; fields are stored as given. user: who asked (the signed-in name)
+  async function save({ user, prompt, include, audience, site, literature, model, rerunOf, result }) {
+    const record = {
+      id: newId(),
+      created_at: new Date().toISOString(),
+      ...(user ? { user } : {}),
+      prompt,
+      include,
+      audience,
+      ...(site ? { site } : {}),
+      literature,
+      model: model || null,
+      pinned: false,
+      shared_at: null,
+      ...(rerunOf ? { rerun_of: rerunOf } : {}),
+      result
+    };
+    await write(record);
+    await trim(user, record.id);
+    return record;
+  }
+
+  // Newest first, pinned answers before the rest. user: only that user's answers
+  async function list({ limit = 100, query = '', user } = {}) {
+    const q = query.trim().toLowerCase();
+    return [...(await load()).values()]
+      .filter(s => !user || s.user === user)
+      .filter(s => !q || s.prompt.toLowerCase().includes(q) || (s.guideline || '').toLowerCase().includes(q))
+      .sort((a, b) => (b.pinned - a.pinned) || b.created_at.localeCompare(a.created_at))
+      .slice(0, limit);
+  }
+
+  // -> the full record, or null
+  async function get(id) {
+    if (!ID_RE.test(id)) return null;
+    try {
+      return JSON.parse(await fs.promises.readFile(fileFor(id), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async function setPinned(id, pinned) {
+    const record = await get(id);
+    if (!record) return null;
+    record.pinned = pinned;
+    await write(record);
+    return summarise(record);
+  }
+
+  // shared: true marks the answer shared now (again, if it already was), false makes it private
+  async function setShared(id, shared) {
+    const record = await get(id);
+    if (!record) return null;
+    record.shared_at = shared ? new Date().toISOString() : null;
+    await write(record);
+    return summarise(record);
+  }
+
+  // Called when an answer is opened, so a link in use is not trimmed; written at most daily
+  async function markOpened(id) {
+    const summary = (await load()).get(id);
+    if (!summary || (summary.opened_at && Date.now() - Date.parse(summary.opened_at) < DAY_MS)) return;
+    const record = await get(id);
+    if (!record) return;
+    record.opened_at = new Date().toISOString();
+    await write(record);
+  }
+
+  async function remove(id) {
+    if (!ID_RE.test(id)) return false;
+    (await load()).delete(id);
+    try {
+      await fs.promises.unlink(fileFor(id));
+      return true;
+    } catch (err) {
+      if (err.code === 'ENOENT') return false;
+      throw err;
+    }
+  }
+
+  return { save, list, get, setPinned, setShared, markOpened, remove, isId: id => ID_RE.test(id) };
+}
+
+module.exports = { createAnswerStore };
@@ -0,0 +1,156 @@
+// lib/audience.js — which patient population a query or document title is about
+const AUDIENCES = ['neonatal', 'paediatric', 'adult', 'older_adult', 'pregnancy'];
+
+const AUDIENCE_LABELS = {
+  neonatal: 'Neonate (under 28 days)',
+  paediatric: 'Child (under 16)',
+  adult: 'Adult',
+  older_adult: 'Older adult (65+)',
+  pregnancy: 'Pregnancy'
+};
+
+// For sentences: "written for children"
+const AUDIENCE_NOUNS = {
+  neonatal: 'neonates',
+  paediatric: 'children',
+  adult: 'adults',
+  older_adult: 'older adults',
+  pregnancy: 'pregnant patients'
+};
+
+// Documents written for these groups are treated as a match for the key group
+const COMPATIBLE = {
+  neonatal: ['neonatal', 'paediatric'],
+  paediatric: ['paediatric'],
+  adult: ['adult', 'older_adult'],
+  older_adult: ['older_adult', 'adult'],
+  pregnancy: ['pregnancy']
+};
+
+const NEONATAL_AGE_DAYS = 28;
+const PAEDIATRIC_AGE_YEARS = 16;
+const OLDER_ADULT_AGE_YEARS = 65;
+
+const KEYWORDS = [
+  ['pregnancy', /\b(pregnan\w*|antenatal|obstetric\w*|maternal|gravid\w*|post[-\s]?partum|post[-\s]?natal|puerper\w*)\b/],
+  ['neonatal', /\b(neonat\w*|newborns?)\b/],
+  ['paediatric', /\b(paediatric\w*|pediatric\w*|paeds|child|children'?s?|childhood|infants?|bab(y|ies)|toddlers?|kids?)\b/],
+  ['older_adult', /\b(elderly|frail\w*|geriatric\w*|older (adults?|people|persons?|patients?))\b/]
+];
+
+const DAYS = { d: 1, w: 7, m: 30.44, y: 365.25 };
+const UNIT = '(years?|yrs?|yr|y|months?|mths?|mo|m|weeks?|wks?|wk|w|days?|d)';
+const unitOf = u => (u.startsWith('mo') || u.startsWith('mth') || u === 'm' ? 'm' : u[0]);
+const UNIT_NAMES = { d: 'day', w: 'week', m: 'month', y: 'year' };
+const BABY = '(?:baby|infant|neonate|newborn|child|toddler|boy|girl)';
+// "N <unit> old". In days, weeks or months it is the patient's age ("10 day old jaundice",
+// "6 week old vomiting") unless it is next to something else that can be that old: a wound,
+// rash or cough ("3 week old wound", "rash 3 days old")
+const AGE_OLD_RE = new RegExp(`\\b(\\d{1,3}(?:\\.\\d+)?)\\s*-?\\s*${UNIT}\\s*-?\\s*(old\\b|o\\b|/o\\b)`, 'g');
+const NOT_PATIENT = '(?:wounds?|rash(?:es)?|ulcers?|ulceration|burns?|scalds?|lesions?|bruis\\w*|lacerations?|cuts?|injur(?:y|ies)|fractures?|bites?|scars?|sores?|swellings?|lumps?|abscess(?:es)?|blisters?|haematomas?|hematomas?|grafts?|stomas?|casts?|dressings?|catheters?|cannula[es]?|lines?|history|cough|symptoms?|episodes?|problems?)';
+// "3 week old surgical wound", but not "9 month old with cough" or "6 week old baby, rash"
+const PERSON = '(?:baby|infant|neonate|newborn|child|kid|toddler|boy|girl|man|woman|male|female|m|f|person|patient|pt|with|and|who|has|had|presents?|presenting|in|on)';
+const DURATION_AFTER_RE = new RegExp(`^\\s*(?:(?!${PERSON}\\b)[a-z]+\\s+)?${NOT_PATIENT}\\b`);
+const DURATION_BEFORE_RE = new RegExp(`\\b${NOT_PATIENT}\\s+(?:(?:is|was|that'?s|now)\\s+)?$`);
+const AGED_RE = new RegExp(`\\baged?\\s*(\\d{1,3}(?:\\.\\d+)?)\\s*${UNIT}?\\b`);
+
+// Stated age, gestation and weight: "3 year old", "78yo", "baby 6 weeks", "aged 80",
+// "32/40", "28+3 weeks pregnant", "14kg". "ex-28/40" (a preterm baby's birth gestation)
+// is not read as a current pregnancy. -> { ageDays, age, gestationWeeks, weightKg }
+function parsePatient(text = '') {
+  const s = text.toLowerCase();
+  const out = {};
+  const setAge = (n, u) => {
+    const value = Number(n);
+    if (!(value >= 0) || value * DAYS[u] > 120 * DAYS.y) return;
+    out.ageDays = Math.round(value * DAYS[u]);
+    out.age = `${value} ${UNIT_NAMES[u]}${value === 1 ? '' : 's'}`;
+  };
+
+  // "3 weeks old wound" is a duration, not an age; of several ages, one stated in years
+  // wins ("ulcer 3 weeks old, 70 year old")
+  const isPatientAge = m => m[3] !== 'old' || unitOf(m[2]) === 'y' ||
+    !(DURATION_AFTER_RE.test(s.slice(m.index + m[0].length)) || DURATION_BEFORE_RE.test(s.slice(0, m.index)));
+  const stated = [...[...s.matchAll(AGE_OLD_RE)].filter(isPatientAge), s.match(AGED_RE)].filter(Boolean);
+  const age =
+    stated.find(m => !m[2] || unitOf(m[2]) === 'y') || stated[0] ||
+    s.match(new RegExp(`\\b${BABY}\\s*(?:of\\s*|aged?\\s*)?(\\d{1,2})\\s*${UNIT}\\b`)) ||
+    s.match(new RegExp(`\\b(\\d{1,2})\\s*-?\\s*${UNIT}\\s*-?\\s*${BABY}\\b`));
+  if (age) setAge(age[1], age[2] ? unitOf(age[2]) : 'y');
+  if (!age) {
+    // "78M", "4F" shorthand; case-sensitive so "5m" (months, metres) is not read as male
+    const short = text.match(/\b(\d{1,3})\s?[MF]\b/);
+    if (short) setAge(short[1], 'y');
+  }
+
+  const gestation =
+    s.match(/(\bex[-\s]?|born at\s*)?\b(\d{1,2})(?:\+(\d))?\s*\/\s*40\b/) ||
+    s.match(/(\bex[-\s]?|born at\s*)?\b(\d{1,2})(?:\+(\d))?\s*(?:weeks?|wks?|w)\s*(?:pregnant|gestation\w*|of pregnancy)\b/) ||
+    s.match(/(\bex[-\s]?)?\bpregnan\w*[^.\d]{0,20}?\b(\d{1,2})(?:\+(\d))?\s*(?:weeks?|wks?)\b/);
+  if (gestation && !gestation[1]) {
+    const weeks = Number(gestation[2]) + (gestation[3] ? Number(gestation[3]) / 7 : 0);
+    if (weeks >= 4 && weeks <= 44) out.gestationWeeks = Math.round(weeks * 10) / 10;
+  }
+
+  const weight = s.match(/\b(\d{1,3}(?:\.\d+)?)\s*(?:kg|kgs|kilos?|kilograms?)\b/);
+  if (weight && Number(weight[1]) > 0) out.weightKg = Number(weight[1]);
+
+  return out;
+}
+
+const keywordAudience = s => (KEYWORDS.find(([, re]) => re.test(s)) || [null])[0];
+
+function audienceForAge(days) {
+  if (days < NEONATAL_AGE_DAYS) return 'neonatal';
+  if (days < PAEDIATRIC_AGE_YEARS * DAYS.y) return 'paediatric';
+  if (days >= OLDER_ADULT_AGE_YEARS * DAYS.y) return 'older_adult';
+  return 'adult';
+}
+
+// Population for a free-text query: a stated gestation or pregnancy wording wins, then a
+// stated age, then population words, then weight alone. -> { audience, source, ...parsed }
+// where source is 'stated' (age/gestation/weight), 'keywords' or 'default'.
+function classifyQuery(text = '') {
+  const patient = parsePatient(text);
+  const keyword = keywordAudience(text.toLowerCase());
+  const adultAge = patient.ageDays === undefined || patient.ageDays >= 10 * DAYS.y;
+
+  if (patient.gestationWeeks !== undefined && adultAge) return { audience: 'pregnancy', source: 'stated', ...patient };
+  if (keyword === 'pregnancy' && adultAge) return { audience: 'pregnancy', source: 'keywords', ...patient };
+  if (patient.ageDays !== undefined) return { audience: audienceForAge(patient.ageDays), source: 'stated', ...patient };
+  if (keyword) return { audience: keyword, source: 'keywords', ...patient };
+  if (patient.weightKg !== undefined && patient.weightKg < 40) {
+    return { audience: patient.weightKg <= 5 ? 'neonatal' : 'paediatric', source: 'stated', ...patient };
+  }
+  return { audience: 'adult', source: 'default', ...patient };
+}
+
+// An explicit choice (from the search form or API) overrides what the text suggests, but
+// stated age, gestation and weight are still passed on to the model.
+function resolveAudience(text, selected) {
+  const detected = classifyQuery(text);
+  if (selected && selected !== 'auto') return { ...detected, audience: selected, source: 'selected' };
+  return detected;
+}
+
+// For document titles: population words only; a neonatal document that also mentions
+// children counts as paediatric
+function detectAudience(text = '') {
+  const s = text.toLowerCase();
+  const keyword = keywordAudience(s);
+  if (keyword === 'neonatal' && /\b(child|children|young people)\b/.test(s)) return 'paediatric';
+  return keyword || 'adult';
+}
+
+const isCompatible = (queryAudience, docAudience) => COMPATIBLE[queryAudience].includes(docAudience);
+
+module.exports = {
+  AUDIENCES,
+  AUDIENCE_LABELS,
+  AUDIENCE_NOUNS,
+  parsePatient,
+  classifyQuery,
+  resolveAudience,
+  detectAudience,
+  isCompatible
+};
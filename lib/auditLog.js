@@ -0,0 +1,37 @@
+// lib/auditLog.js — append-only JSON Lines log of changes, one object per line
+const fs = require('fs');
+const path = require('path');
+
+function createAuditLog(file) {
+  // Synchronous so entries land in the order the changes were made
+  function append(entry) {
+    const record = { at: new Date().toISOString(), ...entry };
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, JSON.stringify(record) + '\n');
+    return record;
+  }
+
+  // Newest first; match(record) narrows the result before `limit` applies
+  async function read({ limit = 200, match = () => true } = {}) {
+    let text = '';
+    try {
+      text = await fs.promises.readFile(file, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    const out = [];
+    const lines = text.split('\n');
+    for (let i = lines.length - 1; i >= 0 && out.length < limit; i--) {
+      if (!lines[i].trim()) continue;
+      let record;
+      try { record = JSON.parse(lines[i]); } catch { continue; }
+      if (match(record)) out.push(record);
+    }
+    return out;
+  }
+
+  return { append, read, file };
+}
+
+module.exports = { createAuditLog };
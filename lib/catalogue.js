@@ -0,0 +1,233 @@
+// lib/catalogue.js — one metadata entry per guideline PDF, parsed from the filename and
+// merged with the optional sidecar manifest (catalogue.json in the library's folder).
+// Version, publication and review-by dates are read from the document's text
+// (lib/documentDates.js); the manifest overrides them where the text is wrong or silent.
+// searchCatalogue and facets serve GET /api/catalogue's browsing and type-ahead.
+const fs = require('fs');
+const JSON5 = require('json5');
+const { detectAudience } = require('./audience');
+const { isIsoDate } = require('./documentDates');
+
+const DATE_FIELDS = ['published', 'review_by'];
+
+const DOC_TYPES = ['guideline', 'pathway', 'proforma', 'patient_leaflet', 'record_sheet'];
+// Never offered to the model or picked as the local guideline
+const NON_CLINICAL_TYPES = new Set(['patient_leaflet', 'record_sheet']);
+
+const TYPE_RULES = [
+  ['patient_leaflet', /\b(advice sheet|patient leaflet|patient information|leaflet)\b/i],
+  ['record_sheet', /\brecord( sheet)?\b/i],
+  ['proforma', /\bproforma\b/i],
+  ['pathway', /\b(pathway|algorithm|flow ?chart|bundle|protocol)\b/i]
+];
+
+// First match wins, so population-specific specialties come before organ systems
+const SPECIALTY_RULES = [
+  ['Paediatrics', /\b(paediatrics?|children'?s?|childhood|infants?|neonatal|newborn)\b/i],
+  ['Obstetrics & Gynaecology', /\b(pregnan\w*|obstetric\w*|gravidarum|gynaecolog\w*|pelvic inflammatory)\b/i],
+  ['Dermatology', /\b(dermatitis|psoriasis|urticaria|erythroderma|blistering|eruptions?|stevens-johnson|cutaneous|cellulitis|rash)\b/i],
+  ['Cardiology', /\b(acs|stemi|pci|chest pain|atrial fibrillation|heart ?failure|hypertension|myocarditis|pericarditis|cardiology)\b/i],
+  ['Vascular', /\b(aort\w*)\b/i],
+  ['Haematology', /\b(transfusion|anticoagula\w*|doac|warfarin|dabigatran|octaplex|sickle|anaemia|vte|dvt|neutropenia|porphyria)\b/i],
+  ['Respiratory', /\b(asthma|copd|pneumonia|pleural|niv|non-invasive ventilation|oxygen|chest drain|cystic fibrosis|pulmonary embolism|pe)\b/i],
+  ['Endocrinology & Diabetes', /\b(dka|diabet\w*|hypoglyc\w*|adrenal|electrolyte|hyperkalaemia|hyponatraemia)\b/i],
+  ['Neurology', /\b(tia|headache|seizure|epilepsy|epilepticus|palsy|papilloedema|neurology|brain|delirium|mscc)\b/i],
+  ['Trauma & Orthopaedics', /\b(fractures?|trauma|injur\w*|rotator cuff|tendonitis|back pain|spinal|fascia iliaca|fall)\b/i],
+  ['Urology', /\b(renal colic|urinary|urinalysis|stone|testicular|ketamine|cystitis)\b/i],
+  ['Gastroenterology', /\b(gi bleed\w*|colitis|liver|gastroscopy|peg|gastrostomy|jaundice)\b/i],
+  ['General Surgery', /\b(abdom\w*|appendicitis|hernia|haemorrhoids|anorectal|breast abscess|perforation|rif|ruq|lif)\b/i],
+  ['Toxicology', /\b(overdose|poisoning|toxicity|withdrawal|button battery|nitrous oxide)\b/i],
+  ['ENT', /\b(otitis|nasal|dental)\b/i],
+  ['Mental Health & Capacity', /\b(capacity|tranquili[sz]ation)\b/i]
+];
+
+const norm = s =>
+  (s || '').toLowerCase().replace(/[\s_-]+/g, '').replace(/[^a-z0-9]/g, '');
+
+// "Title - (Alias A : Alias B)_guidelines_ocr.pdf" -> { title: 'Title', aliases: ['Alias A', 'Alias B'] }
+function parseFileName(file) {
+  const base = file.replace(/_ocr\.pdf$/i, '').trim();
+  const m = base.match(/^(.*?)\s+-\s+\((.*)\)[^()]*$/);
+  const aliases = m ? m[2].split(':').map(a => a.trim()).filter(Boolean) : [];
+  let title = (m ? m[1] : base).replace(/_/g, ' ').replace(/\s+/g, ' ').trim();
+  if (/^[a-z]/.test(title)) title = title[0].toUpperCase() + title.slice(1);
+  return { title, aliases };
+}
+
+const inferType = text => (TYPE_RULES.find(([, re]) => re.test(text)) || ['guideline'])[0];
+const inferSpecialty = text => (SPECIALTY_RULES.find(([, re]) => re.test(text)) || ['General Medicine'])[0];
+
+// detected: { version, published, review_by } as read from the document's text
+function buildEntry(file, meta = {}, { linkBase = '/local/', library, detected = {} } = {}) {
+  const parsed = parseFileName(file);
+  const title = meta.title || parsed.title;
+  const seen = new Set([norm(title)]);
+  const aliases = [...(meta.aliases || []), ...parsed.aliases, parsed.title].filter(a => {
+    const n = norm(a);
+    if (!n || seen.has(n)) return false;
+    seen.add(n);
+    return true;
+  });
+  const text = [title, ...aliases].join(' ');
+  if (meta.type && !DOC_TYPES.includes(meta.type)) {
+    console.warn(`catalogue: unknown type "${meta.type}" for ${file}`);
+  }
+  const type = DOC_TYPES.includes(meta.type) ? meta.type : inferType(text);
+  for (const field of DATE_FIELDS) {
+    if (meta[field] && !isIsoDate(meta[field])) {
+      console.warn(`catalogue: ${field} "${meta[field]}" for ${file} is not YYYY, YYYY-MM or YYYY-MM-DD`);
+    }
+  }
+  const date = field => (isIsoDate(meta[field]) ? meta[field] : detected[field] || null);
+  return {
+    file,
+    title,
+    aliases,
+    specialty: meta.specialty || inferSpecialty(text),
+    audience: meta.audience || detectAudience(text),
+    owner: meta.owner || '',
+    type,
+    clinical: !NON_CLINICAL_TYPES.has(type),
+    link: `${linkBase}${encodeURIComponent(file)}`,
+    version: meta.version ? String(meta.version) : detected.version || null,
+    published: date('published'),
+    review_by: date('review_by'),
+    detected_dates: {
+      version: detected.version || null,
+      published: detected.published || null,
+      review_by: detected.review_by || null
+    },
+    ...(library ? { library } : {})
+  };
+}
+
+function readManifest(manifestFile) {
+  if (!manifestFile || !fs.existsSync(manifestFile)) return {};
+  try {
+    return JSON5.parse(fs.readFileSync(manifestFile, 'utf8')).documents || {};
+  } catch (err) {
+    console.error(`catalogue: could not read ${manifestFile}:`, err.message);
+    return {};
+  }
+}
+
+// linkBase: where the server serves this folder's PDFs; library: { id, title, kind } of the
+// library the folder belongs to, copied onto every entry (see lib/librarySet.js)
+function createCatalogue({ manifestFile, linkBase, library } = {}) {
+  let entries = new Map();
+
+  // Rebuilds every entry for the given filenames; the manifest is re-read each time.
+  // detected: { [file]: { version, published, review_by } } read from each document
+  function load(files, detected = {}) {
+    const manifest = readManifest(manifestFile);
+    for (const file of Object.keys(manifest)) {
+      if (!files.includes(file)) console.warn(`catalogue: manifest entry for missing file ${file}`);
+    }
+    entries = new Map(files.map(f => [f, buildEntry(f, manifest[f], { linkBase, library, detected: detected[f] })]));
+  }
+
+  const get = file => entries.get(file) || null;
+  const list = () => [...entries.values()];
+
+  function findByTitle(title) {
+    const n = norm(title);
+    if (!n) return null;
+    return list().find(e => norm(e.title) === n) ||
+      list().find(e => e.aliases.some(a => norm(a) === n)) ||
+      null;
+  }
+
+  return { load, get, list, findByTitle };
+}
+
+const CATALOGUE_SORTS = ['relevance', 'title', 'specialty', 'published', 'review_by'];
+
+const words = s => (s || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+// Shorthand clinicians type for words titles spell out
+const SHORT_FORMS = { paeds: 'paediatric', peds: 'paediatric', obs: 'obstetric', gynae: 'gynaecolog', ortho: 'orthopaed' };
+const wordMatches = (w, nameWords) => nameWords.some(x => x.startsWith(w) || (SHORT_FORMS[w] && x.startsWith(SHORT_FORMS[w])));
+
+// How well one name (a title or an alias) matches the search: all of it, its start, the
+// start of every word searched for, or (for four letters or more) anywhere in it; 0 when
+// it doesn't
+function nameScore(name, q, qWords) {
+  const n = norm(name);
+  if (n === q) return 4;
+  if (n.startsWith(q)) return 3;
+  const nameWords = words(name);
+  if (qWords.every(w => wordMatches(w, nameWords))) return 2;
+  return q.length >= 4 && n.includes(q) ? 1 : 0;
+}
+
+// -> { score, alias } for an entry: the title counts before an alias matching as well, and
+// an entry with every word searched for somewhere in its names, file and specialty
+// ("paeds status") still matches, last
+function matchEntry(entry, text) {
+  const q = norm(text);
+  const qWords = words(text);
+  const title = nameScore(entry.title, q, qWords);
+  let alias = null;
+  let aliasScore = 0;
+  for (const a of entry.aliases) {
+    const score = nameScore(a, q, qWords);
+    if (score > aliasScore) [alias, aliasScore] = [a, score];
+  }
+  if (title && title >= aliasScore) return { score: title * 2 + 1 };
+  if (aliasScore) return { score: aliasScore * 2, alias };
+  const rest = words([entry.title, entry.file, entry.specialty, ...entry.aliases].join(' '));
+  return { score: qWords.length && qWords.every(w => wordMatches(w, rest)) ? 0.5 : 0 };
+}
+
+// Newest first, undated last; a review date is soonest first
+const byDate = (field, dir) => (a, b) =>
+  (!a[field]) - (!b[field]) || dir * String(a[field] || '').localeCompare(String(b[field] || ''));
+const SORTERS = {
+  title: (a, b) => a.title.localeCompare(b.title),
+  specialty: (a, b) => a.specialty.localeCompare(b.specialty) || a.title.localeCompare(b.title),
+  published: byDate('published', -1),
+  review_by: byDate('review_by', 1)
+};
+
+// Document counts per specialty, audience and type, most common first
+function facets(entries) {
+  const count = field => {
+    const counts = new Map();
+    for (const e of entries) counts.set(e[field], (counts.get(e[field]) || 0) + 1);
+    return [...counts].map(([value, n]) => ({ value, count: n }))
+      .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+  };
+  return { specialty: count('specialty'), audience: count('audience'), type: count('type') };
+}
+
+// Search, filter and sort catalogue entries without going near the model. q matches titles,
+// then aliases, then files and specialties; specialty (case-insensitive), audience and type
+// must be equal. sort: one of CATALOGUE_SORTS, relevance by default when searching and title
+// otherwise; ties keep title order. Entries matched through an alias carry matched_alias.
+function searchCatalogue(entries, { q = '', specialty, audience, type, sort } = {}) {
+  const searching = !!norm(q);
+  const chosen = sort || (searching ? 'relevance' : 'title');
+  const results = [];
+  for (const e of entries) {
+    if (specialty && e.specialty.toLowerCase() !== specialty.toLowerCase()) continue;
+    if (audience && e.audience !== audience) continue;
+    if (type && e.type !== type) continue;
+    const match = searching ? matchEntry(e, q) : { score: 0 };
+    if (searching && !match.score) continue;
+    results.push({ entry: match.alias ? { ...e, matched_alias: match.alias } : e, score: match.score });
+  }
+  const sorter = SORTERS[chosen];
+  results.sort((a, b) => (sorter ? sorter(a.entry, b.entry) : b.score - a.score) || SORTERS.title(a.entry, b.entry));
+  return results.map(r => r.entry);
+}
+
+module.exports = {
+  createCatalogue,
+  parseFileName,
+  searchCatalogue,
+  facets,
+  CATALOGUE_SORTS,
+  DOC_TYPES,
+  NON_CLINICAL_TYPES,
+  norm
+};
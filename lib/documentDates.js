@@ -0,0 +1,110 @@
+// lib/documentDates.js — a guideline's version, publication date and review-by date, read
+// from its text: document control boxes and footers such as "Version 2 / May 2022",
+// "Date approved 11/05/2023" or "Review date: November 2026". Dates are ISO strings at the
+// precision the document gives them: "2023-05-11", "2026-11" or "2027".
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_SRC = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+// Day-first numeric dates, as UK documents write them; a bare year only straight after a label
+const DATE_FORMS = [
+  '\\d{4}-\\d{2}-\\d{2}\\b',
+  '\\d{1,2}[/.-]\\d{1,2}[/.-](?:\\d{4}|\\d{2})\\b',
+  `\\d{1,2}(?:st|nd|rd|th)?\\s+${MONTH_SRC},?\\s+\\d{4}\\b`,
+  `${MONTH_SRC},?\\s+\\d{4}\\b`,
+  '\\d{1,2}[/.-]\\d{4}\\b',
+  '(?:19|20)\\d{2}\\b'
+];
+const DATE_SRC = DATE_FORMS.join('|');
+const SEP = '\\s*[:\\-–—]?\\s*';
+
+const REVIEW_RE = new RegExp(
+  '\\b(?:(?:next\\s+)?rev(?:iew)?\\.?\\s*:?\\s*(?:(?:date|due|by|on)\\s*)*|date\\s+(?:of\\s+)?(?:next\\s+)?review|date\\s+due|expiry\\s+date|expires(?:\\s+on)?|valid\\s+(?:until|to))' +
+  `${SEP}(${DATE_SRC})`, 'gi');
+// "Approved DTG October 2022", "Approved by Drug & Therapeutics Group November 2023": the
+// approving body may come between
+const PUBLISHED_RE = new RegExp(
+  '\\b(?:date\\s+(?:of\\s+)?(?:approval|approved|publication|published|issue|issued|ratification|ratified)|(?:approval|publication|issue|ratification)\\s+date|(?:approved|ratified)(?:\\s+(?:by|at))?\\s+[^\\n.]{0,60}?|(?:published|issued)(?:\\s+(?:on|in))?|date\\s+implemented|implementation\\s+date|effective\\s+(?:from|date))' +
+  `${SEP}(${DATE_SRC})`, 'gi');
+const VERSION_SRC = '\\b(?:version|ver\\.)\\s*(?:no\\.?|number)?\\s*[:.]?\\s*(\\d{1,3}(?:\\.\\d{1,3}){0,2}[a-z]?)\\b';
+const VERSION_RE = new RegExp(VERSION_SRC, 'i');
+// "Version 2 / May 2022", "Version 10c, Nov 2024": a version line's date is when it was
+// issued, unless it is the review date ("Version 1.2, Review Date: June 2025")
+const VERSION_DATE_RE = new RegExp(`${VERSION_SRC}(?:(?!rev)[^\\n]){0,30}?(${DATE_FORMS.slice(0, -1).join('|')})`, 'gi');
+
+const pad = n => String(n).padStart(2, '0');
+
+// Manifest overrides are written the same way: YYYY, YYYY-MM or YYYY-MM-DD, a real date
+function isIsoDate(value) {
+  const m = String(value).match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/);
+  if (!m) return false;
+  const [y, mo = 1, d = 1] = m.slice(1).filter(Boolean).map(Number);
+  const date = new Date(Date.UTC(y, mo - 1, d));
+  return date.getUTCFullYear() === y && date.getUTCMonth() === mo - 1 && date.getUTCDate() === d;
+}
+
+const monthOf = name => MONTHS.indexOf(name.slice(0, 3)) + 1;
+
+// "11/05/2023" -> "2023-05-11", "Nov 2024" -> "2024-11", "2027" -> "2027"; null if it isn't
+// a real date between 1990 and 2100
+function parseDate(text) {
+  const s = String(text || '').trim().toLowerCase();
+  let m, iso = null;
+  if ((m = s.match(/^\d{4}(?:-\d{2}-\d{2})?$/))) iso = s;
+  else if ((m = s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})$/))) {
+    iso = `${m[3].length === 2 ? `20${m[3]}` : m[3]}-${pad(m[2])}-${pad(m[1])}`;
+  } else if ((m = s.match(/^(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]+)\.?,?\s+(\d{4})$/))) {
+    iso = monthOf(m[2]) ? `${m[3]}-${pad(monthOf(m[2]))}-${pad(m[1])}` : null;
+  } else if ((m = s.match(/^([a-z]+)\.?,?\s+(\d{4})$/))) {
+    iso = monthOf(m[1]) ? `${m[2]}-${pad(monthOf(m[1]))}` : null;
+  } else if ((m = s.match(/^(\d{1,2})[/.-](\d{4})$/))) {
+    iso = `${m[2]}-${pad(m[1])}`;
+  }
+  const year = iso && Number(iso.slice(0, 4));
+  return iso && year >= 1990 && year <= 2100 && isIsoDate(iso) ? iso : null;
+}
+
+// The first date a pattern finds, page by page (document control usually comes first)
+function firstDate(pages, re) {
+  for (const text of pages) {
+    for (const m of text.matchAll(re)) {
+      const date = parseDate(m[m.length - 1]);
+      if (date) return date;
+    }
+  }
+  return null;
+}
+
+// pages: the document's text, one string per page -> { version, published, review_by },
+// each null when the text doesn't say
+function extractDocumentDates(pages = []) {
+  let version = null;
+  for (const text of pages) {
+    const m = text.match(VERSION_RE);
+    if (m) { version = m[1]; break; }
+  }
+  return {
+    version,
+    published: firstDate(pages, PUBLISHED_RE) || firstDate(pages, VERSION_DATE_RE),
+    review_by: firstDate(pages, REVIEW_RE)
+  };
+}
+
+const REVIEW_STATUSES = ['overdue', 'due_soon', 'current', 'unknown'];
+
+// The last day a review date covers: "2026-11" runs to the end of November
+function endOf(date) {
+  const [y, m, d] = date.split('-').map(Number);
+  if (d) return new Date(Date.UTC(y, m - 1, d + 1) - 1);
+  if (m) return new Date(Date.UTC(y, m, 1) - 1);
+  return new Date(Date.UTC(y + 1, 0, 1) - 1);
+}
+
+// -> overdue (past its review date), due_soon (within soonDays), current, or unknown (no
+// review date found or given)
+function reviewStatus(reviewBy, { now = new Date(), soonDays = 90 } = {}) {
+  if (!reviewBy) return 'unknown';
+  const end = endOf(reviewBy);
+  if (end < now) return 'overdue';
+  return end - now <= soonDays * 24 * 3600 * 1000 ? 'due_soon' : 'current';
+}
+
+module.exports = { extractDocumentDates, parseDate, isIsoDate, reviewStatus, REVIEW_STATUSES };
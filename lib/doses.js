@@ -0,0 +1,54 @@
+// lib/doses.js — the dose calculator's arithmetic, shared by the page (frontend/doses.jsx)
+// and the tests: a guideline dose at the patient's weight and age, capped at its max_dose.
+// Also how dose units are written, for checking a dose against its source.
+
+// The spellings of each unit a guideline may use, first the one doses are named by
+const UNIT_SPELLINGS = [
+  ['mg', 'milligrams?'],
+  ['micrograms', 'micrograms?', 'mcg', 'µg', 'ug'],
+  ['g', 'grams?', 'gm'],
+  ['ml', 'mls', 'millilitres?', 'milliliters?'],
+  ['mmol', 'millimoles?'],
+  ['units', 'units?', 'iu']
+];
+const escapeRe = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "Micrograms/kg", "mcg" -> "micrograms"; a unit not listed ("puffs") is compared as
+// written, singular
+function unitKey(unit) {
+  const u = String(unit || '').trim().toLowerCase().replace(/\s*\/\s*kg$/, '');
+  const found = UNIT_SPELLINGS.find(([name, ...others]) => u === name || others.some(o => new RegExp(`^(?:${o})$`).test(u)));
+  return found ? found[0] : u.replace(/s$/, '');
+}
+
+// Regex source matching any spelling of `unit`; '' for no unit
+function unitPattern(unit) {
+  const key = unitKey(unit);
+  if (!key) return '';
+  const found = UNIT_SPELLINGS.find(([name]) => name === key);
+  return `(?:${found ? [escapeRe(found[0]), ...found.slice(1)].join('|') : `${escapeRe(key)}s?`})`;
+}
+
+const AGE_UNIT_YEARS = { day: 1 / 365.25, week: 7 / 365.25, month: 1 / 12, year: 1 };
+
+// audience.age is "6 weeks", "3 years" etc. (see lib/audience.js) -> years, or ''
+function ageInYears(age) {
+  const m = String(age || '').match(/^([\d.]+)\s+(day|week|month|year)s?$/);
+  return m ? String(Math.round(Number(m[1]) * AGE_UNIT_YEARS[m[2]] * 100) / 100) : '';
+}
+
+// -> { amount, capped, missing, outOfBand } for one dose at this weight and age (either may
+// be null). An age band includes min_age_years and stops short of max_age_years.
+function calculateDose(dose, weightKg, ageYears) {
+  const outOfBand = ageYears !== null && (
+    (typeof dose.min_age_years === 'number' && ageYears < dose.min_age_years) ||
+    (typeof dose.max_age_years === 'number' && ageYears >= dose.max_age_years)
+  );
+  if (typeof dose.dose_fixed === 'number') return { amount: dose.dose_fixed, capped: false, outOfBand };
+  if (weightKg === null) return { amount: null, missing: 'weight', outOfBand };
+  const raw = dose.dose_per_kg * weightKg;
+  const capped = typeof dose.max_dose === 'number' && raw > dose.max_dose;
+  return { amount: capped ? dose.max_dose : raw, capped, outOfBand };
+}
+
+module.exports = { ageInYears, calculateDose, unitKey, unitPattern };
@@ -0,0 +1,82 @@
+// lib/fixtures.js — recorded model replies and PubMed results, so an eval run can be
+// repeated without a model or network. A store is one JSON file of { hash: { key, value } }
+// (the key is kept for whoever reads the file). mode 'record' calls the real backend and
+// saves what it returns; 'replay' answers only from the file and fails on a miss.
+const fs = require('fs');
+const path = require('path');
+const { hashKey, normalisePrompt } = require('./responseCache');
+const { ProviderError } = require('./llm');
+
+function createFixtureStore(file) {
+  let entries = {};
+  try {
+    entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw new Error(`Could not read fixtures ${file}: ${err.message}`);
+  }
+  let dirty = false;
+
+  const get = key => (entries[hashKey(key)] || {}).value;
+  function set(key, value) {
+    entries[hashKey(key)] = { key, value };
+    dirty = true;
+  }
+  // Sorted by hash so re-recording the same answers leaves the file unchanged
+  function save() {
+    if (!dirty) return false;
+    const sorted = Object.fromEntries(Object.keys(entries).sort().map(k => [k, entries[k]]));
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(sorted, null, 2) + '\n');
+    dirty = false;
+    return true;
+  }
+
+  return { get, set, save, file, size: () => Object.keys(entries).length };
+}
+
+// Same shape as createProvider()'s result. Replies are keyed by question, sections, audience
+// and attempt number, not by prompt text, so a prompt change can still be replayed.
+function fixtureProvider(llm, store, mode) {
+  const keyFor = context => ({
+    query: normalisePrompt(context.query),
+    include: context.include,
+    audience: context.audience,
+    attempt: context.attempt
+  });
+
+  async function generate({ prompt, onToken, context = {}, signal }) {
+    const key = keyFor(context);
+    if (mode === 'replay') {
+      const reply = store.get(key);
+      if (!reply) throw new ProviderError(`No recorded model reply for "${context.query}" (attempt ${context.attempt})`);
+      if (onToken) onToken(reply.text);
+      return reply;
+    }
+    const reply = await llm.generate({ prompt, onToken, context, signal });
+    store.set(key, { text: reply.text, model: reply.model });
+    return reply;
+  }
+
+  return mode === 'replay'
+    ? { ...llm, name: 'fixtures', generate }
+    : { ...llm, generate };
+}
+
+// Same search() as createPubMedClient()'s result
+function fixturePubMed(pubmed, store, mode) {
+  async function search(query, { signal, ...options } = {}) {
+    const key = { query: normalisePrompt(query), ...options };
+    if (mode === 'replay') {
+      const papers = store.get(key);
+      if (!papers) throw new Error(`No recorded PubMed results for "${query}"`);
+      return papers;
+    }
+    const papers = await pubmed.search(query, { ...options, signal });
+    store.set(key, papers);
+    return papers;
+  }
+
+  return { search };
+}
+
+module.exports = { createFixtureStore, fixtureProvider, fixturePubMed };
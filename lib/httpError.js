@@ -0,0 +1,12 @@
+// lib/httpError.js — an error that already knows its HTTP status and a stable, machine-
+// readable code; API responses render it as { error: message, code }
+class HttpError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+module.exports = { HttpError };
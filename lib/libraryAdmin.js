@@ -0,0 +1,299 @@
+// lib/libraryAdmin.js — changes to the local guideline folder made through the admin API.
+// The current PDF always lives at <dir>/<file> (what /local/ serves); superseded and retired
+// copies are moved to <archiveDir>/<file>/<timestamp>[.retired].pdf and never deleted.
+// Titles, aliases, audience and corrections to the version and dates read from the text
+// are written to the catalogue manifest. Every change is recorded in the audit log.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const JSON5 = require('json5');
+const { AUDIENCES } = require('./audience');
+const { isIsoDate, reviewStatus, REVIEW_STATUSES } = require('./documentDates');
+
+class AdminError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AdminError';
+    this.status = status;
+  }
+}
+
+const isGuidelineFile = f => /_ocr\.pdf$/i.test(f);
+const sha1 = data => crypto.createHash('sha1').update(data).digest('hex');
+const stamp = () => new Date().toISOString().replace(/[:.]/g, '-');
+// Overrides of what lib/documentDates.js reads from the text; they describe one edition,
+// so replacing the PDF clears them
+const DATE_OVERRIDES = ['version', 'published', 'review_by'];
+const VERSION_RE = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z(\.retired)?$/;
+
+// "TIA guidance.pdf" -> "TIA guidance_ocr.pdf"; the library only indexes *_ocr.pdf
+function toFileName(name) {
+  const base = path.basename(String(name || ''))
+    .replace(/[\u0000-\u001f/\\]/g, '')
+    .replace(/\.pdf$/i, '')
+    .replace(/_ocr$/i, '')
+    .trim();
+  if (!base || base.startsWith('.')) throw new AdminError('Invalid file name');
+  return `${base}_ocr.pdf`;
+}
+
+function checkFile(file) {
+  if (!file || file !== path.basename(file) || file.startsWith('.') || !isGuidelineFile(file)) {
+    throw new AdminError('Invalid file name');
+  }
+}
+
+function checkPdf(buffer) {
+  if (!buffer || buffer.length < 5 || buffer.subarray(0, 5).toString('latin1') !== '%PDF-') {
+    throw new AdminError('Upload is not a PDF', 415);
+  }
+}
+
+// Only the fields the admin page edits; anything else in the manifest is left alone
+function cleanMeta(changes = {}) {
+  const meta = {};
+  if (changes.title !== undefined) {
+    if (typeof changes.title !== 'string' || !changes.title.trim()) throw new AdminError('title must be a non-empty string');
+    meta.title = changes.title.trim();
+  }
+  if (changes.aliases !== undefined) {
+    if (!Array.isArray(changes.aliases) || !changes.aliases.every(a => typeof a === 'string')) {
+      throw new AdminError('aliases must be a list of strings');
+    }
+    meta.aliases = [...new Set(changes.aliases.map(a => a.trim()).filter(Boolean))];
+  }
+  if (changes.audience !== undefined) {
+    if (!AUDIENCES.includes(changes.audience)) throw new AdminError(`audience must be one of ${AUDIENCES.join(', ')}`);
+    meta.audience = changes.audience;
+  }
+  // null or "" removes an override, so the catalogue goes back to what the text says
+  for (const field of DATE_OVERRIDES) {
+    const value = changes[field];
+    if (value === undefined) continue;
+    if (value === null || value === '') {
+      meta[field] = undefined;
+    } else if (field === 'version') {
+      if (typeof value !== 'string' || !value.trim() || value.length > 40) throw new AdminError('version must be a short string');
+      meta.version = value.trim();
+    } else {
+      if (!isIsoDate(value)) throw new AdminError(`${field} must be YYYY, YYYY-MM or YYYY-MM-DD`);
+      meta[field] = value;
+    }
+  }
+  return meta;
+}
+
+// The review report as a spreadsheet, for chasing owners
+const REVIEW_CSV_COLUMNS = [
+  ['review_status', d => d.review_status],
+  ['review_by', d => d.review_by],
+  ['title', d => d.title],
+  ['file', d => d.file],
+  ['owner', d => d.owner],
+  ['specialty', d => d.specialty],
+  ['type', d => d.type],
+  ['version', d => d.version],
+  ['published', d => d.published],
+  ['overridden', d => d.overridden.join(' ')],
+  ['library', d => d.library && d.library.id]
+];
+
+function createLibraryAdmin({ dir, archiveDir, manifestFile, library, audit }) {
+  let queue = Promise.resolve();
+  // One change at a time, so two uploads can't archive the same version twice
+  const serial = fn => {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const currentPath = file => path.join(dir, file);
+  const exists = p => fs.promises.access(p).then(() => true, () => false);
+
+  async function requireCurrent(file) {
+    checkFile(file);
+    if (!(await exists(currentPath(file)))) throw new AdminError(`No current document ${file}`, 404);
+  }
+
+  async function readManifest() {
+    try {
+      return JSON5.parse(await fs.promises.readFile(manifestFile, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return { documents: {} };
+      throw new AdminError(`Could not read the catalogue manifest: ${err.message}`, 500);
+    }
+  }
+
+  // Same layout as the hand-written file: two-space indent, string lists on one line
+  async function writeManifest(manifest) {
+    const text = JSON.stringify(manifest, null, 2)
+      .replace(/\[\n\s*("(?:[^"\\]|\\.)*"(?:,\n\s*"(?:[^"\\]|\\.)*")*)\n\s*\]/g, (m, items) => `[${items.split(/,\n\s*/).join(', ')}]`);
+    const tmp = `${manifestFile}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, text + '\n');
+    await fs.promises.rename(tmp, manifestFile);
+  }
+
+  // Writes via a temp file in the same folder so the watcher never indexes half a PDF
+  async function writeCurrent(file, buffer) {
+    const tmp = path.join(dir, `.${file}.${process.pid}.tmp`);
+    await fs.promises.writeFile(tmp, buffer);
+    await fs.promises.rename(tmp, currentPath(file));
+  }
+
+  async function archive(file, suffix = '') {
+    const folder = path.join(archiveDir, file);
+    await fs.promises.mkdir(folder, { recursive: true });
+    const version = `${stamp()}${suffix}`;
+    await fs.promises.copyFile(currentPath(file), path.join(folder, `${version}.pdf`));
+    return version;
+  }
+
+  async function updateMeta(file, meta) {
+    const manifest = await readManifest();
+    manifest.documents = manifest.documents || {};
+    const before = manifest.documents[file] || {};
+    const after = { ...before, ...meta };
+    for (const key of Object.keys(after)) if (after[key] === undefined) delete after[key];
+    manifest.documents[file] = after;
+    await writeManifest(manifest);
+    return { before, after };
+  }
+
+  async function refreshed(file) {
+    await library.refresh();
+    return library.catalogue.get(file);
+  }
+
+  // -> { documents: [catalogue entry + review_status, versions], retired: [{ file, retired_at, versions }] }
+  async function list() {
+    await library.ready;
+    const archived = new Map();
+    let folders = [];
+    try { folders = await fs.promises.readdir(archiveDir); } catch {}
+    for (const file of folders) {
+      if (isGuidelineFile(file)) archived.set(file, await versions(file, { includeCurrent: false }));
+    }
+    const documents = library.catalogue.list().map(e => ({ ...e, review_status: reviewStatus(e.review_by), versions: (archived.get(e.file) || []).length }));
+    const retired = [];
+    for (const [file, history] of archived) {
+      if (library.catalogue.get(file) || (await exists(currentPath(file)))) continue;
+      const last = history.find(v => v.reason === 'retired');
+      retired.push({ file, retired_at: last ? last.archived_at : null, versions: history.length });
+    }
+    return { documents, retired };
+  }
+
+  // Every current document by review status (overdue first, then due soon, current and
+  // unknown), the longest overdue first within each. overridden: the dates set in the
+  // manifest rather than read from the text.
+  // -> { generated_at, counts: { overdue, due_soon, current, unknown }, documents }
+  async function reviewReport({ now = new Date() } = {}) {
+    await library.ready;
+    const documents = library.catalogue.list().map(e => ({
+      file: e.file,
+      title: e.title,
+      owner: e.owner,
+      specialty: e.specialty,
+      type: e.type,
+      library: e.library,
+      version: e.version,
+      published: e.published,
+      review_by: e.review_by,
+      review_status: reviewStatus(e.review_by, { now }),
+      overridden: DATE_OVERRIDES.filter(f => e[f] !== e.detected_dates[f])
+    }));
+    const rank = d => REVIEW_STATUSES.indexOf(d.review_status);
+    documents.sort((a, b) => rank(a) - rank(b) || (a.review_by || '').localeCompare(b.review_by || '') || a.title.localeCompare(b.title));
+    const counts = Object.fromEntries(REVIEW_STATUSES.map(s => [s, documents.filter(d => d.review_status === s).length]));
+    return { generated_at: now.toISOString(), counts, documents };
+  }
+
+  // Newest first; the live file is listed as version "current"
+  async function versions(file, { includeCurrent = true } = {}) {
+    checkFile(file);
+    const out = [];
+    if (includeCurrent) {
+      try {
+        const stat = await fs.promises.stat(currentPath(file));
+        out.push({ version: 'current', reason: 'current', archived_at: null, modified_at: stat.mtime.toISOString(), size: stat.size });
+      } catch {}
+    }
+    let names = [];
+    try { names = await fs.promises.readdir(path.join(archiveDir, file)); } catch {}
+    const archived = [];
+    for (const name of names) {
+      const version = name.replace(/\.pdf$/, '');
+      if (!VERSION_RE.test(version)) continue;
+      const stat = await fs.promises.stat(path.join(archiveDir, file, name));
+      const iso = version.replace(/\.retired$/, '').replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z');
+      archived.push({ version, reason: version.endsWith('.retired') ? 'retired' : 'replaced', archived_at: iso, size: stat.size });
+    }
+    archived.sort((a, b) => b.version.localeCompare(a.version));
+    return [...out, ...archived];
+  }
+
+  async function versionPath(file, version) {
+    checkFile(file);
+    if (version === 'current') {
+      await requireCurrent(file);
+      return currentPath(file);
+    }
+    if (!VERSION_RE.test(version)) throw new AdminError('Invalid version');
+    const p = path.join(archiveDir, file, `${version}.pdf`);
+    if (!(await exists(p))) throw new AdminError(`No version ${version} of ${file}`, 404);
+    return p;
+  }
+
+  const upload = (name, buffer, { actor, ...changes } = {}) => serial(async () => {
+    const file = toFileName(name);
+    const meta = cleanMeta(changes);
+    checkPdf(buffer);
+    if (await exists(currentPath(file))) throw new AdminError(`${file} already exists; replace it instead`, 409);
+    await writeCurrent(file, buffer);
+    if (Object.keys(meta).length) await updateMeta(file, meta);
+    audit.append({ actor, action: 'upload', file, sha1: sha1(buffer), size: buffer.length, ...(Object.keys(meta).length ? { after: meta } : {}) });
+    return refreshed(file);
+  });
+
+  const replace = (file, buffer, { actor } = {}) => serial(async () => {
+    await requireCurrent(file);
+    checkPdf(buffer);
+    const previous = await archive(file);
+    await writeCurrent(file, buffer);
+    const overrides = ((await readManifest()).documents || {})[file] || {};
+    const cleared = DATE_OVERRIDES.filter(f => overrides[f] !== undefined);
+    if (cleared.length) await updateMeta(file, Object.fromEntries(cleared.map(f => [f, undefined])));
+    audit.append({ actor, action: 'replace', file, previous_version: previous, sha1: sha1(buffer), size: buffer.length, ...(cleared.length ? { cleared } : {}) });
+    return refreshed(file);
+  });
+
+  const retire = (file, { actor, reason = '' } = {}) => serial(async () => {
+    await requireCurrent(file);
+    const version = await archive(file, '.retired');
+    await fs.promises.unlink(currentPath(file));
+    const manifest = await readManifest();
+    const before = (manifest.documents || {})[file];
+    if (before) {
+      delete manifest.documents[file];
+      await writeManifest(manifest);
+    }
+    audit.append({ actor, action: 'retire', file, version, ...(reason ? { reason } : {}), ...(before ? { before } : {}) });
+    await library.refresh();
+    return { file, version };
+  });
+
+  const edit = (file, changes, { actor } = {}) => serial(async () => {
+    await requireCurrent(file);
+    const meta = cleanMeta(changes);
+    if (!Object.keys(meta).length) throw new AdminError('Nothing to change; send title, aliases, audience, version, published or review_by');
+    const { before, after } = await updateMeta(file, meta);
+    audit.append({ actor, action: 'edit', file, before, after });
+    return refreshed(file);
+  });
+
+  const auditEntries = ({ limit, file } = {}) => audit.read({ limit, match: r => !file || r.file === file });
+
+  return { list, reviewReport, versions, versionPath, upload, replace, retire, edit, audit: auditEntries };
+}
+
+module.exports = { createLibraryAdmin, AdminError, toFileName, REVIEW_CSV_COLUMNS };
@@ -0,0 +1,225 @@
+// lib/librarySet.js — several named guideline libraries (a site's own PDFs, plus regional
+// or network ones shared between sites) and, for each site, the order they are consulted in.
+// Sites and libraries come from sites.config.json (GM_SITES_CONFIG); see
+// sites.config.example.json. Without a config there is one site and one library, "local",
+// over local_ocr/, as before.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const JSON5 = require('json5');
+const { createLibrary } = require('./localLibrary');
+const { buildIndex, tokenize } = require('./textIndex');
+const { norm } = require('./catalogue');
+
+// Ids appear in URLs (/local/<library>/<file>) and in requests ({ site }). Links name the
+// library rather than the site, and saved answers keep them, so a library keeps its id: the
+// example config leaves local_ocr/ as "local", as it is without a config.
+const ID_RE = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const LIBRARY_KINDS = ['site', 'network'];
+
+// -> { defaultSite, libraries: [{ id, title, kind, dir, cacheFile, archiveDir }], sites: [{ id, title, libraries }] }
+// Relative dirs are resolved against the config file's folder. Throws on a config that
+// names an unknown library or site, so a typo stops the server rather than hiding documents.
+function loadSitesConfig(configFile, { root, dataDir, archiveDir }) {
+  if (!configFile || !fs.existsSync(configFile)) {
+    return {
+      defaultSite: 'local',
+      libraries: [{
+        id: 'local',
+        title: 'Local guidelines',
+        kind: 'site',
+        dir: path.join(root, 'local_ocr'),
+        cacheFile: path.join(dataDir, 'local-text.json'),
+        archiveDir
+      }],
+      sites: [{ id: 'local', title: 'Local', libraries: ['local'] }]
+    };
+  }
+  const file = JSON5.parse(fs.readFileSync(configFile, 'utf8'));
+  const base = path.dirname(configFile);
+  const libraries = Object.entries(file.libraries || {}).map(([id, lib]) => {
+    if (!ID_RE.test(id)) throw new Error(`sites config: invalid library id "${id}"`);
+    if (!lib.dir) throw new Error(`sites config: library "${id}" has no dir`);
+    const kind = lib.kind || 'site';
+    if (!LIBRARY_KINDS.includes(kind)) throw new Error(`sites config: library "${id}" has unknown kind "${kind}"`);
+    return {
+      id,
+      title: lib.title || id,
+      kind,
+      dir: path.resolve(base, lib.dir),
+      cacheFile: path.join(dataDir, `local-text-${id}.json`),
+      archiveDir: path.join(archiveDir, id)
+    };
+  });
+  if (!libraries.length) throw new Error('sites config: no libraries');
+  const known = new Set(libraries.map(l => l.id));
+  const sites = Object.entries(file.sites || {}).map(([id, site]) => {
+    if (!ID_RE.test(id)) throw new Error(`sites config: invalid site id "${id}"`);
+    const order = site.libraries || [];
+    const unknown = order.find(l => !known.has(l));
+    if (unknown) throw new Error(`sites config: site "${id}" uses unknown library "${unknown}"`);
+    if (!order.length) throw new Error(`sites config: site "${id}" has no libraries`);
+    return { id, title: site.title || id, libraries: [...new Set(order)] };
+  });
+  if (!sites.length) throw new Error('sites config: no sites');
+  const defaultSite = file.default_site || sites[0].id;
+  if (!sites.some(s => s.id === defaultSite)) throw new Error(`sites config: default_site "${defaultSite}" is not a site`);
+  return { defaultSite, libraries, sites };
+}
+
+// Two documents are on the same topic if one's title is the other's title or alias, or
+// their titles share at least half their terms
+function sameTopic(a, b) {
+  const names = e => new Set([e.title, ...(e.aliases || [])].map(norm));
+  const bNames = names(b);
+  if ([...names(a)].some(n => n && bNames.has(n))) return true;
+  const at = new Set(tokenize(a.title));
+  const bt = new Set(tokenize(b.title));
+  const shared = [...at].filter(t => bt.has(t)).length;
+  return shared > 0 && shared / (at.size + bt.size - shared) >= 0.5;
+}
+
+// One site's libraries seen as a single library, with the interface createPipeline uses
+// (ready, search, passages, catalogue.findByTitle, version). members are in precedence order.
+function createSiteView(site, members) {
+  const byId = new Map(members.map(m => [m.id, m]));
+  const ready = Promise.all(members.map(m => m.library.ready));
+
+  // BM25 scores from separate indexes don't compare (a one-document library gives every
+  // term a near-zero idf), so a site with several libraries gets one index over all of
+  // their documents, rebuilt when any of them changes
+  let combined = null;
+  function combinedIndex() {
+    const key = members.map(m => m.library.version()).join('\n');
+    if (!combined || combined.key !== key) {
+      const entries = new Map();
+      const docs = members.flatMap((m, rank) => m.library.documents().map(d => {
+        const id = `${m.id}/${d.id}`;
+        entries.set(id, { member: m, file: d.id, rank });
+        return { ...d, id };
+      }));
+      combined = { key, index: buildIndex(docs), entries };
+    }
+    return combined;
+  }
+
+  function rankedHits(query, opts) {
+    if (members.length === 1) return members[0].library.search(query, opts).map(hit => ({ ...hit, rank: 0 }));
+    const { index, entries } = combinedIndex();
+    return index.search(query, opts).flatMap(({ id, score, pages }) => {
+      const { member, file, rank } = entries.get(id);
+      const entry = member.library.catalogue.get(file);
+      return entry ? [{ ...entry, score, pages, rank }] : [];
+    });
+  }
+
+  // Hits from every library, by score. A hit from a later library on the same topic as one
+  // from an earlier library gets `superseded_by` and is listed straight after that document:
+  // the site's own document wins over the network's, and the network's is still shown.
+  function search(query, { limit = 10, ...opts } = {}) {
+    // Room for a site's own copy that scores just below the network's
+    const hits = rankedHits(query, { limit: limit * 2, ...opts });
+    const below = new Map(); // winner -> hits it supersedes
+    // Earlier libraries first, so a winner is never itself superseded
+    for (const hit of [...hits].sort((a, b) => a.rank - b.rank)) {
+      const winner = hits.find(o => o.rank < hit.rank && !o.superseded_by && sameTopic(o, hit));
+      if (!winner) continue;
+      hit.superseded_by = { title: winner.title, file: winner.file, library: winner.library };
+      below.set(winner, [...(below.get(winner) || []), hit]);
+    }
+    return hits
+      .filter(hit => !hit.superseded_by)
+      .sort((a, b) => b.score - a.score || a.rank - b.rank)
+      .flatMap(hit => [hit, ...(below.get(hit) || [])])
+      .slice(0, limit)
+      .map(({ rank, ...hit }) => hit);
+  }
+
+  // library: the id from the entry's `library`; without it the first library holding the file
+  function passages(file, query, { library, ...opts } = {}) {
+    const m = library ? byId.get(library) : members.find(x => x.library.catalogue.get(file));
+    return m ? m.library.passages(file, query, opts) : [];
+  }
+
+  // Earlier libraries first, so a title both libraries use resolves to the site's own copy
+  const catalogue = {
+    get: (file, library) => {
+      for (const m of library ? [byId.get(library)].filter(Boolean) : members) {
+        const entry = m.library.catalogue.get(file);
+        if (entry) return entry;
+      }
+      return null;
+    },
+    list: () => members.flatMap(m => m.library.catalogue.list()),
+    findByTitle: title => members.map(m => m.library.catalogue.findByTitle(title)).find(Boolean) || null
+  };
+
+  const version = () => crypto.createHash('sha1')
+    .update(members.map(m => `${m.id}:${m.library.version()}`).join('\n'))
+    .digest('hex').slice(0, 16);
+
+  return { site, ready, search, passages, catalogue, version };
+}
+
+// config: loadSitesConfig()'s result. Each library keeps its own text cache and its own
+// catalogue.json manifest, and its PDFs are served at /local/<library>/<file>.
+function createLibrarySet(config, { watch = true } = {}) {
+  const libraries = new Map(config.libraries.map(lib => {
+    const source = { id: lib.id, title: lib.title, kind: lib.kind };
+    return [lib.id, {
+      ...lib,
+      library: createLibrary({
+        dir: lib.dir,
+        cacheFile: lib.cacheFile,
+        manifestFile: path.join(lib.dir, 'catalogue.json'),
+        linkBase: `/local/${lib.id}/`,
+        source,
+        watch
+      })
+    }];
+  }));
+  const sites = new Map(config.sites.map(s => [s.id, s]));
+  const views = new Map();
+
+  const hasSite = id => sites.has(id);
+
+  // -> the site's view (see createSiteView); the default site when id is not given
+  function forSite(id = config.defaultSite) {
+    if (!sites.has(id)) throw new Error(`Unknown site "${id}"`);
+    if (!views.has(id)) {
+      const site = sites.get(id);
+      views.set(id, createSiteView({ id, title: site.title }, site.libraries.map(l => libraries.get(l))));
+    }
+    return views.get(id);
+  }
+
+  // For GET /api/sites and the site picker
+  const describe = () => ({
+    default_site: config.defaultSite,
+    sites: [...sites.values()].map(s => ({
+      id: s.id,
+      title: s.title,
+      libraries: s.libraries.map(l => ({ id: l, title: libraries.get(l).title, kind: libraries.get(l).kind }))
+    }))
+  });
+
+  function close() {
+    for (const lib of libraries.values()) lib.library.close();
+  }
+
+  return {
+    ready: Promise.all([...libraries.values()].map(l => l.library.ready)),
+    defaultSite: config.defaultSite,
+    // The default site's own library: where the admin API works unless told otherwise
+    defaultLibrary: sites.get(config.defaultSite).libraries[0],
+    // The libraries themselves, for the admin API and /local/ file serving
+    library: id => libraries.get(id) || null,
+    libraries: () => [...libraries.values()],
+    hasSite,
+    forSite,
+    describe,
+    close
+  };
+}
+
+module.exports = { createLibrarySet, loadSitesConfig, sameTopic };
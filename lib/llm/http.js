@@ -0,0 +1,90 @@
+// lib/llm/http.js — fetch helpers shared by the model providers: timeouts, cancellation,
+// retry/backoff, line streaming
+class ProviderError extends Error {
+  constructor(message, { status, retryable = false, timedOut = false, cancelled = false } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.retryable = retryable;
+    this.timedOut = timedOut;
+    this.cancelled = cancelled;
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// The timeout and the caller's signal (aborted when the client goes away) as one signal.
+// A timeout rejects fetch with a TimeoutError, the caller's abort with an AbortError.
+function requestSignal(timeoutMs, signal) {
+  const signals = [timeoutMs ? AbortSignal.timeout(timeoutMs) : null, signal].filter(Boolean);
+  return signals.length > 1 ? AbortSignal.any(signals) : signals[0];
+}
+
+async function request(url, init, { timeoutMs, signal }) {
+  try {
+    return await fetch(url, { ...init, signal: requestSignal(timeoutMs, signal) });
+  } catch (err) {
+    if (err.name === 'AbortError') throw new ProviderError(`Cancelled: ${url}`, { cancelled: true });
+    const timedOut = err.name === 'TimeoutError';
+    throw new ProviderError(timedOut ? `Timed out after ${timeoutMs}ms: ${url}` : `${url}: ${err.message}`, { retryable: true, timedOut });
+  }
+}
+
+async function postJson(url, body, { timeoutMs, headers = {}, signal } = {}) {
+  const resp = await request(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  }, { timeoutMs, signal });
+  if (!resp.ok) {
+    const detail = (await resp.text().catch(() => '')).slice(0, 200);
+    // 408/429 and 5xx are worth another go; other 4xx mean the request itself is wrong
+    const retryable = resp.status === 408 || resp.status === 429 || resp.status >= 500;
+    throw new ProviderError(`${url} returned ${resp.status}${detail ? `: ${detail}` : ''}`, { status: resp.status, retryable });
+  }
+  return resp;
+}
+
+// For health checks: -> the parsed body, or throws ProviderError
+async function getJson(url, { timeoutMs, headers = {}, signal } = {}) {
+  const resp = await request(url, { headers }, { timeoutMs, signal });
+  if (!resp.ok) throw new ProviderError(`${url} returned ${resp.status}`, { status: resp.status });
+  return resp.json();
+}
+
+// Calls onLine for every line of a streamed response body
+async function readLines(body, onLine) {
+  const decoder = new TextDecoder();
+  let buf = '';
+  try {
+    for await (const part of body) {
+      buf += decoder.decode(part, { stream: true });
+      const lines = buf.split('\n');
+      buf = lines.pop();
+      for (const line of lines) if (line.trim()) onLine(line);
+    }
+  } catch (err) {
+    if (err.name === 'TimeoutError') throw new ProviderError('Timed out while streaming the reply', { retryable: true, timedOut: true });
+    if (err.name === 'AbortError') throw new ProviderError('Cancelled while streaming the reply', { cancelled: true });
+    throw err;
+  }
+  if (buf.trim()) onLine(buf);
+}
+
+// Exponential backoff on retryable errors. A streamed attempt that already produced
+// output is not retried, since the caller has seen part of it; nor is a cancelled one.
+async function withRetry(attempt, { retries = 0, backoffMs = 1000 } = {}) {
+  for (let n = 0; ; n++) {
+    const state = { started: false };
+    try {
+      return await attempt(state);
+    } catch (err) {
+      if (n >= retries || !err.retryable || state.started) throw err;
+      const wait = backoffMs * 2 ** n;
+      console.warn(`Model call failed (${err.message}); retrying in ${wait}ms`);
+      await sleep(wait);
+    }
+  }
+}
+
+module.exports = { ProviderError, postJson, getJson, readLines, withRetry };
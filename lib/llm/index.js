@@ -0,0 +1,87 @@
+// lib/llm/index.js — chooses and configures the model backend.
+// Settings come from the config file (GM_LLM_CONFIG, default llm.config.json) and are
+// overridden by GM_LLM_* environment variables; see llm.config.example.json.
+const fs = require('fs');
+const JSON5 = require('json5');
+const { createOllamaProvider } = require('./ollama');
+const { createOpenAiProvider } = require('./openai');
+const { createMockProvider } = require('./mock');
+const { ProviderError } = require('./http');
+
+const TYPES = {
+  'ollama-generate': createOllamaProvider,
+  'ollama-chat': createOllamaProvider,
+  openai: createOpenAiProvider,
+  mock: createMockProvider
+};
+
+const DEFAULTS = {
+  temperature: 0,
+  timeoutMs: 180000,
+  retries: 1,
+  backoffMs: 1000,
+  contextLength: 8192,
+  maxTokens: 2048,
+  maxRepairs: 2,
+  jsonMode: true
+};
+
+const TYPE_DEFAULTS = {
+  'ollama-generate': { baseUrl: 'http://localhost:11434', model: 'llama3.1:8b-instruct-q8_0' },
+  'ollama-chat': { baseUrl: 'http://localhost:11434', model: 'llama3.1:8b-instruct-q8_0' },
+  openai: { baseUrl: 'http://localhost:8080/v1', model: 'phi-3-mini-4k-instruct' },
+  mock: { model: 'mock', retries: 0 }
+};
+
+// A provider named like a type needs no entry in the config file
+const NAMED_TYPES = { ollama: 'ollama-generate', 'ollama-chat': 'ollama-chat', openai: 'openai', mock: 'mock' };
+
+const num = v => (v === undefined || v === '' ? undefined : Number(v));
+
+function loadLlmConfig(configFile, env = process.env) {
+  let file = {};
+  if (configFile && fs.existsSync(configFile)) {
+    file = JSON5.parse(fs.readFileSync(configFile, 'utf8'));
+  }
+  const name = env.GM_LLM_PROVIDER || file.provider || 'ollama';
+  const named = (file.providers || {})[name] || {};
+  const fromEnv = {
+    type: env.GM_LLM_TYPE,
+    baseUrl: env.GM_LLM_BASE_URL,
+    model: env.GM_LLM_MODEL,
+    apiKey: env.GM_LLM_API_KEY,
+    temperature: num(env.GM_LLM_TEMPERATURE),
+    timeoutMs: num(env.GM_LLM_TIMEOUT_MS),
+    retries: num(env.GM_LLM_RETRIES),
+    backoffMs: num(env.GM_LLM_BACKOFF_MS),
+    contextLength: num(env.GM_LLM_CONTEXT_LENGTH),
+    maxTokens: num(env.GM_LLM_MAX_TOKENS),
+    maxRepairs: num(env.GM_LLM_MAX_REPAIRS)
+  };
+  Object.keys(fromEnv).forEach(k => fromEnv[k] === undefined && delete fromEnv[k]);
+
+  const type = fromEnv.type || named.type || NAMED_TYPES[name];
+  if (!TYPES[type]) throw new Error(`Unknown LLM provider type "${type}" for provider "${name}"`);
+  return { ...DEFAULTS, ...TYPE_DEFAULTS[type], ...named, ...fromEnv, name, type };
+}
+
+// provider.generate({ prompt, onToken, context, signal }) -> { text, model }; signal aborts
+// the call. provider.check() -> { available, detail? }, or throws if the server is unreachable.
+function createProvider(config) {
+  const impl = TYPES[config.type](config);
+  return {
+    name: config.name,
+    type: config.type,
+    model: config.model,
+    contextLength: config.contextLength,
+    maxTokens: config.maxTokens,
+    maxRepairs: config.maxRepairs,
+    generate: impl.generate,
+    check: impl.check
+  };
+}
+
+// Rough prompt size: ~4 characters per token for English text
+const estimateTokens = text => Math.ceil(String(text || '').length / 4);
+
+module.exports = { loadLlmConfig, createProvider, estimateTokens, ProviderError };
@@ -0,0 +1,70 @@
+// lib/llm/mock.js — deterministic offline stand-in; answers from the request context, never the network
+const { ProviderError } = require('./http');
+
+const mockTree = (query, then, cite) => ({
+  kind: 'question',
+  text: `${query} suspected?`,
+  branches: [
+    { label: 'Yes', next: { kind: 'action', text: then, escalation: 'senior_review', cite } },
+    { label: 'No', next: { kind: 'action', text: 'Consider other causes', escalation: 'routine', cite } }
+  ],
+  cite
+});
+
+function mockAnswer({ query = '', include = {}, titles = [], sourceIds = [], nationalIds = [] }) {
+  const cite = sourceIds.slice(0, 1);
+  const niceCite = nationalIds.slice(0, 1);
+  const out = { summary: `Mock answer for "${query}". No model was called.` };
+  if (include.local) {
+    out.local = {
+      guideline: {
+        title: titles[0] || 'No applicable local guideline',
+        summary: titles.length ? `Top-ranked local document for "${query}".` : '',
+        url: '',
+        applicability: titles.length ? 'most_applicable' : 'none'
+      },
+      decision_tree: mockTree(query, 'Follow the local pathway', cite),
+      admission_criteria: [{ text: 'Meets the admission criteria in the local document', cite }],
+      recommended_investigations: [{ text: 'Investigations as listed in the local document', cite }],
+      recommended_management: [{ text: 'Management as listed in the local document', cite }],
+      doses: [],
+      links: []
+    };
+  }
+  if (include.national) {
+    out.national = {
+      decision_tree: mockTree(query, 'Follow NICE guidance', niceCite),
+      nice_summary: 'Mock NICE summary.',
+      admission_criteria: [],
+      recommended_investigations: [],
+      recommended_management: [{ text: 'Management as recommended by NICE', cite: niceCite }],
+      cks_link: ''
+    };
+  }
+  if (include.local && include.national) out.discrepancies = [];
+  return out;
+}
+
+// delayMs (config) simulates generation time, for trying out the queue and cancellation
+function createMockProvider(config) {
+  async function generate({ onToken, context, signal }) {
+    if (config.delayMs) {
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, config.delayMs);
+        if (signal) signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(new ProviderError('Cancelled: mock', { cancelled: true }));
+        }, { once: true });
+      });
+    }
+    const text = JSON.stringify(mockAnswer(context));
+    if (onToken) {
+      for (let i = 0; i < text.length; i += 32) onToken(text.slice(i, i + 32));
+    }
+    return { text, model: config.model };
+  }
+
+  return { generate, check: async () => ({ available: true }) };
+}
+
+module.exports = { createMockProvider, mockAnswer };
@@ -0,0 +1,57 @@
+// lib/llm/ollama.js — Ollama's /api/generate and /api/chat endpoints
+const { ProviderError, postJson, getJson, readLines, withRetry } = require('./http');
+
+function createOllamaProvider(config) {
+  const chat = config.type === 'ollama-chat';
+  const base = config.baseUrl.replace(/\/+$/, '');
+  const url = `${base}/api/${chat ? 'chat' : 'generate'}`;
+  const textOf = data => (chat ? data.message && data.message.content : data.response) || '';
+
+  async function generate({ prompt, onToken, signal }) {
+    const body = {
+      model: config.model,
+      stream: !!onToken,
+      options: { temperature: config.temperature, num_ctx: config.contextLength, num_predict: config.maxTokens }
+    };
+    // format:'json' helps some models be strict; turn off with jsonMode:false if your build errors
+    if (config.jsonMode) body.format = 'json';
+    if (chat) body.messages = [{ role: 'user', content: prompt }];
+    else body.prompt = prompt;
+
+    return withRetry(async state => {
+      const resp = await postJson(url, body, { timeoutMs: config.timeoutMs, signal });
+      if (!onToken) {
+        const data = await resp.json();
+        return { text: textOf(data), model: data.model || config.model };
+      }
+      // Streaming replies are NDJSON: one {"response"|"message": ..., "done": bool} per line
+      let text = '';
+      let model = config.model;
+      await readLines(resp.body, line => {
+        const chunk = JSON.parse(line);
+        if (chunk.error) throw new ProviderError(`Ollama error: ${chunk.error}`);
+        if (chunk.model) model = chunk.model;
+        const piece = textOf(chunk);
+        if (piece) {
+          state.started = true;
+          text += piece;
+          onToken(piece);
+        }
+      });
+      return { text, model };
+    }, config);
+  }
+
+  // Reachable, and the model has been pulled ("phi3" is "phi3:latest" to Ollama)
+  async function check({ timeoutMs = 5000 } = {}) {
+    const { models = [] } = await getJson(`${base}/api/tags`, { timeoutMs });
+    const want = config.model.includes(':') ? config.model : `${config.model}:latest`;
+    return models.some(m => m.name === want || m.model === want)
+      ? { available: true }
+      : { available: false, detail: `${config.model} is not pulled on ${config.baseUrl}` };
+  }
+
+  return { generate, check };
+}
+
+module.exports = { createOllamaProvider };
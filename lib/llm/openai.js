@@ -0,0 +1,55 @@
+// lib/llm/openai.js — any OpenAI-compatible /v1/chat/completions server (llama.cpp, vLLM, LM Studio)
+const { postJson, getJson, readLines, withRetry } = require('./http');
+
+function createOpenAiProvider(config) {
+  const base = config.baseUrl.replace(/\/+$/, '');
+  const url = `${base}/chat/completions`;
+  const headers = config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {};
+
+  async function generate({ prompt, onToken, signal }) {
+    const body = {
+      model: config.model,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: config.temperature,
+      max_tokens: config.maxTokens,
+      stream: !!onToken
+    };
+    if (config.jsonMode) body.response_format = { type: 'json_object' };
+
+    return withRetry(async state => {
+      const resp = await postJson(url, body, { timeoutMs: config.timeoutMs, headers, signal });
+      if (!onToken) {
+        const data = await resp.json();
+        const choice = (data.choices || [])[0] || {};
+        return { text: (choice.message && choice.message.content) || '', model: data.model || config.model };
+      }
+      // Server-sent events: "data: {chunk}" lines, ending with "data: [DONE]"
+      let text = '';
+      let model = config.model;
+      await readLines(resp.body, line => {
+        if (!line.startsWith('data:')) return;
+        const payload = line.slice(5).trim();
+        if (payload === '[DONE]') return;
+        const chunk = JSON.parse(payload);
+        if (chunk.model) model = chunk.model;
+        const delta = ((chunk.choices || [])[0] || {}).delta || {};
+        if (delta.content) {
+          state.started = true;
+          text += delta.content;
+          onToken(delta.content);
+        }
+      });
+      return { text, model };
+    }, config);
+  }
+
+  // Reachable; servers like llama.cpp name their one model differently, so it isn't checked
+  async function check({ timeoutMs = 5000 } = {}) {
+    await getJson(`${base}/models`, { timeoutMs, headers });
+    return { available: true };
+  }
+
+  return { generate, check };
+}
+
+module.exports = { createOpenAiProvider };
@@ -0,0 +1,164 @@
+// lib/localLibrary.js — keeps the text layer of every *_ocr.pdf in a folder extracted and indexed
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { extractPages } = require('./pdfText');
+const { buildIndex, tokenize } = require('./textIndex');
+const { createCatalogue } = require('./catalogue');
+const { extractDocumentDates } = require('./documentDates');
+
+const isGuidelineFile = f => /_ocr\.pdf$/i.test(f);
+
+function readJson(file, fallback) {
+  try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch { return fallback; }
+}
+
+function writeJson(file, value) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(value));
+  fs.renameSync(tmp, file);
+}
+
+const sha1 = data => crypto.createHash('sha1').update(data).digest('hex');
+
+// Extracted text is cached in `cacheFile` keyed on name + size + mtime, so a restart
+// only re-reads PDFs that were added or replaced. Titles and aliases come from the catalogue.
+// version() is a hash of every PDF's content plus the manifest; it changes whenever a
+// guideline is added, replaced, removed or re-described, so callers can key caches on it.
+// linkBase and source are passed to the catalogue (links and the `library` tag on entries).
+function createLibrary({ dir, cacheFile, manifestFile, linkBase, source, watch = true }) {
+  const catalogue = createCatalogue({ manifestFile, linkBase, library: source });
+  const textCache = (cacheFile && readJson(cacheFile, null)) || {};
+  let docs = [];
+  let byFile = new Map();
+  let indexed = [];
+  let index = buildIndex([]);
+  let version = '';
+  let queue = Promise.resolve();
+
+  async function scan() {
+    const files = fs.existsSync(dir) ? (await fs.promises.readdir(dir)).filter(isGuidelineFile).sort() : [];
+    const next = [];
+    let dirty = false;
+
+    for (const file of files) {
+      let stat;
+      try { stat = await fs.promises.stat(path.join(dir, file)); } catch { continue; }
+      let entry = textCache[file];
+      if (!entry || entry.size !== stat.size || entry.mtimeMs !== stat.mtimeMs) {
+        let pages = [];
+        try {
+          pages = await extractPages(path.join(dir, file));
+        } catch (err) {
+          console.error(`Text extraction failed for ${file}:`, err.message);
+        }
+        entry = textCache[file] = { size: stat.size, mtimeMs: stat.mtimeMs, pages };
+        dirty = true;
+      }
+      if (!entry.sha1) {
+        try {
+          entry.sha1 = sha1(await fs.promises.readFile(path.join(dir, file)));
+          dirty = true;
+        } catch { continue; }
+      }
+      next.push({ file, pages: entry.pages, sha1: entry.sha1 });
+    }
+
+    for (const file of Object.keys(textCache)) {
+      if (!files.includes(file)) { delete textCache[file]; dirty = true; }
+    }
+    if (dirty && cacheFile) writeJson(cacheFile, textCache);
+
+    catalogue.load(next.map(d => d.file), Object.fromEntries(next.map(d => [d.file, extractDocumentDates(d.pages)])));
+    let manifest = '';
+    try { manifest = manifestFile ? fs.readFileSync(manifestFile, 'utf8') : ''; } catch {}
+    version = sha1(next.map(d => `${d.file}\0${d.sha1}`).join('\n') + '\n' + manifest).slice(0, 16);
+    docs = next;
+    byFile = new Map(docs.map(d => [d.file, d]));
+    indexed = docs.map(d => {
+      const { title, aliases } = catalogue.get(d.file);
+      return { id: d.file, title: [title, ...aliases].join(' '), pages: d.pages };
+    });
+    index = buildIndex(indexed);
+    console.log(`Indexed ${docs.length} local guidelines${source ? ` in ${source.id}` : ''} (${docs.reduce((n, d) => n + d.pages.length, 0)} pages)`);
+  }
+
+  const refresh = () => (queue = queue.then(scan).catch(err => console.error('Local index refresh failed:', err)));
+  const ready = refresh();
+
+  let watcher = null;
+  let timer = null;
+  if (watch && fs.existsSync(dir)) {
+    const manifestName = manifestFile && path.basename(manifestFile);
+    watcher = fs.watch(dir, (event, file) => {
+      if (file && !isGuidelineFile(String(file)) && String(file) !== manifestName) return;
+      clearTimeout(timer);
+      timer = setTimeout(refresh, 1000);
+    });
+  }
+
+  function search(query, opts) {
+    return index.search(query, opts).map(({ id, score, pages }) => ({
+      ...catalogue.get(id),
+      score,
+      pages
+    }));
+  }
+
+  // The most query-relevant stretches of one document's text, each tied to its page.
+  // Pages are cut at line breaks into chunks of roughly `size` characters and scored by
+  // the summed idf of the distinct query terms they contain. start and end are the
+  // chunk's character offsets in the page's text (see pages()), for highlighting it.
+  function passages(file, query, { limit = 3, size = 700 } = {}) {
+    const doc = byFile.get(file);
+    if (!doc) return [];
+    const terms = new Set(tokenize(query));
+    const chunks = [];
+    doc.pages.forEach((text, p) => {
+      let buf = '';
+      let start = 0;
+      let end = 0;
+      let pos = 0;
+      const flush = () => {
+        if (buf.trim()) chunks.push({ page: p + 1, text: buf.trim(), start, end });
+        buf = '';
+      };
+      for (const line of text.split('\n')) {
+        if (buf && buf.length + line.length > size) flush();
+        if (!buf) start = pos;
+        buf += (buf ? '\n' : '') + line.slice(0, size);
+        end = pos + line.length;
+        pos += line.length + 1;
+      }
+      flush();
+    });
+    return chunks
+      .map((chunk, order) => {
+        const found = new Set(tokenize(chunk.text).filter(t => terms.has(t)));
+        return { ...chunk, order, score: [...found].reduce((n, t) => n + index.idf(t), 0) };
+      })
+      .filter(c => c.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .sort((a, b) => a.order - b.order)
+      .map(({ page, text, start, end }) => ({ file, page, text, start, end }));
+  }
+
+  // -> the document's text, one string per page, or null if it isn't in the library
+  function pages(file) {
+    const doc = byFile.get(file);
+    return doc ? doc.pages : null;
+  }
+
+  function close() {
+    clearTimeout(timer);
+    if (watcher) watcher.close();
+  }
+
+  // documents(): what the index was built from ({ id: file, title, pages }), so several
+  // libraries can be searched as one (lib/librarySet.js)
+  return { ready, refresh, search, passages, pages, close, catalogue, documents: () => indexed, version: () => version };
+}
+
+module.exports = { createLibrary };
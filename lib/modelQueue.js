@@ -0,0 +1,116 @@
+// lib/modelQueue.js — lets at most `concurrency` model calls run at once; the rest wait in
+// line, up to `maxWaiting` of them and for at most `timeoutMs` each. One local model
+// serving several users answers them one after another instead of all at once, slowly.
+class QueueError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'QueueError';
+    this.code = code; // queue_full or queue_timeout
+  }
+}
+
+const percentile = (values, p) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+};
+
+function createModelQueue({ concurrency = 1, maxWaiting = 20, timeoutMs = 120000, keep = 50 } = {}) {
+  let running = 0;
+  const waiting = [];
+  const recent = []; // newest last: { at, wait_ms, run_ms, outcome }
+
+  // Everyone still waiting learns their new place in line (1 = next)
+  const notify = () => waiting.forEach((w, i) => w.onPosition && w.onPosition(i + 1));
+
+  function next() {
+    while (running < concurrency && waiting.length) {
+      const w = waiting.shift();
+      w.cleanup();
+      w.start();
+    }
+    notify();
+  }
+
+  // Runs task() when a slot is free -> its result. onPosition(n) gets the caller's place in
+  // line while it waits, then 0 when the task starts. An aborted signal takes the caller out
+  // of the line (the task itself is expected to watch the same signal once started).
+  function run(task, { signal, onPosition } = {}) {
+    if (signal && signal.aborted) return Promise.reject(signal.reason);
+    const queuedAt = Date.now();
+    return new Promise((resolve, reject) => {
+      const start = async () => {
+        running++;
+        const startedAt = Date.now();
+        let outcome = 'error';
+        if (onPosition) onPosition(0);
+        try {
+          resolve(await task());
+          outcome = 'ok';
+        } catch (err) {
+          if (signal && signal.aborted) outcome = 'cancelled';
+          reject(err);
+        } finally {
+          running--;
+          recent.push({ at: new Date(startedAt).toISOString(), wait_ms: startedAt - queuedAt, run_ms: Date.now() - startedAt, outcome });
+          if (recent.length > keep) recent.shift();
+          next();
+        }
+      };
+
+      if (running < concurrency && !waiting.length) return start();
+      if (waiting.length >= maxWaiting) {
+        return reject(new QueueError(`The model is busy: ${waiting.length} requests are already waiting`, 'queue_full'));
+      }
+
+      const entry = { start, onPosition };
+      const leave = err => {
+        const i = waiting.indexOf(entry);
+        if (i < 0) return;
+        waiting.splice(i, 1);
+        entry.cleanup();
+        reject(err);
+        notify();
+      };
+      const timer = timeoutMs
+        ? setTimeout(() => leave(new QueueError(`Waited more than ${Math.round(timeoutMs / 1000)}s for the model`, 'queue_timeout')), timeoutMs)
+        : null;
+      const onAbort = () => leave(signal.reason);
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      entry.cleanup = () => {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+      };
+      waiting.push(entry);
+      if (onPosition) onPosition(waiting.length);
+    });
+  }
+
+  // For /api/status. Latencies are over the recent calls that completed.
+  function stats() {
+    const done = recent.filter(r => r.outcome === 'ok');
+    const summary = key => ({
+      p50: percentile(done.map(r => r[key]), 0.5),
+      p95: percentile(done.map(r => r[key]), 0.95)
+    });
+    return {
+      running,
+      waiting: waiting.length,
+      concurrency,
+      max_waiting: maxWaiting,
+      timeout_ms: timeoutMs,
+      recent: {
+        calls: recent.length,
+        errors: recent.filter(r => r.outcome === 'error').length,
+        cancelled: recent.filter(r => r.outcome === 'cancelled').length,
+        wait_ms: summary('wait_ms'),
+        run_ms: summary('run_ms'),
+        last: recent.slice(-10).reverse()
+      }
+    };
+  }
+
+  return { run, stats };
+}
+
+module.exports = { createModelQueue, QueueError };
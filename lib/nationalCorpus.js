@@ -0,0 +1,213 @@
+// lib/nationalCorpus.js — NICE guidance and CKS topic pages saved as files under national/,
+// split into sections and numbered recommendations and indexed like the local library.
+// A page saved from the browser (.html) carries its canonical URL; a .md or .txt file
+// gives it in a front-matter header:
+//   ---
+//   title: Asthma: diagnosis, monitoring and chronic asthma management
+//   url: https://www.nice.org.uk/guidance/ng245
+//   ---
+// A document without a URL is still searched but never offered as a link.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { buildIndex, tokenize } = require('./textIndex');
+
+const isNationalFile = f => /\.(html?|md|txt)$/i.test(f);
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', hellip: '…', deg: '°', micro: 'µ', le: '≤', ge: '≥' };
+const decodeEntities = s => s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) =>
+  e[0] === '#' ? String.fromCodePoint(e[1].toLowerCase() === 'x' ? parseInt(e.slice(2), 16) : Number(e.slice(1))) : ENTITIES[e.toLowerCase()] ?? m);
+
+const attr = (html, re) => {
+  const m = html.match(re);
+  return m ? decodeEntities(m[1]).trim() : '';
+};
+
+// Saved page -> { meta, text } with headings turned into Markdown "## " lines, so both
+// formats are split the same way
+function htmlToText(html) {
+  const meta = {
+    url: attr(html, /<link[^>]+rel=["']canonical["'][^>]*href=["']([^"']+)/i) ||
+      attr(html, /<link[^>]+href=["']([^"']+)["'][^>]*rel=["']canonical["']/i) ||
+      attr(html, /<meta[^>]+property=["']og:url["'][^>]*content=["']([^"']+)/i),
+    title: attr(html, /<meta[^>]+property=["']og:title["'][^>]*content=["']([^"']+)/i) ||
+      attr(html, /<title[^>]*>([^<]+)</i)
+  };
+  const body = (html.match(/<main[\s\S]*?<\/main>/i) || html.match(/<body[\s\S]*<\/body>/i) || [html])[0];
+  const text = body
+    .replace(/<(script|style|nav|header|footer|noscript|svg)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<h([1-4])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (m, level, inner) => `\n${'#'.repeat(Number(level))} ${inner.replace(/<[^>]+>/g, ' ')}\n`)
+    .replace(/<\/?(sub|sup|span|a|strong|em|b|i|abbr)\b[^>]*>/gi, '')
+    .replace(/<(br|\/p|\/li|\/div|\/tr|\/section|\/article)\b[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ');
+  return { meta, text: decodeEntities(text) };
+}
+
+function splitFrontMatter(text) {
+  const m = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!m) return { meta: {}, text };
+  const meta = {};
+  for (const line of m[1].split(/\r?\n/)) {
+    const kv = line.match(/^\s*([a-z_]+)\s*:\s*(.*?)\s*$/i);
+    if (kv) meta[kv[1].toLowerCase()] = kv[2].replace(/^["']|["']$/g, '');
+  }
+  return { meta, text: text.slice(m[0].length) };
+}
+
+// "https://www.nice.org.uk/guidance/NG245/" and "nice.org.uk/guidance/ng245" are the same page
+const normaliseUrl = u => String(u || '').trim().toLowerCase()
+  .replace(/^[a-z]+:\/\//, '').replace(/^www\./, '').replace(/[?#].*$/, '').replace(/\/+$/, '');
+
+function describeSource(url) {
+  const u = normaliseUrl(url);
+  const guidance = u.match(/^nice\.org\.uk\/guidance\/([a-z]+\d+)/);
+  if (guidance) return { source: 'NICE', code: guidance[1].toUpperCase() };
+  const topic = u.match(/^cks\.nice\.org\.uk\/topics\/([^/]+)/);
+  if (topic) return { source: 'CKS', code: topic[1] };
+  return { source: /nice\.org\.uk/.test(u) ? 'NICE' : 'Other', code: null };
+}
+
+// Headings start a section; a paragraph opening with a recommendation number ("1.2.3")
+// starts a block of its own, so each numbered recommendation can be cited on its own.
+function splitSections(text) {
+  const sections = [];
+  let heading = '';
+  let current = null;
+  const start = number => {
+    current = { heading, number, lines: [] };
+    sections.push(current);
+  };
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.replace(/\s+/g, ' ').trim();
+    if (!line) continue;
+    const h = line.match(/^#{1,4}\s+(.*)$/);
+    if (h) {
+      heading = h[1].trim();
+      current = null;
+      continue;
+    }
+    const rec = line.match(/^(\d{1,2}(?:\.\d{1,3}){1,3})\s+(\S.*)$/);
+    if (rec) {
+      start(rec[1]);
+      current.lines.push(rec[2]);
+      continue;
+    }
+    if (!current) start(null);
+    current.lines.push(line);
+  }
+  return sections
+    .map(({ heading, number, lines }) => ({ heading, number, text: lines.join('\n') }))
+    .filter(s => s.text.length > 1);
+}
+
+// -> { id, title, url, source, code, sections: [{ heading, number, text }] }
+function parseDocument(file, raw) {
+  const { meta, text } = /\.html?$/i.test(file) ? htmlToText(raw) : splitFrontMatter(raw);
+  const sections = splitSections(text);
+  const firstHeading = (text.match(/^#{1,2}\s+(.+)$/m) || [])[1];
+  const title = (meta.title || firstHeading || file.replace(/\.[^.]+$/, '').replace(/[_-]+/g, ' ')).trim();
+  const url = /^https?:\/\//i.test(meta.url || '') ? meta.url : '';
+  const described = url ? describeSource(url) : { source: meta.source || 'Other', code: null };
+  return { id: file, title, url, source: meta.source || described.source, code: described.code, sections };
+}
+
+function createNationalCorpus({ dir, watch = true }) {
+  let docs = [];
+  let byId = new Map();
+  let byUrl = new Map();
+  let index = buildIndex([]);
+  let version = '';
+  let queue = Promise.resolve();
+
+  async function scan() {
+    const files = fs.existsSync(dir) ? (await fs.promises.readdir(dir)).filter(isNationalFile).sort() : [];
+    const next = [];
+    const hash = crypto.createHash('sha1');
+    for (const file of files) {
+      let raw;
+      try { raw = await fs.promises.readFile(path.join(dir, file), 'utf8'); } catch { continue; }
+      hash.update(`${file}\0${raw}\n`);
+      const doc = parseDocument(file, raw);
+      if (!doc.sections.length) console.warn(`national: no text found in ${file}`);
+      next.push(doc);
+    }
+    version = hash.digest('hex').slice(0, 16);
+    docs = next;
+    byId = new Map(docs.map(d => [d.id, d]));
+    byUrl = new Map(docs.filter(d => d.url).map(d => [normaliseUrl(d.url), d]));
+    index = buildIndex(docs.map(d => ({ id: d.id, title: d.title, pages: d.sections.map(s => `${s.heading}\n${s.text}`) })));
+    console.log(`Indexed ${docs.length} national documents (${docs.reduce((n, d) => n + d.sections.length, 0)} sections)`);
+  }
+
+  const refresh = () => (queue = queue.then(scan).catch(err => console.error('National index refresh failed:', err)));
+  const ready = refresh();
+
+  let watcher = null;
+  let timer = null;
+  if (watch && fs.existsSync(dir)) {
+    watcher = fs.watch(dir, (event, file) => {
+      if (file && !isNationalFile(String(file))) return;
+      clearTimeout(timer);
+      timer = setTimeout(refresh, 1000);
+    });
+  }
+
+  const summary = ({ id, title, url, source, code }) => ({ id, title, url, source, code });
+
+  // -> [{ id, title, url, source, code, score, sections }]; sections are 1-based, best first
+  function search(query, { limit = 3 } = {}) {
+    return index.search(query, { limit, maxPages: 3 }).map(({ id, score, pages }) => ({
+      ...summary(byId.get(id)),
+      score,
+      sections: pages
+    }));
+  }
+
+  // The sections of one document that best match the query, in document order, each with
+  // its recommendation number (if any). Scored like library.passages().
+  function passages(id, query, { limit = 3 } = {}) {
+    const doc = byId.get(id);
+    if (!doc) return [];
+    const terms = new Set(tokenize(query));
+    return doc.sections
+      .map((s, order) => {
+        const found = new Set(tokenize(`${s.heading}\n${s.text}`).filter(t => terms.has(t)));
+        return { ...s, order, score: [...found].reduce((n, t) => n + index.idf(t), 0) };
+      })
+      .filter(s => s.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .sort((a, b) => a.order - b.order)
+      .map(({ heading, number, text }) => ({ id, heading, number, text }));
+  }
+
+  // The corpus document a URL points at: the page itself or one of its chapters
+  // ("…/guidance/ng245/chapter/recommendations" resolves to "…/guidance/ng245"). -> summary or null
+  function findByUrl(url) {
+    let u = normaliseUrl(url);
+    while (u) {
+      if (byUrl.has(u)) return summary(byUrl.get(u));
+      u = u.includes('/') ? u.slice(0, u.lastIndexOf('/')) : '';
+    }
+    return null;
+  }
+
+  function close() {
+    clearTimeout(timer);
+    if (watcher) watcher.close();
+  }
+
+  return {
+    ready,
+    refresh,
+    search,
+    passages,
+    findByUrl,
+    get: id => (byId.has(id) ? summary(byId.get(id)) : null),
+    size: () => docs.length,
+    close,
+    version: () => version
+  };
+}
+
+module.exports = { createNationalCorpus, parseDocument, normaliseUrl };
@@ -0,0 +1,32 @@
+// lib/pdfText.js — reads the OCR text layer of a PDF, one string per page
+const fs = require('fs');
+
+let pdfjsPromise = null;
+// pdfjs-dist only ships ES modules, so load it lazily from CommonJS
+const loadPdfjs = () => (pdfjsPromise = pdfjsPromise || import('pdfjs-dist/legacy/build/pdf.mjs'));
+
+async function extractPages(filePath) {
+  const pdfjs = await loadPdfjs();
+  const data = new Uint8Array(await fs.promises.readFile(filePath));
+  const doc = await pdfjs.getDocument({ data, isEvalSupported: false, verbosity: 0 }).promise;
+  try {
+    const pages = [];
+    for (let n = 1; n <= doc.numPages; n++) {
+      const page = await doc.getPage(n);
+      const content = await page.getTextContent();
+      const text = content.items
+        .map(item => item.str + (item.hasEOL ? '\n' : ' '))
+        .join('')
+        .replace(/[ \t]+/g, ' ')
+        .replace(/ ?\n ?/g, '\n')
+        .trim();
+      pages.push(text);
+      page.cleanup();
+    }
+    return pages;
+  } finally {
+    await doc.destroy();
+  }
+}
+
+module.exports = { extractPages };
@@ -0,0 +1,608 @@
+// lib/pipeline.js — the /api/guidelines pipeline: local retrieval, the model's structured
+// answer, PubMed, and the clean-up that ties them together. The server and the eval
+// harness (eval/run.js) both build one with createPipeline, each with its own model,
+// PubMed client and cache.
+const JSON5 = require('json5');
+const { AUDIENCE_LABELS, AUDIENCE_NOUNS, resolveAudience, isCompatible } = require('./audience');
+const { reviewStatus } = require('./documentDates');
+const { estimateTokens } = require('./llm');
+const { buildAnswerSchema, describeSchema, checkAnswer, pruneInvalid } = require('./answerSchema');
+const { normalisePrompt } = require('./responseCache');
+const { HttpError } = require('./httpError');
+const { unitPattern } = require('./doses');
+
+function parseModelJson(raw) {
+    // Robust parse: try JSON → fenced blocks → first {...} → JSON5 → trailing comma fix
+    const tryParseStrict = (s) => { try { return JSON.parse(s); } catch { return null; } };
+    const tryParseJSON5  = (s) => { try { return JSON5.parse(s); } catch { return null; } };
+  
+    // 1) direct
+    let obj = tryParseStrict(raw);
+    if (obj) return obj;
+  
+    // 2) ```json ... ```
+    const fence = raw.match(/```json\s*([\s\S]*?)```/i) || raw.match(/```\s*([\s\S]*?)```/);
+    if (fence && fence[1]) {
+      obj = tryParseStrict(fence[1].trim()) || tryParseJSON5(fence[1].trim());
+      if (obj) return obj;
+    }
+  
+    // 3) between <json>...</json>
+    const tag = raw.match(/<json>([\s\S]*?)<\/json>/i);
+    if (tag && tag[1]) {
+      obj = tryParseStrict(tag[1].trim()) || tryParseJSON5(tag[1].trim());
+      if (obj) return obj;
+    }
+  
+    // 4) first {...last}
+    const first = raw.indexOf('{');
+    const last  = raw.lastIndexOf('}');
+    if (first !== -1 && last !== -1 && last > first) {
+      const slice = raw.slice(first, last + 1);
+      obj = tryParseStrict(slice) || tryParseJSON5(slice);
+      if (obj) return obj;
+  
+      // 5) quick trailing-comma fixer then retry
+      const noTrailingCommas = slice.replace(/,\s*([}\]])/g, '$1');
+      obj = tryParseStrict(noTrailingCommas) || tryParseJSON5(noTrailingCommas);
+      if (obj) return obj;
+    }
+  
+    // Log a snippet for debugging and throw
+    console.error('Model output (first 800 chars):\n', raw.slice(0, 800));
+    throw new Error('Model did not return valid JSON.');
+}
+
+// The search score a national document needs to stand in for a cks_link the model didn't
+// give or got wrong: the query's topic words must be in it, not just "management"
+const MIN_STAND_IN_SCORE = 1;
+
+// Literature search options from the request: how many papers and which publication years
+const LITERATURE_DEFAULTS = { count: 3, fromYear: null, toYear: null };
+const MAX_PAPERS = 10;
+
+function literatureOptions(raw) {
+  raw = raw || {};
+  const year = v => (v === undefined || v === null || v === '' ? null : Number(v));
+  const opts = {
+    count: raw.count === undefined ? LITERATURE_DEFAULTS.count : Number(raw.count),
+    fromYear: year(raw.from_year),
+    toYear: year(raw.to_year)
+  };
+  const thisYear = new Date().getFullYear();
+  if (!Number.isInteger(opts.count) || opts.count < 1 || opts.count > MAX_PAPERS) {
+    throw new RangeError(`literature.count must be a whole number from 1 to ${MAX_PAPERS}`);
+  }
+  for (const key of ['fromYear', 'toYear']) {
+    if (opts[key] !== null && (!Number.isInteger(opts[key]) || opts[key] < 1800 || opts[key] > thisYear)) {
+      throw new RangeError(`literature.${key === 'fromYear' ? 'from_year' : 'to_year'} must be a year from 1800 to ${thisYear}`);
+    }
+  }
+  if (opts.fromYear && opts.toYear && opts.fromYear > opts.toYear) {
+    throw new RangeError('literature.from_year must not be after literature.to_year');
+  }
+  return opts;
+}
+
+// A dose is traced when its cited excerpts name the drug and give every number the model
+// gave for it in the dose's own unit, perhaps as the end of a range ("10-15 mg/kg").
+// Numbers are matched as written (0.5 mg does not match "500 micrograms", nor 500 mg), so
+// a unit conversion is reported rather than trusted. -> null, or why it is untraced.
+function traceDose(dose, citedText) {
+  if (!citedText) return 'no cited excerpt';
+  const text = citedText.replace(/(\d),(?=\d{3}\b)/g, '$1').toLowerCase();
+  const drug = String(dose.drug || '').toLowerCase().match(/[a-z]{4,}/);
+  if (drug && !text.includes(drug[0])) return `"${dose.drug}" is not in the cited excerpt`;
+  const unit = unitPattern(dose.unit);
+  for (const key of ['dose_per_kg', 'dose_fixed', 'max_dose']) {
+    const n = dose[key];
+    if (typeof n !== 'number') continue;
+    const written = [String(n), ...(n > 0 && n < 1 ? [String(n).slice(1)] : [])]
+      .map(w => w.replace('.', '\\.')).join('|');
+    const range = '(?:\\s*(?:-|–|to)\\s*(?:\\d+(?:\\.\\d+)?|\\.\\d+))?';
+    const re = new RegExp(`(?<![\\d.])(?:${written})(?!\\.?\\d)${unit ? `${range}\\s*${unit}(?![a-z])` : ''}`);
+    if (!re.test(text)) return `${[n, dose.unit].filter(Boolean).join(' ')} is not in the cited excerpt`;
+  }
+  return null;
+}
+
+// A catalogue entry's version and dates; review_status is worked out on every request, so
+// a guideline that passes its review date is flagged from that day on
+const documentDates = ({ version, published, review_by }) =>
+  ({ version, published, review_by, review_status: reviewStatus(review_by) });
+
+// libraries: createLibrarySet(); llm: createProvider(); pubmed: createPubMedClient() or
+// anything with the same search(); cache: createResponseCache(); national:
+// createNationalCorpus(), optional — without it the national section comes from the model
+// alone and is uncited; queue: createModelQueue(), optional — without it model calls run
+// as soon as they are made
+function createPipeline({ libraries, national = null, llm, pubmed, cache, queue = null }) {
+  // Ranked by BM25 over the document text (title and alias terms boost the score); `pages`
+  // are the best-matching page numbers, most relevant first. Patient leaflets and record
+  // sheets can appear in `all` but never in `primary`, the candidates for "the" guideline.
+  // `primary` holds documents written for the audience; when none matched it falls back to
+  // clinical documents for other populations and `fallback` is set. A document superseded
+  // by one from a library earlier in the site's order (`superseded_by`) is never primary.
+  async function findLocalGuidelines(query, audience = 'adult', { site, limit = 10 } = {}) {
+    const library = libraries.forSite(site);
+    await library.ready;
+    const matches = library.search(query, { limit }).map(m => ({
+      title: m.title,
+      aliases: m.aliases,
+      file: m.file,
+      link: m.link,
+      library: m.library,
+      audience: m.audience,
+      specialty: m.specialty,
+      type: m.type,
+      clinical: m.clinical,
+      score: Math.round(m.score * 1000) / 1000,
+      pages: m.pages,
+      ...documentDates(m),
+      ...(m.superseded_by ? { superseded_by: m.superseded_by } : {})
+    }));
+    const candidates = matches.filter(m => m.clinical && !m.superseded_by);
+    const forAudience = candidates.filter(m => isCompatible(audience, m.audience));
+    const fallback = !forAudience.length && candidates.length > 0;
+    const primary = fallback ? candidates : forAudience;
+    return { all: matches, primary, fallback };
+  }
+
+  // Excerpts from the top few candidate documents, numbered S1..Sn for the model to cite.
+  // start/end are the excerpt's offsets in its page's text, so the viewer can highlight it.
+  function collectLocalSources(library, query, candidates, { docs = 3, perDoc = 3 } = {}) {
+    const sources = [];
+    for (const g of candidates.slice(0, docs)) {
+      for (const p of library.passages(g.file, query, { limit: perDoc, library: g.library.id })) {
+        sources.push({ id: `S${sources.length + 1}`, file: g.file, title: g.title, page: p.page, start: p.start, end: p.end, url: `${g.link}#page=${p.page}`, text: p.text });
+      }
+    }
+    return sources;
+  }
+
+  // Sections of the national documents that best match, numbered N1..Nn; each carries
+  // its recommendation number (if any) and the document's canonical URL
+  async function collectNationalSources(query, { docs = 3, perDoc = 2 } = {}) {
+    if (!national) return [];
+    await national.ready;
+    const sources = [];
+    for (const d of national.search(query, { limit: docs })) {
+      for (const p of national.passages(d.id, query, { limit: perDoc })) {
+        sources.push({ id: `N${sources.length + 1}`, title: d.title, source: d.source, code: d.code, number: p.number, heading: p.heading, url: d.url, text: p.text });
+      }
+    }
+    return sources;
+  }
+
+  // Swap the model's "cite": ["S1"] ids for the excerpt's reference ({ file, title, page,
+  // start, end, url } for local, start and end locating it in the page's text; { title,
+  // source, code, number, heading, url } for national); ids that don't match an excerpt
+  // are dropped, so an empty `citations` means the item is unsupported.
+  function citationResolver(sources) {
+    const byId = new Map(sources.map(({ id, text, ...ref }) => [id, ref]));
+    const idsOf = cite => [...new Set((Array.isArray(cite) ? cite : [cite]).map(c => String(c || '').replace(/[[\]\s]/g, '')))];
+    return { idsOf, resolve: cite => idsOf(cite).map(id => byId.get(id)).filter(Boolean) };
+  }
+
+  // Citations for every cited part of a local or national section. Doses are also
+  // checked against the cited excerpt text; see traceDose.
+  function attachCitations(section, sources) {
+    const { idsOf, resolve } = citationResolver(sources);
+    const citeNode = node => {
+      if (!node || typeof node !== 'object') return node;
+      const { cite, branches, ...rest } = node;
+      return {
+        ...rest,
+        ...(Array.isArray(branches) ? { branches: branches.map(b => ({ ...b, next: citeNode(b && b.next) })) } : {}),
+        citations: resolve(cite)
+      };
+    };
+    if (section.decision_tree) section.decision_tree = citeNode(section.decision_tree);
+    for (const key of ['admission_criteria', 'recommended_investigations', 'recommended_management']) {
+      if (!Array.isArray(section[key])) continue;
+      section[key] = section[key].map(item =>
+        item && typeof item === 'object'
+          ? { text: String(item.text || ''), citations: resolve(item.cite) }
+          : { text: String(item), citations: [] }
+      );
+    }
+    if (Array.isArray(section.doses)) {
+      const textOf = new Map(sources.map(src => [src.id, src.text]));
+      section.doses = section.doses.filter(d => d && typeof d === 'object').map(({ cite, ...dose }) => {
+        const cited = idsOf(cite).filter(id => textOf.has(id)).map(id => textOf.get(id)).join('\n');
+        const untraced = traceDose(dose, cited);
+        return { ...dose, citations: resolve(cite), traced: !untraced, ...(untraced ? { untraced_reason: untraced } : {}) };
+      });
+    }
+    section.sources = sources.map(({ text, ...ref }) => ref);
+    return section;
+  }
+
+  // sources: [{ id: 'S1', title, page, text }] — excerpts the local section must cite;
+  // nationalSources ({ id: 'N1', … }) the same for the national section. If the prompt would
+  // not fit the model's context, the lowest-ranked excerpts of the longer list are dropped.
+  // onToken(text), if given, switches the provider to streaming and receives each chunk.
+  // Output is coerced and validated against the answer schema; on failure the model is
+  // re-prompted with the errors up to llm.maxRepairs times (onRepair is told each time),
+  // then whatever still fails is pruned. Resolves to { data, warnings, model: { provider,
+  // model }, sources, nationalSources, schema: { valid, attempts } } with the excerpts actually sent; valid is
+  // false when invalid parts had to be pruned.
+  // patient is resolveAudience()'s result; it replaces any guessing from the query wording.
+  async function callPhi3Structured(userQuery, localGuidelines, include = {}, { sources = [], nationalSources = [], patient = { audience: 'adult' }, onToken, onRepair, signal } = {}) {
+    const schema = describeSchema(buildAnswerSchema(include));
+    const stated = [
+      patient.age && `age ${patient.age}`,
+      patient.gestationWeeks !== undefined && `${patient.gestationWeeks} weeks' gestation`,
+      patient.weightKg !== undefined && `weight ${patient.weightKg} kg`
+    ].filter(Boolean);
+    const population = `- Patient group: ${AUDIENCE_NOUNS[patient.audience]}${stated.length ? ` (${stated.join(', ')})` : ''}. ` +
+      `Tailor thresholds, doses and investigations to this group. If a local guideline is written for a different group, say so in the summary and do not transfer its doses.`;
+
+    let rules = `- Use UK terminology (BNF/NICE). Prefer concise bullet phrases. No unsafe or speculative recommendations.\n- Output MUST be strictly valid JSON.`;
+    if (include.local || include.national) {
+      const bind = [];
+      if (include.local) bind.push('local');
+      if (include.national) bind.push('national');
+      rules = `- Bind ${bind.join(' + ')} guidance in the top-level "summary" (2–5 sentences).` +
+        (include.local ? `\n- Local: If a specific local guideline exists, set applicability="specific"; else use the most applicable and set applicability="most_applicable"; if none, set applicability="none".\n- Provide the pathway as a decision_tree: a question node (kind "question") has 2 or more labelled branches ("Yes"/"No" or the choices the pathway gives), each leading to the next node; every path ends in an action node (kind "action", no branches) with its escalation level. Follow the branching of the guideline; keep it to the decisions that matter (at most 5 levels deep).\n- List admission_criteria for when hospital admission is required.\n- Local content must come ONLY from the local guideline excerpts below. Every local decision_tree node and bullet must list the excerpt ids it is based on in "cite" (e.g. ["S2"]). Leave out anything the excerpts do not support.\n- doses: one item per drug dose the excerpts state for this patient group (drug, route, dose_per_kg or dose_fixed with its unit, max_dose, frequency; min_age_years/max_age_years only for an age-banded dose). Copy the numbers exactly as written in the excerpt and cite it; never calculate, convert units or recall a dose. Use [] if the excerpts give no doses.` : '') +
+        (include.national ? `\n- National: Summarise NICE for the exact query; list admission_criteria for hospital admission; list investigations and management succinctly; include the most relevant NICE CKS link.` +
+          (nationalSources.length
+            ? `\n- National content must come from the national guidance excerpts below. Every national decision_tree node and bullet must list the excerpt ids it is based on in "cite" (e.g. ["N1"]); quote recommendation numbers (e.g. "1.4.2") as given. Set cks_link to the URL of an excerpt's document; never make up a URL.`
+            : `\n- No national guidance excerpts are available: leave national "cite" lists empty and cks_link as "".`) : '') +
+        (include.local && include.national ? `\n- discrepancies: compare the local and NICE admission criteria, investigations and management item by item. Add one entry for each point where the local pathway deliberately differs from NICE (e.g. a different anticoagulant, imaging threshold or admission criterion): the area, a short topic, what local says, what NICE says, and the difference as seen from the local side ("stricter", "looser", "different_drug_or_dose", "not_covered_locally" or "not_covered_by_nice"). Cite the local excerpt. Leave out points where they agree; use [] if there are none.` : '') +
+        `\n${population}\n- Audience: doctors in an acute hospital caring for acutely unwell patients (not primary care).\n- Use UK terminology (BNF/NICE). Prefer concise bullet phrases. No unsafe or speculative recommendations.\n- Output MUST be strictly valid JSON.`;
+    }
+
+    const priority = [include.local && 'Local', include.national && 'NICE'].filter(Boolean).join(' → ');
+
+    const render = (sources, nationalSources) => `
+    You are Guideline Monkey. Answer UK-clinically with priority: ${priority}.
+    Return ONLY a single minified JSON object. No markdown. No code fences. No comments. No trailing commas.
+
+    Schema:
+    ${schema}
+
+    Rules:
+    ${rules}
+
+    User query:
+    ${userQuery}
+
+    Available local guideline titles (choose one if applicable; use the exact title, not an alias):
+    ${localGuidelines.map(g => `- ${g.title}${g.aliases.length ? ` (also known as: ${g.aliases.join('; ')})` : ''}`).join('\n')}
+    ${include.local && sources.length ? `
+    Local guideline excerpts (cite by id):
+    ${sources.map(src => `[${src.id}] ${src.title}, page ${src.page}:\n  ${src.text.replace(/\s*\n\s*/g, ' ')}`).join('\n\n  ')}
+    ` : ''}${include.national && nationalSources.length ? `
+    National guidance excerpts (cite by id):
+    ${nationalSources.map(src => `[${src.id}] ${src.source}${src.code ? ` ${src.code}` : ''} ${src.title}${src.number ? `, recommendation ${src.number}` : src.heading ? `, ${src.heading}` : ''} (${src.url || 'no URL'}):\n  ${src.text.replace(/\s*\n\s*/g, ' ')}`).join('\n\n  ')}
+    ` : ''}`;
+
+    let prompt = render(sources, nationalSources);
+    const budget = llm.contextLength - llm.maxTokens;
+    while ((sources.length || nationalSources.length) && estimateTokens(prompt) > budget) {
+      if (sources.length >= nationalSources.length) sources = sources.slice(0, -1);
+      else nationalSources = nationalSources.slice(0, -1);
+      prompt = render(sources, nationalSources);
+    }
+    if (estimateTokens(prompt) > budget) {
+      console.warn(`Prompt (~${estimateTokens(prompt)} tokens) exceeds the ${llm.name} context budget of ${budget}`);
+    }
+
+    const context = { query: userQuery, include, audience: patient.audience, titles: localGuidelines.map(g => g.title), sourceIds: sources.map(s => s.id), nationalIds: nationalSources.map(s => s.id), attempt: 1 };
+    let reply = await llm.generate({ prompt, onToken, context, signal });
+    const repairs = [];
+    for (let attempt = 0; ; attempt++) {
+      let checked = null;
+      let problems;
+      try {
+        checked = checkAnswer(parseModelJson(reply.text.trim()), include);
+        problems = checked.errors;
+      } catch {
+        problems = ['the reply was not a single valid JSON object'];
+      }
+
+      const done = !problems.length || attempt >= llm.maxRepairs;
+      if (done && checked) {
+        const pruned = problems.length ? pruneInvalid(checked.value, include) : { value: checked.value, warnings: [] };
+        const warnings = [
+          ...repairs.map((errs, i) => `Re-prompted the model (attempt ${i + 2}): ${errs.join('; ')}`),
+          ...checked.warnings,
+          ...pruned.warnings
+        ];
+        return {
+          data: pruned.value,
+          warnings,
+          model: { provider: llm.name, model: reply.model },
+          sources,
+          nationalSources,
+          schema: { valid: !problems.length, attempts: attempt + 1 }
+        };
+      }
+      if (done) throw new HttpError(502, 'model_invalid_output', 'The model did not return valid JSON.');
+
+      repairs.push(problems);
+      if (onRepair) onRepair({ attempt: attempt + 2, errors: problems });
+      reply = await llm.generate({
+        prompt: `${prompt}
+    Your previous reply was:
+    ${reply.text.trim().slice(0, 4000)}
+
+    It does not match the schema:
+    ${problems.map(p => `- ${p}`).join('\n  ')}
+
+    Reply again with the corrected JSON object only.
+    `,
+        context: { ...context, attempt: attempt + 2 },
+        signal
+      });
+    }
+  }
+
+  // E-utilities failures are logged and treated as "no literature" so the rest of the
+  // answer still arrives. A search abandoned because the client went away isn't a failure.
+  async function fetchPubMed(query, audience = 'adult', options = LITERATURE_DEFAULTS, signal) {
+    try {
+      return await pubmed.search(query, { audience, ...options, signal });
+    } catch (e) {
+      if (!(signal && signal.aborted)) console.error('PubMed search failed:', e.message);
+      return [];
+    }
+  }
+
+  // Reads through the cache unless bypassed; a fresh value is stored if keep(value) allows.
+  // -> { value, cachedAt } where cachedAt is null for a fresh value
+  async function cached(source, key, compute, { bypass = false, keep = () => true } = {}) {
+    const hit = bypass ? null : await cache.get(source, key);
+    if (hit) return { value: hit.value, cachedAt: hit.createdAt };
+    const value = await compute();
+    if (keep(value)) await cache.set(source, key, value);
+    return { value, cachedAt: null };
+  }
+
+  const cacheInfo = cachedAt => (cachedAt
+    ? { hit: true, cached_at: new Date(cachedAt).toISOString(), age_seconds: Math.round((Date.now() - cachedAt) / 1000) }
+    : { hit: false });
+
+  // A model-supplied cks_link is kept only if it resolves to a document in the national
+  // corpus; otherwise the best corpus match stands in for it, or with no match a CKS search
+  // link is given. cks_link_verified says whether the link is a corpus document at all;
+  // cks_link_status says how it was chosen: 'verified' (the model's, found in the corpus),
+  // 'replaced' (the model's was not, so the top search hit stands in), 'matched' (the model
+  // gave none) or 'unverified'. A stand-in is only the closest match, so it is not shown as
+  // the model's choice, and one scoring under MIN_STAND_IN_SCORE (a shared word or two,
+  // like "management") is not offered at all.
+  function verifyNationalLink(section, corpusDocs, prompt, warnings) {
+    const given = typeof section.cks_link === 'string' ? section.cks_link.trim() : '';
+    const found = given && national ? national.findByUrl(given) : null;
+    if (found) {
+      section.cks_link = found.url;
+      section.cks_link_verified = true;
+      section.cks_link_status = 'verified';
+      return;
+    }
+    const strong = corpusDocs.filter(d => d.score >= MIN_STAND_IN_SCORE);
+    const best = strong.find(d => d.source === 'CKS') || strong[0];
+    if (given) {
+      warnings.push(`national.cks_link: ${given} is not in the national corpus; ${best ? `replaced with the closest match, ${best.url}` : 'shown as unverified'}`);
+    }
+    if (best) {
+      section.cks_link = best.url;
+      section.cks_link_verified = true;
+      section.cks_link_status = given ? 'replaced' : 'matched';
+    } else {
+      section.cks_link = given || `https://cks.nice.org.uk/search?query=${encodeURIComponent(prompt)}`;
+      section.cks_link_verified = false;
+      section.cks_link_status = 'unverified';
+    }
+  }
+
+  // The whole /api/guidelines pipeline. emit(event), if given, receives each section as
+  // soon as it is ready: 'local_matches' straight from the index, 'literature' when PubMed
+  // returns (it runs alongside the model), and 'token' for each chunk of model output.
+  // audience: one of AUDIENCES, or 'auto' to work it out from the prompt. literature is
+  // literatureOptions()'s result. bypassCache skips cached answers (fresh ones are still stored).
+  // out.timings has the milliseconds spent in each stage; literature runs alongside the model,
+  // and model_ms includes queue_ms, the wait for a free model slot.
+  // site picks whose libraries are searched, and in what order; the default site if omitted.
+  // signal aborts the model and PubMed calls (the client went away); the answer then rejects.
+  // With a queue, 'queue' events give the request's place in line while it waits for the
+  // model ({ position: n }, then { position: 0 } when its turn comes).
+  async function answerQuery({ prompt, include = {}, audience: selected = 'auto', literature: literatureOpts = LITERATURE_DEFAULTS, bypassCache = false, site = libraries.defaultSite, signal }, emit = null) {
+    const incLocal = include.local !== false;
+    const incNational = include.national !== false;
+    const incLiterature = include.literature !== false;
+    const started = Date.now();
+    const timings = {};
+    const since = t => Date.now() - t;
+
+    const patient = resolveAudience(prompt, selected);
+    const { audience } = patient;
+    const library = libraries.forSite(site);
+    const { all: allLocalMatches, primary: localMatches, fallback } = incLocal
+      ? await findLocalGuidelines(prompt, audience, { site })
+      : { all: [], primary: [], fallback: false };
+    timings.retrieval_ms = since(started);
+    const links = allLocalMatches.slice(0, 3).map(({ title, file, link, library: source, pages, type, audience: docAudience, superseded_by, ...dates }) => ({
+      title,
+      file,
+      url: pages.length ? `${link}#page=${pages[0]}` : link,
+      library: source,
+      pages,
+      type,
+      audience: docAudience,
+      other_population: !isCompatible(audience, docAudience),
+      ...documentDates(dates),
+      ...(superseded_by ? { superseded_by } : {})
+    }));
+    if (emit && incLocal) emit({ type: 'local_matches', links });
+
+    const query = normalisePrompt(prompt);
+    const cacheState = {};
+
+    // 1) literature doesn't depend on the model, so start it now. Empty results aren't
+    // cached: fetchPubMed also returns [] when E-utilities is unreachable.
+    const literatureStarted = Date.now();
+    const literature = incLiterature
+      ? cached('pubmed', { query, audience, ...literatureOpts }, () => fetchPubMed(prompt, audience, literatureOpts, signal), {
+        bypass: bypassCache,
+        keep: papers => papers.length > 0
+      }).then(({ value: papers, cachedAt }) => {
+        cacheState.literature = cacheInfo(cachedAt);
+        timings.literature_ms = since(literatureStarted);
+        if (emit) emit({ type: 'literature', published_literature: { papers }, cache: cacheState.literature });
+        return papers;
+      })
+      : null;
+
+    // 2) ask model for structured JSON if local or national requested
+    let stageStarted = Date.now();
+    const sources = incLocal ? collectLocalSources(library, prompt, localMatches) : [];
+    const nationalSources = incNational ? await collectNationalSources(prompt) : [];
+    timings.excerpts_ms = since(stageStarted);
+    let out = {};
+    const warnings = [];
+    let modelUsed = null;
+    let schema = null;
+    let sourcesSent = sources;
+    let nationalSent = nationalSources;
+    if (incLocal || incNational) {
+      const sections = { local: incLocal, national: incNational };
+      // A corpus version only matters when its excerpts go into the prompt
+      const key = {
+        query,
+        include: sections,
+        audience,
+        model: `${llm.name}/${llm.model}`,
+        site: incLocal ? site : undefined,
+        corpus: incLocal ? library.version() : undefined,
+        national: incNational && national ? national.version() : undefined
+      };
+      stageStarted = Date.now();
+      const ask = () => callPhi3Structured(prompt, localMatches, sections, {
+        sources,
+        nationalSources,
+        patient,
+        signal,
+        onToken: emit ? text => emit({ type: 'token', text }) : undefined,
+        onRepair: emit ? ({ attempt, errors }) => emit({ type: 'repair', attempt, errors }) : undefined
+      });
+      let waited = false;
+      const onPosition = position => {
+        if (position) waited = true;
+        else timings.queue_ms = since(stageStarted);
+        if (emit && waited) emit({ type: 'queue', position });
+      };
+      const { value: reply, cachedAt } = await cached('model', key, () => (queue ? queue.run(ask, { signal, onPosition }) : ask()), { bypass: bypassCache });
+      timings.model_ms = since(stageStarted);
+      cacheState.model = cacheInfo(cachedAt);
+      out = reply.data;
+      modelUsed = reply.model;
+      schema = reply.schema;
+      sourcesSent = reply.sources;
+      nationalSent = reply.nationalSources || [];
+      warnings.push(...reply.warnings);
+    }
+
+    out = out && typeof out === 'object' ? out : {};
+    // Exports and saved answers are stamped with what was asked and when; a cached answer
+    // keeps the time the model gave it, not the time it was served again
+    out.query = prompt;
+    out.site = site;
+    out.answered_at = cacheState.model && cacheState.model.hit ? cacheState.model.cached_at : new Date().toISOString();
+    if (modelUsed) out.model = modelUsed;
+    if (schema) out.schema = schema;
+    out.audience = {
+      group: audience,
+      label: AUDIENCE_LABELS[audience],
+      source: patient.source,
+      ...(patient.age ? { age: patient.age } : {}),
+      ...(patient.gestationWeeks !== undefined ? { gestation_weeks: patient.gestationWeeks } : {}),
+      ...(patient.weightKg !== undefined ? { weight_kg: patient.weightKg } : {})
+    };
+
+    // 3) enrich local results
+    if (incLocal) {
+      out.local = out.local && typeof out.local === 'object' ? out.local : {};
+      out.local.links = links;
+      attachCitations(out.local, sourcesSent);
+      if (Array.isArray(out.discrepancies)) {
+        const { resolve } = citationResolver(sourcesSent);
+        out.discrepancies = out.discrepancies.map(({ cite, ...d }) => ({ ...d, citations: resolve(cite) }));
+      }
+      (out.local.doses || []).forEach((d, i) => {
+        if (!d.traced) warnings.push(`local.doses[${i}]: ${d.drug} could not be traced to the source (${d.untraced_reason})`);
+      });
+
+      // Resolve the model's pick against the catalogue (title or alias) so the link is ours
+      const guideline = out.local.guideline;
+      if (guideline && guideline.applicability === 'none') {
+        guideline.url = '';
+      } else if (guideline) {
+        const picked = library.catalogue.findByTitle(guideline.title);
+        if (!picked) {
+          warnings.push(`local.guideline: "${guideline.title}" is not in the local catalogue; replaced with the top match`);
+          delete out.local.guideline;
+        } else if (!picked.clinical) {
+          warnings.push(`local.guideline: "${picked.title}" is a ${picked.type.replace('_', ' ')}, not a clinical guideline; replaced`);
+          delete out.local.guideline;
+        } else {
+          guideline.title = picked.title;
+          guideline.file = picked.file;
+          guideline.url = picked.link;
+          guideline.library = picked.library;
+          guideline.audience = picked.audience;
+          Object.assign(guideline, documentDates(picked));
+        }
+      }
+
+      if (!out.local.guideline) {
+        out.local.guideline = {
+          title: localMatches[0]?.title || 'No applicable local guideline',
+          ...(localMatches.length ? { file: localMatches[0].file, library: localMatches[0].library } : {}),
+          summary: localMatches.length ? 'Most applicable local document selected by full-text match.' : '',
+          url: localMatches[0]?.link || '',
+          applicability: localMatches.length ? 'most_applicable' : 'none',
+          ...(localMatches.length ? { audience: localMatches[0].audience, ...documentDates(localMatches[0]) } : {})
+        };
+      }
+
+      const chosen = out.local.guideline.audience;
+      if (chosen && !isCompatible(audience, chosen)) {
+        out.local.population_note = `No local guideline for ${AUDIENCE_NOUNS[audience]} matched; ` +
+          `this document is written for ${AUDIENCE_NOUNS[chosen]}. Check doses and thresholds before applying it.`;
+      } else if (fallback) {
+        out.local.population_note = `No local guideline for ${AUDIENCE_NOUNS[audience]} matched.`;
+      }
+    } else {
+      delete out.local;
+    }
+
+    // 4) national: citations, corpus links, and a cks_link we can vouch for
+    if (incNational) {
+      out.national = out.national && typeof out.national === 'object' ? out.national : {};
+      attachCitations(out.national, nationalSent);
+      const corpusDocs = national ? national.search(prompt, { limit: 3 }).filter(d => d.url) : [];
+      out.national.links = corpusDocs.map(({ title, url, source, code }) => ({ title, url, source, code }));
+      verifyNationalLink(out.national, corpusDocs, prompt, warnings);
+    } else {
+      delete out.national;
+    }
+
+    // 5) published literature
+    if (literature) {
+      out.published_literature = { papers: await literature };
+    }
+
+    out.warnings = warnings;
+    out.cache = cacheState;
+    timings.total_ms = since(started);
+    out.timings = timings;
+
+    return out;
+  }
+
+  return { answerQuery, findLocalGuidelines };
+}
+
+module.exports = { createPipeline, literatureOptions, parseModelJson, traceDose, LITERATURE_DEFAULTS };
@@ -0,0 +1,171 @@
+// lib/pubmed.js — evidence search against NCBI E-utilities (or a local stand-in at the same
+// paths). One esearch per evidence tier, then a single batched efetch whose XML is parsed
+// into papers with authors, journal, year, PMID, DOI, publication type and abstract sections.
+const { XMLParser } = require('fast-xml-parser');
+
+const DEFAULT_BASE_URL = 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils';
+
+const MESH_FILTERS = {
+  neonatal: 'infant, newborn[MeSH Terms]',
+  paediatric: '(child[MeSH Terms] OR infant[MeSH Terms] OR adolescent[MeSH Terms])',
+  adult: 'adult[MeSH Terms]',
+  older_adult: 'aged[MeSH Terms]',
+  pregnancy: 'pregnancy[MeSH Terms]'
+};
+
+// Searched in order until `count` papers are found
+const TIERS = [
+  '(systematic[sb] OR meta-analysis[pt] OR guideline[pt] OR practice guideline[pt])',
+  'randomized controlled trial[pt]'
+];
+
+// Most specific first: a Cochrane review is tagged both "Systematic Review" and "Review"
+const PUBLICATION_TYPES = [
+  ['guideline', 'Guideline', /^(practice )?guideline$/i],
+  ['meta_analysis', 'Meta-analysis', /^meta-analysis$/i],
+  ['systematic_review', 'Systematic review', /^systematic review$/i],
+  ['rct', 'RCT', /^randomized controlled trial$/i],
+  ['review', 'Review', /^review$/i],
+  ['trial', 'Clinical trial', /^clinical trial/i]
+];
+
+const INLINE_TAGS = /<\/?(i|b|u|sup|sub|em|strong|mml:[\w-]+|math)\b[^>]*>/g;
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  textNodeName: 'text',
+  parseTagValue: false,
+  htmlEntities: true,
+  isArray: name => ['PubmedArticle', 'Author', 'AbstractText', 'PublicationType', 'ArticleId', 'ELocationID'].includes(name)
+});
+
+const text = node => {
+  if (node === undefined || node === null) return '';
+  if (typeof node === 'object') return String(node.text ?? '');
+  return String(node);
+};
+const clean = s => text(s).replace(/\s+/g, ' ').trim();
+
+function publicationType(types) {
+  for (const [id, label, re] of PUBLICATION_TYPES) {
+    if (types.some(t => re.test(t))) return { id, label };
+  }
+  return { id: 'other', label: types[0] || 'Article' };
+}
+
+function formatAuthor(a) {
+  if (a.CollectiveName) return clean(a.CollectiveName);
+  return [clean(a.LastName), clean(a.Initials)].filter(Boolean).join(' ');
+}
+
+// Vancouver style: "Smith J, Jones A, Brown K, et al. Title. Journal. 2021;12(3):45-67. doi:10.x/y"
+function formatCitation(p) {
+  const authors = p.authors.length > 3 ? `${p.authors.slice(0, 3).join(', ')}, et al` : p.authors.join(', ');
+  const issue = p.volume ? `;${p.volume}${p.issue ? `(${p.issue})` : ''}${p.pages ? `:${p.pages}` : ''}` : '';
+  return [
+    authors && `${authors}.`,
+    p.title && `${p.title.replace(/\.$/, '')}.`,
+    p.journal && `${p.journal}.`,
+    p.year && `${p.year}${issue}.`,
+    p.doi && `doi:${p.doi}`
+  ].filter(Boolean).join(' ');
+}
+
+// Conclusions when the abstract is structured, otherwise its first two sentences
+function summarise(sections) {
+  const conclusion = sections.find(s => /conclusion|interpretation/i.test(s.label));
+  const body = conclusion ? conclusion.text : sections.map(s => s.text).join(' ');
+  return body.split(/(?<=[.!?])\s+/).slice(0, 2).join(' ');
+}
+
+function parseArticles(xml) {
+  const doc = parser.parse(xml.replace(INLINE_TAGS, ''));
+  const articles = doc?.PubmedArticleSet?.PubmedArticle || [];
+  return articles.map(item => {
+    const citation = item.MedlineCitation || {};
+    const article = citation.Article || {};
+    const journal = article.Journal || {};
+    const pubDate = journal.JournalIssue?.PubDate || {};
+    const pmid = clean(citation.PMID);
+    const ids = item.PubmedData?.ArticleIdList?.ArticleId || [];
+    const doi = clean(ids.find(id => id.IdType === 'doi')) ||
+      clean((article.ELocationID || []).find(e => e.EIdType === 'doi'));
+    const types = (article.PublicationTypeList?.PublicationType || []).map(clean);
+    const abstract = (article.Abstract?.AbstractText || []).map(s => ({
+      label: (typeof s === 'object' && s.Label) || '',
+      text: clean(s)
+    })).filter(s => s.text);
+    const type = publicationType(types);
+
+    const paper = {
+      pmid,
+      title: clean(article.ArticleTitle) || `PubMed ${pmid}`,
+      authors: (article.AuthorList?.Author || []).map(formatAuthor).filter(Boolean),
+      journal: clean(journal.ISOAbbreviation) || clean(journal.Title),
+      year: (clean(pubDate.Year) || clean(pubDate.MedlineDate).slice(0, 4)) || '',
+      volume: clean(journal.JournalIssue?.Volume),
+      issue: clean(journal.JournalIssue?.Issue),
+      pages: clean(article.Pagination?.MedlinePgn),
+      doi,
+      publication_type: type.id,
+      publication_type_label: type.label,
+      abstract,
+      summary: summarise(abstract),
+      url: `https://pubmed.ncbi.nlm.nih.gov/${pmid}/`,
+      ...(doi ? { doi_url: `https://doi.org/${doi}` } : {})
+    };
+    paper.citation = formatCitation(paper);
+    return paper;
+  });
+}
+
+// requestsPerSecond defaults to NCBI's limits: 3/s, or 10/s with an API key
+function createPubMedClient({ baseUrl = DEFAULT_BASE_URL, apiKey = '', requestsPerSecond, timeoutMs = 15000, tool = 'guideline-monkey', email = '' } = {}) {
+  const interval = 1000 / (requestsPerSecond || (apiKey ? 10 : 3));
+  let nextSlot = 0;
+
+  // Spaces requests at least `interval` apart across all concurrent searches. signal, if
+  // given, abandons the request (the client went away).
+  async function request(endpoint, params, signal) {
+    const now = Date.now();
+    const wait = Math.max(0, nextSlot - now);
+    nextSlot = Math.max(now, nextSlot) + interval;
+    if (wait) await new Promise(r => setTimeout(r, wait));
+
+    const qs = new URLSearchParams({ db: 'pubmed', tool, ...(email ? { email } : {}), ...(apiKey ? { api_key: apiKey } : {}), ...params });
+    const resp = await fetch(`${baseUrl.replace(/\/$/, '')}/${endpoint}?${qs}`, {
+      signal: signal ? AbortSignal.any([AbortSignal.timeout(timeoutMs), signal]) : AbortSignal.timeout(timeoutMs)
+    });
+    if (!resp.ok) throw new Error(`E-utilities ${endpoint} returned HTTP ${resp.status}`);
+    return resp;
+  }
+
+  // -> [paper]; fromYear/toYear limit the publication date
+  async function search(query, { audience = 'adult', count = 3, fromYear, toYear, signal } = {}) {
+    let base = `${query} [Title/Abstract]`;
+    if (MESH_FILTERS[audience]) base += ` AND ${MESH_FILTERS[audience]}`;
+    const dates = fromYear || toYear
+      ? { datetype: 'pdat', mindate: String(fromYear || 1800), maxdate: String(toYear || new Date().getFullYear()) }
+      : {};
+
+    const ids = [];
+    for (const tier of TIERS) {
+      if (ids.length >= count) break;
+      const resp = await request('esearch.fcgi', { term: `${base} AND ${tier}`, retmode: 'json', retmax: String(count), sort: 'relevance', ...dates }, signal);
+      const data = await resp.json();
+      for (const id of data.esearchresult?.idlist || []) {
+        if (!ids.includes(id) && ids.length < count) ids.push(id);
+      }
+    }
+    if (!ids.length) return [];
+
+    const resp = await request('efetch.fcgi', { id: ids.join(','), retmode: 'xml', rettype: 'abstract' }, signal);
+    const byId = new Map(parseArticles(await resp.text()).map(p => [p.pmid, p]));
+    return ids.map(id => byId.get(id)).filter(Boolean);
+  }
+
+  return { search };
+}
+
+module.exports = { createPubMedClient, parseArticles, formatCitation, MESH_FILTERS };
@@ -0,0 +1,155 @@
+// lib/queryAudit.js — every /api/guidelines call, appended to data/query-audit.jsonl for
+// clinical governance: who asked, when, what (pseudonymised), with which options, and
+// which local guideline the answer gave. Entries are never edited or removed.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createAuditLog } = require('./auditLog');
+
+// Patient identifiers a clinician might type into a question. Each match is replaced by a
+// keyed hash ("[NHS:3f9a1c]"), so one patient keeps one pseudonym across entries without
+// the log saying who they are. Ages, weights and clinical details are left alone: the
+// answer depended on them. Order matters: phone numbers before NHS numbers.
+// Names are only recognised after a title ("Mrs O'Brien", "Dr McDonald") or "name is" /
+// "called": a bare name ("Jane Doe, DOB 12/03/1980") stays in the log as typed, with only
+// its date replaced. The log is pseudonymised on a best-effort basis, not anonymised.
+const IDENTIFIERS = [
+  ['EMAIL', /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g],
+  ['PHONE', /(?:\+44\s?|\b0)\d{3,4}[\s-]?\d{3}[\s-]?\d{3,4}\b/g],
+  ['NHS', /\b\d{3}[\s-]?\d{3}[\s-]?\d{4}\b/g],
+  ['MRN', /\b(?:MRN|hospital\s+(?:no|number)|hosp\.?\s*no|unit\s+(?:no|number))\.?\s*[:#]?\s*(?=[A-Z-]*\d)[A-Z0-9-]{4,}\b/gi],
+  ['MRN', /\b[A-Z]{1,3}\d{6,8}\b/g],
+  ['DATE', /\b\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}\b/g],
+  ['DATE', /\b\d{1,2}(?:st|nd|rd|th)?\s+(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\s+\d{4}\b/gi],
+  ['POSTCODE', /\b[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}\b/gi],
+  ['NAME', /\b(?:Mr|Mrs|Ms|Miss|Mx|Dr|Master)\.?\s+[A-Z][\w'’-]+(?:\s+[A-Z][\w'’-]+)?/g],
+  ['NAME', /\b(?:[Nn]ame(?:d|\s+is)?|called)\s*:?\s+[A-Z][\w'’-]+(?:\s+[A-Z][\w'’-]+)?/g]
+];
+
+// key: the HMAC key; GM_AUDIT_KEY, or a random one kept in data/audit.key so pseudonyms
+// stay the same across restarts
+function loadAuditKey(keyFile, env = process.env) {
+  if (env.GM_AUDIT_KEY) return env.GM_AUDIT_KEY;
+  try {
+    return fs.readFileSync(keyFile, 'utf8').trim();
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  const key = crypto.randomBytes(32).toString('hex');
+  fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+  fs.writeFileSync(keyFile, key, { mode: 0o600 });
+  return key;
+}
+
+// Matches are swapped for placeholders while the patterns run, so a pseudonym is never
+// itself mistaken for an identifier by a later pattern
+function createPseudonymiser(key) {
+  const tag = (kind, value) => {
+    const id = crypto.createHmac('sha256', key).update(`${kind}\0${value.replace(/\s+/g, '').toLowerCase()}`).digest('hex').slice(0, 6);
+    return `[${kind}:${id}]`;
+  };
+  return text => {
+    const tags = [];
+    const held = IDENTIFIERS.reduce((out, [kind, re]) => out.replace(re, m => {
+      tags.push(tag(kind, m));
+      return `\uE000${String.fromCharCode(0xE100 + tags.length - 1)}\uE000`;
+    }), String(text || ''));
+    return held.replace(/\uE000([\s\S])\uE000/g, (m, c) => tags[c.charCodeAt(0) - 0xE100]);
+  };
+}
+
+const CSV_COLUMNS = [
+  ['at', e => e.at],
+  ['user', e => e.user],
+  ['role', e => e.role],
+  ['outcome', e => e.outcome],
+  ['prompt', e => e.prompt],
+  ['local', e => e.include && e.include.local],
+  ['national', e => e.include && e.include.national],
+  ['literature', e => e.include && e.include.literature],
+  ['audience', e => e.audience],
+  ['patient_group', e => e.patient_group],
+  ['site', e => e.site],
+  ['model', e => e.model && `${e.model.provider}/${e.model.model}`],
+  ['guideline_file', e => e.guideline && e.guideline.file],
+  ['guideline_library', e => e.guideline && e.guideline.library],
+  ['applicability', e => e.guideline && e.guideline.applicability],
+  ['cached', e => e.cached],
+  ['retrieval_ms', e => e.timings && e.timings.retrieval_ms],
+  ['excerpts_ms', e => e.timings && e.timings.excerpts_ms],
+  ['queue_ms', e => e.timings && e.timings.queue_ms],
+  ['model_ms', e => e.timings && e.timings.model_ms],
+  ['literature_ms', e => e.timings && e.timings.literature_ms],
+  ['total_ms', e => e.timings && e.timings.total_ms],
+  ['answer_id', e => e.answer_id]
+];
+
+// Text that a spreadsheet would run as a formula (=, +, -, @, or a leading tab or CR) is
+// prefixed with ' so it opens as text
+const csvCell = v => {
+  let s = v === undefined || v === null ? '' : String(v);
+  if (typeof v === 'string' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// columns: [name, entry => value]; the audit's own by default
+function toCsv(entries, columns = CSV_COLUMNS) {
+  return [
+    columns.map(([name]) => name).join(','),
+    ...entries.map(e => columns.map(([, get]) => csvCell(get(e))).join(','))
+  ].join('\r\n') + '\r\n';
+}
+
+function createQueryAudit({ file, key }) {
+  const log = createAuditLog(file);
+  const pseudonymise = createPseudonymiser(key);
+
+  // request: { prompt, include, audience, site, rerunOf, model }, model being the configured
+  // one; user: { name, role }; out: the answer, or null when the call failed; outcome: 'ok',
+  // 'cancelled' or the error code. A failed call is logged against the configured model, an
+  // answer against the model that gave it (none when no model section was asked for).
+  function record({ user, request, out = null, outcome }) {
+    const guideline = out && out.local && out.local.guideline;
+    return log.append({
+      user: user.name,
+      role: user.role,
+      outcome,
+      prompt: pseudonymise(request.prompt),
+      include: {
+        local: request.include.local !== false,
+        national: request.include.national !== false,
+        literature: request.include.literature !== false
+      },
+      audience: request.audience,
+      ...(out && out.audience ? { patient_group: out.audience.group } : {}),
+      site: request.site,
+      ...(request.rerunOf ? { rerun_of: request.rerunOf } : {}),
+      model: (out ? out.model : request.model) || null,
+      guideline: guideline
+        ? { file: guideline.file || null, library: guideline.library ? guideline.library.id : null, applicability: guideline.applicability }
+        : null,
+      ...(out && out.cache && out.cache.model ? { cached: out.cache.model.hit } : {}),
+      ...(out && out.timings ? { timings: out.timings } : {}),
+      ...(out && out.id ? { answer_id: out.id } : {})
+    });
+  }
+
+  // Newest first. q matches the (pseudonymised) prompt or the guideline file; from/to are
+  // ISO dates or date-times, to inclusive of that whole day when only a date is given.
+  function search({ q = '', user = '', outcome = '', from = '', to = '', limit = 200 } = {}) {
+    const text = q.trim().toLowerCase();
+    const until = /^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to;
+    return log.read({
+      limit,
+      match: e => (!user || e.user === user) &&
+        (!outcome || e.outcome === outcome) &&
+        (!from || e.at >= from) &&
+        (!until || e.at <= until) &&
+        (!text || e.prompt.toLowerCase().includes(text) || ((e.guideline && e.guideline.file) || '').toLowerCase().includes(text))
+    });
+  }
+
+  return { record, search, pseudonymise };
+}
+
+module.exports = { createQueryAudit, createPseudonymiser, loadAuditKey, toCsv };
@@ -0,0 +1,82 @@
+// lib/responseCache.js — on-disk cache for slow upstream answers (model output, PubMed).
+// One JSON file per entry under <dir>/<source>/, named by a hash of the key, so entries
+// survive restarts and can be cleared by deleting the folder.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Stable JSON: object keys sorted, so { a, b } and { b, a } hash the same
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+const hashKey = key => crypto.createHash('sha256').update(canonical(key)).digest('hex');
+
+// Case, spacing and trailing punctuation don't change the question
+const normalisePrompt = prompt =>
+  String(prompt || '').normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim().replace(/[\s?.!]+$/, '');
+
+// ttl: { [source]: milliseconds }; a source without a TTL (or with 0) is never cached.
+function createResponseCache({ dir, ttl = {}, enabled = true }) {
+  const fileFor = (source, key) => path.join(dir, source, `${hashKey(key)}.json`);
+
+  // -> { value, createdAt } or null when missing, expired or unreadable
+  async function get(source, key) {
+    if (!enabled || !ttl[source]) return null;
+    const file = fileFor(source, key);
+    let entry;
+    try {
+      entry = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch {
+      return null;
+    }
+    if (Date.now() - entry.createdAt > ttl[source]) {
+      fs.promises.unlink(file).catch(() => {});
+      return null;
+    }
+    return { value: entry.value, createdAt: entry.createdAt };
+  }
+
+  async function set(source, key, value) {
+    if (!enabled || !ttl[source]) return;
+    const file = fileFor(source, key);
+    try {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify({ createdAt: Date.now(), key, value }));
+      await fs.promises.rename(tmp, file);
+    } catch (err) {
+      console.error(`Cache write failed (${source}):`, err.message);
+    }
+  }
+
+  // Deletes expired entries; run at startup so the folder doesn't grow without bound
+  async function prune() {
+    let removed = 0;
+    for (const source of Object.keys(ttl)) {
+      let files = [];
+      try { files = await fs.promises.readdir(path.join(dir, source)); } catch { continue; }
+      for (const name of files) {
+        const file = path.join(dir, source, name);
+        try {
+          const { createdAt } = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+          if (ttl[source] && Date.now() - createdAt <= ttl[source]) continue;
+        } catch {
+          // unreadable or half-written: drop it
+        }
+        await fs.promises.unlink(file).catch(() => {});
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  return { get, set, prune, enabled };
+}
+
+module.exports = { createResponseCache, normalisePrompt, hashKey };
@@ -0,0 +1,209 @@
+// lib/staticFiles.js — serves files from one root folder: paths are confined to the root,
+// files are streamed, and GET/HEAD get ETag/Last-Modified (304 on a match), single-range
+// requests (so PDF viewers can fetch one page) and gzip/brotli for text types.
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.jsx': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.bmp': 'image/bmp',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.eot': 'application/vnd.ms-fontobject',
+  '.pdf': 'application/pdf',
+  '.wasm': 'application/wasm',
+  '.zip': 'application/zip',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg'
+};
+
+const COMPRESSIBLE = /^(text\/|application\/(json|javascript|xml|manifest\+json)|image\/svg\+xml)/;
+const MIN_COMPRESS_BYTES = 1024;
+
+const mimeType = file => MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+
+// Weak validator from size and mtime: cheap, and changes whenever the file is replaced
+const etagFor = stat => `W/"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+
+// "bytes=0-499", "bytes=500-", "bytes=-500" -> { start, end }; null to send the whole file
+// (no header, several ranges, or a unit we don't know); 'unsatisfiable' for a 416
+function parseRange(header, size) {
+  const m = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+  if (!m || (m[1] === '' && m[2] === '')) return null;
+  let start;
+  let end;
+  if (m[1] === '') {
+    start = Math.max(0, size - Number(m[2]));
+    end = size - 1;
+  } else {
+    start = Number(m[1]);
+    end = m[2] === '' ? size - 1 : Math.min(Number(m[2]), size - 1);
+  }
+  if (start >= size || start > end) return 'unsatisfiable';
+  return { start, end };
+}
+
+function notModified(req, etag, mtime) {
+  const inm = req.headers['if-none-match'];
+  if (inm) return inm.split(',').map(s => s.trim()).some(t => t === '*' || t === etag || t.replace(/^W\//, '') === etag.replace(/^W\//, ''));
+  const ims = Date.parse(req.headers['if-modified-since'] || '');
+  return !Number.isNaN(ims) && Math.floor(mtime.getTime() / 1000) <= Math.floor(ims / 1000);
+}
+
+// If-Range: only honour Range when the client's copy is still the current one. RFC 9110
+// allows only a strong comparison there, so a weak ETag (ours always are) never matches and
+// the whole file is sent; a date must be the file's Last-Modified exactly.
+function rangeStillValid(req, etag, mtime) {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) return true;
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) return !etag.startsWith('W/') && ifRange === etag;
+  return Date.parse(ifRange) === Math.floor(mtime.getTime() / 1000) * 1000;
+}
+
+// Accept-Encoding with its q-values: "br;q=0, gzip" rules brotli out, and "*" stands for
+// any coding not named. Of br and gzip, the one with the higher q; brotli on a tie.
+function pickEncoding(req) {
+  const q = {};
+  for (const part of String(req.headers['accept-encoding'] || '').split(',')) {
+    const [coding, ...params] = part.trim().toLowerCase().split(';').map(p => p.trim());
+    if (!coding) continue;
+    const qParam = params.find(p => p.startsWith('q='));
+    const value = qParam ? Number(qParam.slice(2)) : 1;
+    q[coding] = Number.isFinite(value) ? value : 0;
+  }
+  const weight = coding => (coding in q ? q[coding] : '*' in q ? q['*'] : 0);
+  const best = ['br', 'gzip'].filter(c => weight(c) > 0).sort((a, b) => weight(b) - weight(a))[0];
+  return best || null;
+}
+
+// root: folder to serve. allow(relativePath) filters what may be served; files and folders
+// whose names start with "." never are. index: file for a request that names a folder.
+function createFileServer({ root, allow = () => true, index = null, cacheControl = 'no-cache' }) {
+  const rootDir = path.resolve(root);
+  let realRoot = null;
+
+  // -> absolute path inside the root, or null
+  async function resolve(relPath) {
+    if (relPath.includes('\0')) return null;
+    const parts = relPath.split(/[\\/]+/).filter(Boolean);
+    if (parts.some(p => p === '..' || p.startsWith('.'))) return null;
+    let file = path.join(rootDir, ...parts);
+    if (file !== rootDir && !file.startsWith(rootDir + path.sep)) return null;
+
+    let stat;
+    try { stat = await fs.promises.stat(file); } catch { return null; }
+    if (stat.isDirectory()) {
+      if (!index) return null;
+      file = path.join(file, index);
+    }
+    // A symlink inside the root must not lead outside it
+    try {
+      realRoot = realRoot || (await fs.promises.realpath(rootDir));
+      const real = await fs.promises.realpath(file);
+      if (real !== realRoot && !real.startsWith(realRoot + path.sep)) return null;
+    } catch {
+      return null;
+    }
+    return allow(path.relative(rootDir, file)) ? file : null;
+  }
+
+  // Sends the file for `relPath` (already URL-decoded). Resolves to false, sending nothing,
+  // when there is no such servable file, so the caller can answer 404 its own way.
+  async function serve(req, res, relPath) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { Allow: 'GET, HEAD', 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Method not allowed');
+      return true;
+    }
+    const file = await resolve(relPath);
+    if (!file) return false;
+    let stat;
+    try { stat = await fs.promises.stat(file); } catch { return false; }
+    if (!stat.isFile()) return false;
+
+    const type = mimeType(file);
+    const etag = etagFor(stat);
+    const headers = {
+      'Content-Type': type,
+      'Last-Modified': stat.mtime.toUTCString(),
+      ETag: etag,
+      'Cache-Control': cacheControl,
+      'Accept-Ranges': 'bytes',
+      'X-Content-Type-Options': 'nosniff'
+    };
+
+    if (notModified(req, etag, stat.mtime)) {
+      delete headers['Content-Type'];
+      delete headers['Accept-Ranges'];
+      res.writeHead(304, headers);
+      res.end();
+      return true;
+    }
+
+    let range = req.headers.range && rangeStillValid(req, etag, stat.mtime) ? parseRange(req.headers.range, stat.size) : null;
+    if (range === 'unsatisfiable') {
+      res.writeHead(416, { ...headers, 'Content-Range': `bytes */${stat.size}` });
+      res.end();
+      return true;
+    }
+
+    let status = 200;
+    let encoding = null;
+    if (range) {
+      status = 206;
+      headers['Content-Range'] = `bytes ${range.start}-${range.end}/${stat.size}`;
+      headers['Content-Length'] = range.end - range.start + 1;
+    } else if (COMPRESSIBLE.test(type) && stat.size >= MIN_COMPRESS_BYTES && (encoding = pickEncoding(req))) {
+      headers['Content-Encoding'] = encoding;
+      headers.Vary = 'Accept-Encoding';
+    } else {
+      headers['Content-Length'] = stat.size;
+      if (COMPRESSIBLE.test(type)) headers.Vary = 'Accept-Encoding';
+    }
+
+    res.writeHead(status, headers);
+    if (req.method === 'HEAD') {
+      res.end();
+      return true;
+    }
+    const source = fs.createReadStream(file, range || {});
+    const streams = encoding
+      ? [source, encoding === 'br' ? zlib.createBrotliCompress() : zlib.createGzip(), res]
+      : [source, res];
+    pipeline(...streams, err => {
+      if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.error(`Serving ${file} failed:`, err.message);
+    });
+    return true;
+  }
+
+  return { serve, resolve };
+}
+
+module.exports = { createFileServer, parseRange, pickEncoding, mimeType, MIME_TYPES };
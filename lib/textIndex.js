@@ -0,0 +1,166 @@
+// lib/textIndex.js — tokeniser, Porter stemmer and a BM25 inverted index over paged documents
+const STOP_WORDS = new Set(`
+a about above after again against all am an and any are as at be because been before being below
+between both but by can could did do does doing down during each few for from further had has have
+having he her here hers herself him himself his how i if in into is it its itself just me more most
+my myself no nor not of off on once only or other our ours ourselves out over own same she should so
+some such than that the their theirs them themselves then there these they this those through to too
+under until up very was we were what when where which while who whom why will with would you your
+yours yourself yourselves also may must per via vs eg ie etc
+`.split(/\s+/).filter(Boolean));
+
+// ---- Porter stemmer (M.F. Porter, 1980) ----
+const step2list = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble', alli: 'al',
+  entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al',
+  iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble', logi: 'log'
+};
+const step3list = { icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: '' };
+
+const c = '[^aeiou]';
+const v = '[aeiouy]';
+const C = `${c}[^aeiouy]*`;
+const V = `${v}[aeiou]*`;
+const mgr0 = new RegExp(`^(${C})?${V}${C}`);
+const meq1 = new RegExp(`^(${C})?${V}${C}(${V})?$`);
+const mgr1 = new RegExp(`^(${C})?${V}${C}${V}${C}`);
+const sV = new RegExp(`^(${C})?${v}`);
+const cvc = new RegExp(`^${C}${v}[^aeiouwxy]$`);
+
+function stem(word) {
+  if (word.length < 3 || /\d/.test(word)) return word;
+  let w = word;
+  const firstY = w[0] === 'y';
+  if (firstY) w = 'Y' + w.slice(1);
+  let m;
+
+  // Step 1a
+  if ((m = /^(.+?)(ss|i)es$/.exec(w))) w = m[1] + m[2];
+  else if ((m = /^(.+?)([^s])s$/.exec(w))) w = m[1] + m[2];
+
+  // Step 1b
+  if ((m = /^(.+?)eed$/.exec(w))) {
+    if (mgr0.test(m[1])) w = w.slice(0, -1);
+  } else if ((m = /^(.+?)(ed|ing)$/.exec(w)) && sV.test(m[1])) {
+    w = m[1];
+    if (/(at|bl|iz)$/.test(w)) w += 'e';
+    else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+    else if (cvc.test(w)) w += 'e';
+  }
+
+  // Step 1c
+  if ((m = /^(.+?)y$/.exec(w)) && sV.test(m[1])) w = m[1] + 'i';
+
+  // Step 2
+  m = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w);
+  if (m && mgr0.test(m[1])) w = m[1] + step2list[m[2]];
+
+  // Step 3
+  m = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w);
+  if (m && mgr0.test(m[1])) w = m[1] + step3list[m[2]];
+
+  // Step 4
+  if ((m = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w))) {
+    if (mgr1.test(m[1])) w = m[1];
+  } else if ((m = /^(.+?)(s|t)(ion)$/.exec(w))) {
+    if (mgr1.test(m[1] + m[2])) w = m[1] + m[2];
+  }
+
+  // Step 5
+  if ((m = /^(.+?)e$/.exec(w))) {
+    const s = m[1];
+    if (mgr1.test(s) || (meq1.test(s) && !cvc.test(s))) w = s;
+  }
+  if (/ll$/.test(w) && mgr1.test(w)) w = w.slice(0, -1);
+
+  if (firstY) w = 'y' + w.slice(1);
+  return w;
+}
+
+function tokenize(text = '') {
+  const words = String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/);
+  const out = [];
+  for (const word of words) {
+    if (!word || STOP_WORDS.has(word)) continue;
+    if (word.length < 2 && !/\d/.test(word)) continue;
+    out.push(stem(word));
+  }
+  return out;
+}
+
+// ---- BM25 index ----
+// docs: [{ id, title, pages: [string] }]. Body text decides the score; query terms that
+// also appear in the title scale it up by at most (1 + titleBoost).
+function buildIndex(docs, { k1 = 1.2, b = 0.75, titleBoost = 0.5 } = {}) {
+  const postings = new Map(); // term -> Map(docIdx -> { tf, pages: Map(pageNo -> tf) })
+  const lengths = [];
+  const titleTerms = [];
+
+  docs.forEach((doc, d) => {
+    let len = 0;
+    (doc.pages || []).forEach((text, p) => {
+      for (const term of tokenize(text)) {
+        len++;
+        let byDoc = postings.get(term);
+        if (!byDoc) postings.set(term, (byDoc = new Map()));
+        let entry = byDoc.get(d);
+        if (!entry) byDoc.set(d, (entry = { tf: 0, pages: new Map() }));
+        entry.tf++;
+        entry.pages.set(p + 1, (entry.pages.get(p + 1) || 0) + 1);
+      }
+    });
+    lengths[d] = len;
+    titleTerms[d] = new Set(tokenize(doc.title));
+  });
+
+  const N = docs.length;
+  const avgdl = lengths.reduce((a, n) => a + n, 0) / (N || 1) || 1;
+  const idf = term => {
+    const n = postings.has(term) ? postings.get(term).size : 0;
+    return Math.log(1 + (N - n + 0.5) / (n + 0.5));
+  };
+
+  function search(query, { limit = 10, maxPages = 3 } = {}) {
+    const terms = [...new Set(tokenize(query))];
+    if (!terms.length) return [];
+
+    const hits = new Map(); // docIdx -> { body, pages: Map(pageNo -> score) }
+    for (const term of terms) {
+      const byDoc = postings.get(term);
+      if (!byDoc) continue;
+      const w = idf(term);
+      for (const [d, { tf, pages }] of byDoc) {
+        let hit = hits.get(d);
+        if (!hit) hits.set(d, (hit = { body: 0, pages: new Map() }));
+        hit.body += w * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * lengths[d] / avgdl));
+        for (const [p, ptf] of pages) {
+          hit.pages.set(p, (hit.pages.get(p) || 0) + w * (ptf * (k1 + 1)) / (ptf + k1));
+        }
+      }
+    }
+
+    const results = [];
+    docs.forEach((doc, d) => {
+      const hit = hits.get(d);
+      const coverage = terms.filter(t => titleTerms[d].has(t)).length / terms.length;
+      if (!hit && !coverage) return;
+      const body = hit ? hit.body : 0;
+      // a title-only hit (no text layer) still surfaces, but below any body match
+      const score = body ? body * (1 + titleBoost * coverage) : coverage * 1e-3;
+      const pages = hit
+        ? [...hit.pages].sort((x, y) => y[1] - x[1] || x[0] - y[0]).slice(0, maxPages).map(([p]) => p)
+        : [];
+      results.push({ id: doc.id, score, pages });
+    });
+
+    return results.sort((x, y) => y.score - x.score).slice(0, limit);
+  }
+
+  return { search, idf, size: N };
+}
+
+module.exports = { tokenize, stem, buildIndex, STOP_WORDS };
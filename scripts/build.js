@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+// scripts/build.js — bundles the frontend (frontend/main.jsx and everything it imports,
+// React and styles.css included) into frontend/dist/app.js and app.css, so the page needs
+// nothing from a CDN and compiles nothing in the browser.
+//
+//   npm run build                 minified production build (npm start runs this first)
+//   npm run build -- --watch      development build, rebuilt on every change
+const path = require('path');
+const { parseArgs } = require('util');
+const esbuild = require('esbuild');
+
+const root = path.join(__dirname, '..');
+const { values } = parseArgs({ options: { watch: { type: 'boolean', default: false } } });
+
+const options = {
+  entryPoints: { app: path.join(root, 'frontend', 'main.jsx') },
+  outdir: path.join(root, 'frontend', 'dist'),
+  bundle: true,
+  minify: !values.watch,
+  sourcemap: true,
+  // Older hospital desktops: nothing newer than optional chaining
+  target: ['es2020'],
+  loader: { '.jsx': 'jsx' },
+  define: { 'process.env.NODE_ENV': JSON.stringify(values.watch ? 'development' : 'production') },
+  logLevel: 'info'
+};
+
+async function main() {
+  if (!values.watch) return esbuild.build(options);
+  const ctx = await esbuild.context(options);
+  await ctx.watch();
+}
+
+main().catch(() => process.exit(1));
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+// scripts/users.js — manages the accounts used when GM_AUTH=local (data/users.json, or
+// GM_USERS_FILE). The server picks up changes without a restart.
+//
+//   npm run users -- add <name> [--role clinician|admin]   prompts for the password
+//   npm run users -- passwd <name>                        sets a new password
+//   npm run users -- role <name> clinician|admin
+//   npm run users -- remove <name>                        also ends their sessions
+//   npm run users -- list
+//
+// GM_PASSWORD gives the password without the prompt (for provisioning scripts).
+const path = require('path');
+const readline = require('readline');
+const { parseArgs } = require('util');
+const { readUsers, writeUsers, hashPassword, ROLES } = require('../lib/accounts');
+
+const root = path.join(__dirname, '..');
+const usersFile = process.env.GM_USERS_FILE || path.join(process.env.GM_DATA_DIR || path.join(root, 'data'), 'users.json');
+const NAME_RE = /^[\w.@-]{1,64}$/;
+const MIN_PASSWORD = 10;
+
+const USAGE = `Usage: npm run users -- <command>
+  add <name> [--role clinician|admin]   create an account (default role clinician)
+  passwd <name>                         set a new password
+  role <name> clinician|admin           change the role
+  remove <name>                         delete the account
+  list                                  names and roles
+Users file: ${usersFile}`;
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+// Asks twice without echoing what is typed
+async function askPassword() {
+  if (process.env.GM_PASSWORD) return process.env.GM_PASSWORD;
+  if (!process.stdin.isTTY) fail('Set GM_PASSWORD, or run this in a terminal to be asked for the password');
+  const ask = question => new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl._writeToOutput = text => { if (text.startsWith(question)) rl.output.write(text); };
+    rl.question(question, answer => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+  const first = await ask('Password: ');
+  if (first !== await ask('Again: ')) fail('The passwords do not match');
+  return first;
+}
+
+async function newPassword() {
+  const password = await askPassword();
+  if (password.length < MIN_PASSWORD) fail(`Passwords need at least ${MIN_PASSWORD} characters`);
+  return hashPassword(password);
+}
+
+function checkRole(role) {
+  if (!ROLES.includes(role)) fail(`Unknown role "${role}"; expected ${ROLES.join(' or ')}`);
+  return role;
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({ options: { role: { type: 'string' } }, allowPositionals: true });
+  const [command, name, arg] = positionals;
+  const users = readUsers(usersFile);
+  const existing = () => users[name] || fail(`No user "${name}"`);
+
+  if (command === 'list') {
+    const names = Object.keys(users).sort();
+    if (!names.length) console.log('No users yet; add one with: npm run users -- add <name> --role admin');
+    for (const n of names) console.log(`${n}\t${users[n].role}`);
+    return;
+  }
+  if (!command || !name) fail(USAGE);
+  if (!NAME_RE.test(name)) fail('Names may use letters, digits and . _ @ - (at most 64)');
+
+  if (command === 'add') {
+    if (users[name]) fail(`User "${name}" already exists; use passwd or role to change it`);
+    const role = checkRole(values.role || 'clinician');
+    users[name] = { role, password: await newPassword() };
+    writeUsers(usersFile, users);
+    console.log(`Added ${name} (${role})`);
+  } else if (command === 'passwd') {
+    existing().password = await newPassword();
+    writeUsers(usersFile, users);
+    console.log(`Changed the password for ${name}`);
+  } else if (command === 'role') {
+    existing().role = checkRole(arg || values.role);
+    writeUsers(usersFile, users);
+    console.log(`${name} is now ${users[name].role}`);
+  } else if (command === 'remove') {
+    existing();
+    delete users[name];
+    writeUsers(usersFile, users);
+    console.log(`Removed ${name}`);
+  } else {
+    fail(USAGE);
+  }
+}
+
+main().catch(err => fail(err.message));
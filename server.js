@@ -3,198 +3,559 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const url = require('url');
-const JSON5 = require('json5');
+const { pipeline } = require('stream');
+const { createLibrarySet, loadSitesConfig } = require('./lib/librarySet');
+const { createNationalCorpus } = require('./lib/nationalCorpus');
+const { AUDIENCES } = require('./lib/audience');
+const { loadLlmConfig, createProvider, ProviderError } = require('./lib/llm');
+const { createResponseCache } = require('./lib/responseCache');
+const { createAuditLog } = require('./lib/auditLog');
+const { createLibraryAdmin, AdminError, REVIEW_CSV_COLUMNS } = require('./lib/libraryAdmin');
+const { createTokenAuth } = require('./lib/adminAuth');
+const { createPubMedClient } = require('./lib/pubmed');
+const { createFileServer } = require('./lib/staticFiles');
+const { HttpError } = require('./lib/httpError');
+const { createPipeline, literatureOptions } = require('./lib/pipeline');
+const { createAnswerStore } = require('./lib/answerStore');
+const { createModelQueue, QueueError } = require('./lib/modelQueue');
+const { createAccounts } = require('./lib/accounts');
+const { createQueryAudit, loadAuditKey, toCsv } = require('./lib/queryAudit');
+const { reviewStatus } = require('./lib/documentDates');
+const { searchCatalogue, facets, CATALOGUE_SORTS, DOC_TYPES } = require('./lib/catalogue');
 
-const localDir = path.join(__dirname, 'local_ocr');
 const frontendDir = path.join(__dirname, 'frontend');
+const splitNames = value => String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+const dataDir = process.env.GM_DATA_DIR || path.join(__dirname, 'data');
+
+// Full-text indexes over the OCR layer of each library's PDFs (local_ocr/*.pdf unless
+// sites.config.json, or GM_SITES_CONFIG, names several); each is rebuilt when its folder
+// or catalogue.json manifest changes. A request's `site` picks the libraries searched.
+const archiveDir = process.env.GM_ARCHIVE_DIR || path.join(dataDir, 'archive');
+const libraries = createLibrarySet(loadSitesConfig(process.env.GM_SITES_CONFIG || path.join(__dirname, 'sites.config.json'), {
+  root: __dirname,
+  dataDir,
+  archiveDir
+}));
+
+// NICE guidance and CKS topic pages saved under national/ (or GM_NATIONAL_DIR); the
+// national section is built from these and only their canonical URLs are vouched for.
+// national.example/ holds a few abridged extracts to try it with (GM_NATIONAL_DIR=national.example);
+// they are not NICE's text and are not meant for clinical use.
+const national = createNationalCorpus({ dir: process.env.GM_NATIONAL_DIR || path.join(__dirname, 'national') });
+
+// Admin API (/api/admin/*): upload, replace, retire and re-describe guidelines, one
+// library at a time. Old versions are kept under GM_ARCHIVE_DIR (in a folder per library
+// when there are several); every change is appended to data/audit.jsonl with its library.
+const adminAuth = createTokenAuth(process.env.GM_ADMIN_TOKENS);
+const auditLog = createAuditLog(path.join(dataDir, 'audit.jsonl'));
+const libraryAdmins = new Map(libraries.libraries().map(lib => [lib.id, createLibraryAdmin({
+  dir: lib.dir,
+  archiveDir: lib.archiveDir,
+  manifestFile: path.join(lib.dir, 'catalogue.json'),
+  library: lib.library,
+  // Entries written before there were several libraries have no `library`
+  audit: {
+    append: entry => auditLog.append({ library: lib.id, ...entry }),
+    read: ({ match, ...opts }) => auditLog.read({ ...opts, match: r => (r.library || libraries.defaultLibrary) === lib.id && match(r) })
+  }
+})]));
+
+// Sign-in (GM_AUTH=off|local|proxy; see lib/accounts.js). With it on, the search, history,
+// sites and PDFs need a signed-in user, and admins reach the admin API without a token.
+const accounts = createAccounts({
+  mode: process.env.GM_AUTH || 'off',
+  usersFile: process.env.GM_USERS_FILE || path.join(dataDir, 'users.json'),
+  header: process.env.GM_AUTH_HEADER || 'x-forwarded-user',
+  adminUsers: splitNames(process.env.GM_ADMIN_USERS),
+  sessionHours: Number(process.env.GM_SESSION_HOURS) || 12
+});
+
+// Every /api/guidelines call, with identifiers in the prompt pseudonymised, goes to
+// data/query-audit.jsonl; admins search and export it at /api/admin/queries
+const queryAudit = createQueryAudit({
+  file: path.join(dataDir, 'query-audit.jsonl'),
+  key: loadAuditKey(path.join(dataDir, 'audit.key'))
+});
+
+const MAX_UPLOAD_BYTES = Number(process.env.GM_MAX_UPLOAD_MB || 50) * 1024 * 1024;
+// A question plus options is a few hundred bytes; anything far bigger is refused with 413
+const MAX_QUERY_BYTES = Number(process.env.GM_MAX_BODY_KB || 64) * 1024;
+
+// /local/<library>/ serves only the PDFs in that library's folder; everything else comes
+// from frontend/
+const localFiles = new Map(libraries.libraries().map(lib => [lib.id, createFileServer({ root: lib.dir, allow: f => /\.pdf$/i.test(f) })]));
+const frontendFiles = createFileServer({ root: frontendDir, index: 'index.html' });
+// The page loads the bundle built by `npm run build` (npm start runs it first)
+if (!fs.existsSync(path.join(frontendDir, 'dist', 'app.js'))) {
+  console.warn('frontend/dist/ is missing; run `npm run build` or the page will not load');
+}
+
+const llm = createProvider(loadLlmConfig(process.env.GM_LLM_CONFIG || path.join(__dirname, 'llm.config.json')));
+
+// Point GM_PUBMED_BASE_URL at a local stand-in to run without NCBI; GM_PUBMED_RATE is
+// requests per second (NCBI allows 3, or 10 with an API key)
+const pubmed = createPubMedClient({
+  baseUrl: process.env.GM_PUBMED_BASE_URL || undefined,
+  apiKey: process.env.GM_PUBMED_API_KEY || '',
+  requestsPerSecond: Number(process.env.GM_PUBMED_RATE) || undefined,
+  timeoutMs: Number(process.env.GM_PUBMED_TIMEOUT_MS) || undefined,
+  email: process.env.GM_PUBMED_EMAIL || ''
+});
+
+// Model answers and PubMed results are reused across identical questions until their TTL
+// runs out (GM_CACHE_TTL_*_HOURS; 0 disables that source, GM_CACHE=off disables all)
+const hours = (value, fallback) => (value === undefined || value === '' ? fallback : Number(value)) * 3600 * 1000;
+const cache = createResponseCache({
+  dir: process.env.GM_CACHE_DIR || path.join(dataDir, 'cache'),
+  ttl: {
+    model: hours(process.env.GM_CACHE_TTL_MODEL_HOURS, 24 * 7),
+    pubmed: hours(process.env.GM_CACHE_TTL_PUBMED_HOURS, 24)
+  },
+  enabled: process.env.GM_CACHE !== 'off'
+});
+cache.prune().then(n => n && console.log(`Removed ${n} expired cache entries`));
+
+// One model serves everyone: GM_QUEUE_CONCURRENCY calls run at once (default 1), up to
+// GM_QUEUE_MAX_WAITING more wait in line (default 20), each for at most GM_QUEUE_TIMEOUT_MS
+// (default 2 minutes; 0 waits as long as it takes). Cached answers skip the queue.
+const setting = (value, fallback) => (value === undefined || value === '' ? fallback : Number(value));
+const modelQueue = createModelQueue({
+  concurrency: Math.max(1, setting(process.env.GM_QUEUE_CONCURRENCY, 1)),
+  maxWaiting: setting(process.env.GM_QUEUE_MAX_WAITING, 20),
+  timeoutMs: setting(process.env.GM_QUEUE_TIMEOUT_MS, 120000)
+});
+
+const { answerQuery } = createPipeline({ libraries, national, llm, pubmed, cache, queue: modelQueue });
+
+// Every completed answer is saved for the history list and its /q/:id permalink.
+// GM_HISTORY_MAX is per user; answers shared or opened in the last GM_HISTORY_KEEP_DAYS are kept
+const answers = createAnswerStore({
+  dir: path.join(dataDir, 'answers'),
+  max: Number(process.env.GM_HISTORY_MAX) || 500,
+  keepDays: Number(process.env.GM_HISTORY_KEEP_DAYS) || 30
+});
 
-// ---- helpers ----
-function detectAudience(text = '') {
-  const s = text.toLowerCase();
-  if (/(pregnan|antenatal|obstetric|maternal)/.test(s)) return 'pregnancy';
-  if (/(paedi|pedi|child|infant|neonat)/.test(s)) return 'paediatric';
-  return 'adult';
+// ---- admin API ----
+function sendJson(res, status, value, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(value));
 }
 
-function findLocalGuidelines(query, audience = 'adult') {
-  const terms = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
-  const files = fs.existsSync(localDir) ? fs.readdirSync(localDir) : [];
-  const matches = files
-    .filter(f => terms.some(t => f.toLowerCase().includes(t)))
-    .map(f => ({
-      title: f.replace(/_ocr\.pdf$/i, '').replace(/_/g, ' '),
-      file: f,
-      link: `/local/${encodeURIComponent(f)}`,
-      audience: detectAudience(f)
-    }));
-  const primary = matches.filter(m => m.audience === audience);
-  return { all: matches, primary };
+// Whole request body as a Buffer; rejects with 413 once it passes `limit` bytes
+function readBody(req, limit, tooLarge = () => new AdminError(`Upload is larger than ${Math.round(limit / 1048576)} MB`, 413)) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size <= limit) chunks.push(chunk);
+    });
+    req.on('end', () => (size > limit
+      ? reject(tooLarge())
+      : resolve(Buffer.concat(chunks))));
+    req.on('error', reject);
+  });
 }
-const norm = s =>
-  (s || '').toLowerCase().replace(/[\s_-]+/g, '').replace(/[^a-z0-9]/g, '');
 
-async function callPhi3Structured(userQuery, localTitles, include = {}) {
-  const sections = [];
-  if (include.local) {
-    sections.push(`"local": {\n      "guideline": {"title": string, "summary": string, "url": string, "applicability": "specific" | "most_applicable" | "none"},\n      "decision_tree": [{"if": string, "then": string, "note"?: string}],\n      "admission_criteria": string[],\n      "recommended_investigations": string[],\n      "recommended_management": string[],\n      "links": [{"title": string, "url": string}]\n    }`);
+async function readJsonBody(req) {
+  const body = (await readBody(req, 1024 * 1024)).toString('utf8');
+  try {
+    return JSON.parse(body || '{}');
+  } catch {
+    throw new AdminError('Body is not valid JSON');
   }
-  if (include.national) {
-    sections.push(`"national": {\n      "decision_tree": [{"if": string, "then": string, "note"?: string}],\n      "nice_summary": string,\n      "admission_criteria": string[],\n      "recommended_investigations": string[],\n      "recommended_management": string[],\n      "cks_link": string\n    }`);
+}
+
+const splitList = value => (value === undefined ? undefined : String(value).split(/[;,]/).map(s => s.trim()).filter(Boolean));
+
+// Admins are the names in GM_ADMIN_TOKENS, by bearer token, or signed-in users with the
+// admin role. Every documents and audit route takes ?library=<id>; the default is the
+// default site's own library.
+//   GET    /api/admin/session                            -> { user }
+//   GET    /api/admin/libraries                          -> { default_library, libraries: [{ id, title, kind }] }
+//   GET    /api/admin/documents                          -> { documents, retired }
+//   POST   /api/admin/documents?name=&title=&aliases=&audience=&version=&published=&review_by=   (body: the PDF)
+//   PUT    /api/admin/documents/:file                    (body: the replacement PDF)
+//   PATCH  /api/admin/documents/:file                    { title?, aliases?, audience?, version?, published?, review_by? }
+//   DELETE /api/admin/documents/:file?reason=            retire
+//   GET    /api/admin/documents/:file/versions           -> [{ version, reason, archived_at, size }]
+//   GET    /api/admin/documents/:file/versions/:version  -> the PDF as it was
+//   GET    /api/admin/review?format=json|csv             -> documents by review status, overdue first
+//   GET    /api/admin/audit?file=&limit=                 -> newest first
+//   GET    /api/admin/queries?q=&user=&outcome=&from=&to=&limit=   -> the query audit, newest first
+//   GET    /api/admin/queries/export?format=csv|jsonl&(same filters)  -> as a download
+async function handleAdmin(req, res, parsedUrl) {
+  if (!adminAuth.enabled && !accounts.enabled) {
+    return sendJson(res, 404, { error: 'The admin API is disabled; set GM_ADMIN_TOKENS or GM_AUTH to enable it' });
   }
-  const schema = `{
-    "summary": string${sections.length ? ',\n    ' + sections.join(',\n    ') : ''}
-  }`;
-
-  let rules = `- Use UK terminology (BNF/NICE). Prefer concise bullet phrases. No unsafe or speculative recommendations.\n- Output MUST be strictly valid JSON.`;
-  if (include.local || include.national) {
-    const bind = [];
-    if (include.local) bind.push('local');
-    if (include.national) bind.push('national');
-    rules = `- Bind ${bind.join(' + ')} guidance in the top-level "summary" (2–5 sentences).` +
-      (include.local ? `\n- Local: If a specific local guideline exists, set applicability="specific"; else use the most applicable and set applicability="most_applicable"; if none, set applicability="none".\n- Provide a practical decision_tree of IF/THEN steps (2–6 items).\n- List admission_criteria for when hospital admission is required.` : '') +
-      (include.national ? `\n- National: Summarise NICE for the exact query; list admission_criteria for hospital admission; list investigations and management succinctly; include the most relevant NICE CKS link.` : '') +
-      `\n- Audience: doctors in an acute hospital caring for acutely unwell patients (not primary care).\n- Use UK terminology (BNF/NICE). Prefer concise bullet phrases. No unsafe or speculative recommendations.\n- Output MUST be strictly valid JSON.`;
+  const signedIn = accounts.enabled ? accounts.identify(req) : null;
+  const actor = adminAuth.user(req) || (signedIn && signedIn.role === 'admin' ? signedIn.name : null);
+  if (!actor) {
+    return signedIn
+      ? sendJson(res, 403, { error: 'The admin role is required' })
+      : sendJson(res, 401, { error: 'A valid admin token is required' }, { 'WWW-Authenticate': 'Bearer' });
   }
 
-  const priority = [include.local && 'Local', include.national && 'NICE'].filter(Boolean).join(' → ');
-
-  const prompt = `
-  You are Guideline Monkey. Answer UK-clinically with priority: ${priority}.
-  Return ONLY a single minified JSON object. No markdown. No code fences. No comments. No trailing commas.
+  const { query } = parsedUrl;
+  try {
+    const [resource, file, sub, version] = parsedUrl.pathname.split('/').slice(3).map(decodeURIComponent);
+    const method = req.method;
+
+    if (resource === 'session' && method === 'GET') return sendJson(res, 200, { user: actor });
+    if (resource === 'libraries' && method === 'GET') {
+      return sendJson(res, 200, {
+        default_library: libraries.defaultLibrary,
+        libraries: libraries.libraries().map(({ id, title, kind }) => ({ id, title, kind }))
+      });
+    }
 
-  Schema:
-  ${schema}
+    if (resource === 'queries' && method === 'GET') {
+      const filters = {
+        q: String(query.q || ''),
+        user: String(query.user || ''),
+        outcome: String(query.outcome || ''),
+        from: String(query.from || ''),
+        to: String(query.to || '')
+      };
+      if (!file) return sendJson(res, 200, await queryAudit.search({ ...filters, limit: Math.min(Number(query.limit) || 200, 5000) }));
+      if (file !== 'export') return sendJson(res, 404, { error: 'Not found' });
+      const format = query.format || 'csv';
+      if (!['csv', 'jsonl'].includes(format)) throw new AdminError('format must be csv or jsonl');
+      // Oldest first, as the log itself reads
+      const entries = (await queryAudit.search({ ...filters, limit: Number(query.limit) || Infinity })).reverse();
+      res.writeHead(200, {
+        'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson',
+        'Content-Disposition': `attachment; filename="query-audit-${new Date().toISOString().slice(0, 10)}.${format}"`
+      });
+      return res.end(format === 'csv' ? toCsv(entries) : entries.map(e => JSON.stringify(e) + '\n').join(''));
+    }
 
-  Rules:
-  ${rules}
+    const libraryAdmin = libraryAdmins.get(query.library || libraries.defaultLibrary);
+    if (!libraryAdmin) throw new AdminError(`Unknown library "${query.library}"`, 404);
+
+    if (resource === 'review' && method === 'GET') {
+      const report = await libraryAdmin.reviewReport();
+      const format = query.format || 'json';
+      if (!['json', 'csv'].includes(format)) throw new AdminError('format must be json or csv');
+      if (format === 'json') return sendJson(res, 200, report);
+      res.writeHead(200, {
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="review-report-${query.library || libraries.defaultLibrary}-${report.generated_at.slice(0, 10)}.csv"`
+      });
+      return res.end(toCsv(report.documents, REVIEW_CSV_COLUMNS));
+    }
 
-  User query:
-  ${userQuery}
+    if (resource === 'audit' && method === 'GET') {
+      const limit = Math.min(Number(query.limit) || 200, 5000);
+      const entries = await libraryAdmin.audit(query.file ? { limit, file: query.file } : { limit });
+      return sendJson(res, 200, entries);
+    }
 
-  Available local guideline titles (choose one if applicable; use the exact title):
-  ${localTitles.map(t => `- ${t}`).join('\n')}
-  `;
-  
-    // Ask Ollama; format:'json' helps some models be strict; ok to remove if your build errors
-    const body = { model: 'llama3.1:8b-instruct-q8_0', prompt, stream: false, format: 'json', options: { temperature: 0 } };
-  
-    const resp = await fetch('http://localhost:11434/api/generate', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(body)
-    });
-    if (!resp.ok) throw new Error(`Ollama error ${resp.status}`);
-    const data = await resp.json();
-    const raw = (data.response || '').trim();
-  
-    // Robust parse: try JSON → fenced blocks → first {...} → JSON5 → trailing comma fix
-    const tryParseStrict = (s) => { try { return JSON.parse(s); } catch { return null; } };
-    const tryParseJSON5  = (s) => { try { return JSON5.parse(s); } catch { return null; } };
-  
-    // 1) direct
-    let obj = tryParseStrict(raw);
-    if (obj) return obj;
-  
-    // 2) ```json ... ```
-    const fence = raw.match(/```json\s*([\s\S]*?)```/i) || raw.match(/```\s*([\s\S]*?)```/);
-    if (fence && fence[1]) {
-      obj = tryParseStrict(fence[1].trim()) || tryParseJSON5(fence[1].trim());
-      if (obj) return obj;
+    if (resource === 'documents' && !file) {
+      if (method === 'GET') return sendJson(res, 200, await libraryAdmin.list());
+      if (method === 'POST') {
+        const pdf = await readBody(req, MAX_UPLOAD_BYTES);
+        const entry = await libraryAdmin.upload(query.name, pdf, {
+          actor,
+          title: query.title || undefined,
+          aliases: splitList(query.aliases),
+          audience: query.audience || undefined,
+          version: query.version || undefined,
+          published: query.published || undefined,
+          review_by: query.review_by || undefined
+        });
+        return sendJson(res, 201, entry);
+      }
     }
-  
-    // 3) between <json>...</json>
-    const tag = raw.match(/<json>([\s\S]*?)<\/json>/i);
-    if (tag && tag[1]) {
-      obj = tryParseStrict(tag[1].trim()) || tryParseJSON5(tag[1].trim());
-      if (obj) return obj;
+
+    if (resource === 'documents' && file && !sub) {
+      if (method === 'PUT') return sendJson(res, 200, await libraryAdmin.replace(file, await readBody(req, MAX_UPLOAD_BYTES), { actor }));
+      if (method === 'PATCH') return sendJson(res, 200, await libraryAdmin.edit(file, await readJsonBody(req), { actor }));
+      if (method === 'DELETE') return sendJson(res, 200, await libraryAdmin.retire(file, { actor, reason: query.reason || '' }));
     }
-  
-    // 4) first {...last}
-    const first = raw.indexOf('{');
-    const last  = raw.lastIndexOf('}');
-    if (first !== -1 && last !== -1 && last > first) {
-      const slice = raw.slice(first, last + 1);
-      obj = tryParseStrict(slice) || tryParseJSON5(slice);
-      if (obj) return obj;
-  
-      // 5) quick trailing-comma fixer then retry
-      const noTrailingCommas = slice.replace(/,\s*([}\]])/g, '$1');
-      obj = tryParseStrict(noTrailingCommas) || tryParseJSON5(noTrailingCommas);
-      if (obj) return obj;
+
+    if (resource === 'documents' && file && sub === 'versions' && method === 'GET') {
+      if (!version) return sendJson(res, 200, await libraryAdmin.versions(file));
+      const pdfPath = await libraryAdmin.versionPath(file, version);
+      // Opened before the headers go out, so a missing or unreadable copy is a 404/500
+      let handle;
+      try {
+        handle = await fs.promises.open(pdfPath, 'r');
+      } catch (err) {
+        if (err.code === 'ENOENT') return sendJson(res, 404, { error: `No copy of ${file} (${version}) on disk` });
+        throw err;
+      }
+      if (!(await handle.stat()).isFile()) {
+        await handle.close();
+        return sendJson(res, 404, { error: `No copy of ${file} (${version}) on disk` });
+      }
+      res.writeHead(200, {
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(version === 'current' ? file : `${version}_${file}`)}`
+      });
+      return pipeline(handle.createReadStream(), res, err => {
+        if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.error(`Sending ${pdfPath} failed:`, err.message);
+      });
     }
-  
-    // Log a snippet for debugging and throw
-    console.error('Model output (first 800 chars):\n', raw.slice(0, 800));
-    throw new Error('Model did not return valid JSON.');
+
+    return sendJson(res, 404, { error: 'Not found' });
+  } catch (err) {
+    if (err instanceof AdminError || err instanceof URIError) return sendJson(res, err.status || 400, { error: err.message });
+    console.error(err);
+    return sendJson(res, 500, { error: 'Admin request failed.' });
   }
+}
 
-async function fetchPubMed(query, audience = 'adult') {
+// ---- /api/guidelines ----
+// Errors are { error, code }: code is one of method_not_allowed, body_too_large, invalid_json,
+// missing_prompt, invalid_include, invalid_audience, invalid_site, invalid_literature,
+// invalid_rerun_of, queue_full, queue_timeout, model_unavailable, model_timeout,
+// model_invalid_output or internal_error.
+// Streaming requests get it as { type: 'error', ... }. With sign-in on, unauthenticated
+// requests get 401 with code unauthenticated.
+function toHttpError(err) {
+  if (err instanceof HttpError) return err;
+  if (err instanceof QueueError) return new HttpError(503, err.code, err.message);
+  if (err instanceof ProviderError) {
+    return err.timedOut
+      ? new HttpError(504, 'model_timeout', `The model did not answer in time (${llm.model} via ${llm.name}).`)
+      : new HttpError(502, 'model_unavailable', `The model is unavailable (${llm.model} via ${llm.name}).`);
+  }
+  return new HttpError(500, 'internal_error', 'Request failed.');
+}
+
+async function readQuery(req) {
+  const body = (await readBody(req, MAX_QUERY_BYTES,
+    () => new HttpError(413, 'body_too_large', `Request body is larger than ${Math.round(MAX_QUERY_BYTES / 1024)} KB`))).toString('utf8');
+  let parsed;
   try {
-    let base = `${query} [Title/Abstract]`;
-    if (audience === 'adult') {
-      base += ' AND adult[MeSH Terms]';
-    } else if (audience === 'paediatric') {
-      base += ' AND (child[MeSH Terms] OR infant[MeSH Terms])';
-    } else if (audience === 'pregnancy') {
-      base += ' AND pregnancy[MeSH Terms]';
+    parsed = JSON.parse(body || '{}');
+  } catch {
+    throw new HttpError(400, 'invalid_json', 'Request body is not valid JSON');
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new HttpError(400, 'invalid_json', 'Request body must be a JSON object');
+  }
+  return parsed;
+}
+
+// Writes the call to the query audit. A failed write is logged, not fatal, like a failed save.
+function auditQuery(user, request, out, outcome) {
+  try {
+    queryAudit.record({ user, request, out, outcome });
+  } catch (err) {
+    console.error('Could not write the query audit:', err.message);
+  }
+}
+
+async function handleGuidelines(req, res, user) {
+  if (req.method !== 'POST') {
+    return sendJson(res, 405, { error: 'Use POST', code: 'method_not_allowed' }, { Allow: 'POST' });
+  }
+  let streaming = false;
+  let request = null; // what the audit records, once the body has been read
+  // The Stop button (or a closed tab) drops the connection: stop the model and PubMed
+  // calls rather than finish an answer nobody will read
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  const { signal } = controller;
+  try {
+    const { prompt = '', include = {}, audience = 'auto', site = libraries.defaultSite, literature: literatureRaw, stream = false, bypass_cache = false, rerun_of: rerunOf } = await readQuery(req);
+    const includeOk = include && typeof include === 'object' && !Array.isArray(include);
+    request = { prompt: String(prompt), include: includeOk ? include : {}, audience, site, rerunOf, model: { provider: llm.name, model: llm.model } };
+    if (typeof prompt !== 'string' || !prompt.trim()) throw new HttpError(400, 'missing_prompt', 'Missing prompt');
+    if (!includeOk || ['local', 'national', 'literature'].some(k => include[k] !== undefined && typeof include[k] !== 'boolean')) {
+      throw new HttpError(400, 'invalid_include', 'include must be an object of { local, national, literature } set to true or false');
+    }
+    if (audience !== 'auto' && !AUDIENCES.includes(audience)) {
+      throw new HttpError(400, 'invalid_audience', `Unknown audience "${audience}"; expected auto or one of ${AUDIENCES.join(', ')}`);
+    }
+    if (typeof site !== 'string' || !libraries.hasSite(site)) {
+      throw new HttpError(400, 'invalid_site', `Unknown site "${site}"; see GET /api/sites`);
     }
-    const ids = [];
-
-    async function search(term) {
-      const url = `https://eutils.ncbi.nlm.nih.gov/entrez/eutils/esearch.fcgi?db=pubmed&term=${encodeURIComponent(term)}&retmode=json&retmax=5&sort=cited`;
-      const resp = await fetch(url);
-      if (!resp.ok) return [];
-      const data = await resp.json();
-      return data.esearchresult?.idlist || [];
+    let literature;
+    try {
+      literature = literatureOptions(literatureRaw);
+    } catch (err) {
+      throw new HttpError(400, 'invalid_literature', err.message);
     }
 
-    // Prefer systematic reviews
-    for (const id of await search(`${base} AND systematic[sb]`)) {
-      if (!ids.includes(id)) ids.push(id);
+    if (rerunOf !== undefined && !answers.isId(rerunOf)) throw new HttpError(400, 'invalid_rerun_of', 'rerun_of must be a saved answer id');
+
+    const bypassCache = bypass_cache === true || /no-cache/.test(req.headers['cache-control'] || '');
+    const finish = async out => {
+      const saved = await saveAnswer(out, { user: accounts.enabled ? user.name : undefined, prompt, include, audience, site, literature, rerunOf });
+      auditQuery(user, request, saved, 'ok');
+      return saved;
+    };
+    const ask = { prompt, include, audience, site, literature, bypassCache, signal };
+
+    // Streaming mode: NDJSON, one event per line, ending with the full result
+    streaming = stream === true || /application\/x-ndjson/.test(req.headers.accept || '');
+    if (streaming) {
+      res.writeHead(200, { 'Content-Type': 'application/x-ndjson', 'Cache-Control': 'no-cache' });
+      const emit = event => res.write(JSON.stringify(event) + '\n');
+      const out = await answerQuery(ask, emit);
+      if (signal.aborted) throw signal.reason;
+      emit({ type: 'result', data: await finish(out) });
+      return res.end();
+    }
+
+    const out = await answerQuery(ask);
+    if (signal.aborted) throw signal.reason;
+    sendJson(res, 200, await finish(out));
+  } catch (err) {
+    if (signal.aborted) {
+      console.log('Client disconnected; the answer was abandoned');
+      if (request) auditQuery(user, request, null, 'cancelled');
+      return;
     }
+    const httpErr = toHttpError(err);
+    if (request) auditQuery(user, request, null, httpErr.code);
+    if (err instanceof QueueError) console.warn(err.message);
+    else if (httpErr.status >= 500) console.error(err);
+    if (streaming) {
+      res.end(JSON.stringify({ type: 'error', error: httpErr.message, code: httpErr.code }) + '\n');
+      return;
+    }
+    sendJson(res, httpErr.status, { error: httpErr.message, code: httpErr.code });
+  }
+}
 
-    // Then fill with randomized controlled trials if needed
-    if (ids.length < 3) {
-      for (const id of await search(`${base} AND randomized controlled trial[pt]`)) {
-        if (!ids.includes(id)) ids.push(id);
-        if (ids.length >= 3) break;
+// Stores the answer and adds its id and permalink. A failed save is logged, not fatal:
+// the clinician still gets the answer, just without a link.
+async function saveAnswer(out, { user, prompt, include, audience, site, literature, rerunOf }) {
+  try {
+    const record = await answers.save({
+      user,
+      prompt,
+      include: { local: include.local !== false, national: include.national !== false, literature: include.literature !== false },
+      audience,
+      site,
+      literature: { count: literature.count, from_year: literature.fromYear, to_year: literature.toYear },
+      model: out.model,
+      rerunOf,
+      result: out
+    });
+    return { ...out, id: record.id, permalink: `/q/${record.id}`, saved_at: record.created_at };
+  } catch (err) {
+    console.error('Could not save the answer:', err.message);
+    return out;
+  }
+}
+
+// ---- /api/history ----
+// With sign-in on, the list is the user's own answers and only they (or an admin) can pin,
+// share or delete one. A saved answer holds the question as typed, patient details and all,
+// so another user can open it only once its owner has shared it (the Copy link button
+// does). Answers saved with sign-in off belong to nobody and stay open to everyone.
+//   GET    /api/history?q=&limit=     -> { items: [summary] }, pinned first, then newest
+//   GET    /api/history/:id           -> the saved record, answer included (what /q/:id shows)
+//   PATCH  /api/history/:id           { pinned?, shared? } -> summary
+//   DELETE /api/history/:id
+async function handleHistory(req, res, parsedUrl, user) {
+  try {
+    const id = parsedUrl.pathname.split('/')[3];
+    if (!id) {
+      if (req.method !== 'GET') throw new HttpError(405, 'method_not_allowed', 'Use GET');
+      const limit = Math.min(Number(parsedUrl.query.limit) || 100, 1000);
+      const owner = accounts.enabled ? user.name : undefined;
+      return sendJson(res, 200, { items: await answers.list({ limit, query: String(parsedUrl.query.q || ''), user: owner }) });
+    }
+    if (req.method === 'GET') {
+      const record = await answers.get(id);
+      if (!record) throw new HttpError(404, 'not_found', 'No saved answer with that id');
+      if (accounts.enabled && user.role !== 'admin' && record.user && record.user !== user.name && !record.shared_at) {
+        throw new HttpError(403, 'not_shared', 'This answer has not been shared; ask whoever saved it to copy its link for you');
       }
+      await answers.markOpened(id);
+      return sendJson(res, 200, record);
     }
+    if (accounts.enabled && user.role !== 'admin') {
+      const record = await answers.get(id);
+      if (!record) throw new HttpError(404, 'not_found', 'No saved answer with that id');
+      if (record.user !== user.name) throw new HttpError(403, 'forbidden', 'Only the user who asked, or an admin, can change a saved answer');
+    }
+    if (req.method === 'PATCH') {
+      const { pinned, shared } = await readQuery(req);
+      if (pinned === undefined && shared === undefined) throw new HttpError(400, 'invalid_patch', 'Send pinned or shared');
+      if (pinned !== undefined && typeof pinned !== 'boolean') throw new HttpError(400, 'invalid_pinned', 'pinned must be true or false');
+      if (shared !== undefined && typeof shared !== 'boolean') throw new HttpError(400, 'invalid_shared', 'shared must be true or false');
+      let summary = pinned === undefined ? true : await answers.setPinned(id, pinned);
+      if (summary && shared !== undefined) summary = await answers.setShared(id, shared);
+      if (!summary) throw new HttpError(404, 'not_found', 'No saved answer with that id');
+      return sendJson(res, 200, summary);
+    }
+    if (req.method === 'DELETE') {
+      if (!(await answers.remove(id))) throw new HttpError(404, 'not_found', 'No saved answer with that id');
+      res.writeHead(204);
+      return res.end();
+    }
+    throw new HttpError(405, 'method_not_allowed', 'Use GET, PATCH or DELETE');
+  } catch (err) {
+    const httpErr = toHttpError(err);
+    if (httpErr.status >= 500) console.error(err);
+    sendJson(res, httpErr.status, { error: httpErr.message, code: httpErr.code });
+  }
+}
 
-    if (!ids.length) return [];
+// ---- /api/status ----
+// { model: { provider, model, available, detail?, checked_at }, queue: modelQueue.stats() }.
+// The model server is asked at most every 30 seconds, however often this is polled.
+const MODEL_CHECK_MS = 30 * 1000;
+let modelCheck = null;
+
+function checkModel() {
+  if (modelCheck && Date.now() - modelCheck.at < MODEL_CHECK_MS) return modelCheck.result;
+  const at = Date.now();
+  const result = llm.check()
+    .catch(err => ({ available: false, detail: err.message }))
+    .then(r => ({ ...r, checked_at: new Date(at).toISOString() }));
+  modelCheck = { at, result };
+  return result;
+}
 
-    const summaryUrl = `https://eutils.ncbi.nlm.nih.gov/entrez/eutils/esummary.fcgi?db=pubmed&id=${ids.join(',')}&retmode=json`;
-    const sumResp = await fetch(summaryUrl);
-    if (!sumResp.ok) return [];
-    const sumData = await sumResp.json();
+async function serverStatus() {
+  return {
+    model: { provider: llm.name, model: llm.model, ...(await checkModel()) },
+    queue: modelQueue.stats()
+  };
+}
 
-    const out = [];
-    for (const id of ids.slice(0, 3)) {
-      const title = sumData.result?.[id]?.title || `PubMed ${id}`;
-      let summary = '';
-      try {
-        const efetchUrl = `https://eutils.ncbi.nlm.nih.gov/entrez/eutils/efetch.fcgi?db=pubmed&id=${id}&retmode=xml&rettype=abstract`;
-        const fResp = await fetch(efetchUrl);
-        if (fResp.ok) {
-          const text = await fResp.text();
-          const matches = [...text.matchAll(/<AbstractText[^>]*>([\s\S]*?)<\/AbstractText>/g)];
-          summary = matches.map(m => m[1]).join(' ').replace(/<[^>]+>/g, '');
-        }
-      } catch (err) {
-        console.error(err);
-      }
-      summary = summary.replace(/\s+/g, ' ').trim();
-      if (summary) {
-        const sentences = summary.split(/(?<=[.!?])\s+/).slice(0, 2);
-        summary = sentences.join(' ');
+// ---- /api/session ----
+//   GET    /api/session   -> { user, role, auth }, or 401 { auth } when not signed in
+//   POST   /api/session   { username, password } (GM_AUTH=local) -> { user, role, auth }, sets the cookie
+//   DELETE /api/session   signs out
+async function handleSession(req, res) {
+  try {
+    const reply = user => ({ user: user.name, role: user.role, auth: accounts.mode });
+    if (req.method === 'GET') {
+      const user = accounts.identify(req);
+      if (!user) throw new HttpError(401, 'unauthenticated', 'Not signed in');
+      return sendJson(res, 200, reply(user), { 'Cache-Control': 'no-store' });
+    }
+    if (req.method === 'POST') {
+      if (accounts.mode !== 'local') throw new HttpError(405, 'method_not_allowed', `Sign-in is ${accounts.mode === 'off' ? 'off' : 'handled by the proxy'}`);
+      const { username, password } = await readQuery(req);
+      if (typeof username !== 'string' || typeof password !== 'string') {
+        throw new HttpError(400, 'missing_credentials', 'username and password are required');
       }
-      const url = `https://pubmed.ncbi.nlm.nih.gov/${id}/`;
-      out.push({ title, summary, url });
+      const session = accounts.login(username.trim(), password);
+      if (!session) throw new HttpError(401, 'invalid_credentials', 'Wrong username or password');
+      return sendJson(res, 200, reply(session.user), { 'Set-Cookie': accounts.cookie(session.token) });
     }
-    return out;
-  } catch (e) {
-    console.error(e);
-    return [];
+    if (req.method === 'DELETE') {
+      accounts.logout(req);
+      res.writeHead(204, { 'Set-Cookie': accounts.clearCookie() });
+      return res.end();
+    }
+    throw new HttpError(405, 'method_not_allowed', 'Use GET, POST or DELETE');
+  } catch (err) {
+    const httpErr = toHttpError(err);
+    if (httpErr.status >= 500) console.error(err);
+    sendJson(res, httpErr.status, { error: httpErr.message, code: httpErr.code, auth: accounts.mode });
   }
 }
 
@@ -202,121 +563,154 @@ async function fetchPubMed(query, audience = 'adult') {
 const server = http.createServer(async (req, res) => {
   const parsedUrl = url.parse(req.url, true);
 
-  // API: structured response
-  if (req.method === 'POST' && parsedUrl.pathname === '/api/guidelines') {
-    let body = '';
-    req.on('data', c => (body += c));
-    req.on('end', async () => {
-      try {
-        const { prompt = '', include = {} } = JSON.parse(body || '{}');
-        const incLocal = include.local !== false;
-        const incNational = include.national !== false;
-        const incLiterature = include.literature !== false;
-        if (!prompt.trim()) {
-          res.writeHead(400, { 'Content-Type': 'application/json' });
-          return res.end(JSON.stringify({ error: 'Missing prompt' }));
-        }
-
-        const audience = detectAudience(prompt);
-        const { all: allLocalMatches, primary: localMatches } = incLocal
-          ? findLocalGuidelines(prompt, audience)
-          : { all: [], primary: [] };
-        const localTitles = localMatches.map(g => g.title);
-
-        const modelPrompt = audience === 'adult' ? `${prompt} in adults` : prompt;
+  if (parsedUrl.pathname === '/api/session') {
+    return handleSession(req, res);
+  }
 
-        // 2) ask model for structured JSON if local or national requested
-        let out = {};
-        if (incLocal || incNational) {
-          out = await callPhi3Structured(modelPrompt, localTitles, { local: incLocal, national: incNational });
-        }
+  // With sign-in on, questions, history, sites, the catalogue, document text and the PDFs need a user
+  const user = accounts.identify(req);
+  const needsUser = /^\/(api\/(guidelines|history|sites|catalogue|documents)(\/|$)|local\/)/.test(parsedUrl.pathname);
+  if (needsUser && !user) {
+    return sendJson(res, 401, { error: 'Sign in first', code: 'unauthenticated', auth: accounts.mode });
+  }
 
-        out = out && typeof out === 'object' ? out : {};
-
-        // 3) enrich local results
-        if (incLocal) {
-          out.local = out.local && typeof out.local === 'object' ? out.local : {};
-          const links = allLocalMatches.slice(0, 3).map(({ title, link }) => ({ title, url: link }));
-          out.local.links = links;
-
-          if (out.local.guideline && out.local.guideline.title && !out.local.guideline.url) {
-            const m = localMatches.find(f => norm(f.title) === norm(out.local.guideline.title));
-            if (m) out.local.guideline.url = m.link;
-          }
-
-          if (!out.local.guideline) {
-            out.local.guideline = {
-              title: localMatches[0]?.title || 'No applicable local guideline',
-              summary: localMatches.length ? 'Most applicable local document selected by filename match.' : '',
-              url: localMatches[0]?.link || '',
-              applicability: localMatches.length ? 'most_applicable' : 'none'
-            };
-          }
-        } else {
-          delete out.local;
-        }
+  // API: structured response
+  if (parsedUrl.pathname === '/api/guidelines') {
+    return handleGuidelines(req, res, user);
+  }
 
-        // 4) national fallbacks
-        if (incNational) {
-          out.national = out.national && typeof out.national === 'object' ? out.national : {};
-          if (!out.national.cks_link) {
-            out.national.cks_link = `https://cks.nice.org.uk/search?query=${encodeURIComponent(modelPrompt)}`;
-          }
-        } else {
-          delete out.national;
-        }
+  if (parsedUrl.pathname === '/api/status') {
+    if (req.method !== 'GET') return sendJson(res, 405, { error: 'Use GET', code: 'method_not_allowed' }, { Allow: 'GET' });
+    return sendJson(res, 200, await serverStatus(), { 'Cache-Control': 'no-store' });
+  }
 
-        // 5) published literature
-        if (incLiterature) {
-          const papers = await fetchPubMed(prompt, audience);
-          out.published_literature = { papers };
-        }
+  // The sites a request can name, each with its libraries in precedence order
+  if (parsedUrl.pathname === '/api/sites') {
+    if (req.method !== 'GET') return sendJson(res, 405, { error: 'Use GET', code: 'method_not_allowed' }, { Allow: 'GET' });
+    return sendJson(res, 200, libraries.describe());
+  }
 
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify(out));
-      } catch (err) {
-        console.error(err);
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ summary: 'Request failed.' }));
+  // The documents a site can search, for browsing (and, cached by the service worker, for
+  // browsing offline) and for type-ahead, straight from the catalogue with no model call.
+  //   GET /api/catalogue?site=&q=&specialty=&audience=&type=&sort=&limit=
+  //   -> { site, total, documents: [catalogue entry + review_status], facets }
+  // total counts every match before limit; facets count the site's whole catalogue.
+  if (parsedUrl.pathname === '/api/catalogue') {
+    if (req.method !== 'GET') return sendJson(res, 405, { error: 'Use GET', code: 'method_not_allowed' }, { Allow: 'GET' });
+    const { query } = parsedUrl;
+    const site = String(query.site || libraries.defaultSite);
+    if (!libraries.hasSite(site)) return sendJson(res, 400, { error: `Unknown site "${site}"; see GET /api/sites`, code: 'invalid_site' });
+    const choice = (name, allowed) => {
+      if (query[name] === undefined || query[name] === '') return undefined;
+      if (!allowed.includes(String(query[name]))) {
+        throw new HttpError(400, `invalid_${name}`, `${name} must be one of: ${allowed.join(', ')}`);
       }
+      return String(query[name]);
+    };
+    let options;
+    try {
+      options = {
+        q: String(query.q || ''),
+        specialty: query.specialty ? String(query.specialty) : undefined,
+        audience: choice('audience', AUDIENCES),
+        type: choice('type', DOC_TYPES),
+        sort: choice('sort', CATALOGUE_SORTS)
+      };
+    } catch (err) {
+      return sendJson(res, err.status, { error: err.message, code: err.code });
+    }
+    const limit = Math.min(Number(query.limit) || Infinity, 1000);
+    const view = libraries.forSite(site);
+    await view.ready;
+    const all = view.catalogue.list();
+    const matches = searchCatalogue(all, options);
+    return sendJson(res, 200, {
+      site,
+      total: matches.length,
+      documents: matches.slice(0, limit).map(e => ({ ...e, review_status: reviewStatus(e.review_by) })),
+      facets: facets(all)
     });
-    return;
   }
 
-  // Serve local PDFs
-  if (parsedUrl.pathname.startsWith('/local/')) {
-    const filePath = path.join(localDir, decodeURIComponent(parsedUrl.pathname.replace('/local/', '')));
-    return fs.readFile(filePath, (err, data) => {
-      if (err) {
-        res.writeHead(404); res.end('Not found');
-      } else {
-        res.writeHead(200, { 'Content-Type': 'application/pdf' });
-        res.end(data);
-      }
-    });
+  // A document's text layer, one string per page, for the in-app viewer (which highlights
+  // cited passages by their offsets in it): { ...catalogue entry, review_status, pages }.
+  // /api/documents/<library>/<file>, like /local/; without a library, the default one.
+  if (parsedUrl.pathname.startsWith('/api/documents/')) {
+    if (req.method !== 'GET') return sendJson(res, 405, { error: 'Use GET', code: 'method_not_allowed' }, { Allow: 'GET' });
+    let rest;
+    try {
+      rest = parsedUrl.pathname.slice('/api/documents/'.length).split('/').map(decodeURIComponent);
+    } catch {
+      return sendJson(res, 400, { error: 'Bad document path', code: 'invalid_document' });
+    }
+    const lib = rest.length === 2 ? libraries.library(rest[0]) : rest.length === 1 ? libraries.library(libraries.defaultLibrary) : null;
+    const file = rest[rest.length - 1];
+    if (!lib) return sendJson(res, 404, { error: rest.length === 2 ? `Unknown library "${rest[0]}"` : 'No such document', code: 'not_found' });
+    await lib.library.ready;
+    const entry = lib.library.catalogue.get(file);
+    const pages = entry && lib.library.pages(file);
+    if (!pages) return sendJson(res, 404, { error: `No document ${file}`, code: 'not_found' });
+    return sendJson(res, 200, { ...entry, review_status: reviewStatus(entry.review_by), pages });
   }
 
-  // Static frontend
-  let filePath = path.join(frontendDir, parsedUrl.pathname === '/' ? 'index.html' : parsedUrl.pathname);
-  fs.readFile(filePath, (err, data) => {
-    if (err) {
-      res.writeHead(404); return res.end('Not found');
+  if (parsedUrl.pathname === '/api/history' || parsedUrl.pathname.startsWith('/api/history/')) {
+    return handleHistory(req, res, parsedUrl, user);
+  }
+
+  // Permalinks are rendered by the frontend
+  if (/^\/q\/[\w-]+$/.test(parsedUrl.pathname)) {
+    return frontendFiles.serve(req, res, 'index.html');
+  }
+
+  if (parsedUrl.pathname.startsWith('/api/admin/')) {
+    return handleAdmin(req, res, parsedUrl);
+  }
+
+  // Serve local PDFs (always the current version; see the admin API for older ones) at
+  // /local/<library>/<file>. The segment is the library, not the site: libraries are shared
+  // between sites, and a document's link must not depend on which site's search found it.
+  // Links saved before there were several libraries have no library segment and go to the
+  // default one; a link whose library has since been renamed (the built-in "local" under a
+  // sites config, say) is looked up without it, in the default library and then the rest.
+  const local = parsedUrl.pathname.startsWith('/local/');
+  let relPath;
+  let files = frontendFiles;
+  try {
+    relPath = decodeURIComponent(local ? parsedUrl.pathname.slice('/local/'.length) : parsedUrl.pathname);
+  } catch {
+    res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+    return res.end('Bad request');
+  }
+  if (local) {
+    const slash = relPath.indexOf('/');
+    const named = slash > 0 && localFiles.get(relPath.slice(0, slash));
+    const fallback = localFiles.get(libraries.defaultLibrary);
+    files = named || fallback;
+    if (named) relPath = relPath.slice(slash + 1);
+    else if (slash > 0 && !(await fallback.resolve(relPath))) {
+      const rest = relPath.slice(slash + 1);
+      for (const candidate of [fallback, ...localFiles.values()]) {
+        if (await candidate.resolve(rest)) {
+          files = candidate;
+          relPath = rest;
+          break;
+        }
+      }
     }
-    const ext = path.extname(filePath).toLowerCase();
-    const typeMap = {
-      '.html': 'text/html',
-      '.js': 'application/javascript',
-      '.jsx': 'application/javascript',
-      '.css': 'text/css',
-      '.json': 'application/json'
-    };
-    const type = typeMap[ext] || 'text/plain';
-    res.writeHead(200, { 'Content-Type': type });
-    res.end(data);
-  });
+  }
+  try {
+    if (await files.serve(req, res, relPath)) return;
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Not found');
+  } catch (err) {
+    console.error(err);
+    if (!res.headersSent) res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end();
+  }
 });
 
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
+  console.log(`Model: ${llm.model} via ${llm.name} (${llm.type})`);
 });
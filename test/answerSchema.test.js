@@ -0,0 +1,196 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkAnswer, pruneInvalid, describeSchema, buildAnswerSchema } = require('../lib/answerSchema');
+const { createPipeline, parseModelJson } = require('../lib/pipeline');
+const { createResponseCache } = require('../lib/responseCache');
+
+const national = fields => ({
+  summary: 'Summary.',
+  national: { nice_summary: 'NICE says.', admission_criteria: [], recommended_investigations: [], recommended_management: [], ...fields }
+});
+
+test('the schema text names optional fields and spells out the decision tree node', () => {
+  const text = describeSchema(buildAnswerSchema({ national: true }));
+  assert.match(text, /"summary": string/);
+  assert.match(text, /"decision_tree"\?: Step/);
+  assert.match(text, /Step = \{/);
+  assert.match(text, /"kind": "question" \| "action"/);
+  assert.doesNotMatch(describeSchema(buildAnswerSchema({})), /Step/);
+});
+
+test('a well-formed answer passes untouched', () => {
+  const answer = national({ admission_criteria: [{ text: 'SpO2 below 92%', cite: ['N1'] }] });
+  assert.deepEqual(checkAnswer(answer, { national: true }), { value: answer, warnings: [], errors: [] });
+});
+
+test('common near-misses are coerced, and each change is reported', () => {
+  const { value, warnings, errors } = checkAnswer({
+    summary: 42,
+    national: {
+      nice_summary: ['Oxygen', 'steroids'],
+      admission: 'Low saturations\n- Exhaustion',
+      recommended_investigations: { first: 'Blood gas' },
+      management: ['Oxygen', null],
+      decisionTree: { question: 'Hypoxic?', children: [{ answer: 'Yes', next: { text: 'Give oxygen', level: 'Senior review' } }, { label: 'No', next: { text: 'Observe' } }], citations: ['N1'] },
+      colour: 'blue'
+    }
+  }, { national: true });
+  assert.deepEqual(errors, []);
+  assert.equal(value.summary, '42');
+  assert.equal(value.national.nice_summary, 'Oxygen; steroids');
+  assert.deepEqual(value.national.admission_criteria, [{ text: 'Low saturations', cite: [] }, { text: 'Exhaustion', cite: [] }]);
+  assert.deepEqual(value.national.recommended_investigations, [{ text: 'Blood gas', cite: [] }]);
+  assert.deepEqual(value.national.recommended_management, [{ text: 'Oxygen', cite: [] }]);
+  assert.deepEqual(value.national.decision_tree, {
+    text: 'Hypoxic?',
+    branches: [
+      { label: 'Yes', next: { text: 'Give oxygen', escalation: 'senior_review', kind: 'action', cite: [] } },
+      { label: 'No', next: { text: 'Observe', kind: 'action', cite: [] } }
+    ],
+    cite: ['N1'],
+    kind: 'question'
+  });
+  for (const expected of [
+    'summary: converted number to text',
+    'national.nice_summary: joined a list into text',
+    'national.admission: renamed to "admission_criteria"',
+    'national.admission_criteria: split text into a list of 2',
+    'national.recommended_investigations: converted an object into a list',
+    'national.recommended_investigations[0]: wrapped plain text as an item',
+    'national.recommended_management[1]: dropped an empty item',
+    'national.decision_tree.branches[0].next.escalation: normalised "Senior review" to "senior_review"',
+    'national.decision_tree.kind: missing, taken as "question"',
+    'national.decision_tree.branches[1].next.cite: missing, treated as uncited',
+    'national.colour: dropped unknown field'
+  ]) {
+    assert.ok(warnings.includes(expected), `${expected}\n  in\n${warnings.join('\n')}`);
+  }
+});
+
+test('an alias is not renamed over a field that is also given', () => {
+  const { value, warnings } = checkAnswer(national({ management: ['Oxygen'], recommended_management: [] }), { national: true });
+  assert.deepEqual(value.national.recommended_management, []);
+  assert.ok(warnings.includes('national.management: dropped unknown field'));
+});
+
+test('dose fields are read from their usual names and numbers from text', () => {
+  const { value, errors } = checkAnswer({
+    summary: '',
+    local: {
+      guideline: { title: 'Croup', summary: '', applicability: 'Most applicable' },
+      admission_criteria: [],
+      recommended_investigations: [],
+      recommended_management: [],
+      doses: [{ medication: 'Dexamethasone', route: 'oral', mg_per_kg: '0.15 mg/kg', unit: 'mg', frequency: 'once', maximum_dose: '10' }]
+    }
+  }, { local: true });
+  assert.deepEqual(errors, []);
+  assert.equal(value.local.guideline.applicability, 'most_applicable');
+  assert.deepEqual(value.local.doses[0], { drug: 'Dexamethasone', route: 'oral', dose_per_kg: 0.15, unit: 'mg', frequency: 'once', max_dose: 10, cite: [] });
+});
+
+test('what cannot be coerced is reported by path', () => {
+  const { errors } = checkAnswer({
+    national: {
+      nice_summary: 'NICE says.',
+      admission_criteria: [{ text: '' }],
+      recommended_investigations: [],
+      decision_tree: { kind: 'question', text: 'Hypoxic?', branches: [{ label: 'Yes', next: { text: 'Oxygen' } }] }
+    }
+  }, { national: true });
+  assert.ok(errors.includes('summary is required'), errors.join('\n'));
+  assert.ok(errors.includes('national.recommended_management is required'), errors.join('\n'));
+  assert.ok(errors.includes('national.admission_criteria[0].text must NOT have fewer than 1 characters'), errors.join('\n'));
+  assert.ok(errors.includes('national.decision_tree.branches must NOT have fewer than 2 items'), errors.join('\n'));
+});
+
+test('pruning removes what still fails and keeps the rest of the section', () => {
+  const { value } = checkAnswer(national({
+    admission_criteria: [{ text: 'SpO2 below 92%', cite: ['N1'] }, { text: '' }],
+    decision_tree: { kind: 'question', text: 'Hypoxic?', branches: [{ label: 'Yes', next: { text: 'Oxygen' } }] }
+  }), { national: true });
+  const { value: pruned, warnings } = pruneInvalid(value, { national: true });
+  assert.deepEqual(pruned.national.admission_criteria, [{ text: 'SpO2 below 92%', cite: ['N1'] }]);
+  assert.equal(pruned.national.decision_tree, undefined);
+  assert.ok(warnings.includes('national.admission_criteria[1]: dropped, still invalid after repair'), warnings.join('\n'));
+  assert.ok(warnings.includes('national.decision_tree: dropped, still invalid after repair'), warnings.join('\n'));
+  assert.deepEqual(checkAnswer(pruned, { national: true }).errors, []);
+});
+
+test('a missing section is reported, not invented, by pruning', () => {
+  const { warnings } = pruneInvalid({ summary: '' }, { national: true });
+  assert.deepEqual(warnings, ['national is required']);
+});
+
+test('model JSON is found in fences, tags or surrounding prose, with JSON5 and trailing commas', () => {
+  for (const raw of [
+    '{"summary":"ok"}',
+    'Here you go:\n```json\n{"summary":"ok"}\n```',
+    '```\n{"summary":"ok"}\n```',
+    '<json>{"summary":"ok"}</json>',
+    'Sure! {"summary":"ok"} Hope that helps.',
+    "{summary: 'ok', // a comment\n}",
+    '{"summary":"ok",}'
+  ]) {
+    assert.deepEqual(parseModelJson(raw), { summary: 'ok' }, raw);
+  }
+});
+
+test('a reply with no JSON object in it throws', t => {
+  t.mock.method(console, 'error', () => {});
+  assert.throws(() => parseModelJson('I cannot help with that.'), /did not return valid JSON/);
+});
+
+// A pipeline whose model gives `replies` in turn, for the national section alone
+function withModel(replies, { maxRepairs = 1 } = {}) {
+  const prompts = [];
+  const llm = {
+    name: 'stub',
+    model: 'stub-1',
+    contextLength: 8192,
+    maxTokens: 1024,
+    maxRepairs,
+    generate: async ({ prompt }) => {
+      prompts.push(prompt);
+      return { text: replies[Math.min(prompts.length, replies.length) - 1], model: 'stub-1' };
+    }
+  };
+  const pipeline = createPipeline({
+    libraries: { defaultSite: 'test', forSite: () => ({}) },
+    llm,
+    cache: createResponseCache({ enabled: false })
+  });
+  const ask = () => pipeline.answerQuery({ prompt: 'asthma', include: { local: false, national: true, literature: false } });
+  return { ask, prompts };
+}
+
+test('an invalid reply is re-prompted with its errors, and a valid retry is used', async () => {
+  const { ask, prompts } = withModel([
+    JSON.stringify({ summary: 'First.', national: { nice_summary: 'NICE says.' } }),
+    JSON.stringify(national({ recommended_management: [{ text: 'Oxygen', cite: [] }] }))
+  ]);
+  const out = await ask();
+  assert.equal(prompts.length, 2);
+  assert.match(prompts[1], /It does not match the schema:/);
+  assert.match(prompts[1], /- national\.admission_criteria is required/);
+  assert.deepEqual(out.schema, { valid: true, attempts: 2 });
+  assert.deepEqual(out.national.recommended_management, [{ text: 'Oxygen', citations: [] }]);
+  assert.ok(out.warnings.some(w => w.startsWith('Re-prompted the model (attempt 2): national.admission_criteria is required')), out.warnings.join('\n'));
+});
+
+test('a reply still invalid once repairs run out is pruned and marked invalid', async () => {
+  const { ask, prompts } = withModel([JSON.stringify(national({ admission_criteria: [{ text: 'Exhaustion' }, { text: '' }] }))], { maxRepairs: 2 });
+  const out = await ask();
+  assert.equal(prompts.length, 3);
+  assert.deepEqual(out.schema, { valid: false, attempts: 3 });
+  assert.deepEqual(out.national.admission_criteria, [{ text: 'Exhaustion', citations: [] }]);
+  assert.ok(out.warnings.includes('national.admission_criteria[1]: dropped, still invalid after repair'), out.warnings.join('\n'));
+});
+
+test('a reply that is never JSON fails as model_invalid_output', async t => {
+  t.mock.method(console, 'error', () => {});
+  const { ask, prompts } = withModel(['Sorry, I cannot answer that.']);
+  await assert.rejects(ask(), { status: 502, code: 'model_invalid_output' });
+  assert.equal(prompts.length, 2);
+  assert.match(prompts[1], /the reply was not a single valid JSON object/);
+});
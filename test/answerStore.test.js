@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAnswerStore } = require('../lib/answerStore');
+
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'answers-'));
+const ask = (store, user, prompt) => store.save({ user, prompt, include: {}, audience: 'adult', result: {} });
+const prompts = async (store, user) => (await store.list({ user })).map(s => s.prompt).sort();
+
+test('each user keeps their own newest answers', async () => {
+  const store = createAnswerStore({ dir: tempDir(), max: 2 });
+  await ask(store, 'bob', 'b1');
+  for (const p of ['a1', 'a2', 'a3', 'a4']) await ask(store, 'alice', p);
+  assert.deepEqual(await prompts(store, 'alice'), ['a3', 'a4']);
+  assert.deepEqual(await prompts(store, 'bob'), ['b1']);
+});
+
+test('a pinned, shared or opened answer is not trimmed', async () => {
+  const store = createAnswerStore({ dir: tempDir(), max: 1 });
+  const pinned = await ask(store, 'alice', 'pinned');
+  await store.setPinned(pinned.id, true);
+  const shared = await ask(store, 'alice', 'shared');
+  await store.setShared(shared.id, true);
+  const opened = await ask(store, 'alice', 'opened');
+  await store.markOpened(opened.id);
+  await ask(store, 'alice', 'old');
+  await ask(store, 'alice', 'new');
+  assert.deepEqual(await prompts(store, 'alice'), ['new', 'opened', 'pinned', 'shared']);
+});
+
+test('an answer shared long ago can be trimmed again', async () => {
+  const dir = tempDir();
+  const first = createAnswerStore({ dir, max: 1, keepDays: 30 });
+  const shared = await ask(first, 'alice', 'shared');
+  const file = path.join(dir, `${shared.id}.json`);
+  fs.writeFileSync(file, JSON.stringify({ ...shared, shared_at: '2000-01-01T00:00:00.000Z' }));
+  const store = createAnswerStore({ dir, max: 1, keepDays: 30 });
+  await ask(store, 'alice', 'new');
+  assert.deepEqual(await prompts(store, 'alice'), ['new']);
+});
+
+test('opening an answer is recorded at most once a day', async () => {
+  const store = createAnswerStore({ dir: tempDir() });
+  const { id } = await ask(store, 'alice', 'q');
+  await store.markOpened(id);
+  const opened = (await store.get(id)).opened_at;
+  assert.ok(opened);
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await store.markOpened(id);
+  assert.equal((await store.get(id)).opened_at, opened);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePatient, classifyQuery } = require('../lib/audience');
+
+test('an age in years is read in its usual forms', () => {
+  for (const [text, age] of [
+    ['70 year old with AF', '70 years'],
+    ['3-year-old boy with croup', '3 years'],
+    ['78yo chest pain', '78 years'],
+    ['4 y/o wheeze', '4 years'],
+    ['aged 80, fall', '80 years'],
+    ['78M AF', '78 years'],
+    ['chest pain in a 45 year old', '45 years'],
+    ['70 year old known COPD', '70 years']
+  ]) {
+    assert.equal(parsePatient(text).age, age, text);
+  }
+});
+
+test('a baby\'s age in days, weeks or months is read', () => {
+  assert.deepEqual(parsePatient('3 week old baby with jaundice'), { ageDays: 21, age: '3 weeks' });
+  assert.deepEqual(parsePatient('6 week old, 4 kg, fever'), { ageDays: 42, age: '6 weeks', weightKg: 4 });
+  assert.equal(parsePatient('baby 6 weeks, poor feeding').age, '6 weeks');
+  assert.equal(parsePatient('6 week old 4kg fever').age, '6 weeks');
+  assert.equal(classifyQuery('10 day old with fever').audience, 'neonatal');
+});
+
+test('how old a wound or symptom is is not the patient\'s age', () => {
+  assert.deepEqual(parsePatient('leg ulcer 3 weeks old wound in 70 year old'), { ageDays: 25568, age: '70 years' });
+  assert.equal(classifyQuery('leg ulcer 3 weeks old wound in 70 year old').audience, 'older_adult');
+  assert.equal(parsePatient('2 year old with a 3 day old rash').age, '2 years');
+  assert.equal(parsePatient('rash 3 days old in a child').age, undefined);
+  assert.equal(classifyQuery('rash 3 days old in a child').audience, 'paediatric');
+  assert.equal(parsePatient('3 week old surgical wound in 70 year old').age, '70 years');
+  assert.equal(parsePatient('3 day old cough').age, undefined);
+});
+
+test('a baby\'s age followed by what is wrong is still the patient\'s age', () => {
+  for (const [text, audience, age] of [
+    ['10 day old jaundice', 'neonatal', '10 days'],
+    ['3 week old poor feeding', 'neonatal', '3 weeks'],
+    ['6 week old vomiting', 'paediatric', '6 weeks'],
+    ['9 month old fever', 'paediatric', '9 months'],
+    ['18 month old bronchiolitis', 'paediatric', '18 months'],
+    ['9 month old with cough', 'paediatric', '9 months'],
+    ['6 week old baby rash', 'paediatric', '6 weeks']
+  ]) {
+    const result = classifyQuery(text);
+    assert.equal(result.audience, audience, text);
+    assert.equal(result.age, age, text);
+  }
+});
+
+test('weeks after delivery are not an age', () => {
+  for (const text of ['2 weeks post partum headache', '2 weeks post-partum headache', '2 weeks postpartum headache']) {
+    const result = classifyQuery(text);
+    assert.equal(result.audience, 'pregnancy', text);
+    assert.equal(result.age, undefined, text);
+  }
+});
+
+test('an age in years wins over a duration that could be an age', () => {
+  assert.equal(parsePatient('ulcer 3 weeks old, 70 year old man').age, '70 years');
+  assert.equal(parsePatient('burn 2 days old, aged 34').age, '34 years');
+});
+
+test('gestation and weight are read alongside the age', () => {
+  assert.deepEqual(parsePatient('28 year old 32/40 with headache'), { ageDays: 10227, age: '28 years', gestationWeeks: 32 });
+  assert.equal(classifyQuery('28 year old 32/40 with headache').audience, 'pregnancy');
+  assert.equal(parsePatient('ex-28/40 baby').gestationWeeks, undefined);
+  assert.equal(parsePatient('child 16.5 kg').weightKg, 16.5);
+});
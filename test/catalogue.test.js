@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCatalogue, parseFileName } = require('../lib/catalogue');
+
+const manifest = text => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'catalogue-')), 'catalogue.json');
+  fs.writeFileSync(file, text);
+  return file;
+};
+
+test('a filename gives the title and its bracketed aliases', () => {
+  for (const [file, parsed] of [
+    ['Acute Headache - (Headache : primary migraine cluster : tension)_ocr.pdf', { title: 'Acute Headache', aliases: ['Headache', 'primary migraine cluster', 'tension'] }],
+    ['Adult DKA Management Pathway - (Adult DKA Guidelines : Diabetic Keto Acidosis)_guidelines_ocr.pdf', { title: 'Adult DKA Management Pathway', aliases: ['Adult DKA Guidelines', 'Diabetic Keto Acidosis'] }],
+    ['Acute Asthma - Initial Assessment - (Asthma pathway peak flow)_ocr.pdf', { title: 'Acute Asthma - Initial Assessment', aliases: ['Asthma pathway peak flow'] }],
+    ['paediatric_croup_ocr.pdf', { title: 'Paediatric croup', aliases: [] }]
+  ]) {
+    assert.deepEqual(parseFileName(file), parsed, file);
+  }
+});
+
+test('type, specialty and audience are inferred from the title and aliases', () => {
+  const catalogue = createCatalogue({ linkBase: '/local/local/' });
+  catalogue.load([
+    'Adult Chest Drain Insertion Record - (Thoracocentesis)_ocr.pdf',
+    'Bronchiolitis in children - (RSV)_ocr.pdf',
+    'Sepsis Pathway_ocr.pdf'
+  ]);
+  const [record, bronchiolitis, sepsis] = catalogue.list();
+  assert.equal(record.type, 'record_sheet');
+  assert.equal(record.clinical, false);
+  assert.equal(bronchiolitis.specialty, 'Paediatrics');
+  assert.equal(bronchiolitis.audience, 'paediatric');
+  assert.equal(bronchiolitis.type, 'guideline');
+  assert.equal(sepsis.type, 'pathway');
+  assert.equal(sepsis.audience, 'adult');
+  assert.equal(sepsis.link, '/local/local/Sepsis%20Pathway_ocr.pdf');
+});
+
+test('the manifest overrides what the filename and text say', t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const catalogue = createCatalogue({
+    manifestFile: manifest(`{
+      // JSON5, as hand-edited
+      documents: {
+        "ACS_guidelines_ocr.pdf": {
+          title: "Acute Coronary Syndrome (ACS) Guideline",
+          aliases: ["ACS", "NSTEMI"],
+          specialty: "Cardiology",
+          type: "pathway",
+          version: 3,
+          published: "2023-05",
+          review_by: "next year",
+        },
+      },
+    }`),
+    library: { id: 'local', title: 'Local guidelines', kind: 'site' }
+  });
+  catalogue.load(['ACS_guidelines_ocr.pdf'], { 'ACS_guidelines_ocr.pdf': { version: '2', published: '2022-01', review_by: '2025-01' } });
+  const entry = catalogue.get('ACS_guidelines_ocr.pdf');
+  assert.equal(entry.title, 'Acute Coronary Syndrome (ACS) Guideline');
+  assert.deepEqual(entry.aliases, ['ACS', 'NSTEMI', 'ACS guidelines']);
+  assert.equal(entry.specialty, 'Cardiology');
+  assert.equal(entry.type, 'pathway');
+  assert.equal(entry.version, '3');
+  assert.equal(entry.published, '2023-05');
+  // not a date: the one read from the text stands, and the manifest is warned about
+  assert.equal(entry.review_by, '2025-01');
+  assert.deepEqual(entry.detected_dates, { version: '2', published: '2022-01', review_by: '2025-01' });
+  assert.deepEqual(entry.library, { id: 'local', title: 'Local guidelines', kind: 'site' });
+  assert.match(warn.mock.calls[0].arguments[0], /review_by "next year"/);
+});
+
+test('an alias that repeats the title is left out', () => {
+  const catalogue = createCatalogue();
+  catalogue.load(['Croup - (croup : Laryngotracheobronchitis)_ocr.pdf']);
+  assert.deepEqual(catalogue.list()[0].aliases, ['Laryngotracheobronchitis']);
+});
+
+test('a document is found by its title or an alias, ignoring case and punctuation', () => {
+  const catalogue = createCatalogue();
+  catalogue.load(['Acute Headache - (Headache : primary migraine cluster)_ocr.pdf']);
+  const file = 'Acute Headache - (Headache : primary migraine cluster)_ocr.pdf';
+  assert.equal(catalogue.findByTitle('acute headache').file, file);
+  assert.equal(catalogue.findByTitle('Primary-Migraine Cluster').file, file);
+  assert.equal(catalogue.findByTitle('migraine'), null);
+  assert.equal(catalogue.findByTitle(''), null);
+});
+
+test('an unreadable manifest leaves the entries the filenames give', t => {
+  const error = t.mock.method(console, 'error', () => {});
+  const catalogue = createCatalogue({ manifestFile: manifest('{ documents: ') });
+  catalogue.load(['Sepsis Pathway_ocr.pdf']);
+  assert.equal(catalogue.get('Sepsis Pathway_ocr.pdf').title, 'Sepsis Pathway');
+  assert.equal(error.mock.callCount(), 1);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractDocumentDates, parseDate, isIsoDate, reviewStatus } = require('../lib/documentDates');
+
+test('dates are read day first and kept at the precision written', () => {
+  for (const [text, iso] of [
+    ['11/05/2023', '2023-05-11'],
+    ['1.2.24', '2024-02-01'],
+    ['2023-05-11', '2023-05-11'],
+    ['3rd March 2025', '2025-03-03'],
+    ['Nov 2024', '2024-11'],
+    ['Sept. 2026', '2026-09'],
+    ['06/2027', '2027-06'],
+    ['2027', '2027'],
+    ['31/02/2024', null],
+    ['13/13/2024', null],
+    ['Smarch 2024', null],
+    ['1989', null],
+    ['', null]
+  ]) {
+    assert.equal(parseDate(text), iso, text);
+  }
+});
+
+test('a manifest date must be a real YYYY, YYYY-MM or YYYY-MM-DD', () => {
+  assert.equal(isIsoDate('2024'), true);
+  assert.equal(isIsoDate('2024-02'), true);
+  assert.equal(isIsoDate('2024-02-29'), true);
+  assert.equal(isIsoDate('2023-02-29'), false);
+  assert.equal(isIsoDate('2024-13'), false);
+  assert.equal(isIsoDate('May 2024'), false);
+});
+
+test('a document control box gives the version, approval and review dates', () => {
+  assert.deepEqual(extractDocumentDates([
+    'Acute Asthma in Adults\nVersion: 3.1\nDate approved: 11/05/2023\nReview date: November 2026\nAuthor: Respiratory team'
+  ]), { version: '3.1', published: '2023-05-11', review_by: '2026-11' });
+});
+
+test('the wordings documents use for each date are recognised', () => {
+  for (const [text, field, date] of [
+    ['Next review due: 01/03/2027', 'review_by', '2027-03-01'],
+    ['Date of next review 2027', 'review_by', '2027'],
+    ['Expiry date – Dec 2025', 'review_by', '2025-12'],
+    ['Valid until 30 June 2026', 'review_by', '2026-06-30'],
+    ['Rev. date: 06/2026', 'review_by', '2026-06'],
+    ['Approved by Drug & Therapeutics Group November 2023', 'published', '2023-11'],
+    ['Ratified at Clinical Governance 12/01/2022', 'published', '2022-01-12'],
+    ['Date of publication: 2021', 'published', '2021'],
+    ['Published in March 2020', 'published', '2020-03'],
+    ['Effective from 1st April 2024', 'published', '2024-04-01']
+  ]) {
+    assert.equal(extractDocumentDates([text])[field], date, text);
+  }
+});
+
+test('a version line\'s date is its issue date unless it is the review date', () => {
+  assert.deepEqual(extractDocumentDates(['Version 2 / May 2022']), { version: '2', published: '2022-05', review_by: null });
+  assert.deepEqual(extractDocumentDates(['Ver. 10c, Nov 2024']), { version: '10c', published: '2024-11', review_by: null });
+  assert.deepEqual(extractDocumentDates(['Version 1.2, Review Date: June 2025']), { version: '1.2', published: null, review_by: '2025-06' });
+  // a labelled approval date wins over the version line's
+  assert.equal(extractDocumentDates(['Version 4 May 2021\nDate approved 02/06/2021']).published, '2021-06-02');
+});
+
+test('the first page to give a date wins, and an impossible date is passed over', () => {
+  assert.equal(extractDocumentDates(['Review date: 31/02/2026, Review date: March 2026', 'Review date: 2030']).review_by, '2026-03');
+  assert.equal(extractDocumentDates(['No dates here', 'Review by: 2028']).review_by, '2028');
+});
+
+test('text without dates or a version gives nulls', () => {
+  assert.deepEqual(extractDocumentDates(['Give 15 mg/kg paracetamol every 6 hours. Review in 48 hours.']), { version: null, published: null, review_by: null });
+  assert.deepEqual(extractDocumentDates(), { version: null, published: null, review_by: null });
+  // a bare year counts only straight after a label
+  assert.equal(extractDocumentDates(['Reviewed the 2019 audit data']).review_by, null);
+});
+
+test('the review status runs to the end of the period the date gives', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  for (const [reviewBy, status] of [
+    [null, 'unknown'],
+    ['2026-10-18', 'overdue'],
+    ['2026-10-19', 'due_soon'],
+    ['2026-09', 'overdue'],
+    ['2026-10', 'due_soon'],
+    ['2026', 'due_soon'],
+    ['2027-01-16', 'due_soon'],
+    ['2027-01-18', 'current'],
+    ['2025', 'overdue']
+  ]) {
+    assert.equal(reviewStatus(reviewBy, { now }), status, String(reviewBy));
+  }
+  assert.equal(reviewStatus('2027-01', { now, soonDays: 30 }), 'current');
+});
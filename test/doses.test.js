@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ageInYears, calculateDose } = require('../lib/doses');
+const { traceDose } = require('../lib/pipeline');
+const { checkAnswer } = require('../lib/answerSchema');
+
+const paracetamol = { drug: 'Paracetamol', dose_per_kg: 15, max_dose: 1000, unit: 'mg' };
+
+test('a per-kg dose is worked out from the weight and capped at its max_dose', () => {
+  assert.deepEqual(calculateDose(paracetamol, 20, null), { amount: 300, capped: false, outOfBand: false });
+  assert.deepEqual(calculateDose(paracetamol, 90, null), { amount: 1000, capped: true, outOfBand: false });
+  assert.equal(calculateDose(paracetamol, 66.7, null).capped, true);
+  assert.deepEqual(calculateDose({ ...paracetamol, dose_per_kg: 10 }, 100, null), { amount: 1000, capped: false, outOfBand: false });
+  assert.equal(calculateDose({ ...paracetamol, max_dose: undefined }, 90, null).amount, 1350);
+});
+
+test('a per-kg dose waits for a weight', () => {
+  assert.deepEqual(calculateDose(paracetamol, null, 5), { amount: null, missing: 'weight', outOfBand: false });
+});
+
+test('a fixed dose ignores the weight and is never capped', () => {
+  const adrenaline = { drug: 'Adrenaline', dose_fixed: 150, max_dose: 100, unit: 'micrograms' };
+  assert.deepEqual(calculateDose(adrenaline, null, null), { amount: 150, capped: false, outOfBand: false });
+  assert.deepEqual(calculateDose(adrenaline, 12, null), { amount: 150, capped: false, outOfBand: false });
+});
+
+test('an age band includes its lower edge and stops short of its upper edge', () => {
+  const band = { dose_fixed: 250, unit: 'micrograms', min_age_years: 6, max_age_years: 12 };
+  for (const [age, outOfBand] of [[5.99, true], [6, false], [11.99, false], [12, true], [null, false]]) {
+    assert.equal(calculateDose(band, null, age).outOfBand, outOfBand, `age ${age}`);
+  }
+  assert.equal(calculateDose({ ...band, min_age_years: undefined }, null, 0).outOfBand, false);
+  assert.equal(calculateDose({ ...band, max_age_years: undefined }, null, 80).outOfBand, false);
+  assert.equal(calculateDose({ ...paracetamol, max_age_years: 12 }, null, 12).outOfBand, true);
+});
+
+test('the audience age is read in years for the calculator', () => {
+  for (const [age, years] of [
+    ['3 years', '3'],
+    ['1 year', '1'],
+    ['18 months', '1.5'],
+    ['6 weeks', '0.11'],
+    ['10 days', '0.03'],
+    ['', ''],
+    [undefined, ''],
+    ['toddler', '']
+  ]) {
+    assert.equal(ageInYears(age), years, String(age));
+  }
+});
+
+test('a dose is traced when its drug and every number are in the cited excerpt', () => {
+  assert.equal(traceDose(paracetamol, 'Paracetamol 15 mg/kg (max 1000 mg) every 6 hours'), null);
+  assert.equal(traceDose(paracetamol, ''), 'no cited excerpt');
+  assert.equal(traceDose(paracetamol, 'Ibuprofen 15 mg/kg, max 1000 mg'), '"Paracetamol" is not in the cited excerpt');
+  assert.equal(traceDose(paracetamol, 'Paracetamol 15 mg/kg, max 4 g daily'), '1000 mg is not in the cited excerpt');
+});
+
+test('thousands written with a comma are traced, and other numbers are not', () => {
+  assert.equal(traceDose(paracetamol, 'Paracetamol 15 mg/kg (max 1,000 mg)'), null);
+  assert.equal(traceDose({ ...paracetamol, max_dose: 100 }, 'Paracetamol 15 mg/kg (max 1,000 mg)'), '100 mg is not in the cited excerpt');
+  assert.equal(traceDose(paracetamol, 'Paracetamol 15 mg/kg, no more than 10,000 mg'), '1000 mg is not in the cited excerpt');
+});
+
+test('a decimal is traced written with or without its leading zero', () => {
+  const dex = { drug: 'Dexamethasone', dose_per_kg: 0.15, unit: 'mg' };
+  assert.equal(traceDose(dex, 'Dexamethasone 0.15 mg/kg orally'), null);
+  assert.equal(traceDose(dex, 'Dexamethasone .15 mg/kg orally'), null);
+  const half = { drug: 'Salbutamol', dose_fixed: 0.5, unit: 'mg' };
+  assert.equal(traceDose(half, 'Salbutamol .5 mg'), null);
+  assert.equal(traceDose(half, 'Salbutamol 0.5 mg'), null);
+  assert.equal(traceDose(half, 'Salbutamol 500 micrograms'), '0.5 mg is not in the cited excerpt');
+  assert.equal(traceDose(half, 'Salbutamol 1.5 mg'), '0.5 mg is not in the cited excerpt');
+  assert.equal(traceDose({ ...half, dose_fixed: 5 }, 'Salbutamol 0.5 mg or 2.5 mg'), '5 mg is not in the cited excerpt');
+  assert.equal(traceDose({ ...half, dose_fixed: 2.5 }, 'Salbutamol 2.5mg nebulised'), null);
+});
+
+test('a number given in another unit than the dose\'s is dropped, not kept as a number', () => {
+  const adrenaline = { drug: 'Adrenaline', route: 'IM', dose_fixed: '500 micrograms', unit: 'mg', frequency: 'once', cite: ['S1'] };
+  const { value, warnings, errors } = checkAnswer({ local: { doses: [adrenaline] } }, { local: true });
+  assert.equal(value.local.doses[0].dose_fixed, undefined);
+  assert.ok(warnings.includes('local.doses[0].dose_fixed: dropped "500 micrograms", which is not in mg'), warnings.join('\n'));
+  assert.ok(errors.some(e => e.startsWith('local.doses[0]')), errors.join('\n'));
+
+  const kept = d => checkAnswer({ local: { doses: [{ ...adrenaline, ...d }] } }, { local: true }).value.local.doses[0].dose_fixed;
+  assert.equal(kept({ dose_fixed: '500 mcg', unit: 'micrograms' }), 500);
+  assert.equal(kept({ dose_fixed: '0.5 mg' }), 0.5);
+  assert.equal(kept({ dose_fixed: '0.5' }), 0.5);
+});
+
+test('a dose is traced only with its own unit beside the number', () => {
+  const excerpt = 'Adrenaline IM 500 micrograms (0.5 ml of 1:1000)';
+  const dose = { drug: 'Adrenaline', dose_fixed: 500, unit: 'mg' };
+  assert.equal(traceDose(dose, excerpt), '500 mg is not in the cited excerpt');
+  assert.equal(traceDose({ ...dose, dose_fixed: 0.5 }, excerpt), '0.5 mg is not in the cited excerpt');
+  assert.equal(traceDose({ ...dose, unit: 'micrograms' }, excerpt), null);
+  assert.equal(traceDose({ ...dose, unit: 'mcg' }, excerpt), null);
+  assert.equal(traceDose({ ...dose, dose_fixed: 0.5, unit: 'ml' }, excerpt), null);
+  assert.equal(traceDose({ drug: 'Ibuprofen', dose_per_kg: 10, unit: 'mg' }, 'Ibuprofen 10-15 mg/kg'), null);
+  assert.equal(traceDose({ drug: 'Ibuprofen', dose_per_kg: 15, unit: 'mg' }, 'Ibuprofen 10 to 15mg/kg'), null);
+  assert.equal(traceDose({ drug: 'Salbutamol', dose_fixed: 2, unit: 'puffs' }, 'Salbutamol 2 puffs'), null);
+});
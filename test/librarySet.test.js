@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLibrarySet, loadSitesConfig, sameTopic } = require('../lib/librarySet');
+
+test('documents are on the same topic when a title or alias matches or most title terms are shared', () => {
+  assert.equal(sameTopic({ title: 'Sepsis Pathway' }, { title: 'Adult sepsis', aliases: ['sepsis pathway'] }), true);
+  assert.equal(sameTopic({ title: 'Sepsis Pathway', aliases: ['Red flag sepsis'] }, { title: 'Red Flag Sepsis' }), true);
+  assert.equal(sameTopic({ title: 'Sepsis Pathway' }, { title: 'Adult Sepsis Pathway' }), true);
+  assert.equal(sameTopic({ title: 'Sepsis Pathway' }, { title: 'Neutropenic sepsis' }), false);
+  assert.equal(sameTopic({ title: 'Acute asthma' }, { title: 'Acute kidney injury' }), false);
+  assert.equal(sameTopic({ title: '', aliases: [] }, { title: '', aliases: [] }), false);
+});
+
+test('a sites config that names an unknown library or site is refused', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sites-'));
+  const load = config => {
+    const file = path.join(dir, 'sites.config.json');
+    fs.writeFileSync(file, JSON.stringify(config));
+    return loadSitesConfig(file, { root: dir, dataDir: dir, archiveDir: path.join(dir, 'archive') });
+  };
+  const libraries = { own: { dir: 'own' }, network: { dir: 'network', kind: 'network' } };
+  const config = load({ libraries, sites: { north: { libraries: ['own', 'network', 'own'] } } });
+  assert.equal(config.defaultSite, 'north');
+  assert.deepEqual(config.sites, [{ id: 'north', title: 'north', libraries: ['own', 'network'] }]);
+  assert.equal(config.libraries[1].dir, path.join(dir, 'network'));
+  assert.throws(() => load({ libraries, sites: { north: { libraries: ['own', 'regional'] } } }), /unknown library "regional"/);
+  assert.throws(() => load({ libraries, sites: { north: { libraries: ['own'] } }, default_site: 'south' }), /default_site "south" is not a site/);
+  assert.throws(() => load({ libraries: { 'Bad Id': { dir: 'x' } }, sites: {} }), /invalid library id/);
+  assert.equal(loadSitesConfig(path.join(dir, 'missing.json'), { root: dir, dataDir: dir, archiveDir: dir }).defaultSite, 'local');
+});
+
+// A library folder whose text cache already holds each document's pages, so no PDF is read
+function library(root, id, docs) {
+  const dir = path.join(root, id);
+  fs.mkdirSync(dir);
+  const cache = {};
+  for (const [file, pages] of Object.entries(docs)) {
+    fs.writeFileSync(path.join(dir, file), file);
+    const { size, mtimeMs } = fs.statSync(path.join(dir, file));
+    cache[file] = { size, mtimeMs, pages };
+  }
+  const cacheFile = path.join(root, `text-${id}.json`);
+  fs.writeFileSync(cacheFile, JSON.stringify(cache));
+  return { id, title: id, kind: id === 'network' ? 'network' : 'site', dir, cacheFile };
+}
+
+async function withSites(t, run) {
+  t.mock.method(console, 'log', () => {});
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'library-set-'));
+  const set = createLibrarySet({
+    defaultSite: 'north',
+    libraries: [
+      library(root, 'own', { 'Sepsis Pathway_ocr.pdf': ['sepsis antibiotics within the hour'] }),
+      library(root, 'network', {
+        'Adult Sepsis Pathway - (Red flag sepsis)_ocr.pdf': ['sepsis sepsis sepsis lactate antibiotics'],
+        'Neutropenic sepsis_ocr.pdf': ['fever after chemotherapy']
+      })
+    ],
+    sites: [
+      { id: 'north', title: 'North', libraries: ['own', 'network'] },
+      { id: 'shared', title: 'Network only', libraries: ['network'] }
+    ]
+  }, { watch: false });
+  await set.ready;
+  try {
+    await run(set);
+  } finally {
+    set.close();
+  }
+}
+
+test('a site\'s own document supersedes a network one on the same topic and is listed first', t => withSites(t, async set => {
+  const hits = set.forSite().search('sepsis');
+  assert.deepEqual(hits.map(h => [h.library.id, h.title]), [
+    ['own', 'Sepsis Pathway'],
+    ['network', 'Adult Sepsis Pathway'],
+    ['network', 'Neutropenic sepsis']
+  ]);
+  assert.equal(hits[0].superseded_by, undefined);
+  assert.deepEqual(hits[1].superseded_by, {
+    title: 'Sepsis Pathway',
+    file: 'Sepsis Pathway_ocr.pdf',
+    library: { id: 'own', title: 'own', kind: 'site' }
+  });
+  assert.equal(hits[2].superseded_by, undefined);
+  assert.ok(hits[1].score > hits[0].score, 'the network copy scores higher and is still placed after');
+}));
+
+test('a site without its own copy keeps the network document', t => withSites(t, async set => {
+  const hits = set.forSite('shared').search('sepsis');
+  assert.deepEqual(hits.map(h => h.title), ['Adult Sepsis Pathway', 'Neutropenic sepsis']);
+  assert.ok(hits.every(h => !h.superseded_by));
+}));
+
+test('a title resolves to the site\'s own copy before the network\'s', t => withSites(t, async set => {
+  const site = set.forSite('north');
+  assert.equal(site.catalogue.findByTitle('sepsis pathway').library.id, 'own');
+  assert.equal(site.catalogue.findByTitle('red flag sepsis').library.id, 'network');
+  assert.equal(site.passages('Sepsis Pathway_ocr.pdf', 'antibiotics')[0].page, 1);
+  assert.deepEqual(site.passages('Sepsis Pathway_ocr.pdf', 'antibiotics', { library: 'network' }), []);
+  assert.throws(() => set.forSite('south'), /Unknown site "south"/);
+}));
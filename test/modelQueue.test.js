@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createModelQueue, QueueError } = require('../lib/modelQueue');
+
+// A task that runs until finish() or fail() is called
+function task(log, name) {
+  let finish;
+  let fail;
+  const done = new Promise((resolve, reject) => { finish = resolve; fail = reject; });
+  return {
+    run: () => { log.push(name); return done; },
+    finish: (value = name) => finish(value),
+    fail: err => fail(err)
+  };
+}
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('tasks run one at a time, in the order they arrived', async () => {
+  const queue = createModelQueue();
+  const started = [];
+  const [a, b, c] = ['a', 'b', 'c'].map(name => task(started, name));
+  const results = [a, b, c].map(x => queue.run(x.run));
+  await tick();
+  assert.deepEqual(started, ['a']);
+  assert.deepEqual((({ running, waiting }) => ({ running, waiting }))(queue.stats()), { running: 1, waiting: 2 });
+  a.finish();
+  assert.equal(await results[0], 'a');
+  await tick();
+  assert.deepEqual(started, ['a', 'b']);
+  b.finish();
+  c.finish();
+  assert.deepEqual(await Promise.all(results), ['a', 'b', 'c']);
+  assert.equal(queue.stats().running, 0);
+});
+
+test('concurrency lets that many run side by side', async () => {
+  const queue = createModelQueue({ concurrency: 2 });
+  const started = [];
+  const tasks = ['a', 'b', 'c'].map(name => task(started, name));
+  const results = tasks.map(x => queue.run(x.run));
+  await tick();
+  assert.deepEqual(started, ['a', 'b']);
+  tasks[1].finish();
+  await tick();
+  assert.deepEqual(started, ['a', 'b', 'c']);
+  tasks[0].finish();
+  tasks[2].finish();
+  await Promise.all(results);
+});
+
+test('each waiting caller hears its place in line, then 0 when its turn comes', async () => {
+  const queue = createModelQueue();
+  const started = [];
+  const [a, b, c] = ['a', 'b', 'c'].map(name => task(started, name));
+  const positions = { a: [], b: [], c: [] };
+  const results = [a, b, c].map((x, i) => queue.run(x.run, { onPosition: p => positions['abc'[i]].push(p) }));
+  a.finish();
+  await results[0];
+  b.finish();
+  await results[1];
+  c.finish();
+  await results[2];
+  assert.deepEqual(positions, { a: [0], b: [1, 0], c: [2, 1, 0] });
+});
+
+test('a full line turns callers away with queue_full', async () => {
+  const queue = createModelQueue({ maxWaiting: 1 });
+  const a = task([], 'a');
+  const b = task([], 'b');
+  const results = [queue.run(a.run), queue.run(b.run)];
+  await assert.rejects(queue.run(() => 'c'), err => err instanceof QueueError && err.code === 'queue_full');
+  a.finish();
+  b.finish();
+  await Promise.all(results);
+});
+
+test('a caller that waits too long gives up with queue_timeout, and the line moves up', async () => {
+  const queue = createModelQueue({ timeoutMs: 20 });
+  const a = task([], 'a');
+  const first = queue.run(a.run);
+  const positions = [];
+  const late = queue.run(() => 'b', { onPosition: p => positions.push(p) });
+  await assert.rejects(late, { name: 'QueueError', code: 'queue_timeout', message: /Waited more than 0s/ });
+  assert.equal(queue.stats().waiting, 0);
+  a.finish();
+  await first;
+  assert.deepEqual(positions, [1]);
+});
+
+test('an aborted caller leaves the line without running, and those behind it move up', async () => {
+  const queue = createModelQueue();
+  const started = [];
+  const [a, b, c] = ['a', 'b', 'c'].map(name => task(started, name));
+  const controller = new AbortController();
+  const cPositions = [];
+  const results = [
+    queue.run(a.run),
+    queue.run(b.run, { signal: controller.signal }),
+    queue.run(c.run, { onPosition: p => cPositions.push(p) })
+  ];
+  controller.abort(new Error('client went away'));
+  await assert.rejects(results[1], /client went away/);
+  assert.deepEqual(cPositions, [2, 1]);
+  a.finish();
+  await results[0];
+  await tick();
+  assert.deepEqual(started, ['a', 'c']);
+  c.finish();
+  await results[2];
+  await assert.rejects(queue.run(() => 'd', { signal: controller.signal }), /client went away/);
+});
+
+test('stats count errors and cancellations over the last `keep` calls', async () => {
+  const queue = createModelQueue({ keep: 3 });
+  await queue.run(async () => 'ok');
+  await assert.rejects(queue.run(async () => { throw new Error('model crashed'); }), /model crashed/);
+  const controller = new AbortController();
+  await assert.rejects(queue.run(async () => { controller.abort(); throw new Error('aborted'); }, { signal: controller.signal }));
+  let { recent } = queue.stats();
+  assert.deepEqual([recent.calls, recent.errors, recent.cancelled], [3, 1, 1]);
+  assert.deepEqual(recent.last.map(r => r.outcome), ['cancelled', 'error', 'ok']);
+  assert.equal(typeof recent.run_ms.p50, 'number');
+
+  await queue.run(async () => 'ok');
+  ({ recent } = queue.stats());
+  assert.deepEqual([recent.calls, recent.errors, recent.cancelled], [3, 1, 1]);
+  assert.deepEqual(recent.last.map(r => r.outcome), ['ok', 'cancelled', 'error']);
+  assert.equal(createModelQueue().stats().recent.wait_ms.p95, null);
+});
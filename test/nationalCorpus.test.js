@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createNationalCorpus, parseDocument, normaliseUrl } = require('../lib/nationalCorpus');
+
+const TIA = `---
+title: "Stroke and TIA: diagnosis and initial management"
+url: https://www.nice.org.uk/guidance/NG128/
+---
+# Ignored, the front matter names it
+
+## Transient ischaemic attack
+1.1.1 Offer aspirin 300 mg immediately to people with a suspected TIA.
+1.1.2 Refer immediately for specialist assessment within 24 hours.
+Do not use scoring systems to assess risk.
+
+## Imaging
+1.2.1 Offer MRI within 24 hours of specialist assessment.
+`;
+
+test('a Markdown page takes its title and URL from the front matter and splits at numbered recommendations', () => {
+  const doc = parseDocument('nice-ng128.md', TIA);
+  assert.equal(doc.title, 'Stroke and TIA: diagnosis and initial management');
+  assert.equal(doc.url, 'https://www.nice.org.uk/guidance/NG128/');
+  assert.deepEqual([doc.source, doc.code], ['NICE', 'NG128']);
+  assert.deepEqual(doc.sections, [
+    { heading: 'Transient ischaemic attack', number: '1.1.1', text: 'Offer aspirin 300 mg immediately to people with a suspected TIA.' },
+    { heading: 'Transient ischaemic attack', number: '1.1.2', text: 'Refer immediately for specialist assessment within 24 hours.\nDo not use scoring systems to assess risk.' },
+    { heading: 'Imaging', number: '1.2.1', text: 'Offer MRI within 24 hours of specialist assessment.' }
+  ]);
+});
+
+test('a saved HTML page gives its canonical URL, title and headed text without page furniture', () => {
+  const doc = parseDocument('croup.html', `<html><head>
+    <title>Ignored | NICE</title>
+    <meta property="og:title" content="Croup &ndash; management">
+    <link href="https://cks.nice.org.uk/topics/croup/management/" rel="canonical">
+    <script>var x = "<h2>Not a heading</h2>";</script>
+  </head><body>
+    <nav><a href="/">Home</a></nav>
+    <main>
+      <h2>Dexamethasone</h2>
+      <p>Give 0.15&nbsp;mg/kg <strong>orally</strong>&#8230;</p>
+      <ul><li>Single dose</li><li>Any severity</li></ul>
+    </main>
+    <footer>Footer links</footer>
+  </body></html>`);
+  assert.equal(doc.title, 'Croup – management');
+  assert.equal(doc.url, 'https://cks.nice.org.uk/topics/croup/management/');
+  assert.deepEqual([doc.source, doc.code], ['CKS', 'croup']);
+  assert.deepEqual(doc.sections, [{ heading: 'Dexamethasone', number: null, text: 'Give 0.15 mg/kg orally…\nSingle dose\nAny severity' }]);
+});
+
+test('without a URL the first heading or the file name is the title, and the page is never a link', () => {
+  assert.deepEqual(
+    (({ title, url, source, code }) => ({ title, url, source, code }))(parseDocument('sepsis.md', '# Sepsis\nRecognise and treat early.')),
+    { title: 'Sepsis', url: '', source: 'Other', code: null }
+  );
+  assert.equal(parseDocument('local_sepsis-notes.txt', 'Recognise and treat early.').title, 'local sepsis notes');
+  const schemeless = parseDocument('x.md', '---\nurl: nice.org.uk/guidance/ng51\nsource: NICE\n---\nText.');
+  assert.deepEqual([schemeless.url, schemeless.source], ['', 'NICE']);
+});
+
+test('URLs are compared without scheme, www, case, query or trailing slash', () => {
+  assert.equal(normaliseUrl('https://www.NICE.org.uk/guidance/NG245/?tab=1#rec'), 'nice.org.uk/guidance/ng245');
+  assert.equal(normaliseUrl('nice.org.uk/guidance/ng245'), 'nice.org.uk/guidance/ng245');
+  assert.equal(normaliseUrl(undefined), '');
+});
+
+async function withCorpus(t, files, run) {
+  t.mock.method(console, 'log', () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'national-'));
+  for (const [name, text] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), text);
+  const corpus = createNationalCorpus({ dir, watch: false });
+  await corpus.ready;
+  try {
+    await run(corpus, dir);
+  } finally {
+    corpus.close();
+  }
+}
+
+test('the corpus is searched by document and by section, sections in document order', t => withCorpus(t, {
+  'nice-ng128.md': TIA,
+  'croup.md': fs.readFileSync(path.join(__dirname, '..', 'national.example', 'cks-croup.md'), 'utf8'),
+  'notes.pdf': 'not a national file'
+}, async corpus => {
+  assert.equal(corpus.size(), 2);
+  const [best] = corpus.search('aspirin for TIA');
+  assert.deepEqual((({ id, source, code }) => ({ id, source, code }))(best), { id: 'nice-ng128.md', source: 'NICE', code: 'NG128' });
+  assert.deepEqual(best.sections, [1]);
+  assert.deepEqual(corpus.passages('nice-ng128.md', 'specialist assessment within 24 hours').map(p => p.number), ['1.1.2', '1.2.1']);
+  assert.deepEqual(corpus.passages('nice-ng128.md', 'croup'), []);
+  assert.deepEqual(corpus.passages('missing.md', 'aspirin'), []);
+  assert.equal(corpus.get('croup.md').source, 'CKS');
+  assert.equal(corpus.get('missing.md'), null);
+}));
+
+test('a URL finds its document, including from one of its chapters', t => withCorpus(t, { 'nice-ng128.md': TIA }, async corpus => {
+  assert.equal(corpus.findByUrl('https://www.nice.org.uk/guidance/ng128').id, 'nice-ng128.md');
+  assert.equal(corpus.findByUrl('nice.org.uk/guidance/ng128/chapter/Recommendations#tia').id, 'nice-ng128.md');
+  assert.equal(corpus.findByUrl('https://www.nice.org.uk/guidance/ng12'), null);
+  assert.equal(corpus.findByUrl(''), null);
+}));
+
+test('a refresh picks up changed files and changes the version', t => withCorpus(t, { 'nice-ng128.md': TIA }, async (corpus, dir) => {
+  const before = corpus.version();
+  assert.match(before, /^[0-9a-f]{16}$/);
+  await corpus.refresh();
+  assert.equal(corpus.version(), before);
+  fs.writeFileSync(path.join(dir, 'sepsis.md'), '# Sepsis\nGive antibiotics within one hour.');
+  await corpus.refresh();
+  assert.notEqual(corpus.version(), before);
+  assert.equal(corpus.search('antibiotics')[0].id, 'sepsis.md');
+}));
+
+test('a file with no text is indexed with a warning', t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  return withCorpus(t, { 'empty.md': '---\ntitle: Empty\n---\n' }, async corpus => {
+    assert.equal(corpus.size(), 1);
+    assert.match(warn.mock.calls[0].arguments[0], /no text found in empty\.md/);
+  });
+});
+
+test('a missing folder is an empty corpus', t => withCorpus(t, {}, async () => {
+  const corpus = createNationalCorpus({ dir: path.join(os.tmpdir(), 'no-such-national-folder'), watch: false });
+  await corpus.ready;
+  assert.equal(corpus.size(), 0);
+  assert.deepEqual(corpus.search('asthma'), []);
+}));
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createPubMedClient, parseArticles, formatCitation } = require('../lib/pubmed');
+
+const article = (pmid, { title = 'Steroids for <i>croup</i> in children.', extra = '' } = {}) => `
+  <PubmedArticle>
+    <MedlineCitation>
+      <PMID Version="1">${pmid}</PMID>
+      <Article>
+        <Journal>
+          <JournalIssue><Volume>12</Volume><Issue>3</Issue><PubDate><Year>2021</Year></PubDate></JournalIssue>
+          <Title>The Cochrane database of systematic reviews</Title>
+          <ISOAbbreviation>Cochrane Database Syst Rev</ISOAbbreviation>
+        </Journal>
+        <ArticleTitle>${title}</ArticleTitle>
+        <Pagination><MedlinePgn>45-67</MedlinePgn></Pagination>
+        ${extra}
+      </Article>
+    </MedlineCitation>
+    <PubmedData><ArticleIdList><ArticleId IdType="pubmed">${pmid}</ArticleId><ArticleId IdType="doi">10.1002/${pmid}</ArticleId></ArticleIdList></PubmedData>
+  </PubmedArticle>`;
+const set = (...articles) => `<?xml version="1.0"?><PubmedArticleSet>${articles.join('')}</PubmedArticleSet>`;
+
+const full = article('111', {
+  extra: `
+    <AuthorList>
+      <Author><LastName>Gates</LastName><Initials>A</Initials></Author>
+      <Author><LastName>Johnson</LastName><Initials>DW</Initials></Author>
+      <Author><LastName>Klassen</LastName><Initials>TP</Initials></Author>
+      <Author><CollectiveName>Croup Study Group</CollectiveName></Author>
+    </AuthorList>
+    <Abstract>
+      <AbstractText Label="BACKGROUND">Croup is common &amp; distressing.</AbstractText>
+      <AbstractText Label="AUTHORS' CONCLUSIONS">Corticosteroids reduce symptoms at two hours. They shorten the hospital stay. Further trials are needed.</AbstractText>
+    </Abstract>
+    <PublicationTypeList><PublicationType>Review</PublicationType><PublicationType>Systematic Review</PublicationType></PublicationTypeList>`
+});
+
+test('an efetch article gives its citation details, type and abstract', () => {
+  const [paper] = parseArticles(set(full));
+  assert.equal(paper.pmid, '111');
+  assert.equal(paper.title, 'Steroids for croup in children.');
+  assert.deepEqual(paper.authors, ['Gates A', 'Johnson DW', 'Klassen TP', 'Croup Study Group']);
+  assert.equal(paper.journal, 'Cochrane Database Syst Rev');
+  assert.deepEqual([paper.year, paper.volume, paper.issue, paper.pages], ['2021', '12', '3', '45-67']);
+  assert.equal(paper.doi, '10.1002/111');
+  assert.equal(paper.doi_url, 'https://doi.org/10.1002/111');
+  assert.equal(paper.url, 'https://pubmed.ncbi.nlm.nih.gov/111/');
+  assert.deepEqual([paper.publication_type, paper.publication_type_label], ['systematic_review', 'Systematic review']);
+  assert.deepEqual(paper.abstract[0], { label: 'BACKGROUND', text: 'Croup is common & distressing.' });
+  assert.equal(paper.summary, 'Corticosteroids reduce symptoms at two hours. They shorten the hospital stay.');
+  assert.equal(paper.citation, 'Gates A, Johnson DW, Klassen TP, et al. Steroids for croup in children. Cochrane Database Syst Rev. 2021;12(3):45-67. doi:10.1002/111');
+});
+
+test('missing parts fall back without breaking the paper', () => {
+  const [paper] = parseArticles(set(`
+    <PubmedArticle>
+      <MedlineCitation>
+        <PMID>222</PMID>
+        <Article>
+          <Journal><Title>BMJ</Title><JournalIssue><PubDate><MedlineDate>2019 Nov-Dec</MedlineDate></PubDate></JournalIssue></Journal>
+          <ELocationID EIdType="doi">10.1136/bmj.222</ELocationID>
+          <Abstract><AbstractText>One sentence here. And a second one! A third is left out.</AbstractText></Abstract>
+          <PublicationTypeList><PublicationType>Letter</PublicationType></PublicationTypeList>
+        </Article>
+      </MedlineCitation>
+    </PubmedArticle>`));
+  assert.equal(paper.title, 'PubMed 222');
+  assert.deepEqual(paper.authors, []);
+  assert.equal(paper.journal, 'BMJ');
+  assert.equal(paper.year, '2019');
+  assert.equal(paper.doi, '10.1136/bmj.222');
+  assert.deepEqual([paper.publication_type, paper.publication_type_label], ['other', 'Letter']);
+  assert.equal(paper.summary, 'One sentence here. And a second one!');
+  assert.equal(paper.citation, 'PubMed 222. BMJ. 2019. doi:10.1136/bmj.222');
+});
+
+test('publication types are labelled most specific first', () => {
+  const typed = (...types) => parseArticles(set(article('1', {
+    extra: `<PublicationTypeList>${types.map(t => `<PublicationType>${t}</PublicationType>`).join('')}</PublicationTypeList>`
+  })))[0].publication_type;
+  assert.equal(typed('Journal Article', 'Practice Guideline'), 'guideline');
+  assert.equal(typed('Systematic Review', 'Meta-Analysis'), 'meta_analysis');
+  assert.equal(typed('Randomized Controlled Trial', 'Clinical Trial, Phase III'), 'rct');
+  assert.equal(typed('Clinical Trial, Phase II'), 'trial');
+  assert.equal(typed(), 'other');
+});
+
+test('an empty or unexpected efetch body gives no papers', () => {
+  assert.deepEqual(parseArticles(set()), []);
+  assert.deepEqual(parseArticles('<eFetchResult><ERROR>Empty id list</ERROR></eFetchResult>'), []);
+});
+
+test('a citation names at most three authors and leaves out what is missing', () => {
+  assert.equal(formatCitation({ authors: ['Smith J', 'Jones A'], title: 'Title', journal: '', year: '2020', volume: '', doi: '' }), 'Smith J, Jones A. Title. 2020.');
+});
+
+test('search fills from the evidence tiers in order and returns papers in search order', async () => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(url);
+    if (url.pathname === '/esearch.fcgi') {
+      const idlist = /randomized controlled trial/.test(url.searchParams.get('term')) ? ['333', '222'] : ['222'];
+      res.end(JSON.stringify({ esearchresult: { idlist } }));
+    } else {
+      res.end(set(article('333'), article('222')));
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const client = createPubMedClient({ baseUrl: `http://127.0.0.1:${server.address().port}/`, requestsPerSecond: 1000 });
+    const papers = await client.search('croup', { audience: 'paediatric', count: 2, fromYear: 2015 });
+    assert.deepEqual(papers.map(p => p.pmid), ['222', '333']);
+    const [first, second, fetch] = requests;
+    assert.match(first.searchParams.get('term'), /^croup \[Title\/Abstract\] AND \(child\[MeSH Terms\].* AND \(systematic\[sb\]/);
+    assert.match(second.searchParams.get('term'), /AND randomized controlled trial\[pt\]$/);
+    assert.equal(first.searchParams.get('mindate'), '2015');
+    assert.equal(first.searchParams.get('datetype'), 'pdat');
+    assert.equal(fetch.searchParams.get('id'), '222,333');
+    assert.equal(requests.length, 3);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPseudonymiser, toCsv } = require('../lib/queryAudit');
+
+const pseudonymise = createPseudonymiser('test-key');
+const tags = (text, kind) => (text.match(new RegExp(`\\[${kind}:[0-9a-f]{6}\\]`, 'g')) || []).length;
+
+test('a titled name is replaced whole, internal capitals included', () => {
+  for (const [prompt, rest] of [
+    ["Mrs. O'Brien 32/40 chest pain", ' 32/40 chest pain'],
+    ['Mr McDonald with AF', ' with AF'],
+    ['Dr MacLeod asked about DKA', ' asked about DKA'],
+    ['Ms O’Neill-Smith, headache', ', headache']
+  ]) {
+    const out = pseudonymise(prompt);
+    assert.equal(tags(out, 'NAME'), 1, out);
+    assert.ok(out.endsWith(rest), out);
+    assert.doesNotMatch(out, /Brien|Donald|Leod|Neill/);
+  }
+});
+
+test('"name is" and "called" introduce a name', () => {
+  assert.equal(pseudonymise('patient name is John Smith, 45M'), `patient ${pseudonymise('name is John Smith')}, 45M`);
+  assert.doesNotMatch(pseudonymise('child called DeShawn with croup'), /DeShawn/);
+});
+
+test('numbers and dates that identify a patient are replaced', () => {
+  const out = pseudonymise('NHS 943 476 5919, DOB 12/03/1980, MRN: RX12345, 07700 900123, jo@example.org, LS1 4AP');
+  for (const kind of ['NHS', 'DATE', 'MRN', 'PHONE', 'EMAIL', 'POSTCODE']) assert.equal(tags(out, kind), 1, `${kind}: ${out}`);
+  assert.doesNotMatch(out.replace(/\[[A-Z]+:[0-9a-f]{6}\]/g, ''), /\d/);
+});
+
+test('ages, weights and gestations are left alone', () => {
+  const prompt = '4 year old 16 kg with croup, 32/40 pregnant, 70 year old with AF';
+  assert.equal(pseudonymise(prompt), prompt);
+});
+
+test('one identifier keeps one pseudonym, and the key changes it', () => {
+  assert.equal(pseudonymise('Mr Smith'), pseudonymise('Mr  Smith'));
+  assert.notEqual(pseudonymise('Mr Smith'), pseudonymise('Mr Jones'));
+  assert.notEqual(createPseudonymiser('other-key')('Mr Smith'), pseudonymise('Mr Smith'));
+});
+
+test('a pseudonym is not itself taken for an identifier', () => {
+  const out = pseudonymise('Dr Patel, NHS 9434765919');
+  assert.match(out, /^\[NAME:[0-9a-f]{6}\], NHS \[NHS:[0-9a-f]{6}\]$/);
+});
+
+// Documented limitation: without a title or "name is", a name can't be told from a word
+test('a bare name is not recognised, though its date is', () => {
+  const out = pseudonymise('Jane Doe, DOB 12/03/1980');
+  assert.match(out, /^Jane Doe, DOB \[DATE:[0-9a-f]{6}\]$/);
+});
+
+test('the CSV export keeps a prompt a spreadsheet would run as a formula as text', () => {
+  const columns = [['prompt', e => e.prompt], ['count', e => e.count]];
+  const csv = toCsv([
+    { prompt: '=HYPERLINK("http://x","y")', count: -1 },
+    { prompt: '+44 chest pain', count: 2 },
+    { prompt: '-5 days fever' },
+    { prompt: '@SUM(A1)' },
+    { prompt: '\tcroup' },
+    { prompt: 'croup, 3 year old' }
+  ], columns);
+  assert.equal(csv, [
+    'prompt,count',
+    `"'=HYPERLINK(""http://x"",""y"")",-1`,
+    "'+44 chest pain,2",
+    "'-5 days fever,",
+    "'@SUM(A1),",
+    "'\tcroup,",
+    '"croup, 3 year old",',
+    ''
+  ].join('\r\n'));
+});
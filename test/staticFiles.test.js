@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createFileServer, pickEncoding } = require('../lib/staticFiles');
+
+// Serves a 1000-byte doc.pdf for run(get); get(headers) -> { status, headers, length }
+async function withServer(run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'static-'));
+  fs.writeFileSync(path.join(dir, 'doc.pdf'), Buffer.alloc(1000, 1));
+  const files = createFileServer({ root: dir });
+  const server = http.createServer((req, res) => files.serve(req, res, req.url.slice(1)));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const get = headers => new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port: server.address().port, path: '/doc.pdf', headers }, res => {
+      let length = 0;
+      res.on('data', chunk => { length += chunk.length; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, length }));
+    }).on('error', reject);
+  });
+  try {
+    await run(get);
+  } finally {
+    server.close();
+  }
+}
+
+test('a range is sent on its own', () => withServer(async get => {
+  const res = await get({ Range: 'bytes=0-99' });
+  assert.equal(res.status, 206);
+  assert.equal(res.headers['content-range'], 'bytes 0-99/1000');
+  assert.equal(res.length, 100);
+}));
+
+test('If-Range with our weak ETag never matches, so the whole file is sent', () => withServer(async get => {
+  const { headers } = await get({});
+  assert.match(headers.etag, /^W\//);
+  for (const tag of [headers.etag, headers.etag.slice(2)]) {
+    const res = await get({ Range: 'bytes=0-99', 'If-Range': tag });
+    assert.equal(res.status, 200, tag);
+    assert.equal(res.length, 1000);
+  }
+}));
+
+test('If-Range with a date honours the range only on an exact Last-Modified match', () => withServer(async get => {
+  const lastModified = (await get({})).headers['last-modified'];
+  assert.equal((await get({ Range: 'bytes=0-99', 'If-Range': lastModified })).status, 206);
+  const later = new Date(Date.parse(lastModified) + 60000).toUTCString();
+  assert.equal((await get({ Range: 'bytes=0-99', 'If-Range': later })).status, 200);
+  assert.equal((await get({ Range: 'bytes=0-99', 'If-Range': 'Thu, 01 Jan 1970 00:00:00 GMT' })).status, 200);
+}));
+
+test('Accept-Encoding q-values are honoured', () => {
+  const pick = header => pickEncoding({ headers: header === undefined ? {} : { 'accept-encoding': header } });
+  for (const [header, coding] of [
+    ['gzip, deflate, br', 'br'],
+    ['gzip', 'gzip'],
+    ['br;q=0, gzip', 'gzip'],
+    ['br; q=0.0, gzip;q=0.5', 'gzip'],
+    ['gzip;q=1, br;q=0.8', 'gzip'],
+    ['br;q=0, gzip;q=0', null],
+    ['*', 'br'],
+    ['*;q=0.5, br;q=0', 'gzip'],
+    ['identity', null],
+    ['', null],
+    [undefined, null]
+  ]) {
+    assert.equal(pick(header), coding, String(header));
+  }
+});
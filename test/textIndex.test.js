@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stem, tokenize, buildIndex } = require('../lib/textIndex');
+
+test('the stemmer follows Porter\'s examples', () => {
+  for (const [word, stemmed] of [
+    ['caresses', 'caress'],
+    ['ponies', 'poni'],
+    ['cats', 'cat'],
+    ['agreed', 'agre'],
+    ['plastered', 'plaster'],
+    ['motoring', 'motor'],
+    ['hopping', 'hop'],
+    ['falling', 'fall'],
+    ['happy', 'happi'],
+    ['relational', 'relat'],
+    ['conditional', 'condit'],
+    ['hopeful', 'hope'],
+    ['adjustment', 'adjust']
+  ]) {
+    assert.equal(stem(word), stemmed, word);
+  }
+});
+
+test('clinical word forms share a stem', () => {
+  assert.equal(stem('anticoagulation'), stem('anticoagulant'));
+  assert.equal(stem('fractures'), stem('fractured'));
+  assert.equal(stem('infections'), stem('infected'));
+  assert.equal(stem('b12'), 'b12');
+  assert.equal(stem('ct'), 'ct');
+});
+
+test('tokens are stemmed, lower-case and free of stop words and stray letters', () => {
+  assert.deepEqual(
+    tokenize('The Management of Café-acquired Pneumonia in a 3 y old, and CT head b12 x'),
+    ['manag', 'cafe', 'acquir', 'pneumonia', '3', 'old', 'ct', 'head', 'b12']
+  );
+  assert.deepEqual(tokenize(''), []);
+});
+
+const docs = [
+  { id: 'asthma', title: 'Asthma in children', pages: ['wheeze asthma salbutamol', 'nothing here', 'asthma asthma attack'] },
+  { id: 'croup', title: 'Croup', pages: ['croup stridor dexamethasone asthma'] },
+  { id: 'no-text', title: 'Sepsis and asthma', pages: [] }
+];
+
+test('documents are ranked by BM25, best pages first', () => {
+  const index = buildIndex(docs);
+  const hits = index.search('asthma');
+  assert.deepEqual(hits.map(h => h.id), ['asthma', 'croup', 'no-text']);
+  assert.deepEqual(hits[0].pages, [3, 1]);
+  assert.ok(hits[0].score > hits[1].score);
+  assert.deepEqual(index.search('dexamethasone').map(h => h.id), ['croup']);
+  assert.deepEqual(index.search('asthma', { limit: 1, maxPages: 1 }).map(h => [h.id, h.pages]), [['asthma', [3]]]);
+});
+
+test('a title-only match surfaces below every body match', () => {
+  const hits = buildIndex(docs).search('sepsis asthma');
+  assert.equal(hits[hits.length - 1].id, 'no-text');
+  assert.ok(hits[hits.length - 1].score < 0.01);
+  assert.deepEqual(buildIndex(docs).search('sepsis').map(h => [h.id, h.pages]), [['no-text', []]]);
+});
+
+test('query terms in the title raise the score of an equal body match', () => {
+  const index = buildIndex([
+    { id: 'plain', title: 'Respiratory', pages: ['bronchiolitis oxygen'] },
+    { id: 'titled', title: 'Bronchiolitis', pages: ['bronchiolitis oxygen'] }
+  ]);
+  const [first, second] = index.search('bronchiolitis');
+  assert.equal(first.id, 'titled');
+  assert.ok(Math.abs(first.score / second.score - 1.5) < 1e-9);
+});
+
+test('a query of only stop words or unknown terms finds nothing', () => {
+  const index = buildIndex(docs);
+  assert.deepEqual(index.search('the of and'), []);
+  assert.deepEqual(index.search('zebra'), []);
+});